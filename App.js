@@ -12,7 +12,9 @@ import {
   parseWithdrawalNotification,
   parseTradeExecutionNotification,
   parseAnomalyAlertNotification,
+  parseTwapTrancheNotification,
 } from './src/services/notificationService';
+import { handleTwapTrancheNotification } from './src/services/twapService';
 
 export default function App() {
   const navigationRef = useRef(null);
@@ -50,7 +52,11 @@ export default function App() {
         screen: 'TradeExecution',
         params: { anomalyData },
       });
+      return;
     }
+
+    // TWAP tranches are bought by the home screen once the app is unlocked,
+    // which happens when this tap brings the app to the foreground
   };
 
   useEffect(() => {
@@ -81,6 +87,13 @@ export default function App() {
       const cleanup = setupNotificationListeners(
         // When notification is received (app is open)
         (notification) => {
+          // A TWAP tranche is due while the app is open - buy it now if its user is signed in
+          const twapData = parseTwapTrancheNotification(notification);
+          if (twapData) {
+            handleTwapTrancheNotification(twapData.userId);
+            return;
+          }
+
           // Check for withdrawal notifications
           const withdrawalData = parseWithdrawalNotification(notification);
           if (withdrawalData) {
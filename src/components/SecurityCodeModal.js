@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  ActivityIndicator,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { authAPI } from '../services/api';
+
+const CODE_LENGTH = 6;
+
+/**
+ * Ask for a 2FA code (or the app passcode) before a sensitive action
+ * onVerified is only called once the server accepts the code. The caller
+ * decides which code to ask for, so it can refuse when the 2FA status is unknown.
+ */
+export default function SecurityCodeModal({ visible, twoFactorEnabled, description, onVerified, onClose }) {
+  const { colors } = useTheme();
+  const styles = createStyles(colors);
+
+  const [code, setCode] = useState('');
+  const [verifying, setVerifying] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setCode('');
+    }
+  }, [visible]);
+
+  const handleVerify = async () => {
+    if (code.length !== CODE_LENGTH) {
+      Alert.alert('Invalid Code', `Please enter your ${CODE_LENGTH}-digit ${twoFactorEnabled ? 'verification code' : 'passcode'}.`);
+      return;
+    }
+
+    setVerifying(true);
+    try {
+      const response = twoFactorEnabled
+        ? await authAPI.verify2FA(code)
+        : await authAPI.verifyPasscode(code);
+      if (response.success) {
+        setCode('');
+        onVerified();
+      } else {
+        Alert.alert('Error', response.message || (twoFactorEnabled ? 'Invalid verification code.' : 'Incorrect passcode.'));
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to verify code. Please try again.');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>{twoFactorEnabled ? '2FA Verification' : 'Enter Passcode'}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={colors.text} />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.modalIconContainer}>
+            <Ionicons
+              name={twoFactorEnabled ? 'shield-checkmark' : 'lock-closed'}
+              size={48}
+              color={colors.primary}
+            />
+          </View>
+
+          <Text style={styles.modalDescription}>
+            {twoFactorEnabled
+              ? `Enter the 6-digit code from your authenticator app ${description}.`
+              : `Enter your app passcode ${description}.`}
+          </Text>
+
+          <TextInput
+            style={styles.codeInput}
+            value={code}
+            onChangeText={(text) => setCode(text.replace(/[^0-9]/g, '').slice(0, CODE_LENGTH))}
+            keyboardType="number-pad"
+            placeholder="000000"
+            placeholderTextColor={colors.textTertiary}
+            maxLength={CODE_LENGTH}
+            textAlign="center"
+            secureTextEntry={!twoFactorEnabled}
+            autoFocus={true}
+          />
+
+          <View style={styles.modalActions}>
+            <TouchableOpacity style={styles.modalCancelButton} onPress={onClose}>
+              <Text style={styles.modalCancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.modalConfirmButton, verifying && styles.modalButtonDisabled]}
+              onPress={handleVerify}
+              disabled={verifying}
+            >
+              {verifying ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.modalConfirmButtonText}>Verify</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+SecurityCodeModal.propTypes = {
+  visible: PropTypes.bool.isRequired,
+  // Ask for the authenticator code instead of the app passcode
+  twoFactorEnabled: PropTypes.bool.isRequired,
+  // Completes "Enter the code ..." (e.g. 'to cancel this order')
+  description: PropTypes.string.isRequired,
+  onVerified: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    modalOverlay: {
+      flex: 1,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      justifyContent: 'center',
+      alignItems: 'center',
+      padding: 20,
+    },
+    modalContent: {
+      backgroundColor: colors.cardBackground,
+      borderRadius: 16,
+      padding: 24,
+      width: '100%',
+      maxWidth: 400,
+    },
+    modalHeader: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: 16,
+    },
+    modalTitle: {
+      fontSize: 20,
+      fontWeight: 'bold',
+      color: colors.text,
+    },
+    modalIconContainer: {
+      alignItems: 'center',
+      marginBottom: 16,
+    },
+    modalDescription: {
+      fontSize: 14,
+      color: colors.textSecondary,
+      marginBottom: 20,
+      lineHeight: 20,
+      textAlign: 'center',
+    },
+    codeInput: {
+      fontSize: 28,
+      fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+      color: colors.text,
+      backgroundColor: colors.background,
+      padding: 16,
+      borderRadius: 12,
+      borderWidth: 2,
+      borderColor: colors.border,
+      letterSpacing: 12,
+      marginBottom: 20,
+    },
+    modalActions: {
+      flexDirection: 'row',
+      gap: 12,
+    },
+    modalCancelButton: {
+      flex: 1,
+      padding: 14,
+      borderRadius: 8,
+      borderWidth: 2,
+      borderColor: colors.border,
+      alignItems: 'center',
+    },
+    modalCancelButtonText: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: colors.text,
+    },
+    modalConfirmButton: {
+      flex: 1,
+      padding: 14,
+      borderRadius: 8,
+      backgroundColor: colors.success,
+      alignItems: 'center',
+    },
+    modalConfirmButtonText: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: '#fff',
+    },
+    modalButtonDisabled: {
+      opacity: 0.6,
+    },
+  });
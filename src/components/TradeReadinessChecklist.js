@@ -0,0 +1,122 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+
+const STATUS_ICONS = {
+  ok: 'checkmark-circle',
+  failed: 'close-circle',
+  unknown: 'help-circle',
+};
+
+/**
+ * Pre-trade checklist (see exchangeService evaluateTradeReadiness)
+ * Failed checks block the trade; unknown ones are shown but do not.
+ */
+export default function TradeReadinessChecklist({ checks, loading, onRefresh }) {
+  const { colors } = useTheme();
+  const styles = createStyles(colors);
+
+  const statusColors = {
+    ok: colors.success,
+    failed: colors.error,
+    unknown: colors.textSecondary,
+  };
+
+  return (
+    <View>
+      <View style={styles.header}>
+        <Text style={styles.title}>Ready to Buy</Text>
+        {loading ? (
+          <ActivityIndicator size="small" color={colors.primary} />
+        ) : (
+          onRefresh && (
+            <TouchableOpacity onPress={onRefresh}>
+              <Text style={styles.refreshText}>Check again</Text>
+            </TouchableOpacity>
+          )
+        )}
+      </View>
+
+      {checks.map((check) => (
+        <View key={check.id} style={styles.row}>
+          <Ionicons
+            name={STATUS_ICONS[check.status]}
+            size={20}
+            color={statusColors[check.status]}
+            style={styles.icon}
+          />
+          <View style={styles.rowText}>
+            <Text style={styles.label}>{check.label}</Text>
+            {!!check.detail && (
+              <Text style={[styles.detail, check.status === 'failed' && styles.detailFailed]}>
+                {check.detail}
+              </Text>
+            )}
+          </View>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+TradeReadinessChecklist.propTypes = {
+  checks: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    status: PropTypes.oneOf(['ok', 'failed', 'unknown']).isRequired,
+    detail: PropTypes.string,
+  })).isRequired,
+  loading: PropTypes.bool,
+  onRefresh: PropTypes.func,
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: 8,
+    },
+    title: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: colors.text,
+    },
+    refreshText: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.primary,
+    },
+    row: {
+      flexDirection: 'row',
+      alignItems: 'flex-start',
+      paddingVertical: 6,
+    },
+    icon: {
+      marginRight: 10,
+    },
+    rowText: {
+      flex: 1,
+    },
+    label: {
+      fontSize: 14,
+      color: colors.text,
+    },
+    detail: {
+      marginTop: 2,
+      fontSize: 12,
+      color: colors.textSecondary,
+    },
+    detailFailed: {
+      color: colors.error,
+    },
+  });
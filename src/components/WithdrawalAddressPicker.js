@@ -0,0 +1,175 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+
+/**
+ * List of withdrawal addresses configured on the exchange
+ * Each option shows the key name with the on-chain address it resolves to.
+ */
+export default function WithdrawalAddressPicker({
+  addresses,
+  selectedKey,
+  onSelect,
+  loading,
+  error,
+  onRetry,
+  walletAddress,
+}) {
+  const { colors } = useTheme();
+  const styles = createStyles(colors);
+
+  if (loading) {
+    return <ActivityIndicator size="small" color={colors.primary} style={styles.loading} />;
+  }
+
+  if (error) {
+    return (
+      <View style={styles.messageBox}>
+        <Text style={styles.errorText}>Could not load addresses: {error}</Text>
+        {onRetry && (
+          <TouchableOpacity onPress={onRetry}>
+            <Text style={styles.retryText}>Try again</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  }
+
+  if (addresses.length === 0) {
+    return (
+      <View style={styles.messageBox}>
+        <Text style={styles.emptyText}>
+          No Bitcoin withdrawal addresses are configured on your exchange yet.
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <View>
+      {addresses.map((entry) => {
+        const selected = entry.key === selectedKey;
+        const matchesWallet = !!walletAddress && entry.address === walletAddress;
+        return (
+          <TouchableOpacity
+            key={entry.key}
+            style={[styles.option, selected && styles.optionSelected]}
+            onPress={() => onSelect(entry)}
+            activeOpacity={0.7}
+          >
+            <Ionicons
+              name={selected ? 'radio-button-on' : 'radio-button-off'}
+              size={20}
+              color={selected ? colors.primary : colors.textSecondary}
+              style={styles.radio}
+            />
+            <View style={styles.optionText}>
+              <View style={styles.optionHeader}>
+                <Text style={styles.label}>{entry.label}</Text>
+                {matchesWallet && <Text style={styles.walletTag}>Your wallet</Text>}
+                {!entry.verified && <Text style={styles.unverifiedTag}>Unverified</Text>}
+              </View>
+              <Text style={styles.address} selectable>{entry.address}</Text>
+            </View>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+WithdrawalAddressPicker.propTypes = {
+  addresses: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    address: PropTypes.string.isRequired,
+    label: PropTypes.string,
+    verified: PropTypes.bool,
+  })).isRequired,
+  selectedKey: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+  loading: PropTypes.bool,
+  error: PropTypes.string,
+  onRetry: PropTypes.func,
+  walletAddress: PropTypes.string,
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    loading: {
+      marginVertical: 12,
+    },
+    messageBox: {
+      paddingVertical: 8,
+    },
+    errorText: {
+      fontSize: 13,
+      color: colors.error,
+    },
+    retryText: {
+      marginTop: 6,
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.primary,
+    },
+    emptyText: {
+      fontSize: 13,
+      color: colors.textSecondary,
+    },
+    option: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      padding: 12,
+      marginTop: 8,
+      borderRadius: 8,
+      borderWidth: 1,
+      borderColor: colors.border,
+      backgroundColor: colors.background,
+    },
+    optionSelected: {
+      borderColor: colors.primary,
+      borderWidth: 2,
+    },
+    radio: {
+      marginRight: 10,
+    },
+    optionText: {
+      flex: 1,
+    },
+    optionHeader: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+    },
+    label: {
+      fontSize: 15,
+      fontWeight: '600',
+      color: colors.text,
+      marginRight: 8,
+    },
+    walletTag: {
+      fontSize: 11,
+      fontWeight: '600',
+      color: colors.success,
+      marginRight: 6,
+    },
+    unverifiedTag: {
+      fontSize: 11,
+      fontWeight: '600',
+      color: colors.warning,
+    },
+    address: {
+      marginTop: 4,
+      fontSize: 12,
+      color: colors.textSecondary,
+      fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    },
+  });
@@ -1,239 +1,9 @@
 /**
  * Country Configuration
- * Defines countries and their exchange availability
+ * Defines supported countries; exchange availability comes from the exchange adapters
  */
 
-// Countries where Binance.com is available
-const BINANCE_COUNTRIES = new Set([
-  'AL', // Albania
-  'DZ', // Algeria
-  'AO', // Angola
-  'AI', // Anguilla
-  'AG', // Antigua and Barbuda
-  'AR', // Argentina
-  'AM', // Armenia
-  'AU', // Australia
-  'AT', // Austria
-  'AZ', // Azerbaijan
-  'BS', // Bahamas
-  'BH', // Bahrain
-  'BB', // Barbados
-  'BY', // Belarus
-  'BE', // Belgium
-  'BZ', // Belize
-  'BJ', // Benin
-  'BM', // Bermuda
-  'BT', // Bhutan
-  'BO', // Bolivia
-  'BA', // Bosnia and Herzegovina
-  'BW', // Botswana
-  'BR', // Brazil
-  'BN', // Brunei
-  'BG', // Bulgaria
-  'BF', // Burkina Faso
-  'CV', // Cabo Verde
-  'KH', // Cambodia
-  'CM', // Cameroon
-  'CA', // Canada
-  'KY', // Cayman Islands
-  'TD', // Chad
-  'CL', // Chile
-  'CO', // Colombia
-  'CD', // Congo (DRC)
-  'CG', // Congo
-  'CR', // Costa Rica
-  'CI', // Cote d'Ivoire
-  'HR', // Croatia
-  'CY', // Cyprus
-  'CZ', // Czechia
-  'DK', // Denmark
-  'DM', // Dominica
-  'DO', // Dominican Republic
-  'EC', // Ecuador
-  'SV', // El Salvador
-  'EE', // Estonia
-  'SZ', // Eswatini
-  'FJ', // Fiji
-  'FI', // Finland
-  'FR', // France
-  'GA', // Gabon
-  'GM', // Gambia
-  'GE', // Georgia
-  'DE', // Germany
-  'GH', // Ghana
-  'GR', // Greece
-  'GD', // Grenada
-  'GT', // Guatemala
-  'GW', // Guinea-Bissau
-  'GY', // Guyana
-  'HN', // Honduras
-  'HK', // Hong Kong
-  'HU', // Hungary
-  'IS', // Iceland
-  'ID', // Indonesia
-  'IQ', // Iraq
-  'IE', // Ireland
-  'IL', // Israel
-  'IT', // Italy
-  'JM', // Jamaica
-  'JP', // Japan
-  'JO', // Jordan
-  'KZ', // Kazakhstan
-  'KE', // Kenya
-  'KR', // South Korea
-  'XK', // Kosovo
-  'KW', // Kuwait
-  'KG', // Kyrgyzstan
-  'LA', // Laos
-  'LV', // Latvia
-  'LB', // Lebanon
-  'LR', // Liberia
-  'LY', // Libya
-  'LT', // Lithuania
-  'LU', // Luxembourg
-  'MO', // Macao
-  'MG', // Madagascar
-  'MW', // Malawi
-  'MV', // Maldives
-  'ML', // Mali
-  'MT', // Malta
-  'MR', // Mauritania
-  'MU', // Mauritius
-  'MX', // Mexico
-  'FM', // Micronesia
-  'MD', // Moldova
-  'MN', // Mongolia
-  'ME', // Montenegro
-  'MS', // Montserrat
-  'MZ', // Mozambique
-  'MM', // Myanmar
-  'NA', // Namibia
-  'NR', // Nauru
-  'NP', // Nepal
-  'NZ', // New Zealand
-  'NI', // Nicaragua
-  'NE', // Niger
-  'NG', // Nigeria
-  'NO', // Norway
-  'OM', // Oman
-  'PK', // Pakistan
-  'PW', // Palau
-  'PA', // Panama
-  'PG', // Papua New Guinea
-  'PY', // Paraguay
-  'PE', // Peru
-  'PH', // Philippines
-  'PL', // Poland
-  'PT', // Portugal
-  'QA', // Qatar
-  'MK', // North Macedonia
-  'RO', // Romania
-  'RU', // Russia
-  'RW', // Rwanda
-  'KN', // Saint Kitts and Nevis
-  'LC', // Saint Lucia
-  'VC', // Saint Vincent and the Grenadines
-  'ST', // Sao Tome and Principe
-  'SA', // Saudi Arabia
-  'SN', // Senegal
-  'RS', // Serbia
-  'SC', // Seychelles
-  'SL', // Sierra Leone
-  'SG', // Singapore
-  'SK', // Slovakia
-  'SI', // Slovenia
-  'SB', // Solomon Islands
-  'ZA', // South Africa
-  'ES', // Spain
-  'LK', // Sri Lanka
-  'SR', // Suriname
-  'SE', // Sweden
-  'CH', // Switzerland
-  'TW', // Taiwan
-  'TJ', // Tajikistan
-  'TZ', // Tanzania
-  'TH', // Thailand
-  'TO', // Tonga
-  'TT', // Trinidad and Tobago
-  'TN', // Tunisia
-  'TR', // Turkey
-  'TM', // Turkmenistan
-  'TC', // Turks and Caicos Islands
-  'UG', // Uganda
-  'UA', // Ukraine
-  'AE', // United Arab Emirates
-  'GB', // United Kingdom
-  'UY', // Uruguay
-  'UZ', // Uzbekistan
-  'VU', // Vanuatu
-  'VE', // Venezuela
-  'VN', // Vietnam
-  'VG', // British Virgin Islands
-  'YE', // Yemen
-  'ZM', // Zambia
-  'ZW', // Zimbabwe
-]);
-
-// Countries where Kraken is available
-const KRAKEN_COUNTRIES = new Set([
-  // Europe - EEA countries
-  'AT', // Austria
-  'BE', // Belgium
-  'BG', // Bulgaria
-  'HR', // Croatia
-  'CY', // Cyprus
-  'CZ', // Czechia
-  'DK', // Denmark
-  'EE', // Estonia
-  'FI', // Finland
-  'FR', // France
-  'DE', // Germany
-  'GR', // Greece
-  'HU', // Hungary
-  'IS', // Iceland
-  'IE', // Ireland
-  'IT', // Italy
-  'LV', // Latvia
-  'LI', // Liechtenstein
-  'LT', // Lithuania
-  'LU', // Luxembourg
-  'MT', // Malta
-  'NL', // Netherlands
-  'NO', // Norway
-  'PL', // Poland
-  'PT', // Portugal
-  'RO', // Romania
-  'SK', // Slovakia
-  'SI', // Slovenia
-  'ES', // Spain
-  'SE', // Sweden
-  'GB', // United Kingdom
-  // North America
-  'CA', // Canada
-  'US', // United States
-  // Rest of World
-  'AR', // Argentina
-  'AU', // Australia
-  'BM', // Bermuda
-  'SG', // Singapore
-]);
-
-// Countries where Kraken is explicitly prohibited
-const KRAKEN_PROHIBITED = new Set([
-  'AF', // Afghanistan
-  'BY', // Belarus
-  'CU', // Cuba
-  'CD', // Democratic Republic of the Congo
-  'IR', // Iran
-  'IQ', // Iraq
-  'JP', // Japan
-  'LY', // Libya
-  'KP', // North Korea
-  'RU', // Russia
-  'SD', // Sudan
-  'SS', // South Sudan
-  'SY', // Syria
-]);
+import { getRegisteredExchanges } from '../services/exchangeRegistry';
 
 // All supported countries with their names
 export const COUNTRIES = [
@@ -409,36 +179,15 @@ export const COUNTRIES = [
   { code: 'ZW', name: 'Zimbabwe' },
 ];
 
-/**
- * Check if Binance is available in a country
- */
-export function isBinanceAvailable(countryCode) {
-  return BINANCE_COUNTRIES.has(countryCode);
-}
-
-/**
- * Check if Kraken is available in a country
- */
-export function isKrakenAvailable(countryCode) {
-  return KRAKEN_COUNTRIES.has(countryCode) && !KRAKEN_PROHIBITED.has(countryCode);
-}
-
 /**
  * Get available exchanges for a country
+ * Availability is defined by each registered exchange adapter
  * Returns array of exchange IDs
  */
 export function getAvailableExchanges(countryCode) {
-  const exchanges = [];
-
-  if (isBinanceAvailable(countryCode)) {
-    exchanges.push('binance');
-  }
-
-  if (isKrakenAvailable(countryCode)) {
-    exchanges.push('kraken');
-  }
-
-  return exchanges;
+  return getRegisteredExchanges()
+    .filter(adapter => adapter.isAvailableIn(countryCode))
+    .map(adapter => adapter.id);
 }
 
 /**
@@ -22,6 +22,7 @@ import APIKeysScreen from '../screens/APIKeysScreen';
 import WithdrawalApprovalScreen from '../screens/WithdrawalApprovalScreen';
 import TradeExecutionScreen from '../screens/TradeExecutionScreen';
 import LumpSumTradeScreen from '../screens/LumpSumTradeScreen';
+import OpenOrdersScreen from '../screens/OpenOrdersScreen';
 import TransactionsScreen from '../screens/TransactionsScreen';
 import AwardsScreen from '../screens/AwardsScreen';
 import SettingsScreen from '../screens/SettingsScreen';
@@ -367,6 +368,21 @@ const AppNavigator = forwardRef(({ pendingNotification, onNotificationHandled },
                 },
               }}
             />
+            <Stack.Screen
+              name="OpenOrders"
+              component={OpenOrdersScreen}
+              options={{
+                title: 'Open Orders',
+                headerShown: true,
+                presentation: 'modal',
+                headerStyle: {
+                  backgroundColor: colors.cardBackground,
+                },
+                headerTitleStyle: {
+                  color: colors.text,
+                },
+              }}
+            />
           </>
         )}
       </Stack.Navigator>
@@ -16,6 +16,9 @@ import {
   getExchangeInfo,
   getSelectedExchange,
   setSelectedExchange,
+  getWithdrawalExchange,
+  setWithdrawalExchange,
+  getConfiguredExchanges,
   storeExchangeKeys,
   hasExchangeKeys,
   deleteExchangeKeys,
@@ -23,8 +26,12 @@ import {
   getApiKeyInstructions,
   getWithdrawalNotes,
   getExchangesForCountry,
+  supportsKeyPermissions,
+  getKeyPermissions,
+  evaluateKeyPermissions,
 } from '../services/exchangeService';
 import { authAPI } from '../services/api';
+import { showExchangeError } from '../utils/exchangeErrors';
 import { useTheme } from '../contexts/ThemeContext';
 import { useAuth } from '../contexts/AuthContext';
 import { useFocusEffect } from '@react-navigation/native';
@@ -34,7 +41,11 @@ export default function APIKeysScreen({ navigation }) {
   const { colors } = useTheme();
   const { user } = useAuth();
   const userId = user?._id;
+  // Exchange whose keys are shown; DCA and withdrawal exchanges are chosen separately
   const [selectedExchangeId, setSelectedExchangeId] = useState('binance');
+  const [dcaExchangeId, setDcaExchangeId] = useState(null);
+  const [withdrawalExchangeId, setWithdrawalExchangeId] = useState(null);
+  const [configuredIds, setConfiguredIds] = useState([]);
   const [availableExchanges, setAvailableExchanges] = useState([]);
   const [userCountry, setUserCountry] = useState('');
   const [apiKey, setApiKey] = useState('');
@@ -44,6 +55,10 @@ export default function APIKeysScreen({ navigation }) {
   const [testing, setTesting] = useState(false);
   const [showSecrets, setShowSecrets] = useState(false);
   const [initialLoading, setInitialLoading] = useState(true);
+  const [appWithdrawal, setAppWithdrawal] = useState(true);
+  const [permissions, setPermissions] = useState(null);
+  const [checkingPermissions, setCheckingPermissions] = useState(false);
+  const [permissionsError, setPermissionsError] = useState(null);
 
   // Reload settings when screen is focused (in case country changed in Settings)
   const hasLoadedOnce = useRef(false);
@@ -72,31 +87,30 @@ export default function APIKeysScreen({ navigation }) {
       const filteredExchanges = getExchangesForCountry(countryCode);
       setAvailableExchanges(filteredExchanges);
 
-      // Load from server settings
+      // The DCA exchange is synced to the server; fall back to local storage
       const response = await authAPI.getSettings();
-      if (response.success && response.data?.settings?.exchange) {
-        const serverExchange = response.data.settings.exchange;
-        // Check if the server exchange is available in user's country
-        const isAvailable = filteredExchanges.some(e => e.id === serverExchange);
-        if (isAvailable) {
-          setSelectedExchangeId(serverExchange);
-        } else if (filteredExchanges.length > 0) {
-          // Default to first available exchange
-          setSelectedExchangeId(filteredExchanges[0].id);
-        }
-      } else {
-        // Fall back to local storage
-        const stored = await getSelectedExchange(userId);
-        const isAvailable = filteredExchanges.some(e => e.id === stored);
-        if (isAvailable) {
-          setSelectedExchangeId(stored);
-        } else if (filteredExchanges.length > 0) {
-          setSelectedExchangeId(filteredExchanges[0].id);
-        }
+      if (response.success) {
+        setAppWithdrawal(response.data?.settings?.appWithdrawal ?? true);
       }
+      const dcaExchange = (response.success && response.data?.settings?.exchange) || await getSelectedExchange(userId);
+      setDcaExchangeId(dcaExchange);
+      setWithdrawalExchangeId(await getWithdrawalExchange(userId));
+      setConfiguredIds(await getConfiguredExchanges(userId));
+
+      // Start on the DCA exchange; later visits keep the exchange being edited if still available
+      setSelectedExchangeId(current => {
+        const preferred = isInitialLoad ? dcaExchange : current;
+        if (filteredExchanges.some(e => e.id === preferred)) {
+          return preferred;
+        }
+        return filteredExchanges.length > 0 ? filteredExchanges[0].id : preferred;
+      });
     } catch (error) {
       const stored = await getSelectedExchange(userId);
-      setSelectedExchangeId(stored);
+      setDcaExchangeId(stored);
+      if (isInitialLoad) {
+        setSelectedExchangeId(stored);
+      }
     } finally {
       setInitialLoading(false);
     }
@@ -105,10 +119,46 @@ export default function APIKeysScreen({ navigation }) {
   const checkKeys = async () => {
     const exists = await hasExchangeKeys(selectedExchangeId, userId);
     setHasKeys(exists);
+    setPermissions(null);
+    setPermissionsError(null);
+    if (exists) {
+      checkPermissions();
+    }
+  };
+
+  // Returns the permission flags, or null if they could not be checked
+  const checkPermissions = async () => {
+    if (!supportsKeyPermissions(selectedExchangeId)) {
+      return null;
+    }
+    setCheckingPermissions(true);
+    setPermissionsError(null);
+    try {
+      const result = await getKeyPermissions(selectedExchangeId, userId);
+      if (result.success) {
+        setPermissions(result.data);
+        return result.data;
+      }
+      setPermissionsError(result.error);
+      return null;
+    } finally {
+      setCheckingPermissions(false);
+    }
   };
 
-  const handleExchangeChange = async (exchangeId) => {
+  const handleExchangeChange = (exchangeId) => {
     setSelectedExchangeId(exchangeId);
+
+    // Clear input fields when switching exchanges
+    setApiKey('');
+    setApiSecret('');
+  };
+
+  // Withdrawal permissions are only needed on the exchange the app withdraws from
+  const appWithdrawsHere = appWithdrawal && withdrawalExchangeId === selectedExchangeId;
+
+  const handleUseForDca = async (exchangeId = selectedExchangeId) => {
+    setDcaExchangeId(exchangeId);
     await setSelectedExchange(exchangeId, userId);
 
     // Save to server
@@ -117,10 +167,12 @@ export default function APIKeysScreen({ navigation }) {
     } catch (error) {
       // Silently fail - local storage is primary
     }
+  };
 
-    // Clear input fields when switching exchanges
-    setApiKey('');
-    setApiSecret('');
+  // Withdrawal exchange is a device-side choice, like the withdrawal address
+  const handleUseForWithdrawals = async (exchangeId = selectedExchangeId) => {
+    setWithdrawalExchangeId(exchangeId);
+    await setWithdrawalExchange(exchangeId, userId);
   };
 
   const handleSaveKeys = async () => {
@@ -132,11 +184,38 @@ export default function APIKeysScreen({ navigation }) {
     setLoading(true);
     try {
       await storeExchangeKeys(selectedExchangeId, apiKey.trim(), apiSecret.trim(), userId);
+      const exchangeName = getExchangeInfo(selectedExchangeId).name;
+
+      // Refuse keys with more rights than the current settings need.
+      // Only the withdrawal exchange (or the first configured one, which takes that role) needs withdrawal rights
+      const handlesWithdrawals = withdrawalExchangeId === selectedExchangeId || !configuredIds.includes(withdrawalExchangeId);
+      const granted = await checkPermissions();
+      const issues = granted ? evaluateKeyPermissions(granted, appWithdrawal && handlesWithdrawals).issues : [];
+      const refusal = issues.find(issue => issue.level === 'refuse');
+      if (refusal) {
+        await deleteExchangeKeys(selectedExchangeId, userId);
+        setPermissions(null);
+        Alert.alert('Keys Not Saved', `${refusal.message}\n\nUpdate the key on ${exchangeName}, then save it again.`);
+        return;
+      }
+
       setHasKeys(true);
       setApiKey('');
       setApiSecret('');
-      const exchangeName = getExchangeInfo(selectedExchangeId).name;
-      Alert.alert('Success', `${exchangeName} API keys saved securely on your device`);
+
+      // Roles whose exchange has no keys move to the newly configured one
+      if (!configuredIds.includes(dcaExchangeId)) {
+        await handleUseForDca(selectedExchangeId);
+      }
+      if (!configuredIds.includes(withdrawalExchangeId)) {
+        await handleUseForWithdrawals(selectedExchangeId);
+      }
+      setConfiguredIds(await getConfiguredExchanges(userId));
+      const warnings = issues.map(issue => `⚠️ ${issue.message}`).join('\n\n');
+      Alert.alert(
+        warnings ? 'Saved With Warnings' : 'Success',
+        `${exchangeName} API keys saved securely on your device${warnings ? `\n\n${warnings}` : ''}`
+      );
     } catch (error) {
       Alert.alert('Error', 'Failed to save API keys');
     } finally {
@@ -159,13 +238,20 @@ export default function APIKeysScreen({ navigation }) {
           console.log('[APIKeys] Failed to report connection:', reportError);
         }
 
+        const granted = await checkPermissions();
+        const issueCount = granted ? evaluateKeyPermissions(granted, appWithdrawsHere).issues.length : 0;
         Alert.alert(
           'Success',
-          `API keys are valid! Connected to ${exchangeName} successfully.`,
+          `API keys are valid! Connected to ${exchangeName} successfully.` +
+            (issueCount > 0 ? `\n\n⚠️ ${issueCount} permission ${issueCount === 1 ? 'issue needs' : 'issues need'} attention. See the permission check below.` : ''),
           [{ text: 'OK' }]
         );
       } else {
-        Alert.alert('Error', result.error || 'Invalid API keys or connection failed');
+        // Already on this screen, so key problems need no navigation action
+        showExchangeError(
+          { ...result, error: result.error || 'Invalid API keys or connection failed' },
+          { onRetry: handleTestKeys }
+        );
       }
     } catch (error) {
       Alert.alert('Error', 'Failed to test API keys');
@@ -187,6 +273,7 @@ export default function APIKeysScreen({ navigation }) {
           onPress: async () => {
             await deleteExchangeKeys(selectedExchangeId, userId);
             setHasKeys(false);
+            setConfiguredIds(await getConfiguredExchanges(userId));
             Alert.alert('Deleted', 'API keys have been removed');
           },
         },
@@ -195,6 +282,7 @@ export default function APIKeysScreen({ navigation }) {
   };
 
   const exchangeInfo = getExchangeInfo(selectedExchangeId);
+  const permissionCheck = permissions ? evaluateKeyPermissions(permissions, appWithdrawsHere) : null;
   const instructions = getApiKeyInstructions(selectedExchangeId);
   const withdrawalNotes = getWithdrawalNotes(selectedExchangeId);
 
@@ -219,7 +307,10 @@ export default function APIKeysScreen({ navigation }) {
 
       {/* Exchange Selector */}
       <View style={styles.exchangeSelector}>
-        <Text style={styles.sectionTitle}>Select Exchange</Text>
+        <Text style={styles.sectionTitle}>Exchanges</Text>
+        <Text style={styles.sectionHint}>
+          Add keys for as many exchanges as you use, then choose which one buys and which one withdraws.
+        </Text>
         {availableExchanges.length === 0 ? (
           <View style={styles.noExchangesCard}>
             <Ionicons name="warning-outline" size={32} color={colors.warning} />
@@ -264,6 +355,23 @@ export default function APIKeysScreen({ navigation }) {
                 >
                   {exchange.tradingFee}% fee
                 </Text>
+                <View style={styles.roleBadges}>
+                  {configuredIds.includes(exchange.id) && (
+                    <View style={[styles.roleBadge, styles.keysBadge]}>
+                      <Text style={styles.roleBadgeText}>Keys saved</Text>
+                    </View>
+                  )}
+                  {dcaExchangeId === exchange.id && (
+                    <View style={styles.roleBadge}>
+                      <Text style={styles.roleBadgeText}>DCA</Text>
+                    </View>
+                  )}
+                  {withdrawalExchangeId === exchange.id && (
+                    <View style={styles.roleBadge}>
+                      <Text style={styles.roleBadgeText}>Withdrawals</Text>
+                    </View>
+                  )}
+                </View>
               </TouchableOpacity>
             ))}
           </View>
@@ -317,6 +425,75 @@ export default function APIKeysScreen({ navigation }) {
             </Text>
           </View>
 
+          <View style={styles.rolesContainer}>
+            <Text style={styles.permissionsTitle}>Used For</Text>
+            {[
+              { id: 'dca', label: 'DCA buys', active: dcaExchangeId === selectedExchangeId, onPress: () => handleUseForDca() },
+              { id: 'withdrawals', label: 'Withdrawals', active: withdrawalExchangeId === selectedExchangeId, onPress: () => handleUseForWithdrawals() },
+            ].map((role) => (
+              <View key={role.id} style={styles.permissionRow}>
+                <Ionicons
+                  name={role.active ? 'checkmark-circle' : 'ellipse-outline'}
+                  size={18}
+                  color={role.active ? colors.success : colors.textTertiary}
+                />
+                <Text style={styles.permissionLabel}>{role.label}</Text>
+                {role.active ? (
+                  <Text style={styles.permissionValue}>This exchange</Text>
+                ) : (
+                  <TouchableOpacity onPress={role.onPress}>
+                    <Text style={styles.roleActionText}>Use {exchangeInfo.name}</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            ))}
+          </View>
+
+          {supportsKeyPermissions(selectedExchangeId) && (
+            <View style={styles.permissionsContainer}>
+              <Text style={styles.permissionsTitle}>Key Permissions</Text>
+              {checkingPermissions ? (
+                <ActivityIndicator size="small" color={colors.primary} />
+              ) : permissionsError ? (
+                <Text style={styles.permissionIssueText}>Could not check permissions: {permissionsError}</Text>
+              ) : permissionCheck && (
+                <>
+                  {permissionCheck.rows.map((row) => (
+                    <View key={row.id} style={styles.permissionRow}>
+                      <Ionicons
+                        name={row.ok === null ? 'help-circle-outline' : row.ok ? 'checkmark-circle' : 'alert-circle'}
+                        size={18}
+                        color={row.ok === null ? colors.textTertiary : row.ok ? colors.success : colors.error}
+                      />
+                      <Text style={styles.permissionLabel}>{row.label}</Text>
+                      <Text style={styles.permissionValue}>
+                        {row.granted === null ? 'Unknown' : row.granted ? 'On' : 'Off'}
+                      </Text>
+                      <Text style={styles.permissionExpected}>
+                        {row.expected === 'required' ? 'Needed' : row.expected === 'forbidden' ? 'Not needed' : 'Recommended'}
+                      </Text>
+                    </View>
+                  ))}
+                  {permissionCheck.issues.map((issue) => (
+                    <View
+                      key={issue.message}
+                      style={[styles.permissionIssue, issue.level === 'refuse' && styles.permissionIssueSevere]}
+                    >
+                      <Text style={styles.permissionIssueText}>
+                        {issue.level === 'refuse' ? '⛔' : '⚠️'} {issue.message}
+                      </Text>
+                    </View>
+                  ))}
+                  {permissions.ipRestricted === null && (
+                    <Text style={styles.permissionNote}>
+                      {exchangeInfo.name} does not report IP restrictions. Check that this key is limited to trusted IPs.
+                    </Text>
+                  )}
+                </>
+              )}
+            </View>
+          )}
+
           <TouchableOpacity
             style={[styles.button, styles.testButton]}
             onPress={handleTestKeys}
@@ -337,7 +514,7 @@ export default function APIKeysScreen({ navigation }) {
           </TouchableOpacity>
         </View>
       ) : (
-        // API key flow for Binance, Kraken
+        // API key flow for all key-based exchanges
         <View style={styles.card}>
           <Text style={styles.cardTitle}>Enter Your {exchangeInfo.name} API Keys</Text>
 
@@ -357,11 +534,11 @@ export default function APIKeysScreen({ navigation }) {
 
           <View style={styles.inputContainer}>
             <Text style={styles.label}>
-              {selectedExchangeId === 'kraken' ? 'Private Key' : 'API Secret'}
+              {exchangeInfo.secretLabel}
             </Text>
             <TextInput
               style={styles.input}
-              placeholder={`Enter your ${exchangeInfo.name} ${selectedExchangeId === 'kraken' ? 'private key' : 'API secret'}`}
+              placeholder={`Enter your ${exchangeInfo.name} ${exchangeInfo.secretLabel.toLowerCase()}`}
               placeholderTextColor={colors.textTertiary}
               value={apiSecret}
               onChangeText={setApiSecret}
@@ -427,7 +604,7 @@ export default function APIKeysScreen({ navigation }) {
         </Text>
       </View>
 
-      {selectedExchangeId === 'kraken' && (
+      {exchangeInfo.requiresWithdrawalKey && (
         <View style={styles.warningCard}>
           <Text style={styles.warningTitle}>📝 {withdrawalNotes.title}</Text>
           {withdrawalNotes.notes.map((note, index) => (
@@ -561,6 +738,40 @@ const createStyles = (colors) => StyleSheet.create({
   exchangeButtonFeeActive: {
     color: colors.primary,
   },
+  sectionHint: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginTop: -6,
+    marginBottom: 12,
+  },
+  roleBadges: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 4,
+    marginTop: 6,
+  },
+  roleBadge: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    backgroundColor: colors.primary,
+    borderRadius: 4,
+  },
+  keysBadge: {
+    backgroundColor: colors.success,
+  },
+  roleBadgeText: {
+    fontSize: 9,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  rolesContainer: {
+    marginBottom: 8,
+  },
+  roleActionText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.primary,
+  },
   oauthBadge: {
     marginLeft: 6,
     paddingHorizontal: 6,
@@ -738,6 +949,62 @@ const createStyles = (colors) => StyleSheet.create({
     fontWeight: '600',
     color: '#2E7D32',
   },
+  permissionsContainer: {
+    marginTop: 16,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  permissionsTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: 8,
+  },
+  permissionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  permissionLabel: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: colors.text,
+  },
+  permissionValue: {
+    width: 64,
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  permissionExpected: {
+    width: 84,
+    fontSize: 12,
+    color: colors.textSecondary,
+    textAlign: 'right',
+  },
+  permissionIssue: {
+    marginTop: 8,
+    padding: 10,
+    borderRadius: 8,
+    borderLeftWidth: 3,
+    borderLeftColor: colors.warning,
+    backgroundColor: colors.background,
+  },
+  permissionIssueSevere: {
+    borderLeftColor: colors.error,
+  },
+  permissionIssueText: {
+    fontSize: 13,
+    color: colors.text,
+    lineHeight: 18,
+  },
+  permissionNote: {
+    marginTop: 8,
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
   instructionsCard: {
     backgroundColor: colors.cardBackground,
     marginRight: 20,
@@ -7,13 +7,41 @@ import {
   ScrollView,
   RefreshControl,
   Alert,
+  Platform,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
-import { hasExchangeKeys, getSelectedExchange } from '../services/exchangeService';
+import {
+  hasExchangeKeys,
+  getSelectedExchange,
+  getPortfolio,
+  getAllOpenOrders,
+} from '../services/exchangeService';
 import { useFocusEffect } from '@react-navigation/native';
 import { dcaAPI, surveyAPI, authAPI } from '../services/api';
+import { recoverInFlightTrades } from '../services/tradeRecoveryService';
+import {
+  startOutboxSync,
+  flushOutbox,
+  getPendingReportCount,
+  subscribeToOutbox,
+} from '../services/reportOutboxService';
+import {
+  startWithdrawalTracking,
+  getTrackedWithdrawals,
+  subscribeToWithdrawals,
+  isWithdrawalActive,
+} from '../services/withdrawalTrackerService';
+import { startLimitOrderTracking } from '../services/limitOrderService';
+import {
+  startTwapExecution,
+  getTwapPlans,
+  subscribeToTwapPlans,
+  cancelTwapPlan,
+  getTwapProgress,
+  isTwapPlanActive,
+} from '../services/twapService';
 import SurveyModal from '../components/SurveyModal';
 
 const getCurrencySymbol = (currencyCode) => {
@@ -23,6 +51,22 @@ const getCurrencySymbol = (currencyCode) => {
   return symbols[currencyCode] || currencyCode;
 };
 
+const WITHDRAWAL_STEPS = ['Requested', 'Sent', 'Confirmed'];
+const WITHDRAWAL_STEP_INDEX = { pending: 0, processing: 1, completed: 2 };
+// Finished withdrawals stay on the home screen for a day
+const RECENT_WITHDRAWAL_MS = 24 * 60 * 60 * 1000;
+
+const getWithdrawalTitle = (status) => {
+  const titles = {
+    pending: 'Withdrawal Requested',
+    processing: 'Withdrawal Sent',
+    completed: 'Withdrawal Confirmed',
+    failed: 'Withdrawal Failed',
+    cancelled: 'Withdrawal Cancelled',
+  };
+  return titles[status] || 'Withdrawal';
+};
+
 export default function HomeScreen({ navigation }) {
   const { user, logout } = useAuth();
   const { colors } = useTheme();
@@ -32,6 +76,11 @@ export default function HomeScreen({ navigation }) {
   const [showSurvey, setShowSurvey] = useState(false);
   const [pendingTrade, setPendingTrade] = useState(null);
   const [pendingWithdrawal, setPendingWithdrawal] = useState(null);
+  const [pendingReports, setPendingReports] = useState(0);
+  const [trackedWithdrawals, setTrackedWithdrawals] = useState([]);
+  const [portfolio, setPortfolio] = useState(null);
+  const [openOrderCount, setOpenOrderCount] = useState(0);
+  const [twapPlans, setTwapPlans] = useState([]);
   const surveyChecked = useRef(false);
 
   useEffect(() => {
@@ -40,8 +89,107 @@ export default function HomeScreen({ navigation }) {
     checkSurvey();
     checkPendingTrade();
     checkPendingWithdrawal();
+    recoverTrades();
   }, []);
 
+  // Keep unsent trade/withdrawal reports syncing while signed in
+  useEffect(() => {
+    const userId = user?._id;
+    getPendingReportCount(userId)
+      .then(setPendingReports)
+      .catch(error => console.error('[Home] Could not load pending reports:', error?.message || error));
+    const unsubscribe = subscribeToOutbox(setPendingReports);
+    const stopSync = startOutboxSync(userId);
+    return () => {
+      unsubscribe();
+      stopSync();
+    };
+  }, [user?._id]);
+
+  // Follow app-executed withdrawals until they are confirmed on-chain
+  useEffect(() => {
+    const userId = user?._id;
+    getTrackedWithdrawals(userId)
+      .then(setTrackedWithdrawals)
+      .catch(error => console.error('[Home] Could not load tracked withdrawals:', error?.message || error));
+    const unsubscribe = subscribeToWithdrawals(setTrackedWithdrawals);
+    const stopTracking = startWithdrawalTracking(userId);
+    return () => {
+      unsubscribe();
+      stopTracking();
+    };
+  }, [user?._id]);
+
+  // Pick up limit order fills whenever the app comes to the foreground
+  useEffect(() => {
+    const stopTracking = startLimitOrderTracking(user?._id);
+    return () => stopTracking();
+  }, [user?._id]);
+
+  // Buy due TWAP tranches whenever the app comes to the foreground
+  useEffect(() => {
+    const userId = user?._id;
+    getTwapPlans(userId)
+      .then(setTwapPlans)
+      .catch(error => console.error('[Home] Could not load TWAP plans:', error?.message || error));
+    const unsubscribe = subscribeToTwapPlans(setTwapPlans);
+    const stopExecution = startTwapExecution(userId);
+    return () => {
+      unsubscribe();
+      stopExecution();
+    };
+  }, [user?._id]);
+
+  const activeTwapPlans = twapPlans.filter(isTwapPlanActive);
+
+  const handleCancelTwap = (plan) => {
+    const { remaining } = getTwapProgress(plan);
+    Alert.alert(
+      'Cancel TWAP Buy',
+      `Cancel the remaining ${remaining} ${remaining === 1 ? 'tranche' : 'tranches'}? BTC already bought stays on the exchange.`,
+      [
+        { text: 'Keep Buying', style: 'cancel' },
+        {
+          text: 'Cancel Remaining',
+          style: 'destructive',
+          onPress: () => cancelTwapPlan(plan.id, user?._id).catch((error) => {
+            console.error('[Home] Could not cancel TWAP plan:', error?.message || error);
+            Alert.alert('Error', 'Could not cancel the TWAP plan. Please try again.');
+          }),
+        },
+      ]
+    );
+  };
+
+  const recentWithdrawals = trackedWithdrawals.filter(w =>
+    isWithdrawalActive(w) || Date.now() - new Date(w.updatedAt).getTime() < RECENT_WITHDRAWAL_MS
+  );
+
+  const handleSyncReports = async () => {
+    const remaining = await flushOutbox(user?._id, { force: true });
+    if (remaining > 0) {
+      Alert.alert('Still Pending', 'Could not reach the server. Reports will keep retrying automatically.');
+    }
+  };
+
+  // Finish trades interrupted by a crash or network drop in a previous session
+  const recoverTrades = async () => {
+    try {
+      const recovered = await recoverInFlightTrades(user?._id);
+      if (recovered.length > 0) {
+        const total = recovered.reduce((sum, trade) => sum + trade.data.btcAmount, 0);
+        Alert.alert(
+          'Purchase Recovered',
+          `${recovered.length === 1 ? 'A purchase' : `${recovered.length} purchases`} that went through while the app was closed ` +
+          `(${total.toFixed(8)} BTC) ${recovered.length === 1 ? 'has' : 'have'} now been recorded.`
+        );
+        checkPendingTrade();
+      }
+    } catch (error) {
+      // Non-critical; retried on next launch
+    }
+  };
+
   const checkSurvey = async () => {
     // Only check once per session
     if (surveyChecked.current) return;
@@ -110,6 +258,34 @@ export default function HomeScreen({ navigation }) {
     const exchange = await getSelectedExchange(userId);
     const keys = await hasExchangeKeys(exchange, userId);
     setHasKeys(keys);
+
+    let currency = 'EUR';
+    try {
+      const settingsResponse = await authAPI.getSettings();
+      currency = settingsResponse?.success ? (settingsResponse.data.settings.currency || 'EUR') : 'EUR';
+    } catch (error) {
+      // Fall back to EUR
+    }
+    await Promise.all([checkPortfolio(currency), checkOpenOrders(currency)]);
+  };
+
+  // Balances across every exchange with keys, not just the one that buys
+  const checkPortfolio = async (currency) => {
+    try {
+      const result = await getPortfolio(user?._id, currency);
+      setPortfolio(result.exchanges.length > 0 ? { ...result, currency } : null);
+    } catch (error) {
+      // Non-critical; keep the last known balance
+    }
+  };
+
+  const checkOpenOrders = async (currency) => {
+    try {
+      const result = await getAllOpenOrders(user?._id, currency);
+      setOpenOrderCount(result.orders.length);
+    } catch (error) {
+      // Non-critical; keep the last known count
+    }
   };
 
   const checkSubscription = async () => {
@@ -190,6 +366,15 @@ export default function HomeScreen({ navigation }) {
         </TouchableOpacity>
       </View>
 
+      {pendingReports > 0 && (
+        <TouchableOpacity style={styles.syncBadge} onPress={handleSyncReports} activeOpacity={0.8}>
+          <Ionicons name="cloud-upload-outline" size={16} color={colors.warning} />
+          <Text style={styles.syncBadgeText}>
+            {pendingReports} {pendingReports === 1 ? 'report' : 'reports'} pending sync
+          </Text>
+        </TouchableOpacity>
+      )}
+
       {!hasKeys && (
         <View style={styles.setupCard}>
           <Ionicons name="warning" size={32} color={colors.warning} style={styles.setupIcon} />
@@ -236,6 +421,135 @@ export default function HomeScreen({ navigation }) {
         </TouchableOpacity>
       )}
 
+      {recentWithdrawals.map((withdrawal) => {
+        const failed = withdrawal.status === 'failed' || withdrawal.status === 'cancelled';
+        const stepIndex = WITHDRAWAL_STEP_INDEX[withdrawal.status] ?? -1;
+        return (
+          <View key={withdrawal.id} style={styles.withdrawalCard}>
+            <View style={styles.withdrawalHeader}>
+              <Ionicons
+                name={failed ? 'close-circle' : 'arrow-up-circle-outline'}
+                size={24}
+                color={failed ? colors.error : colors.primary}
+              />
+              <Text style={styles.withdrawalTitle}>{getWithdrawalTitle(withdrawal.status)}</Text>
+              <Text style={styles.withdrawalAmount}>{withdrawal.amount} BTC</Text>
+            </View>
+            {failed ? (
+              <Text style={styles.withdrawalFailedText}>
+                The exchange did not send this withdrawal. The BTC should still be in your exchange account.
+              </Text>
+            ) : (
+              <View style={styles.withdrawalSteps}>
+                {WITHDRAWAL_STEPS.map((step, index) => (
+                  <View key={step} style={styles.withdrawalStep}>
+                    <View style={[styles.withdrawalStepDot, index <= stepIndex && styles.withdrawalStepDotDone]} />
+                    <Text style={[styles.withdrawalStepText, index <= stepIndex && styles.withdrawalStepTextDone]}>
+                      {step}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+            )}
+            {withdrawal.txid && (
+              <Text style={styles.withdrawalTxid} numberOfLines={1} ellipsizeMode="middle">
+                TX: {withdrawal.txid}
+              </Text>
+            )}
+          </View>
+        );
+      })}
+
+      {portfolio && (
+        <View style={styles.withdrawalCard}>
+          <View style={styles.withdrawalHeader}>
+            <Ionicons name="logo-bitcoin" size={24} color={colors.primary} />
+            <Text style={styles.withdrawalTitle}>
+              {portfolio.exchanges.length > 1 ? 'BTC on your exchanges' : `BTC on ${portfolio.exchanges[0].name}`}
+            </Text>
+            <Text style={styles.withdrawalAmount}>{portfolio.btc.total.toFixed(8)} BTC</Text>
+          </View>
+          <Text style={styles.balanceValue}>
+            ≈ {getCurrencySymbol(portfolio.currency)}{portfolio.totalValue.toFixed(2)} total
+            {portfolio.unvalued.length > 0 && ` (excl. ${portfolio.unvalued.join(', ')})`}
+          </Text>
+          {(portfolio.btc.locked > 0 || portfolio.btc.staked > 0) && (
+            <Text style={styles.balanceBreakdown}>
+              {portfolio.btc.free.toFixed(8)} available
+              {portfolio.btc.locked > 0 && ` · ${portfolio.btc.locked.toFixed(8)} in orders`}
+              {portfolio.btc.staked > 0 && ` · ${portfolio.btc.staked.toFixed(8)} staked`}
+            </Text>
+          )}
+          {portfolio.exchanges.length > 1 && portfolio.exchanges.map((exchange) => {
+            const btc = exchange.balances.find(balance => balance.asset === 'BTC');
+            return (
+              <View key={exchange.exchangeId} style={styles.portfolioRow}>
+                <Text style={styles.portfolioExchange}>{exchange.name}</Text>
+                <Text style={[styles.portfolioAmount, !exchange.success && styles.portfolioError]}>
+                  {exchange.success ? `${(btc?.total || 0).toFixed(8)} BTC` : 'Unavailable'}
+                </Text>
+              </View>
+            );
+          })}
+          {portfolio.exchanges.length === 1 && !portfolio.exchanges[0].success && (
+            <Text style={[styles.balanceBreakdown, styles.portfolioError]}>
+              Could not load balances: {portfolio.exchanges[0].error}
+            </Text>
+          )}
+        </View>
+      )}
+
+      {activeTwapPlans.map((plan) => {
+        const progress = getTwapProgress(plan);
+        const lastError = plan.tranches.find(t => t.status === 'pending')?.lastError;
+        return (
+          <View key={plan.id} style={styles.withdrawalCard}>
+            <View style={styles.withdrawalHeader}>
+              <Ionicons name="time-outline" size={24} color={colors.primary} />
+              <Text style={styles.withdrawalTitle}>TWAP Buy</Text>
+              <Text style={styles.withdrawalAmount}>
+                {progress.filled}/{plan.trancheCount} tranches
+              </Text>
+            </View>
+            <View style={styles.twapTrack}>
+              <View style={[styles.twapFill, { width: `${(progress.filled / plan.trancheCount) * 100}%` }]} />
+            </View>
+            <Text style={styles.balanceValue}>
+              {progress.btcBought.toFixed(8)} BTC for {getCurrencySymbol(plan.currency)}{progress.fiatSpent.toFixed(2)} of {getCurrencySymbol(plan.currency)}{plan.totalAmount.toFixed(2)}
+            </Text>
+            <Text style={styles.balanceBreakdown}>
+              {progress.remaining} remaining · next due {new Date(progress.nextDueAt).toLocaleString()}
+              {progress.failed > 0 && ` · ${progress.failed} failed`}
+            </Text>
+            {lastError && (
+              <Text style={[styles.balanceBreakdown, styles.portfolioError]}>
+                Last attempt failed: {lastError}
+              </Text>
+            )}
+            <TouchableOpacity style={styles.twapCancelButton} onPress={() => handleCancelTwap(plan)}>
+              <Text style={styles.twapCancelText}>Cancel Remaining</Text>
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+
+      {openOrderCount > 0 && (
+        <TouchableOpacity
+          style={styles.lumpSumCard}
+          onPress={() => navigation.navigate('OpenOrders')}
+          activeOpacity={0.8}
+        >
+          <Ionicons name="list" size={28} color={colors.primary} style={styles.lumpSumIcon} />
+          <View style={styles.lumpSumTextContainer}>
+            <Text style={styles.lumpSumTitle}>Open Orders</Text>
+            <Text style={styles.lumpSumText}>
+              {openOrderCount === 1 ? '1 order is' : `${openOrderCount} orders are`} waiting to fill. Tap to review or cancel.
+            </Text>
+          </View>
+          <Ionicons name="chevron-forward" size={24} color={colors.textSecondary} />
+        </TouchableOpacity>
+      )}
+
       <TouchableOpacity
         style={styles.lumpSumCard}
         onPress={handleLumpSum}
@@ -384,6 +698,139 @@ const createStyles = (colors) => StyleSheet.create({
     fontSize: 13,
     color: colors.textSecondary,
   },
+  syncBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginHorizontal: 20,
+    marginTop: 12,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.warning,
+    backgroundColor: colors.cardBackground,
+  },
+  syncBadgeText: {
+    marginLeft: 6,
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.warning,
+  },
+  withdrawalCard: {
+    backgroundColor: colors.cardBackground,
+    marginHorizontal: 20,
+    marginTop: 20,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  withdrawalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  withdrawalTitle: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 16,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  withdrawalAmount: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+  },
+  balanceValue: {
+    marginTop: 8,
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  balanceBreakdown: {
+    marginTop: 4,
+    fontSize: 12,
+    color: colors.textTertiary,
+  },
+  portfolioRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  portfolioExchange: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  portfolioAmount: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  portfolioError: {
+    color: colors.error,
+  },
+  twapTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: colors.border,
+    marginTop: 10,
+    overflow: 'hidden',
+  },
+  twapFill: {
+    height: 6,
+    backgroundColor: colors.success,
+  },
+  twapCancelButton: {
+    marginTop: 12,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.error,
+    alignItems: 'center',
+  },
+  twapCancelText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.error,
+  },
+  withdrawalSteps: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  withdrawalStep: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  withdrawalStepDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: colors.border,
+    marginBottom: 4,
+  },
+  withdrawalStepDotDone: {
+    backgroundColor: colors.primary,
+  },
+  withdrawalStepText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  withdrawalStepTextDone: {
+    color: colors.text,
+    fontWeight: '600',
+  },
+  withdrawalFailedText: {
+    marginTop: 8,
+    fontSize: 13,
+    color: colors.error,
+  },
+  withdrawalTxid: {
+    marginTop: 10,
+    fontSize: 12,
+    color: colors.textSecondary,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
   setupCard: {
     flexDirection: 'row',
     alignItems: 'center',
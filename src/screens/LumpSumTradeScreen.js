@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import {
   View,
@@ -10,13 +10,31 @@ import {
   ScrollView,
   TextInput,
 } from 'react-native';
-import { executeMarketBuy, getSelectedExchange, getExchangeInfo } from '../services/exchangeService';
-import { dcaAPI, authAPI } from '../services/api';
+import * as Crypto from 'expo-crypto';
+import {
+  getSelectedExchange,
+  getExchangeInfo,
+  getCurrentPrice,
+  getMaxSlippage,
+  getExactFiatBuys,
+  getTradingFees,
+  getTradeReadiness,
+  evaluateTradeReadiness,
+  supportsLimitOrders,
+} from '../services/exchangeService';
+import { executeBuyOnce, buildTradeReport, completeInFlightTrade } from '../services/tradeRecoveryService';
+import { placeLimitOrder } from '../services/limitOrderService';
+import { createTwapPlan, TWAP_TRANCHE_OPTIONS, TWAP_INTERVAL_OPTIONS } from '../services/twapService';
+import { queueReport } from '../services/reportOutboxService';
+import { authAPI } from '../services/api';
 import { useTheme } from '../contexts/ThemeContext';
 import { useAuth } from '../contexts/AuthContext';
-import { getBinancePair, getKrakenPair, getCurrencySymbol } from '../utils/currency';
+import { getCurrencySymbol } from '../utils/currency';
+import { showExchangeError, getErrorCode } from '../utils/exchangeErrors';
+import TradeReadinessChecklist from '../components/TradeReadinessChecklist';
 
 const MIN_FIAT_AMOUNT = 10;
+const LIMIT_EXPIRY_DAYS = [1, 7, 30];
 
 export default function LumpSumTradeScreen({ navigation }) {
   const { colors } = useTheme();
@@ -26,12 +44,33 @@ export default function LumpSumTradeScreen({ navigation }) {
   const [loading, setLoading] = useState(false);
   const [loadingPrice, setLoadingPrice] = useState(true);
   const [btcPrice, setBtcPrice] = useState(null);
-  const [estimatedBtc, setEstimatedBtc] = useState(null);
+  const [marketEstimatedBtc, setMarketEstimatedBtc] = useState(null);
   const [tradingFeePercent, setTradingFeePercent] = useState(0.1);
   const [currency, setCurrency] = useState('EUR');
   const [exchange, setExchange] = useState('binance');
   const [amountInput, setAmountInput] = useState('');
+  const amountInputRef = useRef(null);
   const [fiatAmount, setFiatAmount] = useState(0);
+  const [maxSlippage, setMaxSlippage] = useState(0);
+  const [exactFiat, setExactFiat] = useState(false);
+  const [readiness, setReadiness] = useState(null);
+  const [checkingReadiness, setCheckingReadiness] = useState(true);
+  const [orderType, setOrderType] = useState('market');
+  // Limit target as an absolute price or a percentage below the current price
+  const [limitMode, setLimitMode] = useState('percent');
+  const [limitInput, setLimitInput] = useState('');
+  const [expiryDays, setExpiryDays] = useState(7);
+  const [trancheCount, setTrancheCount] = useState(4);
+  const [intervalMs, setIntervalMs] = useState(TWAP_INTERVAL_OPTIONS[1].ms);
+  // One id per order type, stable across retries so a retried order is never placed twice.
+  // Each type has its own so a market buy and a limit order never share a client order id
+  const [requestIds, setRequestIds] = useState(() => ({
+    market: Crypto.randomUUID(),
+    limit: Crypto.randomUUID(),
+    twap: Crypto.randomUUID(),
+  }));
+  // Once an order is placed, the next one from this screen is a new request
+  const renewRequestId = type => setRequestIds(ids => ({ ...ids, [type]: Crypto.randomUUID() }));
 
   useEffect(() => {
     loadDefaults();
@@ -39,10 +78,13 @@ export default function LumpSumTradeScreen({ navigation }) {
 
   const loadDefaults = async () => {
     try {
-      const [settingsRes, selectedExchange] = await Promise.all([
+      const [settingsRes, selectedExchange, userMaxSlippage, userExactFiat] = await Promise.all([
         authAPI.getSettings(),
         getSelectedExchange(userId),
+        getMaxSlippage(userId),
+        getExactFiatBuys(userId),
       ]);
+      setExactFiat(userExactFiat);
 
       const userExchange = settingsRes.success
         ? (settingsRes.data.settings.exchange || selectedExchange)
@@ -50,36 +92,45 @@ export default function LumpSumTradeScreen({ navigation }) {
       setExchange(userExchange);
 
       const exchangeInfo = getExchangeInfo(userExchange);
-      setTradingFeePercent(exchangeInfo?.tradingFee || 0.1);
+      setMaxSlippage(exchangeInfo?.supportsSlippageGuard ? userMaxSlippage : 0);
 
       const userCurrency = settingsRes.success
         ? (settingsRes.data.settings.currency || 'EUR')
         : 'EUR';
       setCurrency(userCurrency);
 
-      await fetchPrice(userCurrency, userExchange);
+      // Use the account's fee tier; the exchange default is only an estimate
+      const fees = await getTradingFees(userExchange, userId, userCurrency);
+      const defaultFee = fees.success ? fees.data.takerFee : (exchangeInfo?.tradingFee || 0.1);
+      setTradingFeePercent(defaultFee);
+
+      await Promise.all([
+        fetchPrice(userCurrency, userExchange),
+        loadReadiness(userExchange, userCurrency, defaultFee),
+      ]);
+    } catch (error) {
+      await Promise.all([
+        fetchPrice('EUR', 'binance'),
+        loadReadiness('binance', 'EUR', getExchangeInfo('binance').tradingFee),
+      ]);
+    }
+  };
+
+  const loadReadiness = async (userExchange = exchange, userCurrency = currency, feePercent = tradingFeePercent) => {
+    setCheckingReadiness(true);
+    try {
+      setReadiness(await getTradeReadiness(userExchange, userCurrency, feePercent, userId));
     } catch (error) {
-      await fetchPrice('EUR', 'binance');
+      // Checks could not run - the exchange still validates the order itself
+      setReadiness(null);
+    } finally {
+      setCheckingReadiness(false);
     }
   };
 
   const fetchPrice = async (userCurrency, userExchange) => {
     try {
-      let currentPrice;
-      if (userExchange === 'kraken') {
-        const pair = getKrakenPair(userCurrency);
-        const res = await fetch(`https://api.kraken.com/0/public/Ticker?pair=${pair}`);
-        const data = await res.json();
-        if (data.result) {
-          const tickerData = Object.values(data.result)[0];
-          currentPrice = parseFloat(tickerData.a[0]);
-        }
-      } else {
-        const symbol = getBinancePair(userCurrency);
-        const res = await fetch(`https://api.binance.com/api/v3/ticker/price?symbol=${symbol}`);
-        const data = await res.json();
-        currentPrice = parseFloat(data.price);
-      }
+      const currentPrice = await getCurrentPrice(userExchange, userCurrency);
       setBtcPrice(currentPrice);
     } catch (error) {
       // leave price null; UI shows '-'
@@ -96,14 +147,18 @@ export default function LumpSumTradeScreen({ navigation }) {
     if (!isNaN(parsed) && parsed > 0) {
       setFiatAmount(parsed);
       if (btcPrice) {
-        setEstimatedBtc(parsed / btcPrice);
+        setMarketEstimatedBtc(parsed / btcPrice);
       }
     } else {
       setFiatAmount(0);
-      setEstimatedBtc(null);
+      setMarketEstimatedBtc(null);
     }
   };
 
+  const handleLimitInputChange = (text) => {
+    setLimitInput(text.replace(/[^0-9.]/g, ''));
+  };
+
   const handleExecute = () => {
     if (!fiatAmount || fiatAmount <= 0) {
       Alert.alert('Invalid Amount', 'Please enter a valid amount greater than 0.');
@@ -118,9 +173,59 @@ export default function LumpSumTradeScreen({ navigation }) {
       return;
     }
 
+    if (isBlocked) {
+      return;
+    }
+
     const currencySymbol = getCurrencySymbol(currency);
     const exchangeName = getExchangeInfo(exchange).name;
 
+    if (isLimit) {
+      if (!limitPrice) {
+        Alert.alert('Invalid Target', 'Please enter the price you want to buy at.');
+        return;
+      }
+      if (btcPrice && limitPrice >= btcPrice) {
+        Alert.alert(
+          'Target Above Market',
+          `Your target of ${currencySymbol}${limitPrice.toFixed(2)} is not below the current price of ${currencySymbol}${btcPrice.toFixed(2)}. Use a market buy to buy now.`
+        );
+        return;
+      }
+
+      Alert.alert(
+        'Confirm Limit Order',
+        `Place a limit buy on ${exchangeName} for ${currencySymbol}${fiatAmount.toFixed(2)} ${currency} at ${currencySymbol}${limitPrice.toFixed(2)} or lower?\n\nEstimated: ${estimatedBtc?.toFixed(8) || '~'} BTC\n\nThe ${currency} is reserved on the exchange until the order fills or expires in ${expiryDays === 1 ? '1 day' : `${expiryDays} days`}.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Place Order', style: 'default', onPress: submitLimitOrder },
+        ]
+      );
+      return;
+    }
+
+    if (isTwap) {
+      if (trancheAmount < MIN_FIAT_AMOUNT) {
+        Alert.alert(
+          'Tranches Too Small',
+          `Each tranche must be at least ${currencySymbol}${MIN_FIAT_AMOUNT} ${currency}. Use fewer tranches or a larger amount.`
+        );
+        return;
+      }
+
+      const intervalLabel = TWAP_INTERVAL_OPTIONS.find(option => option.ms === intervalMs).label;
+      Alert.alert(
+        'Confirm TWAP Buy',
+        `Buy ${currencySymbol}${fiatAmount.toFixed(2)} ${currency} on ${exchangeName} in ${trancheCount} tranches of ~${currencySymbol}${trancheAmount.toFixed(2)}, one every ${intervalLabel}?\n\n` +
+        `The first tranche is bought now. You'll get a notification when each of the others is due; they are bought when you open the app.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Start', style: 'default', onPress: startTwap },
+        ]
+      );
+      return;
+    }
+
     Alert.alert(
       'Confirm Lump-Sum Buy',
       `Execute a one-off market buy on ${exchangeName} for ${currencySymbol}${fiatAmount.toFixed(2)} ${currency}?\n\nEstimated: ${estimatedBtc?.toFixed(8) || '~'} BTC\n\nThis is a one-time purchase and is separate from your scheduled DCA.`,
@@ -133,47 +238,54 @@ export default function LumpSumTradeScreen({ navigation }) {
 
   const executeTrade = async () => {
     setLoading(true);
+    const requestId = requestIds.market;
     try {
-      const result = await executeMarketBuy(exchange, fiatAmount, tradingFeePercent, currency, userId);
+      const report = { purchaseType: 'lump_sum' };
+      const result = await executeBuyOnce({
+        requestId,
+        exchange,
+        fiatAmount,
+        tradingFeePercent,
+        currency,
+        // Cap the fill price relative to the price shown on this screen
+        buyOptions: { quotePrice: btcPrice, maxSlippagePercent: maxSlippage, exactFiat },
+        report,
+      }, userId);
 
       if (!result.success) {
-        Alert.alert('Trade Failed', result.error || 'Trade execution failed.');
+        showExchangeError(result, {
+          navigation,
+          onRetry: executeTrade,
+          onAdjustAmount: () => amountInputRef.current?.focus(),
+        });
         return;
       }
 
-      let reportError = null;
-      try {
-        const reportResult = await dcaAPI.reportTradeExecution({
-          orderId: result.data.orderId,
-          btcAmount: result.data.btcAmount,
-          fiatSpent: result.data.fiatSpent,
-          currency: result.data.currency,
-          avgPrice: result.data.avgPrice,
-          tradingFee: result.data.tradingFee,
-          tradingFeeBtc: result.data.tradingFeeBtc,
-          timestamp: result.data.timestamp,
-          exchange,
-          purchaseType: 'lump_sum',
-        });
-        if (reportResult && reportResult.success === false) {
-          reportError = reportResult.message || 'Server rejected the trade report.';
-        }
-      } catch (err) {
-        const serverMsg = err?.response?.data?.message;
-        reportError = serverMsg || err?.message || 'Failed to record purchase on server.';
-        console.error('[LumpSum] reportTradeExecution failed:', err?.response?.data || err);
-      }
+      // The outbox retries the report if the server is unreachable
+      const reportResult = await queueReport('trade', buildTradeReport(result.data, exchange, report), userId);
+      await completeInFlightTrade(requestId, userId);
+      renewRequestId('market');
 
       const currencySymbol = getCurrencySymbol(currency);
-      const summary =
+      let summary =
         `BTC Purchased: ${result.data.btcAmount.toFixed(8)}\n` +
         `${currency} Spent: ${currencySymbol}${result.data.fiatSpent.toFixed(2)}\n` +
         `Avg Price: ${currencySymbol}${result.data.avgPrice.toFixed(2)}`;
 
-      if (reportError) {
+      if (result.data.partialFill) {
+        summary += `\n\n⚠️ Partially filled: ${result.data.unfilledBtc.toFixed(8)} BTC was not bought because the price rose above ${currencySymbol}${result.data.limitPrice.toFixed(2)}.`;
+      }
+
+      if (reportResult.rejected) {
         Alert.alert(
           'Trade Executed — Record Failed',
-          `Your Binance order ${result.data.orderId} went through, but recording it on the server failed:\n\n${reportError}\n\n${summary}`,
+          `Your ${getExchangeInfo(exchange).name} order ${result.data.orderId} went through, but the server rejected it:\n\n${reportResult.error}\n\n${summary}`,
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else if (!reportResult.sent) {
+        Alert.alert(
+          'Trade Executed — Sync Pending',
+          `Lump-sum buy executed. We couldn't reach the server, so it will be added to your history automatically once you're back online.\n\n${summary}`,
           [{ text: 'OK', onPress: () => navigation.goBack() }]
         );
       } else {
@@ -184,7 +296,94 @@ export default function LumpSumTradeScreen({ navigation }) {
         );
       }
     } catch (error) {
-      Alert.alert('Error', error.message || 'Failed to execute trade.');
+      showExchangeError(
+        { error: error.message || 'Failed to execute trade.', errorCode: getErrorCode(error) },
+        { navigation }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitLimitOrder = async () => {
+    setLoading(true);
+    try {
+      const expiresAt = new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000).toISOString();
+      const result = await placeLimitOrder({
+        requestId: requestIds.limit,
+        exchange,
+        fiatAmount,
+        limitPrice,
+        tradingFeePercent,
+        currency,
+        expiresAt,
+      }, userId);
+
+      if (!result.success) {
+        showExchangeError(result, {
+          navigation,
+          onRetry: submitLimitOrder,
+          onAdjustAmount: () => amountInputRef.current?.focus(),
+        });
+        return;
+      }
+      renewRequestId('limit');
+
+      const currencySymbol = getCurrencySymbol(currency);
+      Alert.alert(
+        'Limit Order Placed',
+        `Buying ${result.data.btcAmount.toFixed(8)} BTC at ${currencySymbol}${result.data.limitPrice.toFixed(2)} or lower on ${getExchangeInfo(exchange).name}.\n\n` +
+        `The order stays open until ${new Date(expiresAt).toLocaleDateString()} and is added to your history when it fills.`,
+        [{ text: 'OK', onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      showExchangeError(
+        { error: error.message || 'Failed to place limit order.', errorCode: getErrorCode(error) },
+        { navigation }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startTwap = async () => {
+    setLoading(true);
+    try {
+      const result = await createTwapPlan({
+        id: requestIds.twap,
+        exchange,
+        totalAmount: fiatAmount,
+        trancheCount,
+        intervalMs,
+        tradingFeePercent,
+        maxSlippagePercent: maxSlippage,
+        exactFiat,
+        currency,
+      }, userId);
+
+      if (!result.success) {
+        showExchangeError(result, {
+          navigation,
+          onRetry: startTwap,
+          onAdjustAmount: () => amountInputRef.current?.focus(),
+        });
+        return;
+      }
+      renewRequestId('twap');
+
+      const currencySymbol = getCurrencySymbol(currency);
+      const first = result.data.tranches[0];
+      Alert.alert(
+        'TWAP Started',
+        `Tranche 1 of ${trancheCount} bought: ${first.btcAmount.toFixed(8)} BTC for ${currencySymbol}${first.fiatSpent.toFixed(2)}.\n\n` +
+        `The next tranche is due ${new Date(result.data.tranches[1].dueAt).toLocaleString()}. Progress is shown on the home screen, where you can also cancel the rest.`,
+        [{ text: 'OK', onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      showExchangeError(
+        { error: error.message || 'Failed to start TWAP buy.', errorCode: getErrorCode(error) },
+        { navigation }
+      );
     } finally {
       setLoading(false);
     }
@@ -192,7 +391,28 @@ export default function LumpSumTradeScreen({ navigation }) {
 
   const styles = createStyles(colors);
   const currencySymbol = getCurrencySymbol(currency);
+  const canPlaceLimit = supportsLimitOrders(exchange);
+  const isLimit = canPlaceLimit && orderType === 'limit';
+  const isTwap = orderType === 'twap';
+  const trancheAmount = fiatAmount / trancheCount;
+  const parsedLimit = parseFloat(limitInput);
+  let limitPrice = null;
+  if (!isNaN(parsedLimit) && parsedLimit > 0) {
+    if (limitMode === 'price') {
+      limitPrice = parsedLimit;
+    } else if (btcPrice && parsedLimit < 100) {
+      limitPrice = btcPrice * (1 - parsedLimit / 100);
+    }
+  }
+  const estimatedBtc = isLimit
+    ? (limitPrice && fiatAmount > 0 ? fiatAmount / limitPrice : null)
+    : marketEstimatedBtc;
   const belowMin = fiatAmount > 0 && fiatAmount < MIN_FIAT_AMOUNT;
+  // Re-evaluated on every render so amount edits update the checklist immediately
+  // TWAP tranches are checked one at a time, so only the first needs to pass now
+  const readinessResult = readiness ? evaluateTradeReadiness(readiness, isTwap ? trancheAmount : fiatAmount) : null;
+  // An empty amount is handled by handleExecute, not reported as a failed check
+  const isBlocked = checkingReadiness || (fiatAmount > 0 && !!readinessResult && !readinessResult.ready);
 
   return (
     <ScrollView style={styles.container}>
@@ -202,6 +422,25 @@ export default function LumpSumTradeScreen({ navigation }) {
           Execute a one-off Bitcoin purchase, separate from your scheduled DCA.
         </Text>
 
+        <View style={styles.segmentedControl}>
+          {[
+            { id: 'market', label: 'Buy Now' },
+            canPlaceLimit && { id: 'limit', label: 'Buy the Dip' },
+            { id: 'twap', label: 'TWAP' },
+          ].filter(Boolean).map((option) => (
+            <TouchableOpacity
+              key={option.id}
+              style={[styles.segment, orderType === option.id && styles.segmentActive]}
+              onPress={() => setOrderType(option.id)}
+              disabled={loading}
+            >
+              <Text style={[styles.segmentText, orderType === option.id && styles.segmentTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
         <View style={styles.infoCard}>
           <View style={styles.infoRow}>
             <Text style={styles.infoLabel}>Exchange:</Text>
@@ -213,6 +452,7 @@ export default function LumpSumTradeScreen({ navigation }) {
             <View style={styles.amountInputContainer}>
               <Text style={styles.currencyPrefix}>{currencySymbol}</Text>
               <TextInput
+                ref={amountInputRef}
                 style={styles.amountInput}
                 value={amountInput}
                 onChangeText={handleAmountChange}
@@ -234,6 +474,114 @@ export default function LumpSumTradeScreen({ navigation }) {
                 </Text>
               </View>
 
+              {isLimit && (
+                <>
+                  <View style={styles.infoRow}>
+                    <TouchableOpacity onPress={() => {
+                      setLimitMode(limitMode === 'percent' ? 'price' : 'percent');
+                      setLimitInput('');
+                    }}>
+                      <Text style={styles.infoLabel}>
+                        {limitMode === 'percent' ? '% Below Price:' : 'Target Price:'}
+                      </Text>
+                      <Text style={styles.limitModeSwitch}>
+                        {limitMode === 'percent' ? 'Enter a price instead' : 'Enter a % instead'}
+                      </Text>
+                    </TouchableOpacity>
+                    <View style={styles.amountInputContainer}>
+                      <Text style={styles.currencyPrefix}>{limitMode === 'percent' ? '−' : currencySymbol}</Text>
+                      <TextInput
+                        style={styles.amountInput}
+                        value={limitInput}
+                        onChangeText={handleLimitInputChange}
+                        keyboardType="decimal-pad"
+                        placeholder={limitMode === 'percent' ? '5' : (btcPrice ? (btcPrice * 0.95).toFixed(0) : '')}
+                        placeholderTextColor={colors.textTertiary}
+                      />
+                      {limitMode === 'percent' && <Text style={styles.currencyPrefix}>%</Text>}
+                    </View>
+                  </View>
+
+                  {limitMode === 'percent' && limitPrice && (
+                    <View style={styles.infoRow}>
+                      <Text style={styles.infoLabelSmall}>Buys at or below:</Text>
+                      <Text style={styles.infoValueSmall}>{currencySymbol}{limitPrice.toFixed(2)}</Text>
+                    </View>
+                  )}
+
+                  <View style={styles.infoRow}>
+                    <Text style={styles.infoLabel}>Expires:</Text>
+                    <View style={styles.expiryOptions}>
+                      {LIMIT_EXPIRY_DAYS.map((days) => (
+                        <TouchableOpacity
+                          key={days}
+                          style={[styles.expiryOption, expiryDays === days && styles.segmentActive]}
+                          onPress={() => setExpiryDays(days)}
+                        >
+                          <Text style={[styles.segmentText, expiryDays === days && styles.segmentTextActive]}>
+                            {days}d
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </View>
+                </>
+              )}
+
+              {isTwap && (
+                <>
+                  <View style={styles.infoRow}>
+                    <Text style={styles.infoLabel}>Tranches:</Text>
+                    <View style={styles.expiryOptions}>
+                      {TWAP_TRANCHE_OPTIONS.map((count) => (
+                        <TouchableOpacity
+                          key={count}
+                          style={[styles.expiryOption, trancheCount === count && styles.segmentActive]}
+                          onPress={() => setTrancheCount(count)}
+                        >
+                          <Text style={[styles.segmentText, trancheCount === count && styles.segmentTextActive]}>
+                            {count}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </View>
+
+                  <View style={styles.infoRow}>
+                    <Text style={styles.infoLabel}>Every:</Text>
+                    <View style={styles.expiryOptions}>
+                      {TWAP_INTERVAL_OPTIONS.map((option) => (
+                        <TouchableOpacity
+                          key={option.ms}
+                          style={[styles.expiryOption, intervalMs === option.ms && styles.segmentActive]}
+                          onPress={() => setIntervalMs(option.ms)}
+                        >
+                          <Text style={[styles.segmentText, intervalMs === option.ms && styles.segmentTextActive]}>
+                            {option.label}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </View>
+
+                  <View style={styles.infoRow}>
+                    <Text style={styles.infoLabelSmall}>Per tranche:</Text>
+                    <Text style={styles.infoValueSmall}>
+                      ~{currencySymbol}{trancheAmount.toFixed(2)}
+                    </Text>
+                  </View>
+                </>
+              )}
+
+              {!isLimit && maxSlippage > 0 && btcPrice && (
+                <View style={styles.infoRow}>
+                  <Text style={styles.infoLabelSmall}>Max Price (+{maxSlippage}%):</Text>
+                  <Text style={styles.infoValueSmall}>
+                    {currencySymbol}{(btcPrice * (1 + maxSlippage / 100)).toFixed(2)}
+                  </Text>
+                </View>
+              )}
+
               <View style={styles.infoRow}>
                 <Text style={styles.infoLabel}>Estimated BTC:</Text>
                 <Text style={styles.infoValue}>{estimatedBtc?.toFixed(8) || '-'} BTC</Text>
@@ -257,25 +605,51 @@ export default function LumpSumTradeScreen({ navigation }) {
           </View>
         )}
 
+        {isTwap && !belowMin && fiatAmount > 0 && trancheAmount < MIN_FIAT_AMOUNT && (
+          <View style={[styles.note, styles.warnNote]}>
+            <Text style={[styles.noteText, styles.warnNoteText]}>
+              Each tranche must be at least {currencySymbol}{MIN_FIAT_AMOUNT} {currency}. Use fewer tranches or a larger amount.
+            </Text>
+          </View>
+        )}
+
         <View style={styles.note}>
           <Text style={styles.noteText}>
-            ⓘ The actual execution price and BTC amount will be determined by the market order at the time of execution. This purchase will appear in your DCA stats.
+            {isTwap
+              ? 'ⓘ The amount is split into equal market buys spread over time, which moves the price less than one large order. Keep some margin on the exchange: each tranche is checked when it is due. Each tranche will appear in your DCA stats.'
+              : isLimit
+              ? 'ⓘ The order rests on the exchange and only fills if BTC drops to your target. Fills are picked up the next time you open the app and will appear in your DCA stats.'
+              : maxSlippage > 0
+              ? 'ⓘ The order only fills at or below the max price. Any part that cannot fill is cancelled and nothing more is spent. This purchase will appear in your DCA stats.'
+              : 'ⓘ The actual execution price and BTC amount will be determined by the market order at the time of execution. This purchase will appear in your DCA stats.'}
           </Text>
         </View>
 
+        <View style={styles.infoCard}>
+          <TradeReadinessChecklist
+            checks={readinessResult?.checks || []}
+            loading={checkingReadiness}
+            onRefresh={() => loadReadiness()}
+          />
+        </View>
+
         <View style={styles.buttonContainer}>
           <TouchableOpacity
-            style={[styles.button, styles.executeButton, loading && styles.buttonDisabled]}
+            style={[styles.button, styles.executeButton, (loading || isBlocked) && styles.buttonDisabled]}
             onPress={handleExecute}
-            disabled={loading}
+            disabled={loading || isBlocked}
           >
             {loading ? (
               <ActivityIndicator color={colors.cardBackground} />
             ) : (
-              <Text style={styles.buttonText}>Execute Lump-Sum Buy</Text>
+              <Text style={styles.buttonText}>{isLimit ? 'Place Limit Order' : isTwap ? 'Start TWAP Buy' : 'Execute Lump-Sum Buy'}</Text>
             )}
           </TouchableOpacity>
 
+          {fiatAmount > 0 && !checkingReadiness && readinessResult?.blockingReason && (
+            <Text style={styles.blockingReason}>{readinessResult.blockingReason}</Text>
+          )}
+
           <TouchableOpacity
             style={[styles.button, styles.skipButton]}
             onPress={() => navigation.goBack()}
@@ -308,6 +682,46 @@ const createStyles = (colors) => StyleSheet.create({
     color: colors.textSecondary,
     marginBottom: 24,
   },
+  segmentedControl: {
+    flexDirection: 'row',
+    backgroundColor: colors.cardBackground,
+    borderRadius: 12,
+    padding: 4,
+    marginBottom: 16,
+  },
+  segment: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  segmentActive: {
+    backgroundColor: colors.primary,
+  },
+  segmentText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.textSecondary,
+  },
+  segmentTextActive: {
+    color: '#fff',
+  },
+  limitModeSwitch: {
+    marginTop: 2,
+    fontSize: 12,
+    color: colors.primary,
+  },
+  expiryOptions: {
+    flexDirection: 'row',
+    gap: 6,
+  },
+  expiryOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
   infoCard: {
     backgroundColor: colors.cardBackground,
     borderRadius: 12,
@@ -409,6 +823,11 @@ const createStyles = (colors) => StyleSheet.create({
   buttonDisabled: {
     opacity: 0.5,
   },
+  blockingReason: {
+    fontSize: 14,
+    color: colors.error,
+    textAlign: 'center',
+  },
   buttonText: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -0,0 +1,344 @@
+import React, { useState, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  RefreshControl,
+  ActivityIndicator,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { useTheme } from '../contexts/ThemeContext';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+import { getAllOpenOrders, cancelOrder } from '../services/exchangeService';
+import { refreshLimitOrders } from '../services/limitOrderService';
+import { getCurrencySymbol } from '../utils/currency';
+import SecurityCodeModal from '../components/SecurityCodeModal';
+
+const formatAge = (createdAt) => {
+  const minutes = Math.floor((Date.now() - new Date(createdAt).getTime()) / 60000);
+  if (minutes < 60) {
+    return `${Math.max(minutes, 0)}m`;
+  }
+  if (minutes < 24 * 60) {
+    return `${Math.floor(minutes / 60)}h`;
+  }
+  return `${Math.floor(minutes / (24 * 60))}d`;
+};
+
+export default function OpenOrdersScreen({ navigation }) {
+  const { colors } = useTheme();
+  const { user } = useAuth();
+  const userId = user?._id;
+  const styles = createStyles(colors);
+
+  const [orders, setOrders] = useState([]);
+  const [failed, setFailed] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  // Order (or 'all') waiting for the passcode/2FA check
+  const [pendingCancel, setPendingCancel] = useState(null);
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(false);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadOrders();
+    }, [])
+  );
+
+  const loadOrders = async () => {
+    try {
+      const settingsResponse = await authAPI.getSettings();
+      const currency = settingsResponse?.success ? (settingsResponse.data.settings.currency || 'EUR') : 'EUR';
+      const result = await getAllOpenOrders(userId, currency);
+      setOrders(result.orders);
+      setFailed(result.failed);
+    } catch (error) {
+      Alert.alert('Error', 'Could not load open orders. Pull down to try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadOrders();
+    setRefreshing(false);
+  };
+
+  const requestCancel = async (target) => {
+    // 2FA users must not be offered the passcode, so an unknown status blocks the cancel
+    let response;
+    try {
+      response = await authAPI.get2FAStatus();
+    } catch (error) {
+      response = null;
+    }
+    if (!response?.success) {
+      Alert.alert('Error', 'Could not check your 2FA status. Please try again.');
+      return;
+    }
+    setTwoFactorEnabled(!!response.data.enabled);
+    setPendingCancel(target);
+  };
+
+  const handleVerified = async () => {
+    const target = pendingCancel;
+    setPendingCancel(null);
+    const toCancel = target === 'all' ? orders : [target];
+
+    setCancelling(true);
+    try {
+      const results = [];
+      for (const order of toCancel) {
+        results.push(await cancelOrder(order.exchangeId, order.orderId, order.currency, userId));
+      }
+      const errors = results.filter(result => !result.success);
+
+      // Tracked limit orders pick up the cancellation (and report any partial fill)
+      refreshLimitOrders(userId).catch(() => {});
+      await loadOrders();
+
+      if (errors.length > 0) {
+        Alert.alert(
+          'Cancel Failed',
+          `${errors.length} of ${toCancel.length} order${toCancel.length !== 1 ? 's' : ''} could not be cancelled: ${errors[0].error}`
+        );
+      } else {
+        Alert.alert('Cancelled', toCancel.length === 1 ? 'The order was cancelled.' : `${toCancel.length} orders were cancelled.`);
+      }
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  const renderOrder = ({ item }) => {
+    const currencySymbol = getCurrencySymbol(item.currency);
+    const filledPercent = item.btcAmount > 0 ? (item.filledBtc / item.btcAmount) * 100 : 0;
+
+    return (
+      <View style={styles.card}>
+        <View style={styles.cardHeader}>
+          <Text style={styles.cardTitle}>
+            {item.side === 'buy' ? 'Buy' : 'Sell'} {item.type} · {item.exchangeName}
+          </Text>
+          <Text style={styles.cardAge}>{formatAge(item.createdAt)} ago</Text>
+        </View>
+
+        <View style={styles.row}>
+          <Text style={styles.label}>Price</Text>
+          <Text style={styles.value}>{item.price ? `${currencySymbol}${item.price.toFixed(2)}` : 'Market'}</Text>
+        </View>
+        <View style={styles.row}>
+          <Text style={styles.label}>Size</Text>
+          <Text style={styles.value}>{item.btcAmount.toFixed(8)} BTC</Text>
+        </View>
+        <View style={styles.row}>
+          <Text style={styles.label}>Filled</Text>
+          <Text style={styles.value}>{filledPercent.toFixed(1)}%</Text>
+        </View>
+        <View style={styles.progressTrack}>
+          <View style={[styles.progressFill, { width: `${Math.min(filledPercent, 100)}%` }]} />
+        </View>
+
+        <TouchableOpacity
+          style={[styles.cancelButton, cancelling && styles.buttonDisabled]}
+          onPress={() => requestCancel(item)}
+          disabled={cancelling}
+        >
+          <Text style={styles.cancelButtonText}>Cancel Order</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color={colors.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {failed.length > 0 && (
+        <View style={styles.errorBanner}>
+          <Text style={styles.errorText}>
+            Could not load orders from {failed.map(f => f.name).join(', ')}: {failed[0].error}
+          </Text>
+        </View>
+      )}
+
+      <FlatList
+        data={orders}
+        renderItem={renderOrder}
+        keyExtractor={(item) => `${item.exchangeId}-${item.orderId}`}
+        contentContainerStyle={styles.list}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+        ListHeaderComponent={orders.length > 1 ? (
+          <TouchableOpacity
+            style={[styles.cancelAllButton, cancelling && styles.buttonDisabled]}
+            onPress={() => requestCancel('all')}
+            disabled={cancelling}
+          >
+            {cancelling ? (
+              <ActivityIndicator color={colors.error} />
+            ) : (
+              <Text style={styles.cancelButtonText}>Cancel All ({orders.length})</Text>
+            )}
+          </TouchableOpacity>
+        ) : null}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyText}>No open orders</Text>
+            <TouchableOpacity onPress={() => navigation.goBack()}>
+              <Text style={styles.backText}>Back</Text>
+            </TouchableOpacity>
+          </View>
+        }
+      />
+
+      <SecurityCodeModal
+        visible={!!pendingCancel}
+        twoFactorEnabled={twoFactorEnabled}
+        description={pendingCancel === 'all' ? 'to cancel all open orders' : 'to cancel this order'}
+        onVerified={handleVerified}
+        onClose={() => setPendingCancel(null)}
+      />
+    </View>
+  );
+}
+
+OpenOrdersScreen.propTypes = {
+  navigation: PropTypes.shape({
+    goBack: PropTypes.func.isRequired,
+  }).isRequired,
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.background,
+  },
+  list: {
+    padding: 20,
+  },
+  card: {
+    backgroundColor: colors.cardBackground,
+    padding: 16,
+    borderRadius: 12,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    textTransform: 'capitalize',
+  },
+  cardAge: {
+    fontSize: 13,
+    color: colors.textTertiary,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  label: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  value: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: colors.border,
+    marginTop: 8,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 6,
+    backgroundColor: colors.success,
+  },
+  cancelButton: {
+    marginTop: 12,
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.error,
+    alignItems: 'center',
+  },
+  cancelAllButton: {
+    padding: 14,
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: colors.error,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  cancelButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.error,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  errorBanner: {
+    backgroundColor: colors.cardBackground,
+    borderLeftWidth: 4,
+    borderLeftColor: colors.warning,
+    padding: 12,
+    margin: 20,
+    marginBottom: 0,
+    borderRadius: 8,
+  },
+  errorText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textSecondary,
+  },
+  backText: {
+    marginTop: 12,
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.primary,
+  },
+});
@@ -24,6 +24,19 @@ import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { SUPPORTED_CURRENCIES, getCurrencySymbol } from '../utils/currency';
 import { COUNTRIES, getAvailableExchanges, getCountryName, getCountryFlag } from '../config/countries';
+import {
+  getMaxSlippage,
+  setMaxSlippage,
+  getExactFiatBuys,
+  setExactFiatBuys,
+  getWithdrawalExchange,
+  getExchangeInfo,
+  supportsWithdrawalAddressBook,
+  getWithdrawalAddresses,
+  getSelectedWithdrawalAddress,
+  setSelectedWithdrawalAddress,
+} from '../services/exchangeService';
+import WithdrawalAddressPicker from '../components/WithdrawalAddressPicker';
 import storage from '../utils/storage';
 import { isValidBitcoinAddress, getBitcoinAddressError } from '../utils/bitcoinValidation';
 
@@ -42,13 +55,22 @@ const DAYS_OF_WEEK = [
   { label: 'Sunday', value: 'sunday' },
 ];
 
+const SLIPPAGE_OPTIONS = [
+  { label: 'Off', value: 0 },
+  { label: '0.5%', value: 0.5 },
+  { label: '1%', value: 1 },
+  { label: '2%', value: 2 },
+  { label: '5%', value: 5 },
+];
+
 const HOURS = Array.from({ length: 24 }, (_, i) => ({
   label: `${i.toString().padStart(2, '0')}:00`,
   value: i,
 }));
 
 export default function SettingsScreen({ navigation }) {
-  const { logout } = useAuth();
+  const { logout, user } = useAuth();
+  const userId = user?._id;
   const { colors, isDarkMode, toggleTheme } = useTheme();
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -64,6 +86,13 @@ export default function SettingsScreen({ navigation }) {
   const [selectedFrequency, setSelectedFrequency] = useState('weekly');
   const [selectedDay, setSelectedDay] = useState('thursday');
   const [selectedHour, setSelectedHour] = useState(8);
+  const [maxSlippage, setMaxSlippageState] = useState(0);
+  const [exactFiatBuys, setExactFiatBuysState] = useState(false);
+  const [withdrawalExchange, setWithdrawalExchange] = useState(null);
+  const [addressBook, setAddressBook] = useState([]);
+  const [loadingAddressBook, setLoadingAddressBook] = useState(false);
+  const [addressBookError, setAddressBookError] = useState(null);
+  const [selectedAddressKey, setSelectedAddressKey] = useState(null);
   const [timezone, setTimezone] = useState(Intl.DateTimeFormat().resolvedOptions().timeZone || 'Europe/London');
 
   // Notification preferences
@@ -109,13 +138,19 @@ export default function SettingsScreen({ navigation }) {
   const loadSettings = async () => {
     try {
       setLoading(true);
-      const [settingsResponse, twoFAResponse, subscriptionResponse, storedCountry] = await Promise.all([
+      const [settingsResponse, twoFAResponse, subscriptionResponse, storedCountry, storedMaxSlippage, storedExactFiat] = await Promise.all([
         authAPI.getSettings(),
         authAPI.get2FAStatus(),
         authAPI.getSubscriptionStatus(),
         storage.getItem('user_country'),
+        getMaxSlippage(userId),
+        getExactFiatBuys(userId),
       ]);
 
+      // Slippage and exact-fiat buys are device-side trading preferences, stored locally
+      setMaxSlippageState(storedMaxSlippage);
+      setExactFiatBuysState(storedExactFiat);
+
       if (settingsResponse.success) {
         const { settings } = settingsResponse.data;
         // Load country from server settings or local storage
@@ -135,6 +170,12 @@ export default function SettingsScreen({ navigation }) {
         setAnomalyAlerts(settings.notifications?.anomalyAlerts ?? true);
         setWithdrawalReminders(settings.notifications?.withdrawalReminders ?? true);
         setPurchaseConfirmations(settings.notifications?.purchaseConfirmations ?? true);
+
+        const exchangeId = await getWithdrawalExchange(userId);
+        if (supportsWithdrawalAddressBook(exchangeId)) {
+          setWithdrawalExchange(exchangeId);
+          loadAddressBook(exchangeId);
+        }
       }
 
       if (twoFAResponse.success) {
@@ -154,6 +195,32 @@ export default function SettingsScreen({ navigation }) {
     }
   };
 
+  // Addresses come from the exchange account; the choice is stored on this device
+  const loadAddressBook = async (exchangeId = withdrawalExchange) => {
+    setLoadingAddressBook(true);
+    setAddressBookError(null);
+    try {
+      const [result, saved] = await Promise.all([
+        getWithdrawalAddresses(exchangeId, userId),
+        getSelectedWithdrawalAddress(exchangeId, userId),
+      ]);
+      if (result.success) {
+        // Lightning keys are picked per withdrawal, not as the default destination
+        setAddressBook(result.data.filter(a => a.network !== 'LIGHTNING'));
+        setSelectedAddressKey(saved?.key || null);
+      } else {
+        setAddressBookError(result.error);
+      }
+    } finally {
+      setLoadingAddressBook(false);
+    }
+  };
+
+  const handleWithdrawalAddressSelect = async (entry) => {
+    setSelectedAddressKey(entry.key);
+    await setSelectedWithdrawalAddress(withdrawalExchange, entry, userId);
+  };
+
   // Auto-save settings whenever they change
   const saveSettings = async (updates) => {
     try {
@@ -184,6 +251,16 @@ export default function SettingsScreen({ navigation }) {
     await saveSettings({ appWithdrawal: value });
   };
 
+  const handleMaxSlippageChange = async (value) => {
+    setMaxSlippageState(value);
+    await setMaxSlippage(value, userId);
+  };
+
+  const handleExactFiatBuysChange = async (value) => {
+    setExactFiatBuysState(value);
+    await setExactFiatBuys(value, userId);
+  };
+
   const handleFrequencyChange = async (value) => {
     setSelectedFrequency(value);
     await saveSettings({ purchaseSchedule: { frequency: value, dayOfWeek: selectedDay, hour: selectedHour, timezone } });
@@ -425,6 +502,7 @@ export default function SettingsScreen({ navigation }) {
   };
 
   const styles = createStyles(colors);
+  const withdrawalExchangeInfo = withdrawalExchange ? getExchangeInfo(withdrawalExchange) : null;
 
   if (loading) {
     return (
@@ -590,6 +668,61 @@ export default function SettingsScreen({ navigation }) {
           </View>
         </View>
 
+        {/* Max Slippage */}
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Max Slippage</Text>
+          <Text style={styles.description}>
+            Highest price above the quoted price you will accept on Binance and Kraken. Any part of a buy that would fill higher is cancelled.
+          </Text>
+          <View style={styles.frequencySelector}>
+            {SLIPPAGE_OPTIONS.map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[
+                  styles.frequencyButton,
+                  maxSlippage === option.value && styles.frequencyButtonSelected
+                ]}
+                onPress={() => handleMaxSlippageChange(option.value)}
+              >
+                <Text style={[
+                  styles.frequencyButtonText,
+                  maxSlippage === option.value && styles.frequencyButtonTextSelected
+                ]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        {/* Exact Fiat Buys */}
+        <View style={styles.inputGroup}>
+          <View style={styles.settingRow}>
+            <View style={styles.settingLeft}>
+              <Ionicons
+                name="cash-outline"
+                size={24}
+                color={colors.secondary}
+                style={styles.settingIcon}
+              />
+              <View style={{ flex: 1 }}>
+                <Text style={styles.label}>Exact Fiat Buys</Text>
+                <Text style={styles.description}>
+                  {exactFiatBuys
+                    ? 'Market buys spend exactly your amount, fees included. Applies when Max Slippage is off.'
+                    : 'Market buys are sized in BTC from the current price, with the exchange fee charged on top.'}
+                </Text>
+              </View>
+            </View>
+            <Switch
+              value={exactFiatBuys}
+              onValueChange={handleExactFiatBuysChange}
+              trackColor={{ false: colors.border, true: colors.secondary }}
+              thumbColor="#fff"
+            />
+          </View>
+        </View>
+
         {/* Purchase Schedule */}
         <View style={styles.inputGroup}>
           <Text style={styles.label}>Purchase Schedule</Text>
@@ -816,6 +949,27 @@ export default function SettingsScreen({ navigation }) {
           />
         </View>
 
+        {/* Exchange Withdrawal Address */}
+        {appWithdrawal && withdrawalExchangeInfo && (
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>{withdrawalExchangeInfo.name} Withdrawal Address</Text>
+            <Text style={styles.description}>
+              {withdrawalExchangeInfo.requiresWithdrawalKey
+                ? `${withdrawalExchangeInfo.name} only withdraws to addresses saved in your account. Pick the one for your hardware wallet.`
+                : `Optionally withdraw to an address from your ${withdrawalExchangeInfo.name} address book instead.`}
+            </Text>
+            <WithdrawalAddressPicker
+              addresses={addressBook}
+              selectedKey={selectedAddressKey}
+              onSelect={handleWithdrawalAddressSelect}
+              loading={loadingAddressBook}
+              error={addressBookError}
+              onRetry={() => loadAddressBook()}
+              walletAddress={walletAddress.trim()}
+            />
+          </View>
+        )}
+
         <Text style={styles.sectionTitle}>Security</Text>
 
         {/* 2FA Toggle */}
@@ -10,11 +10,36 @@ import {
   ScrollView,
   TextInput,
 } from 'react-native';
-import { executeMarketBuy, getSelectedExchange, getExchangeInfo } from '../services/exchangeService';
-import { dcaAPI, authAPI } from '../services/api';
+import * as Crypto from 'expo-crypto';
+import {
+  getSelectedExchange,
+  getExchangeInfo,
+  getCurrentPrice,
+  getMaxSlippage,
+  getExactFiatBuys,
+  getTradingFees,
+  getTradeReadiness,
+  evaluateTradeReadiness,
+  getVenueQuotes,
+  compareVenues,
+  getWithdrawalExchange,
+  supportsConvert,
+  needsConvert,
+  getConvertQuote,
+} from '../services/exchangeService';
+import {
+  executeBuyOnce,
+  executeConvertOnce,
+  buildTradeReport,
+  completeInFlightTrade,
+} from '../services/tradeRecoveryService';
+import { queueReport } from '../services/reportOutboxService';
+import { authAPI } from '../services/api';
 import { useTheme } from '../contexts/ThemeContext';
 import { useAuth } from '../contexts/AuthContext';
-import { getBinancePair, getKrakenPair, getCurrencySymbol } from '../utils/currency';
+import { getCurrencySymbol } from '../utils/currency';
+import { showExchangeError, getErrorCode, EXCHANGE_ERROR_CODES } from '../utils/exchangeErrors';
+import TradeReadinessChecklist from '../components/TradeReadinessChecklist';
 
 export default function TradeExecutionScreen({ route, navigation }) {
   const { colors } = useTheme();
@@ -34,9 +59,55 @@ export default function TradeExecutionScreen({ route, navigation }) {
   const [fiatAmount, setFiatAmount] = useState(tradeData?.fiatAmount || tradeData?.eurAmount || 100);
   const [amountInput, setAmountInput] = useState('');
   const [hasActiveSubscription, setHasActiveSubscription] = useState(true);
+  const [maxSlippage, setMaxSlippage] = useState(0);
+  const [slippageSetting, setSlippageSetting] = useState(0);
+  const [exactFiat, setExactFiat] = useState(false);
+  const [readiness, setReadiness] = useState(null);
+  const [checkingReadiness, setCheckingReadiness] = useState(true);
+  const [routing, setRouting] = useState(null);
+  // Venue quotes are fetched once; the comparison is re-run for each amount
+  const [venueQuotes, setVenueQuotes] = useState([]);
+  const [routingOptions, setRoutingOptions] = useState({});
+  // 'spot' or 'convert'; amounts below the spot minimum always use Convert
+  const [venueChoice, setVenueChoice] = useState('spot');
+  const [convertQuote, setConvertQuote] = useState(null);
+  const [quoting, setQuoting] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  // Stable per trade so a retried Execute never places a second order
+  const [requestId] = useState(() => tradeData?.requestId || Crypto.randomUUID());
 
   const isLockedAnomaly = isAnomalyPurchase && !hasActiveSubscription;
 
+  const canConvert = supportsConvert(exchange);
+  const convertRequired = needsConvert(exchange, readiness, fiatAmount);
+  const isConvert = canConvert && (convertRequired || venueChoice === 'convert');
+  // A quote is only good for the amount it was made for, until it expires
+  const quoteSecondsLeft = convertQuote && convertQuote.fiatAmount === fiatAmount
+    ? Math.max(Math.ceil((new Date(convertQuote.expiresAt).getTime() - now) / 1000), 0)
+    : 0;
+
+  // Re-evaluated on every render so amount edits update the checklist immediately
+  const readinessResult = readiness
+    ? evaluateTradeReadiness(readiness, fiatAmount, { allowConvert: canConvert })
+    : null;
+  const isBlocked = checkingReadiness || (!!readinessResult && !readinessResult.ready);
+
+  // Fetch a firm quote as soon as the buy switches to Convert
+  useEffect(() => {
+    if (isConvert && !checkingReadiness) {
+      fetchConvertQuote();
+    }
+  }, [isConvert, exchange, checkingReadiness]);
+
+  // Tick the quote countdown
+  useEffect(() => {
+    if (!convertQuote) {
+      return undefined;
+    }
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [convertQuote]);
+
   useEffect(() => {
     // Load trading fee and estimate purchase
     loadTradingFee();
@@ -44,23 +115,22 @@ export default function TradeExecutionScreen({ route, navigation }) {
 
   const loadTradingFee = async () => {
     try {
-      const [response, selectedExchange, subscriptionResponse] = await Promise.all([
+      const [response, selectedExchange, subscriptionResponse, userMaxSlippage, userExactFiat, withdrawalExchange] = await Promise.all([
         authAPI.getSettings(),
         getSelectedExchange(userId),
         authAPI.getSubscriptionStatus(),
+        getMaxSlippage(userId),
+        getExactFiatBuys(userId),
+        getWithdrawalExchange(userId),
       ]);
+      setExactFiat(userExactFiat);
+      setSlippageSetting(userMaxSlippage);
 
       if (subscriptionResponse?.success) {
         setHasActiveSubscription(subscriptionResponse.data.hasActiveSubscription || false);
       }
 
-      const userExchange = response.success ? (response.data.settings.exchange || selectedExchange) : selectedExchange;
-      setExchange(userExchange);
-
-      // Use exchange default fee (actual fee is calculated from API response during trade execution)
-      const exchangeInfo = getExchangeInfo(userExchange);
-      const defaultFee = exchangeInfo?.tradingFee || 0.1;
-      setTradingFeePercent(defaultFee);
+      const dcaExchange = response.success ? (response.data.settings.exchange || selectedExchange) : selectedExchange;
 
       const userCurrency = response.success ? (response.data.settings.currency || 'EUR') : 'EUR';
       setCurrency(userCurrency);
@@ -73,37 +143,61 @@ export default function TradeExecutionScreen({ route, navigation }) {
       setFiatAmount(amount);
       setAmountInput(amount.toString());
 
-      await estimatePurchase(defaultFee, userCurrency, userExchange, amount);
+      // With keys on several exchanges, buy wherever BTC is cheapest after fees.
+      // Only the withdrawal exchange's fee is shared across buys when the app withdraws
+      const appWithdrawal = response.success ? (response.data.settings.appWithdrawal ?? true) : true;
+      const options = {
+        preferredExchangeId: dcaExchange,
+        withdrawalExchangeId: appWithdrawal ? withdrawalExchange : null,
+      };
+      const quotes = await getVenueQuotes(userCurrency, userId);
+      setVenueQuotes(quotes);
+      setRoutingOptions(options);
+      const venueComparison = quotes.length > 0 ? compareVenues(quotes, amount, options) : null;
+      setRouting(venueComparison);
+      const userExchange = venueComparison?.chosen || dcaExchange;
+      setExchange(userExchange);
+
+      const exchangeInfo = getExchangeInfo(userExchange);
+      setMaxSlippage(exchangeInfo?.supportsSlippageGuard ? userMaxSlippage : 0);
+
+      // Use the account's fee tier; the exchange default is only an estimate (actual fees come from the fills)
+      const fees = await getTradingFees(userExchange, userId, userCurrency);
+      const defaultFee = fees.success ? fees.data.takerFee : (exchangeInfo?.tradingFee || 0.1);
+      setTradingFeePercent(defaultFee);
+
+      await Promise.all([
+        estimatePurchase(defaultFee, userCurrency, userExchange, amount),
+        loadReadiness(userExchange, userCurrency, defaultFee),
+      ]);
     } catch (error) {
       // Use defaults - but still try to get selected exchange from local storage
       const fallbackExchange = await getSelectedExchange(userId);
       setExchange(fallbackExchange);
       const exchangeInfo = getExchangeInfo(fallbackExchange);
       const defaultFee = exchangeInfo?.tradingFee || 0.1;
-      await estimatePurchase(defaultFee, 'EUR', fallbackExchange, fiatAmount);
+      await Promise.all([
+        estimatePurchase(defaultFee, 'EUR', fallbackExchange, fiatAmount),
+        loadReadiness(fallbackExchange, 'EUR', defaultFee),
+      ]);
+    }
+  };
+
+  const loadReadiness = async (userExchange = exchange, userCurrency = currency, feePercent = tradingFeePercent) => {
+    setCheckingReadiness(true);
+    try {
+      setReadiness(await getTradeReadiness(userExchange, userCurrency, feePercent, userId));
+    } catch (error) {
+      // Checks could not run - the exchange still validates the order itself
+      setReadiness(null);
+    } finally {
+      setCheckingReadiness(false);
     }
   };
 
   const estimatePurchase = async (feePercent, userCurrency = 'EUR', userExchange = 'binance', amount = null) => {
     try {
-      let currentPrice;
-
-      if (userExchange === 'kraken') {
-        // Fetch from Kraken
-        const pair = getKrakenPair(userCurrency);
-        const response = await fetch(`https://api.kraken.com/0/public/Ticker?pair=${pair}`);
-        const data = await response.json();
-        if (data.result) {
-          const tickerData = Object.values(data.result)[0];
-          currentPrice = parseFloat(tickerData.a[0]); // Ask price
-        }
-      } else {
-        // Fetch from Binance (default)
-        const symbol = getBinancePair(userCurrency);
-        const response = await fetch(`https://api.binance.com/api/v3/ticker/price?symbol=${symbol}`);
-        const data = await response.json();
-        currentPrice = parseFloat(data.price);
-      }
+      const currentPrice = await getCurrentPrice(userExchange, userCurrency);
 
       setBtcPrice(currentPrice);
 
@@ -133,6 +227,49 @@ export default function TradeExecutionScreen({ route, navigation }) {
       if (btcPrice) {
         setEstimatedBtc(parsed / btcPrice);
       }
+      rerouteForAmount(parsed);
+    }
+  };
+
+  // Re-run the venue comparison for a new amount from the cached quotes;
+  // depth, minimums and funds can make a different venue the best one
+  const rerouteForAmount = (amount) => {
+    if (venueQuotes.length === 0) {
+      return;
+    }
+
+    const venueComparison = compareVenues(venueQuotes, amount, routingOptions);
+    setRouting(venueComparison);
+
+    const quote = venueQuotes.find(q => q.exchangeId === venueComparison.chosen);
+    if (!quote || quote.exchangeId === exchange) {
+      return;
+    }
+    const venue = venueComparison.venues.find(v => v.exchangeId === quote.exchangeId);
+    setExchange(quote.exchangeId);
+    setTradingFeePercent(quote.tradingFeePercent);
+    setReadiness(quote.readiness);
+    setMaxSlippage(getExchangeInfo(quote.exchangeId)?.supportsSlippageGuard ? slippageSetting : 0);
+    setVenueChoice('spot');
+    setConvertQuote(null);
+    // The venue's quoted fill price stands in for its ticker until the next refresh
+    setBtcPrice(venue.averagePrice);
+    setEstimatedBtc(amount / venue.averagePrice);
+  };
+
+  const fetchConvertQuote = async () => {
+    setQuoting(true);
+    try {
+      const result = await getConvertQuote(exchange, fiatAmount, currency, userId);
+      if (!result.success) {
+        setConvertQuote(null);
+        showExchangeError(result, { navigation, onRetry: fetchConvertQuote });
+        return;
+      }
+      setNow(Date.now());
+      setConvertQuote(result.data);
+    } finally {
+      setQuoting(false);
     }
   };
 
@@ -142,9 +279,37 @@ export default function TradeExecutionScreen({ route, navigation }) {
       return;
     }
 
+    if (isBlocked) {
+      return;
+    }
+
     const currencySymbol = getCurrencySymbol(currency);
     const exchangeName = getExchangeInfo(exchange).name;
 
+    if (isConvert) {
+      if (quoteSecondsLeft === 0) {
+        Alert.alert(
+          'Quote Expired',
+          'Get a new quote to see the current price before converting.',
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Get New Quote', onPress: fetchConvertQuote },
+          ]
+        );
+        return;
+      }
+
+      Alert.alert(
+        'Confirm Convert',
+        `Convert ${currencySymbol}${convertQuote.fiatAmount.toFixed(2)} ${currency} to ${convertQuote.btcAmount.toFixed(8)} BTC on ${exchangeName} Convert at ${currencySymbol}${convertQuote.price.toFixed(2)}?\n\nThe quote expires in ${quoteSecondsLeft}s.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Convert', style: 'default', onPress: executeConvert },
+        ]
+      );
+      return;
+    }
+
     Alert.alert(
       'Confirm DCA Purchase',
       `Execute market buy order on ${exchangeName} for ${currencySymbol}${fiatAmount} ${currency}?\n\nEstimated: ${estimatedBtc?.toFixed(8) || '~'} BTC`,
@@ -159,58 +324,136 @@ export default function TradeExecutionScreen({ route, navigation }) {
     );
   };
 
+  const getTradeReport = () => ({
+    // Award tracking data
+    isAnomalyPurchase: !!anomalyData,
+    notificationTimestamp: tradeData?.scheduledTime || null,
+    // Venue comparison behind the choice of exchange, if several were compared
+    routing: routing ? {
+      chosen: routing.chosen,
+      reason: routing.reason,
+      venues: routing.venues.map(venue => ({
+        exchange: venue.exchangeId,
+        averagePrice: venue.averagePrice,
+        tradingFeePercent: venue.tradingFeePercent,
+        withdrawalFeeShare: venue.withdrawalFeeShare,
+        costPerBtc: venue.costPerBtc,
+        eligible: venue.eligible,
+        reason: venue.reason,
+      })),
+    } : null,
+  });
+
+  const showTradeSuccess = (result, reportResult) => {
+    const currencySymbol = getCurrencySymbol(currency);
+
+    let message = (result.recovered
+      ? 'This purchase had already gone through, so no new order was placed.\n\n'
+      : 'Trade executed successfully!\n\n') +
+      `BTC Purchased: ${result.data.btcAmount.toFixed(8)}\n` +
+      `${currency} Spent: ${currencySymbol}${result.data.fiatSpent.toFixed(2)}\n` +
+      `Avg Price: ${currencySymbol}${result.data.avgPrice.toFixed(2)}`;
+
+    if (result.data.partialFill) {
+      message += `\n\n⚠️ Partially filled: ${result.data.unfilledBtc.toFixed(8)} BTC was not bought because the price rose above ${currencySymbol}${result.data.limitPrice.toFixed(2)}.`;
+    }
+
+    if (result.warning) {
+      message += `\n\n⚠️ ${result.warning}`;
+    }
+
+    if (reportResult.rejected) {
+      message += `\n\n⚠️ The server did not record this purchase: ${reportResult.error}`;
+    } else if (!reportResult.sent) {
+      message += '\n\nⓘ Could not reach the server. This purchase will sync to your history automatically.';
+    }
+
+    Alert.alert(
+      'Success',
+      message,
+      [
+        {
+          text: 'OK',
+          onPress: () => navigation.goBack(),
+        },
+      ]
+    );
+  };
+
   const executeTrade = async () => {
     setLoading(true);
     try {
-      const result = await executeMarketBuy(exchange, fiatAmount, tradingFeePercent, currency, userId);
+      const report = getTradeReport();
+
+      const result = await executeBuyOnce({
+        requestId,
+        exchange,
+        fiatAmount,
+        tradingFeePercent,
+        currency,
+        // Cap the fill price relative to the price shown on this screen
+        buyOptions: { quotePrice: btcPrice, maxSlippagePercent: maxSlippage, exactFiat },
+        report,
+      }, userId);
 
       if (result.success) {
-        const currencySymbol = getCurrencySymbol(currency);
-
-        // Report the trade execution to the server
-        try {
-          await dcaAPI.reportTradeExecution({
-            orderId: result.data.orderId,
-            btcAmount: result.data.btcAmount,
-            fiatSpent: result.data.fiatSpent,
-            currency: result.data.currency,
-            avgPrice: result.data.avgPrice,
-            tradingFee: result.data.tradingFee,
-            tradingFeeBtc: result.data.tradingFeeBtc, // Fee in BTC (actual deducted amount)
-            timestamp: result.data.timestamp,
-            exchange: exchange,
-            // Award tracking data
-            isAnomalyPurchase: !!anomalyData,
-            notificationTimestamp: tradeData?.scheduledTime || null,
-          });
-        } catch (reportError) {
-          // Continue even if reporting fails - trade was successful
-        }
-
-        let message = `Trade executed successfully!\n\n` +
-          `BTC Purchased: ${result.data.btcAmount.toFixed(8)}\n` +
-          `${currency} Spent: ${currencySymbol}${result.data.fiatSpent.toFixed(2)}\n` +
-          `Avg Price: ${currencySymbol}${result.data.avgPrice.toFixed(2)}`;
+        // Report the trade execution to the server; the outbox retries if this fails
+        const reportResult = await queueReport('trade', buildTradeReport(result.data, exchange, result.report || report), userId);
+        await completeInFlightTrade(requestId, userId);
+        showTradeSuccess(result, reportResult);
+      } else {
+        // Retrying is safe: executeBuyOnce never places the same trade twice
+        showExchangeError(result, {
+          navigation,
+          onRetry: executeTrade,
+          onAdjustAmount: () => navigation.navigate('Settings'),
+        });
+      }
+    } catch (error) {
+      showExchangeError(
+        { error: error.message || 'Failed to execute trade', errorCode: getErrorCode(error) },
+        { navigation }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
 
-        if (result.warning) {
-          message += `\n\n⚠️ ${result.warning}`;
+  const executeConvert = async () => {
+    setLoading(true);
+    try {
+      const report = { ...getTradeReport(), executionVenue: 'convert', quoteId: convertQuote.quoteId };
+      const result = await executeConvertOnce({
+        requestId,
+        exchange,
+        quote: convertQuote,
+        currency,
+        report,
+      }, userId);
+
+      if (!result.success) {
+        // Accepting the same quote again is safe while its outcome is unknown; otherwise it needs a new one
+        const outcomeUnknown = result.errorCode === EXCHANGE_ERROR_CODES.OUTCOME_UNKNOWN;
+        if (!outcomeUnknown) {
+          setConvertQuote(null);
         }
-
-        Alert.alert(
-          'Success',
-          message,
-          [
-            {
-              text: 'OK',
-              onPress: () => navigation.goBack(),
-            },
-          ]
-        );
-      } else {
-        Alert.alert('Error', result.error || 'Trade execution failed');
+        showExchangeError(result, {
+          navigation,
+          onRetry: outcomeUnknown ? executeConvert : fetchConvertQuote,
+          onAdjustAmount: () => navigation.navigate('Settings'),
+        });
+        return;
       }
+
+      // Report the conversion to the server; the outbox retries if this fails
+      const reportResult = await queueReport('trade', buildTradeReport(result.data, exchange, result.report || report), userId);
+      await completeInFlightTrade(requestId, userId);
+      showTradeSuccess(result, reportResult);
     } catch (error) {
-      Alert.alert('Error', error.message || 'Failed to execute trade');
+      showExchangeError(
+        { error: error.message || 'Failed to convert', errorCode: getErrorCode(error) },
+        { navigation }
+      );
     } finally {
       setLoading(false);
     }
@@ -339,40 +582,147 @@ export default function TradeExecutionScreen({ route, navigation }) {
                 </Text>
               </View>
 
+              {!isConvert && maxSlippage > 0 && btcPrice && (
+                <View style={styles.infoRow}>
+                  <Text style={styles.infoLabelSmall}>Max Price (+{maxSlippage}%):</Text>
+                  <Text style={styles.infoValueSmall}>
+                    {getCurrencySymbol(currency)}{(btcPrice * (1 + maxSlippage / 100)).toFixed(2)}
+                  </Text>
+                </View>
+              )}
+
               <View style={styles.infoRow}>
                 <Text style={styles.infoLabel}>Estimated BTC:</Text>
                 <Text style={styles.infoValue}>{estimatedBtc?.toFixed(8) || '-'} BTC</Text>
               </View>
 
-              <View style={styles.infoRow}>
-                <Text style={styles.infoLabelSmall}>Trading Fee ({tradingFeePercent}%):</Text>
-                <Text style={styles.infoValueSmall}>
-                  ~{getCurrencySymbol(currency)}{(fiatAmount * (tradingFeePercent / 100)).toFixed(2)}
-                </Text>
-              </View>
+              {!isConvert && (
+                <View style={styles.infoRow}>
+                  <Text style={styles.infoLabelSmall}>Trading Fee ({tradingFeePercent}%):</Text>
+                  <Text style={styles.infoValueSmall}>
+                    ~{getCurrencySymbol(currency)}{(fiatAmount * (tradingFeePercent / 100)).toFixed(2)}
+                  </Text>
+                </View>
+              )}
             </>
           )}
         </View>
 
+        {canConvert && (
+          <View style={styles.infoCard}>
+            <View style={styles.segmentedControl}>
+              {[
+                { id: 'spot', label: 'Spot Order' },
+                { id: 'convert', label: 'Convert' },
+              ].map((option) => {
+                const active = (option.id === 'convert') === isConvert;
+                const disabled = loading || (option.id === 'spot' && convertRequired);
+                return (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[styles.segment, active && styles.segmentActive, disabled && !active && styles.buttonDisabled]}
+                    onPress={() => setVenueChoice(option.id)}
+                    disabled={disabled}
+                  >
+                    <Text style={[styles.segmentText, active && styles.segmentTextActive]}>{option.label}</Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+
+            {convertRequired && (
+              <Text style={styles.routingReason}>
+                {getCurrencySymbol(currency)}{fiatAmount.toFixed(2)} is below the spot minimum of {getCurrencySymbol(currency)}{readiness.market.data.minOrderValue.toFixed(2)}, so this buy uses {getExchangeInfo(exchange).name} Convert.
+              </Text>
+            )}
+
+            {isConvert && (
+              quoting ? (
+                <ActivityIndicator style={styles.loader} />
+              ) : quoteSecondsLeft > 0 ? (
+                <>
+                  <View style={styles.infoRow}>
+                    <Text style={styles.infoLabel}>You Receive:</Text>
+                    <Text style={styles.infoValue}>{convertQuote.btcAmount.toFixed(8)} BTC</Text>
+                  </View>
+                  <View style={styles.infoRow}>
+                    <Text style={styles.infoLabelSmall}>Quoted Price (fees included):</Text>
+                    <Text style={styles.infoValueSmall}>
+                      {getCurrencySymbol(currency)}{convertQuote.price.toFixed(2)}
+                    </Text>
+                  </View>
+                  <Text style={[styles.quoteCountdown, quoteSecondsLeft <= 5 && styles.quoteCountdownUrgent]}>
+                    Quote expires in {quoteSecondsLeft}s
+                  </Text>
+                </>
+              ) : (
+                <TouchableOpacity style={styles.quoteRefreshButton} onPress={fetchConvertQuote} disabled={loading}>
+                  <Text style={styles.quoteRefreshText}>{convertQuote ? 'Quote expired · Get New Quote' : 'Get Quote'}</Text>
+                </TouchableOpacity>
+              )
+            )}
+          </View>
+        )}
+
+        {routing && (
+          <View style={styles.infoCard}>
+            <Text style={styles.routingTitle}>Best Price</Text>
+            {routing.venues.map((venue) => (
+              <View key={venue.exchangeId} style={styles.infoRow}>
+                <View style={styles.routingVenue}>
+                  <Text style={[styles.infoLabel, venue.exchangeId === routing.chosen && styles.routingChosen]}>
+                    {venue.name}{venue.exchangeId === routing.chosen ? ' ✓' : ''}
+                  </Text>
+                  <Text style={styles.infoLabelSmall}>
+                    {venue.eligible
+                      ? `${venue.tradingFeePercent}% fee · ${venue.withdrawalFeeShare.toFixed(8)} BTC withdrawal cost`
+                      : venue.reason}
+                  </Text>
+                </View>
+                <Text style={styles.infoValueSmall}>
+                  {venue.costPerBtc ? `${getCurrencySymbol(currency)}${venue.costPerBtc.toFixed(2)}/BTC` : '-'}
+                </Text>
+              </View>
+            ))}
+            <Text style={styles.routingReason}>{routing.reason}</Text>
+          </View>
+        )}
+
         <View style={styles.note}>
           <Text style={styles.noteText}>
-            ⓘ The actual execution price and BTC amount will be determined by the market order at the time of execution.
+            {isConvert
+              ? 'ⓘ Convert buys at the firm quoted price, with the fee built into the price. Accept it before the quote expires.'
+              : maxSlippage > 0
+              ? 'ⓘ The order only fills at or below the max price. Any part that cannot fill is cancelled and nothing more is spent.'
+              : 'ⓘ The actual execution price and BTC amount will be determined by the market order at the time of execution.'}
           </Text>
         </View>
 
+        <View style={styles.infoCard}>
+          <TradeReadinessChecklist
+            checks={readinessResult?.checks || []}
+            loading={checkingReadiness}
+            onRefresh={() => loadReadiness()}
+          />
+        </View>
+
         <View style={styles.buttonContainer}>
           <TouchableOpacity
-            style={[styles.button, styles.executeButton, loading && styles.buttonDisabled]}
+            style={[styles.button, styles.executeButton, (loading || isBlocked) && styles.buttonDisabled]}
             onPress={handleExecute}
-            disabled={loading}
+            disabled={loading || isBlocked}
           >
             {loading ? (
               <ActivityIndicator color={colors.cardBackground} />
             ) : (
-              <Text style={styles.buttonText}>Execute Purchase</Text>
+              <Text style={styles.buttonText}>{isConvert ? 'Convert Now' : 'Execute Purchase'}</Text>
             )}
           </TouchableOpacity>
 
+          {!checkingReadiness && readinessResult?.blockingReason && (
+            <Text style={styles.blockingReason}>{readinessResult.blockingReason}</Text>
+          )}
+
           <TouchableOpacity
             style={[styles.button, styles.skipButton]}
             onPress={handleSkip}
@@ -528,6 +878,71 @@ const createStyles = (colors) => StyleSheet.create({
   loader: {
     marginVertical: 20,
   },
+  routingTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: 4,
+  },
+  routingVenue: {
+    flex: 1,
+    marginRight: 12,
+  },
+  routingChosen: {
+    color: colors.success,
+    fontWeight: 'bold',
+  },
+  routingReason: {
+    marginTop: 12,
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  segmentedControl: {
+    flexDirection: 'row',
+    backgroundColor: colors.background,
+    borderRadius: 12,
+    padding: 4,
+  },
+  segment: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  segmentActive: {
+    backgroundColor: colors.primary,
+  },
+  segmentText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.textSecondary,
+  },
+  segmentTextActive: {
+    color: '#fff',
+  },
+  quoteCountdown: {
+    marginTop: 12,
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  quoteCountdownUrgent: {
+    color: colors.error,
+  },
+  quoteRefreshButton: {
+    marginTop: 12,
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.primary,
+    alignItems: 'center',
+  },
+  quoteRefreshText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.primary,
+  },
   note: {
     backgroundColor: '#e3f2fd',
     borderRadius: 8,
@@ -560,6 +975,11 @@ const createStyles = (colors) => StyleSheet.create({
   buttonDisabled: {
     opacity: 0.5,
   },
+  blockingReason: {
+    fontSize: 14,
+    color: colors.error,
+    textAlign: 'center',
+  },
   buttonText: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -9,10 +9,19 @@ import {
   Platform,
   TouchableOpacity,
   Linking,
+  Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { dcaAPI } from '../services/api';
+import { dcaAPI, authAPI } from '../services/api';
 import { useTheme } from '../contexts/ThemeContext';
+import { useAuth } from '../contexts/AuthContext';
+import { getSelectedExchange, getExchangeInfo } from '../services/exchangeService';
+import { reconcileTradeHistory, backfillMissingTrades } from '../services/tradeReconciliationService';
+import {
+  getTrackedWithdrawals,
+  refreshWithdrawalStatuses,
+  subscribeToWithdrawals,
+} from '../services/withdrawalTrackerService';
 
 // Currency code to symbol mapping (matches server config)
 const getCurrencySymbol = (currencyCode) => {
@@ -31,18 +40,95 @@ const getCurrencySymbol = (currencyCode) => {
   return symbols[currencyCode] || currencyCode;
 };
 
+const WITHDRAWAL_STATUS_LABELS = {
+  pending: 'Requested',
+  processing: 'Sent',
+  completed: 'Confirmed',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const MISMATCH_LABELS = {
+  btcAmount: 'BTC amount',
+  fiatCost: 'Cost',
+  tradingFee: 'Fee',
+};
+
 export default function TransactionsScreen() {
   const { colors } = useTheme();
+  const { user } = useAuth();
+  const userId = user?._id;
   const [transactions, setTransactions] = useState([]);
   const [purchases, setPurchases] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [isMockData, setIsMockData] = useState(false);
+  const [exchange, setExchange] = useState(null);
+  const [missingTrades, setMissingTrades] = useState([]);
+  const [mismatches, setMismatches] = useState({});
+  const [importing, setImporting] = useState(false);
+  const [trackedWithdrawals, setTrackedWithdrawals] = useState([]);
 
   useEffect(() => {
     fetchData();
+    getTrackedWithdrawals(userId)
+      .then(setTrackedWithdrawals)
+      .catch(error => console.error('[Transactions] Could not load tracked withdrawals:', error?.message || error));
+    return subscribeToWithdrawals(setTrackedWithdrawals);
   }, []);
 
+  // Compare exchange history against recorded purchases (non-blocking)
+  const reconcile = async () => {
+    try {
+      const [settingsResponse, selectedExchange] = await Promise.all([
+        authAPI.getSettings(),
+        getSelectedExchange(userId),
+      ]);
+      const settings = settingsResponse.success ? settingsResponse.data.settings : {};
+      const userExchange = settings.exchange || selectedExchange;
+      setExchange(userExchange);
+
+      const result = await reconcileTradeHistory(userExchange, settings.currency || 'EUR', userId);
+      if (result.success) {
+        setMissingTrades(result.data.missing);
+        setMismatches(result.data.mismatches);
+      }
+    } catch (error) {
+      // Reconciliation is best-effort; history still shows server data
+    }
+  };
+
+  const handleImportMissing = () => {
+    const exchangeName = getExchangeInfo(exchange).name;
+    Alert.alert(
+      'Import Missing Trades',
+      `Found ${missingTrades.length} ${exchangeName} buy${missingTrades.length !== 1 ? 's' : ''} that ${missingTrades.length !== 1 ? 'are' : 'is'} not in your history. ` +
+      'Only import them if they were DCA purchases made through this app.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Import', onPress: importMissing },
+      ]
+    );
+  };
+
+  const importMissing = async () => {
+    setImporting(true);
+    try {
+      const summary = await backfillMissingTrades(missingTrades, exchange, userId);
+      let message = `${summary.sent} trade${summary.sent !== 1 ? 's' : ''} added to your history.`;
+      if (summary.queued > 0) {
+        message += ` ${summary.queued} will sync once the server is reachable.`;
+      }
+      if (summary.rejected > 0) {
+        message += ` ${summary.rejected} could not be imported.`;
+      }
+      Alert.alert('Import Complete', message);
+      await fetchData();
+    } finally {
+      setImporting(false);
+    }
+  };
+
   const fetchData = async () => {
     try {
       const [txResponse, purchaseResponse] = await Promise.all([
@@ -66,6 +152,11 @@ export default function TransactionsScreen() {
     } finally {
       setLoading(false);
     }
+
+    reconcile();
+    refreshWithdrawalStatuses(userId).catch(() => {
+      // Status polling is best-effort; the tracker retries on the next poll
+    });
   };
 
   const onRefresh = async () => {
@@ -81,7 +172,16 @@ export default function TransactionsScreen() {
     const cost = item.fiatCost !== undefined ? item.fiatCost : (item.eurCost || 0);
     const price = item.fiatPrice !== undefined ? item.fiatPrice : (item.eurPrice || 0);
     const currencySymbol = getCurrencySymbol(item.currency || 'EUR');
-    const title = item.purchaseType === 'lump_sum' ? 'Lump-Sum Buy' : 'DCA Purchase';
+    const titles = { lump_sum: 'Lump-Sum Buy', limit: 'Limit Buy', twap: 'TWAP Tranche' };
+    const title = titles[item.purchaseType] || 'DCA Purchase';
+    const differences = item.orderId !== undefined && item.orderId !== null
+      ? mismatches[String(item.orderId)]
+      : null;
+    const formatDifference = (diff) => (
+      diff.field === 'btcAmount'
+        ? `${diff.recorded.toFixed(8)} vs ${diff.actual.toFixed(8)} BTC`
+        : `${currencySymbol}${diff.recorded.toFixed(2)} vs ${currencySymbol}${diff.actual.toFixed(2)}`
+    );
     return (
       <View style={styles.card}>
         <View style={styles.cardHeader}>
@@ -104,33 +204,61 @@ export default function TransactionsScreen() {
             <Text style={styles.value}>{currencySymbol}{parseFloat(price).toFixed(2)}</Text>
           </View>
         </View>
+        {differences && (
+          <View style={styles.mismatchBox}>
+            <Text style={styles.mismatchTitle}>
+              ⚠️ Differs from {getExchangeInfo(exchange).name} (recorded vs exchange)
+            </Text>
+            {differences.map(diff => (
+              <Text key={diff.field} style={styles.mismatchText}>
+                {MISMATCH_LABELS[diff.field]}: {formatDifference(diff)}
+              </Text>
+            ))}
+          </View>
+        )}
       </View>
     );
   };
 
-  const renderTransaction = ({ item }) => (
-    <View style={styles.card}>
-      <View style={styles.cardHeader}>
-        <Text style={styles.cardType}>Withdrawal</Text>
-        <Text style={styles.cardDate}>
-          {new Date(item.timestamp).toLocaleDateString()}
-        </Text>
-      </View>
-      <View style={styles.cardContent}>
-        <View>
-          <Text style={styles.label}>Amount</Text>
-          <Text style={styles.value}>{parseFloat(item.amount || 0).toFixed(8)} BTC</Text>
+  const renderTransaction = ({ item }) => {
+    // The server records the exchange withdrawal id until the on-chain txid is reported
+    const tracked = item.txid
+      ? trackedWithdrawals.find(w => w.id === String(item.txid) || w.txid === item.txid)
+      : null;
+    const txid = tracked ? tracked.txid : item.txid;
+    const failed = tracked && (tracked.status === 'failed' || tracked.status === 'cancelled');
+
+    return (
+      <View style={styles.card}>
+        <View style={styles.cardHeader}>
+          <Text style={styles.cardType}>Withdrawal</Text>
+          <Text style={styles.cardDate}>
+            {new Date(item.timestamp).toLocaleDateString()}
+          </Text>
         </View>
-        <View>
-          <Text style={styles.label}>Fee</Text>
-          <Text style={styles.value}>{parseFloat(item.transactionFee || 0).toFixed(8)} BTC</Text>
+        {tracked && (
+          <View style={[styles.statusBadge, failed && styles.statusBadgeFailed]}>
+            <Text style={[styles.statusBadgeText, failed && styles.statusBadgeTextFailed]}>
+              {WITHDRAWAL_STATUS_LABELS[tracked.status]}
+            </Text>
+          </View>
+        )}
+        <View style={styles.cardContent}>
+          <View>
+            <Text style={styles.label}>Amount</Text>
+            <Text style={styles.value}>{parseFloat(item.amount || 0).toFixed(8)} BTC</Text>
+          </View>
+          <View>
+            <Text style={styles.label}>Fee</Text>
+            <Text style={styles.value}>{parseFloat(item.transactionFee || 0).toFixed(8)} BTC</Text>
+          </View>
         </View>
+        <Text style={styles.txId} numberOfLines={1}>
+          TX: {txid || 'Pending'}
+        </Text>
       </View>
-      <Text style={styles.txId} numberOfLines={1}>
-        TX: {item.txid || 'Pending'}
-      </Text>
-    </View>
-  );
+    );
+  };
 
   if (loading) {
     return (
@@ -187,6 +315,30 @@ export default function TransactionsScreen() {
         </View>
       </TouchableOpacity>
 
+      {missingTrades.length > 0 && (
+        <TouchableOpacity
+          style={styles.reconcileCard}
+          onPress={handleImportMissing}
+          disabled={importing}
+          activeOpacity={0.7}
+        >
+          <Ionicons name="git-compare-outline" size={24} color={colors.warning} />
+          <View style={styles.dashboardTextContainer}>
+            <Text style={styles.dashboardTitle}>
+              {missingTrades.length} exchange trade{missingTrades.length !== 1 ? 's' : ''} not in your history
+            </Text>
+            <Text style={styles.dashboardSubtitle}>
+              Tap to review and import from {getExchangeInfo(exchange).name}
+            </Text>
+          </View>
+          {importing ? (
+            <ActivityIndicator color={colors.warning} />
+          ) : (
+            <Ionicons name="download-outline" size={20} color={colors.textTertiary} />
+          )}
+        </TouchableOpacity>
+      )}
+
       <FlatList
         data={allItems}
         renderItem={({ item }) =>
@@ -264,6 +416,26 @@ const createStyles = (colors) => StyleSheet.create({
     fontSize: 14,
     color: colors.textSecondary,
   },
+  statusBadge: {
+    alignSelf: 'flex-start',
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    marginBottom: 8,
+  },
+  statusBadgeFailed: {
+    borderColor: colors.error,
+  },
+  statusBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.primary,
+  },
+  statusBadgeTextFailed: {
+    color: colors.error,
+  },
   cardContent: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -332,4 +504,31 @@ const createStyles = (colors) => StyleSheet.create({
     fontSize: 14,
     color: colors.textSecondary,
   },
+  reconcileCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.cardBackground,
+    marginHorizontal: 20,
+    marginTop: 12,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: colors.warning,
+  },
+  mismatchBox: {
+    marginTop: 12,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  mismatchTitle: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.warning,
+    marginBottom: 4,
+  },
+  mismatchText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
 });
@@ -10,12 +10,30 @@ import {
   ScrollView,
   Platform,
   Clipboard,
-  Modal,
   TextInput,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { executeWithdrawal, getWithdrawalFee, getSelectedExchange, getExchangeInfo } from '../services/exchangeService';
+import * as Crypto from 'expo-crypto';
+import {
+  executeWithdrawal,
+  getWithdrawalFee,
+  getWithdrawalExchange,
+  getExchangeInfo,
+  getWithdrawalNetworks,
+  supportsWithdrawalAddressBook,
+  getWithdrawalAddresses,
+  getSelectedWithdrawalAddress,
+  setSelectedWithdrawalAddress,
+} from '../services/exchangeService';
 import { dcaAPI, authAPI } from '../services/api';
+import { queueReport } from '../services/reportOutboxService';
+import { trackWithdrawal } from '../services/withdrawalTrackerService';
+import {
+  decodeLightningInvoice,
+  getLightningInvoiceError,
+  normalizeLightningInvoice,
+} from '../utils/lightningInvoice';
+import { showExchangeError, getErrorCode } from '../utils/exchangeErrors';
 
 const skipWithdrawalNotifications = async () => {
   try {
@@ -27,12 +45,16 @@ const skipWithdrawalNotifications = async () => {
 };
 import { useTheme } from '../contexts/ThemeContext';
 import { useAuth } from '../contexts/AuthContext';
+import WithdrawalAddressPicker from '../components/WithdrawalAddressPicker';
+import SecurityCodeModal from '../components/SecurityCodeModal';
 
 export default function WithdrawalApprovalScreen({ route, navigation }) {
   const { colors } = useTheme();
   const { user } = useAuth();
   const userId = user?._id;
   const { withdrawalData } = route.params;
+  // Stable across retries on this screen, so a re-approval after a timeout cannot send twice
+  const [withdrawalRequestId] = useState(() => withdrawalData.requestId || Crypto.randomUUID());
   const [loading, setLoading] = useState(false);
   const [networkFee, setNetworkFee] = useState(0);
   const [loadingFee, setLoadingFee] = useState(true);
@@ -40,12 +62,24 @@ export default function WithdrawalApprovalScreen({ route, navigation }) {
   const [loadingSettings, setLoadingSettings] = useState(true);
   const [exchange, setExchange] = useState('binance');
   const [exchangeName, setExchangeName] = useState('your exchange');
+  const [requiresWithdrawalKey, setRequiresWithdrawalKey] = useState(false);
+
+  // Exchange address book (Kraken withdrawal keys / Binance whitelist)
+  const [hasAddressBook, setHasAddressBook] = useState(false);
+  const [addressBook, setAddressBook] = useState([]);
+  const [loadingAddressBook, setLoadingAddressBook] = useState(false);
+  const [addressBookError, setAddressBookError] = useState(null);
+  const [selectedAddress, setSelectedAddress] = useState(null);
+
+  // Withdrawal network (on-chain or Lightning)
+  const [networks, setNetworks] = useState([]);
+  const [network, setNetwork] = useState('BTC');
+  const [lightningInvoice, setLightningInvoice] = useState('');
+  const [lightningKey, setLightningKey] = useState(null);
 
   // 2FA state
   const [twoFactorEnabled, setTwoFactorEnabled] = useState(false);
   const [show2FAModal, setShow2FAModal] = useState(false);
-  const [twoFactorCode, setTwoFactorCode] = useState('');
-  const [verifying2FA, setVerifying2FA] = useState(false);
   const [pendingAction, setPendingAction] = useState(null); // 'approve' or 'manual'
 
   useEffect(() => {
@@ -64,17 +98,77 @@ export default function WithdrawalApprovalScreen({ route, navigation }) {
 
   const loadExchangeInfo = async () => {
     try {
-      const selectedExchange = await getSelectedExchange(userId);
+      const selectedExchange = await getWithdrawalExchange(userId);
       setExchange(selectedExchange);
       const info = getExchangeInfo(selectedExchange);
       setExchangeName(info?.name || 'your exchange');
-      // Now fetch network fee with the correct exchange
-      await fetchNetworkFee(selectedExchange);
+      setRequiresWithdrawalKey(!!info?.requiresWithdrawalKey);
+
+      const networksResult = await getWithdrawalNetworks(selectedExchange, userId);
+      const enabledNetworks = networksResult.success ? networksResult.data.filter(n => n.enabled) : [];
+      setNetworks(enabledNetworks);
+
+      let entry = null;
+      if (supportsWithdrawalAddressBook(selectedExchange)) {
+        setHasAddressBook(true);
+        entry = await loadAddressBook(selectedExchange);
+      }
+      // Now fetch network fee with the correct exchange and destination
+      await fetchNetworkFee(selectedExchange, entry?.key, enabledNetworks.find(n => n.network === 'BTC'));
     } catch (error) {
       await fetchNetworkFee('binance');
     }
   };
 
+  const loadAddressBook = async (exchangeId = exchange) => {
+    setLoadingAddressBook(true);
+    setAddressBookError(null);
+    try {
+      const [result, saved] = await Promise.all([
+        getWithdrawalAddresses(exchangeId, userId),
+        getSelectedWithdrawalAddress(exchangeId, userId),
+      ]);
+      if (!result.success) {
+        setAddressBookError(result.error);
+        return null;
+      }
+      setAddressBook(result.data);
+      // Prefer the saved choice, then the entry for the wallet address in settings
+      const onChain = result.data.filter(a => a.network !== 'LIGHTNING');
+      const entry = onChain.find(a => a.key === saved?.key) ||
+        onChain.find(a => a.address === withdrawalData.address) ||
+        null;
+      setSelectedAddress(entry);
+      return entry;
+    } finally {
+      setLoadingAddressBook(false);
+    }
+  };
+
+  const handleSelectAddress = async (entry) => {
+    if (entry.network === 'LIGHTNING') {
+      // Lightning keys are chosen per withdrawal and not saved as the default
+      setLightningKey(entry);
+    } else {
+      setSelectedAddress(entry);
+      await setSelectedWithdrawalAddress(exchange, entry, userId);
+    }
+    setLoadingFee(true);
+    await fetchNetworkFee(exchange, entry.key, networks.find(n => n.network === network));
+  };
+
+  const handleNetworkChange = async (networkInfo) => {
+    setNetwork(networkInfo.network);
+    const key = networkInfo.network === 'LIGHTNING' ? lightningKey?.key : selectedAddress?.key;
+    // Kraken quotes Lightning fees per key, so wait until one is picked
+    if (networkInfo.fee === null && networkInfo.network === 'LIGHTNING' && !key) {
+      setNetworkFee(null);
+      return;
+    }
+    setLoadingFee(true);
+    await fetchNetworkFee(exchange, key, networkInfo);
+  };
+
   const fetch2FAStatus = async () => {
     try {
       const response = await authAPI.get2FAStatus();
@@ -101,9 +195,10 @@ export default function WithdrawalApprovalScreen({ route, navigation }) {
     }
   };
 
-  const fetchNetworkFee = async (exchangeId = 'binance') => {
+  const fetchNetworkFee = async (exchangeId = 'binance', withdrawalKey = null, networkInfo = null) => {
     try {
-      const fee = await getWithdrawalFee(exchangeId, userId);
+      // Networks with a fixed fee need no lookup; otherwise the fee depends on the destination
+      const fee = networkInfo?.fee ?? await getWithdrawalFee(exchangeId, userId, withdrawalKey);
       setNetworkFee(fee);
     } catch (error) {
       setNetworkFee(0.0005); // Fallback
@@ -112,11 +207,56 @@ export default function WithdrawalApprovalScreen({ route, navigation }) {
     }
   };
 
+  const isLightning = network === 'LIGHTNING';
+  const networkInfo = networks.find(n => n.network === network);
+  // Lightning on Kraken goes to a saved key; elsewhere it pays a pasted BOLT11 invoice
+  const usesInvoice = isLightning && !requiresWithdrawalKey;
+  const receiveSats = Math.round((withdrawalData.btcAmount - (networkFee || 0)) * 1e8);
+  const invoiceError = usesInvoice ? getLightningInvoiceError(lightningInvoice, receiveSats) : null;
+  const decodedInvoice = usesInvoice && !invoiceError ? decodeLightningInvoice(lightningInvoice) : null;
+  const belowMinimum = !!networkInfo?.minimum && withdrawalData.btcAmount < networkInfo.minimum;
+
+  // Kraken withdraws to a saved key; other exchanges fall back to the settings address
+  let destinationKey = selectedAddress?.key || withdrawalData.address;
+  let destinationAddress = selectedAddress?.address || withdrawalData.address;
+  if (usesInvoice) {
+    destinationKey = normalizeLightningInvoice(lightningInvoice);
+    destinationAddress = destinationKey;
+  } else if (isLightning) {
+    destinationKey = lightningKey?.key;
+    destinationAddress = lightningKey?.address;
+  }
+
   const handleApprove = async () => {
+    if (belowMinimum) {
+      Alert.alert(
+        'Amount Too Small',
+        `${networkInfo.name} withdrawals on ${exchangeName} need at least ${networkInfo.minimum} BTC.`
+      );
+      return;
+    }
+    if (usesInvoice && invoiceError) {
+      Alert.alert('Invalid Invoice', invoiceError);
+      return;
+    }
+    if (isLightning && !usesInvoice && !lightningKey) {
+      Alert.alert(
+        'Select Lightning Address',
+        `Select a Lightning withdrawal address saved in your ${exchangeName} account, or add one in ${exchangeName} first.`
+      );
+      return;
+    }
+    if (!isLightning && requiresWithdrawalKey && !selectedAddress) {
+      Alert.alert(
+        'Select Withdrawal Address',
+        `${exchangeName} only withdraws to addresses saved in your account. Select the address for your wallet below, or add it in ${exchangeName} first.`
+      );
+      return;
+    }
+
     if (twoFactorEnabled) {
       // Show 2FA verification modal before proceeding
       setPendingAction('approve');
-      setTwoFactorCode('');
       setShow2FAModal(true);
     } else {
       // No 2FA, proceed with confirmation
@@ -127,7 +267,9 @@ export default function WithdrawalApprovalScreen({ route, navigation }) {
   const showApprovalConfirmation = () => {
     Alert.alert(
       'Confirm Withdrawal',
-      `Are you sure you want to withdraw ${withdrawalData.btcAmount} BTC to your hardware wallet?`,
+      isLightning
+        ? `Are you sure you want to withdraw ${withdrawalData.btcAmount} BTC over Lightning${lightningKey ? ` to ${lightningKey.label}` : ''}? You will receive ${receiveSats.toLocaleString()} sats.`
+        : `Are you sure you want to withdraw ${withdrawalData.btcAmount} BTC to ${destinationAddress}?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -139,70 +281,76 @@ export default function WithdrawalApprovalScreen({ route, navigation }) {
     );
   };
 
-  const handle2FAVerification = async () => {
-    if (twoFactorCode.length !== 6) {
-      Alert.alert('Invalid Code', 'Please enter a 6-digit verification code.');
-      return;
-    }
+  const handle2FAVerified = () => {
+    setShow2FAModal(false);
 
-    setVerifying2FA(true);
-    try {
-      const response = await authAPI.verify2FA(twoFactorCode);
-      if (response.success) {
-        setShow2FAModal(false);
-        setTwoFactorCode('');
-
-        // Proceed with the pending action
-        if (pendingAction === 'approve') {
-          showApprovalConfirmation();
-        } else if (pendingAction === 'manual') {
-          handleManualWithdrawalDoneAction();
-        }
-        setPendingAction(null);
-      } else {
-        Alert.alert('Error', response.message || 'Invalid verification code.');
-      }
-    } catch (error) {
-      Alert.alert('Error', 'Failed to verify code. Please try again.');
-    } finally {
-      setVerifying2FA(false);
+    // Proceed with the pending action
+    if (pendingAction === 'approve') {
+      showApprovalConfirmation();
+    } else if (pendingAction === 'manual') {
+      handleManualWithdrawalDoneAction();
     }
+    setPendingAction(null);
   };
 
   const handleClose2FAModal = () => {
     setShow2FAModal(false);
-    setTwoFactorCode('');
     setPendingAction(null);
   };
 
   const executeWithdrawalAction = async () => {
+    // The invoice may have expired while the confirmation was open
+    const latestInvoiceError = usesInvoice ? getLightningInvoiceError(lightningInvoice, receiveSats) : null;
+    if (latestInvoiceError) {
+      Alert.alert('Invalid Invoice', latestInvoiceError);
+      return;
+    }
+
     setLoading(true);
     try {
       const result = await executeWithdrawal(
         exchange,
-        withdrawalData.address,
+        destinationKey,
         withdrawalData.btcAmount,
-        'BTC',
-        userId
+        network,
+        userId,
+        { withdrawalRequestId }
       );
 
       if (result.success) {
-        // Report the withdrawal to the server
-        try {
-          await dcaAPI.reportWithdrawal({
-            txId: result.data?.id || null,
-            amount: withdrawalData.btcAmount,
-            fee: networkFee,
-            address: withdrawalData.address,
-            timestamp: new Date().toISOString(),
-          });
-        } catch (reportError) {
-          // Continue even if reporting fails - withdrawal was successful
+        // Report the withdrawal to the server; the outbox retries if this fails
+        const reportResult = await queueReport('withdrawal', {
+          txId: result.data?.id || null,
+          exchange,
+          amount: withdrawalData.btcAmount,
+          fee: networkFee,
+          address: destinationAddress,
+          network,
+          timestamp: new Date().toISOString(),
+        }, userId);
+
+        // Follow the withdrawal until it is confirmed on-chain
+        const tracked = await trackWithdrawal({
+          id: result.data?.id,
+          exchange,
+          amount: withdrawalData.btcAmount,
+          // Invoices are long and single-use; the payment hash identifies them
+          address: decodedInvoice ? `Lightning invoice ${decodedInvoice.paymentHash.substring(0, 16)}…` : destinationAddress,
+          network,
+          fee: networkFee,
+        }, userId);
+
+        let message = 'Withdrawal executed successfully!';
+        if (tracked) {
+          message += '\n\nYou can follow its progress on the Home screen until it is confirmed on-chain.';
+        }
+        if (!reportResult.sent && !reportResult.rejected) {
+          message += '\n\nⓘ Could not reach the server. It will sync to your history automatically.';
         }
 
         Alert.alert(
           'Success',
-          'Withdrawal executed successfully!',
+          message,
           [
             {
               text: 'OK',
@@ -211,10 +359,14 @@ export default function WithdrawalApprovalScreen({ route, navigation }) {
           ]
         );
       } else {
-        Alert.alert('Error', result.error || 'Withdrawal failed');
+        // No automatic retry: withdrawals are not idempotent, the user approves again
+        showExchangeError(result, { navigation });
       }
     } catch (error) {
-      Alert.alert('Error', error.message || 'Failed to execute withdrawal');
+      showExchangeError(
+        { error: error.message || 'Failed to execute withdrawal', errorCode: getErrorCode(error) },
+        { navigation }
+      );
     } finally {
       setLoading(false);
     }
@@ -247,7 +399,6 @@ export default function WithdrawalApprovalScreen({ route, navigation }) {
     if (twoFactorEnabled) {
       // Show 2FA verification modal before proceeding
       setPendingAction('manual');
-      setTwoFactorCode('');
       setShow2FAModal(true);
     } else {
       // No 2FA, proceed directly
@@ -363,7 +514,7 @@ export default function WithdrawalApprovalScreen({ route, navigation }) {
           {loadingFee ? (
             <ActivityIndicator size="small" />
           ) : (
-            <Text style={styles.value}>{networkFee} BTC</Text>
+            <Text style={styles.value}>{networkFee === null ? '—' : `${networkFee} BTC`}</Text>
           )}
         </View>
 
@@ -372,7 +523,9 @@ export default function WithdrawalApprovalScreen({ route, navigation }) {
         <View style={styles.detailRow}>
           <Text style={styles.label}>You Will Receive</Text>
           <Text style={[styles.value, styles.highlight]}>
-            {(withdrawalData.btcAmount - networkFee).toFixed(8)} BTC
+            {isLightning
+              ? `${receiveSats.toLocaleString()} sats`
+              : `${(withdrawalData.btcAmount - networkFee).toFixed(8)} BTC`}
           </Text>
         </View>
 
@@ -388,31 +541,129 @@ export default function WithdrawalApprovalScreen({ route, navigation }) {
               <Text style={styles.value}>Bitcoin (BTC)</Text>
               <Ionicons name="copy-outline" size={20} color={colors.primary} style={styles.copyIcon} />
             </TouchableOpacity>
+          ) : networks.length > 1 ? (
+            <View style={styles.networkSelector}>
+              {networks.map((option) => (
+                <TouchableOpacity
+                  key={option.network}
+                  style={[styles.networkButton, network === option.network && styles.networkButtonSelected]}
+                  onPress={() => handleNetworkChange(option)}
+                  disabled={loading}
+                >
+                  <Text style={[styles.networkButtonText, network === option.network && styles.networkButtonTextSelected]}>
+                    {option.network === 'LIGHTNING' ? '⚡ ' : ''}{option.name}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
           ) : (
             <Text style={styles.value}>Bitcoin (BTC)</Text>
           )}
         </View>
 
+        {!manualMode && belowMinimum && (
+          <Text style={styles.networkWarning}>
+            ⚠️ {networkInfo.name} withdrawals on {exchangeName} need at least {networkInfo.minimum} BTC.
+          </Text>
+        )}
+
         <View style={styles.separator} />
 
-        <View style={styles.addressContainer}>
-          <Text style={styles.label}>Your Destination Wallet Address</Text>
-          <Text style={styles.addressNote}>
-            Ensure this is YOUR wallet address that YOU control:
-          </Text>
-          <View style={styles.addressWrapper}>
-            <Text style={styles.address}>{withdrawalData.address}</Text>
-            {manualMode && (
-              <TouchableOpacity
-                style={styles.addressCopyButton}
-                onPress={() => copyToClipboard(withdrawalData.address, 'Address')}
-              >
-                <Ionicons name="copy-outline" size={24} color={colors.primary} />
-                <Text style={styles.copyButtonText}>Copy Address</Text>
-              </TouchableOpacity>
+        {!manualMode && isLightning ? (
+          <View style={styles.addressContainer}>
+            {usesInvoice ? (
+              <>
+                <Text style={styles.label}>Lightning Invoice</Text>
+                <Text style={styles.addressNote}>
+                  Create an invoice for exactly {receiveSats.toLocaleString()} sats in YOUR Lightning wallet and paste it here:
+                </Text>
+                <TextInput
+                  style={[styles.address, styles.invoiceInput]}
+                  value={lightningInvoice}
+                  onChangeText={setLightningInvoice}
+                  placeholder="lnbc..."
+                  placeholderTextColor={colors.textTertiary}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  multiline
+                />
+                {lightningInvoice.trim() !== '' && invoiceError && (
+                  <Text style={styles.invoiceError}>{invoiceError}</Text>
+                )}
+                {decodedInvoice && (
+                  <View style={styles.invoiceSummary}>
+                    <Text style={styles.invoiceSummaryText}>
+                      ✅ {decodedInvoice.amountSats.toLocaleString()} sats
+                      {decodedInvoice.description ? ` · ${decodedInvoice.description}` : ''}
+                    </Text>
+                    <Text style={styles.invoiceSummaryText}>
+                      Expires {new Date(decodedInvoice.expiresAt).toLocaleTimeString()}
+                    </Text>
+                  </View>
+                )}
+              </>
+            ) : (
+              <>
+                <Text style={styles.label}>{exchangeName} Lightning Address</Text>
+                <Text style={styles.addressNote}>
+                  {exchangeName} sends Lightning withdrawals to addresses saved in your account. Select YOUR Lightning wallet:
+                </Text>
+                <WithdrawalAddressPicker
+                  addresses={addressBook.filter(a => a.network === 'LIGHTNING')}
+                  selectedKey={lightningKey?.key}
+                  onSelect={handleSelectAddress}
+                  loading={loadingAddressBook}
+                  error={addressBookError}
+                  onRetry={() => loadAddressBook()}
+                />
+              </>
             )}
           </View>
-        </View>
+        ) : (
+          <View style={styles.addressContainer}>
+            <Text style={styles.label}>Your Destination Wallet Address</Text>
+            <Text style={styles.addressNote}>
+              Ensure this is YOUR wallet address that YOU control:
+            </Text>
+            <View style={styles.addressWrapper}>
+              <Text style={styles.address}>{manualMode ? withdrawalData.address : destinationAddress}</Text>
+              {manualMode && (
+                <TouchableOpacity
+                  style={styles.addressCopyButton}
+                  onPress={() => copyToClipboard(withdrawalData.address, 'Address')}
+                >
+                  <Ionicons name="copy-outline" size={24} color={colors.primary} />
+                  <Text style={styles.copyButtonText}>Copy Address</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+
+            {!manualMode && hasAddressBook && (
+              <View style={styles.addressBook}>
+                <Text style={styles.label}>{exchangeName} Withdrawal Address</Text>
+                <Text style={styles.addressNote}>
+                  {requiresWithdrawalKey
+                    ? `${exchangeName} only withdraws to addresses saved in your account. Select the one for your wallet:`
+                    : `Or pick an address from your ${exchangeName} address book:`}
+                </Text>
+                <WithdrawalAddressPicker
+                  addresses={addressBook.filter(a => a.network !== 'LIGHTNING')}
+                  selectedKey={selectedAddress?.key}
+                  onSelect={handleSelectAddress}
+                  loading={loadingAddressBook}
+                  error={addressBookError}
+                  onRetry={() => loadAddressBook()}
+                  walletAddress={withdrawalData.address}
+                />
+                {selectedAddress && selectedAddress.address !== withdrawalData.address && (
+                  <Text style={styles.addressMismatch}>
+                    ⚠️ The selected address is not the wallet address in your settings. Double-check it before approving.
+                  </Text>
+                )}
+              </View>
+            )}
+          </View>
+        )}
       </View>
 
       {manualMode ? (
@@ -512,66 +763,13 @@ export default function WithdrawalApprovalScreen({ route, navigation }) {
       </View>
 
       {/* 2FA Verification Modal */}
-      <Modal
+      <SecurityCodeModal
         visible={show2FAModal}
-        animationType="slide"
-        transparent={true}
-        onRequestClose={handleClose2FAModal}
-      >
-        <View style={styles.modalOverlay}>
-          <View style={styles.modalContent}>
-            <View style={styles.modalHeader}>
-              <Text style={styles.modalTitle}>2FA Verification</Text>
-              <TouchableOpacity onPress={handleClose2FAModal}>
-                <Ionicons name="close" size={24} color={colors.text} />
-              </TouchableOpacity>
-            </View>
-
-            <View style={styles.modalIconContainer}>
-              <Ionicons name="shield-checkmark" size={48} color={colors.primary} />
-            </View>
-
-            <Text style={styles.modalDescription}>
-              Enter the 6-digit code from your authenticator app to proceed with this withdrawal.
-            </Text>
-
-            <TextInput
-              style={styles.codeInput}
-              value={twoFactorCode}
-              onChangeText={(text) => setTwoFactorCode(text.replace(/[^0-9]/g, '').slice(0, 6))}
-              keyboardType="number-pad"
-              placeholder="000000"
-              placeholderTextColor={colors.textTertiary}
-              maxLength={6}
-              textAlign="center"
-              autoFocus={true}
-            />
-
-            <View style={styles.modalActions}>
-              <TouchableOpacity
-                style={styles.modalCancelButton}
-                onPress={handleClose2FAModal}
-              >
-                <Text style={styles.modalCancelButtonText}>Cancel</Text>
-              </TouchableOpacity>
-              <TouchableOpacity
-                style={[
-                  styles.modalConfirmButton,
-                  verifying2FA && styles.modalButtonDisabled,
-                ]}
-                onPress={handle2FAVerification}
-                disabled={verifying2FA}
-              >
-                {verifying2FA ? (
-                  <ActivityIndicator color="#fff" />
-                ) : (
-                  <Text style={styles.modalConfirmButtonText}>Verify</Text>
-                )}
-              </TouchableOpacity>
-            </View>
-          </View>
-        </View>
-      </Modal>
+        twoFactorEnabled={true}
+        description="to proceed with this withdrawal"
+        onVerified={handle2FAVerified}
+        onClose={handleClose2FAModal}
+      />
     </ScrollView>
   );
 }
@@ -658,6 +856,59 @@ const createStyles = (colors) => StyleSheet.create({
     borderWidth: 2,
     borderColor: colors.primary,
   },
+  addressBook: {
+    marginTop: 16,
+  },
+  networkSelector: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  networkButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  networkButtonSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary,
+  },
+  networkButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  networkButtonTextSelected: {
+    color: colors.cardBackground,
+  },
+  networkWarning: {
+    fontSize: 13,
+    color: colors.warning,
+    paddingBottom: 12,
+  },
+  invoiceInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  invoiceError: {
+    marginTop: 8,
+    fontSize: 13,
+    color: colors.error,
+  },
+  invoiceSummary: {
+    marginTop: 8,
+  },
+  invoiceSummaryText: {
+    fontSize: 13,
+    color: colors.success,
+    marginBottom: 2,
+  },
+  addressMismatch: {
+    marginTop: 8,
+    fontSize: 13,
+    color: colors.warning,
+  },
   userControlCard: {
     backgroundColor: '#E3F2FD',
     margin: 20,
@@ -803,87 +1054,6 @@ const createStyles = (colors) => StyleSheet.create({
     marginBottom: 8,
     lineHeight: 20,
   },
-  // 2FA Modal styles
-  modalOverlay: {
-    flex: 1,
-    backgroundColor: 'rgba(0, 0, 0, 0.5)',
-    justifyContent: 'center',
-    alignItems: 'center',
-    padding: 20,
-  },
-  modalContent: {
-    backgroundColor: colors.cardBackground,
-    borderRadius: 16,
-    padding: 24,
-    width: '100%',
-    maxWidth: 400,
-  },
-  modalHeader: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    marginBottom: 16,
-  },
-  modalTitle: {
-    fontSize: 20,
-    fontWeight: 'bold',
-    color: colors.text,
-  },
-  modalIconContainer: {
-    alignItems: 'center',
-    marginBottom: 16,
-  },
-  modalDescription: {
-    fontSize: 14,
-    color: colors.textSecondary,
-    marginBottom: 20,
-    lineHeight: 20,
-    textAlign: 'center',
-  },
-  codeInput: {
-    fontSize: 28,
-    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
-    color: colors.text,
-    backgroundColor: colors.background,
-    padding: 16,
-    borderRadius: 12,
-    borderWidth: 2,
-    borderColor: colors.border,
-    letterSpacing: 12,
-    marginBottom: 20,
-  },
-  modalActions: {
-    flexDirection: 'row',
-    gap: 12,
-  },
-  modalCancelButton: {
-    flex: 1,
-    padding: 14,
-    borderRadius: 8,
-    borderWidth: 2,
-    borderColor: colors.border,
-    alignItems: 'center',
-  },
-  modalCancelButtonText: {
-    fontSize: 16,
-    fontWeight: '600',
-    color: colors.text,
-  },
-  modalConfirmButton: {
-    flex: 1,
-    padding: 14,
-    borderRadius: 8,
-    backgroundColor: colors.success,
-    alignItems: 'center',
-  },
-  modalConfirmButtonText: {
-    fontSize: 16,
-    fontWeight: '600',
-    color: '#fff',
-  },
-  modalButtonDisabled: {
-    opacity: 0.6,
-  },
 });
 
 WithdrawalApprovalScreen.propTypes = {
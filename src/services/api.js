@@ -25,12 +25,36 @@ api.interceptors.request.use(
   }
 );
 
+// Set when a request fails without any response (offline, DNS failure, timeout)
+let serverUnreachable = false;
+const reconnectListeners = new Set();
+
+/**
+ * Subscribe to the server becoming reachable again after a network failure
+ * @param {Function} listener - Called with no arguments on reconnect
+ * @returns {Function} Unsubscribe function
+ */
+export function onServerReconnect(listener) {
+  reconnectListeners.add(listener);
+  return () => reconnectListeners.delete(listener);
+}
+
 // Response interceptor to handle token refresh
 api.interceptors.response.use(
-  (response) => response,
+  (response) => {
+    if (serverUnreachable) {
+      serverUnreachable = false;
+      reconnectListeners.forEach(listener => listener());
+    }
+    return response;
+  },
   async (error) => {
     const originalRequest = error.config;
 
+    if (!error.response) {
+      serverUnreachable = true;
+    }
+
     // If 401 and we haven't retried yet, try to refresh the token
     if (error.response?.status === 401 && !originalRequest._retry) {
       originalRequest._retry = true;
@@ -269,6 +293,12 @@ export const dcaAPI = {
     return response.data;
   },
 
+  // Needs server support; until then the outbox keeps these reports queued
+  reportWithdrawalStatus: async (statusData) => {
+    const response = await api.post('/report-withdrawal-status', statusData);
+    return response.data;
+  },
+
   getPendingTrade: async () => {
     const response = await api.get('/pending-trade');
     return response.data;
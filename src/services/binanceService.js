@@ -1,62 +1,328 @@
 import CryptoJS from 'crypto-js';
 import storage from '../utils/storage';
 import { getBinancePair } from '../utils/currency';
+import { registerExchange } from './exchangeRegistry';
+import { registerTimeSource, getServerTime, invalidateServerTime } from './clockService';
+import { defineRateLimit, exchangeRequest, createExchangeError, reportRateLimited } from './exchangeHttp';
+import { EXCHANGE_ERROR_CODES, getErrorCode } from '../utils/exchangeErrors';
+import { createBalance, mergeBalances, valueBalances } from '../utils/balances';
 
 const BINANCE_API_URL = 'https://api.binance.com';
 
+// Timestamps come from the synced Binance clock, so a tight window is safe
+const RECV_WINDOW_MS = 5000;
+// Binance rejects requests whose timestamp is outside recvWindow with this code
+const TIMESTAMP_ERROR_CODE = -1021;
+const TOO_MANY_REQUESTS_CODE = -1003;
+
+// Stay below the 6000/min IP weight limit; /sapi endpoints are counted separately
+defineRateLimit('binance', { capacity: 5000, refillPerSecond: 100, usedWeightHeader: 'x-mbx-used-weight-1m' });
+defineRateLimit('binance_sapi', { capacity: 10000, refillPerSecond: 200, usedWeightHeader: 'x-sapi-used-ip-weight-1m' });
+
+// Request weights of the endpoints used here; anything not listed counts as 1
+const ENDPOINT_WEIGHTS = {
+  'GET /api/v3/account': 20,
+  'GET /api/v3/depth': 5, // limit 1-100
+  'GET /api/v3/exchangeInfo': 20,
+  'GET /api/v3/klines': 2,
+  'GET /api/v3/myTrades': 20,
+  'GET /api/v3/openOrders': 6, // single symbol
+  'GET /api/v3/order': 4,
+  'GET /api/v3/ticker/price': 4, // 2 for a single symbol, 4 for all
+  'GET /sapi/v1/capital/config/getall': 10,
+  'GET /sapi/v1/capital/withdraw/address/list': 10,
+};
+
+// Simple Earn flexible positions appear in the spot account as LD + asset (LDBTC);
+// these are real assets that happen to start with LD
+const LD_LISTED_ASSETS = new Set(['LDO']);
+
+registerTimeSource('binance', async () => {
+  const { data } = await binanceRequest('/api/v3/time');
+  return data.serverTime;
+});
+
+// Countries where Binance.com is available
+const BINANCE_COUNTRIES = new Set([
+  'AL', // Albania
+  'DZ', // Algeria
+  'AO', // Angola
+  'AI', // Anguilla
+  'AG', // Antigua and Barbuda
+  'AR', // Argentina
+  'AM', // Armenia
+  'AU', // Australia
+  'AT', // Austria
+  'AZ', // Azerbaijan
+  'BS', // Bahamas
+  'BH', // Bahrain
+  'BB', // Barbados
+  'BY', // Belarus
+  'BE', // Belgium
+  'BZ', // Belize
+  'BJ', // Benin
+  'BM', // Bermuda
+  'BT', // Bhutan
+  'BO', // Bolivia
+  'BA', // Bosnia and Herzegovina
+  'BW', // Botswana
+  'BR', // Brazil
+  'BN', // Brunei
+  'BG', // Bulgaria
+  'BF', // Burkina Faso
+  'CV', // Cabo Verde
+  'KH', // Cambodia
+  'CM', // Cameroon
+  'CA', // Canada
+  'KY', // Cayman Islands
+  'TD', // Chad
+  'CL', // Chile
+  'CO', // Colombia
+  'CD', // Congo (DRC)
+  'CG', // Congo
+  'CR', // Costa Rica
+  'CI', // Cote d'Ivoire
+  'HR', // Croatia
+  'CY', // Cyprus
+  'CZ', // Czechia
+  'DK', // Denmark
+  'DM', // Dominica
+  'DO', // Dominican Republic
+  'EC', // Ecuador
+  'SV', // El Salvador
+  'EE', // Estonia
+  'SZ', // Eswatini
+  'FJ', // Fiji
+  'FI', // Finland
+  'FR', // France
+  'GA', // Gabon
+  'GM', // Gambia
+  'GE', // Georgia
+  'DE', // Germany
+  'GH', // Ghana
+  'GR', // Greece
+  'GD', // Grenada
+  'GT', // Guatemala
+  'GW', // Guinea-Bissau
+  'GY', // Guyana
+  'HN', // Honduras
+  'HK', // Hong Kong
+  'HU', // Hungary
+  'IS', // Iceland
+  'ID', // Indonesia
+  'IQ', // Iraq
+  'IE', // Ireland
+  'IL', // Israel
+  'IT', // Italy
+  'JM', // Jamaica
+  'JP', // Japan
+  'JO', // Jordan
+  'KZ', // Kazakhstan
+  'KE', // Kenya
+  'KR', // South Korea
+  'XK', // Kosovo
+  'KW', // Kuwait
+  'KG', // Kyrgyzstan
+  'LA', // Laos
+  'LV', // Latvia
+  'LB', // Lebanon
+  'LR', // Liberia
+  'LY', // Libya
+  'LT', // Lithuania
+  'LU', // Luxembourg
+  'MO', // Macao
+  'MG', // Madagascar
+  'MW', // Malawi
+  'MV', // Maldives
+  'ML', // Mali
+  'MT', // Malta
+  'MR', // Mauritania
+  'MU', // Mauritius
+  'MX', // Mexico
+  'FM', // Micronesia
+  'MD', // Moldova
+  'MN', // Mongolia
+  'ME', // Montenegro
+  'MS', // Montserrat
+  'MZ', // Mozambique
+  'MM', // Myanmar
+  'NA', // Namibia
+  'NR', // Nauru
+  'NP', // Nepal
+  'NZ', // New Zealand
+  'NI', // Nicaragua
+  'NE', // Niger
+  'NG', // Nigeria
+  'NO', // Norway
+  'OM', // Oman
+  'PK', // Pakistan
+  'PW', // Palau
+  'PA', // Panama
+  'PG', // Papua New Guinea
+  'PY', // Paraguay
+  'PE', // Peru
+  'PH', // Philippines
+  'PL', // Poland
+  'PT', // Portugal
+  'QA', // Qatar
+  'MK', // North Macedonia
+  'RO', // Romania
+  'RU', // Russia
+  'RW', // Rwanda
+  'KN', // Saint Kitts and Nevis
+  'LC', // Saint Lucia
+  'VC', // Saint Vincent and the Grenadines
+  'ST', // Sao Tome and Principe
+  'SA', // Saudi Arabia
+  'SN', // Senegal
+  'RS', // Serbia
+  'SC', // Seychelles
+  'SL', // Sierra Leone
+  'SG', // Singapore
+  'SK', // Slovakia
+  'SI', // Slovenia
+  'SB', // Solomon Islands
+  'ZA', // South Africa
+  'ES', // Spain
+  'LK', // Sri Lanka
+  'SR', // Suriname
+  'SE', // Sweden
+  'CH', // Switzerland
+  'TW', // Taiwan
+  'TJ', // Tajikistan
+  'TZ', // Tanzania
+  'TH', // Thailand
+  'TO', // Tonga
+  'TT', // Trinidad and Tobago
+  'TN', // Tunisia
+  'TR', // Turkey
+  'TM', // Turkmenistan
+  'TC', // Turks and Caicos Islands
+  'UG', // Uganda
+  'UA', // Ukraine
+  'AE', // United Arab Emirates
+  'GB', // United Kingdom
+  'UY', // Uruguay
+  'UZ', // Uzbekistan
+  'VU', // Vanuatu
+  'VE', // Venezuela
+  'VN', // Vietnam
+  'VG', // British Virgin Islands
+  'YE', // Yemen
+  'ZM', // Zambia
+  'ZW', // Zimbabwe
+]);
+
 /**
- * Make a signed request to Binance SAPI (new API endpoints)
- * The library uses deprecated WAPI endpoints, so we need to make direct calls for some functions
+ * Map a Binance error code to an app error code
+ * @see https://developers.binance.com/docs/binance-spot-api-docs/errors
  */
-async function binanceSapiRequest(endpoint, params = {}, method = 'POST', userId) {
-  const apiKey = await storage.getItem(getStorageKey('binance_api_key', userId));
-  const apiSecret = await storage.getItem(getStorageKey('binance_api_secret', userId));
+function getBinanceErrorCode(data) {
+  switch (data.code) {
+    case TIMESTAMP_ERROR_CODE:
+      return EXCHANGE_ERROR_CODES.CLOCK_SKEW;
+    case TOO_MANY_REQUESTS_CODE:
+      return EXCHANGE_ERROR_CODES.RATE_LIMITED;
+    case -1022: // Signature not valid
+    case -2014: // API-key format invalid
+    case -2015: // Invalid API-key, IP, or permissions for action
+      return EXCHANGE_ERROR_CODES.INVALID_API_KEY;
+    case -1013: // Filter failure (minimum notional, lot size)
+    case -1111: // Precision over the maximum for this asset
+      return EXCHANGE_ERROR_CODES.AMOUNT_INVALID;
+    default:
+      // -2010 (new order rejected) and withdrawal errors share this message
+      return /insufficient balance/i.test(data.msg || '')
+        ? EXCHANGE_ERROR_CODES.INSUFFICIENT_FUNDS
+        : EXCHANGE_ERROR_CODES.UNKNOWN;
+  }
+}
 
-  if (!apiKey || !apiSecret) {
-    throw new Error('Binance API keys not found. Please configure them first.');
+/**
+ * Turn an error response body into a structured error
+ * Binance rejects these requests without executing them, so timestamp and
+ * rate limit errors can be retried.
+ */
+function getBinanceBodyError(data) {
+  if (!data?.code || data.code >= 0) {
+    return null;
   }
 
-  // Add timestamp and recvWindow
-  const timestamp = Date.now();
-  const queryParams = {
-    ...params,
-    timestamp,
-    recvWindow: 60000,
-  };
+  const errorCode = getBinanceErrorCode(data);
+  if (errorCode === EXCHANGE_ERROR_CODES.CLOCK_SKEW) {
+    invalidateServerTime('binance');
+  }
+  if (errorCode === EXCHANGE_ERROR_CODES.RATE_LIMITED) {
+    reportRateLimited('binance', 60000);
+  }
 
-  // Create query string
-  const queryString = Object.keys(queryParams)
-    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(queryParams[key])}`)
-    .join('&');
+  return createExchangeError('Binance', errorCode, data.msg || `Binance error code: ${data.code}`, {
+    code: data.code,
+    retryable: errorCode === EXCHANGE_ERROR_CODES.CLOCK_SKEW || errorCode === EXCHANGE_ERROR_CODES.RATE_LIMITED,
+    retryAfterMs: errorCode === EXCHANGE_ERROR_CODES.RATE_LIMITED ? 60000 : null,
+  });
+}
 
-  // Generate signature
-  const signature = CryptoJS.HmacSHA256(queryString, apiSecret).toString(CryptoJS.enc.Hex);
-  const signedQueryString = `${queryString}&signature=${signature}`;
+/**
+ * Send a request to the Binance API through the shared exchange HTTP layer
+ * Signed requests get a fresh timestamp and signature on every attempt.
+ * @param {string} endpoint - API path (e.g. '/api/v3/account')
+ * @param {Object} options - { method, params, apiKey, apiSecret, signal }
+ *   Requests are signed when apiSecret is given. Only GET requests are retried.
+ * @returns {Promise<{status: number, data: Object}>} Parsed response
+ * @throws {Error} Structured error (see getBinanceErrorCode) for Binance error responses
+ */
+async function binanceRequest(endpoint, { method = 'GET', params = {}, apiKey = null, apiSecret = null, signal = null } = {}) {
+  return exchangeRequest({
+    exchange: 'Binance',
+    method,
+    budget: endpoint.startsWith('/sapi/') ? 'binance_sapi' : 'binance',
+    weight: ENDPOINT_WEIGHTS[`${method} ${endpoint}`] || 1,
+    signal,
+    getBodyError: getBinanceBodyError,
+    prepare: async () => {
+      let queryParams = params;
+      if (apiSecret) {
+        queryParams = {
+          ...params,
+          timestamp: await getServerTime('binance'),
+          recvWindow: RECV_WINDOW_MS,
+        };
+      }
 
-  const url = `${BINANCE_API_URL}${endpoint}?${signedQueryString}`;
+      let queryString = Object.keys(queryParams)
+        .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(queryParams[key])}`)
+        .join('&');
 
-  const response = await fetch(url, {
-    method,
-    headers: {
-      'X-MBX-APIKEY': apiKey,
-      'Content-Type': 'application/x-www-form-urlencoded',
+      if (apiSecret) {
+        const signature = CryptoJS.HmacSHA256(queryString, apiSecret).toString(CryptoJS.enc.Hex);
+        queryString = `${queryString}&signature=${signature}`;
+      }
+
+      return {
+        url: `${BINANCE_API_URL}${endpoint}${queryString ? `?${queryString}` : ''}`,
+        headers: apiKey ? {
+          'X-MBX-APIKEY': apiKey,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        } : {},
+      };
     },
   });
+}
 
-  // Check if response is JSON
-  const contentType = response.headers.get('content-type');
-  if (!contentType || !contentType.includes('application/json')) {
-    const text = await response.text();
-    console.error('Binance API returned non-JSON response:', text.substring(0, 200));
-    throw new Error(`Binance API error: ${response.status} - received non-JSON response. Please try again.`);
-  }
-
-  const data = await response.json();
+/**
+ * Make a signed request to Binance SAPI (new API endpoints)
+ * The library uses deprecated WAPI endpoints, so we need to make direct calls for some functions
+ */
+async function binanceSapiRequest(endpoint, params = {}, method = 'POST', userId) {
+  const apiKey = await storage.getItem(getStorageKey('binance_api_key', userId));
+  const apiSecret = await storage.getItem(getStorageKey('binance_api_secret', userId));
 
-  if (data.code && data.code < 0) {
-    throw new Error(data.msg || `Binance error code: ${data.code}`);
+  if (!apiKey || !apiSecret) {
+    throw new Error('Binance API keys not found. Please configure them first.');
   }
 
+  const { data } = await binanceRequest(endpoint, { method, params, apiKey, apiSecret });
   return data;
 }
 
@@ -138,16 +404,95 @@ export async function executeWithdrawal(address, amount, network = 'BTC', userId
     return {
       success: false,
       error: errorMsg,
+      errorCode: getErrorCode(error),
     };
   }
 }
 
+// Binance withdraw history status codes
+const WITHDRAWAL_STATUS = {
+  0: 'pending', // Email sent
+  1: 'cancelled',
+  2: 'pending', // Awaiting approval
+  3: 'failed', // Rejected
+  4: 'processing',
+  5: 'failed',
+  6: 'completed',
+};
+
+/**
+ * Get the status of a withdrawal
+ * @param {string} withdrawalId - Withdrawal id returned by executeWithdrawal
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: {status: string, txid: string|null, fee: number|null}}>}
+ */
+export async function getWithdrawalStatus(withdrawalId, userId) {
+  try {
+    const history = await binanceSapiRequest(
+      '/sapi/v1/capital/withdraw/history',
+      { coin: 'BTC', idList: withdrawalId },
+      'GET',
+      userId
+    );
+    const withdrawal = history.find(w => String(w.id) === String(withdrawalId));
+    if (!withdrawal) {
+      return { success: false, error: 'Withdrawal not found on Binance' };
+    }
+
+    return {
+      success: true,
+      data: {
+        status: WITHDRAWAL_STATUS[withdrawal.status] || 'pending',
+        txid: withdrawal.txId || null,
+        fee: withdrawal.transactionFee !== undefined ? parseFloat(withdrawal.transactionFee) : null,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get the current price of assets in a currency
+ * Uses the asset's market in the pair's quote asset, or its BTC market.
+ * @param {string[]} assets - Canonical asset codes
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @returns {Promise<Object<string, number>>} Price per asset; assets without a market are left out
+ */
+async function getAssetPrices(assets, currency) {
+  const quoteAsset = getBinancePair(currency).slice(3);
+  // All tickers at once; a symbols list fails entirely if one of the pairs does not exist
+  const { data } = await binanceRequest('/api/v3/ticker/price');
+  const tickers = new Map(data.map(ticker => [ticker.symbol, parseFloat(ticker.price)]));
+  const btcPrice = tickers.get(`BTC${quoteAsset}`);
+
+  const prices = {};
+  assets.forEach(asset => {
+    if (asset === quoteAsset || asset === currency) {
+      prices[asset] = 1;
+    } else if (tickers.has(`${asset}${quoteAsset}`)) {
+      prices[asset] = tickers.get(`${asset}${quoteAsset}`);
+    } else if (tickers.has(`${quoteAsset}${asset}`)) {
+      prices[asset] = 1 / tickers.get(`${quoteAsset}${asset}`);
+    } else if (btcPrice && tickers.has(`${asset}BTC`)) {
+      prices[asset] = tickers.get(`${asset}BTC`) * btcPrice;
+    }
+  });
+  return prices;
+}
+
 /**
  * Get account balances using direct API call
+ * Simple Earn positions (LD assets) are reported as staked under the asset itself.
  * @param {string} userId - User ID for namespaced key storage
- * @returns {Promise<Object>} Account info with balances
+ * @param {string} currency - Optional currency code to value the balances in
+ * @returns {Promise<{success: boolean, data: Array<import('../utils/balances').Balance>}>}
  */
-export async function getAccountBalances(userId) {
+export async function getAccountBalances(userId, currency = null) {
   const apiKey = await storage.getItem(getStorageKey('binance_api_key', userId));
   const apiSecret = await storage.getItem(getStorageKey('binance_api_secret', userId));
 
@@ -155,70 +500,34 @@ export async function getAccountBalances(userId) {
     return {
       success: false,
       error: 'Binance API keys not found. Please configure them first.',
+      errorCode: EXCHANGE_ERROR_CODES.KEYS_MISSING,
     };
   }
 
   try {
     // Use direct API call instead of library for better error handling
-    const timestamp = Date.now();
-    const queryParams = {
-      timestamp,
-      recvWindow: 60000,
-    };
-
-    const queryString = Object.keys(queryParams)
-      .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(queryParams[key])}`)
-      .join('&');
+    const { status, data } = await binanceRequest('/api/v3/account', { apiKey, apiSecret });
+    console.log('[Binance] Account API response status:', status);
 
-    const signature = CryptoJS.HmacSHA256(queryString, apiSecret).toString(CryptoJS.enc.Hex);
-    const signedQueryString = `${queryString}&signature=${signature}`;
-
-    const url = `${BINANCE_API_URL}/api/v3/account?${signedQueryString}`;
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'X-MBX-APIKEY': apiKey,
-      },
-    });
-
-    // Log response details for debugging
-    const responseText = await response.text();
-    console.log('[Binance] Account API response status:', response.status);
-    console.log('[Binance] Account API response length:', responseText.length);
-
-    if (!responseText || responseText.length === 0) {
-      console.error('[Binance] Empty response received');
-      return {
-        success: false,
-        error: 'Binance returned an empty response. This usually indicates your IP is blocked or there are network issues. Please check your VPN connection and IP whitelist.',
-      };
-    }
-
-    // Try to parse JSON
-    let data;
-    try {
-      data = JSON.parse(responseText);
-    } catch (parseError) {
-      console.error('[Binance] Failed to parse response:', responseText.substring(0, 500));
-      return {
-        success: false,
-        error: `Binance returned invalid response (status ${response.status}). This may indicate IP blocking or API issues.`,
-      };
-    }
+    let balances = mergeBalances(data.balances.map(b => {
+      if (b.asset.startsWith('LD') && !LD_LISTED_ASSETS.has(b.asset)) {
+        return createBalance(b.asset.slice(2), { staked: parseFloat(b.free) + parseFloat(b.locked) });
+      }
+      return createBalance(b.asset, { free: b.free, locked: b.locked });
+    }));
 
-    // Check for API error
-    if (data.code && data.code < 0) {
-      console.error('[Binance] API error:', data);
-      return {
-        success: false,
-        error: data.msg || `Binance error code: ${data.code}`,
-      };
+    if (currency) {
+      try {
+        balances = valueBalances(balances, await getAssetPrices(balances.map(b => b.asset), currency));
+      } catch (error) {
+        // Balances are still useful without values
+        console.error('[Binance] Failed to value balances:', error.message);
+      }
     }
 
     return {
       success: true,
-      data: data.balances.filter(b => parseFloat(b.free) > 0 || parseFloat(b.locked) > 0),
+      data: balances,
     };
   } catch (error) {
     const errorMsg = error.message || error.toString();
@@ -226,6 +535,73 @@ export async function getAccountBalances(userId) {
     return {
       success: false,
       error: `Connection failed: ${errorMsg}`,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get the permissions granted to the stored API key
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: {canRead: boolean, canTrade: boolean, canWithdraw: boolean,
+ *   canTransfer: boolean, canTradeDerivatives: boolean, ipRestricted: boolean}}>}
+ */
+export async function getKeyPermissions(userId) {
+  try {
+    const restrictions = await binanceSapiRequest('/sapi/v1/account/apiRestrictions', {}, 'GET', userId);
+
+    return {
+      success: true,
+      data: {
+        canRead: !!restrictions.enableReading,
+        canTrade: !!restrictions.enableSpotAndMarginTrading,
+        canWithdraw: !!restrictions.enableWithdrawals,
+        canTransfer: !!(restrictions.enableInternalTransfer || restrictions.permitsUniversalTransfer),
+        canTradeDerivatives: !!(restrictions.enableMargin || restrictions.enableFutures || restrictions.enableVanillaOptions),
+        ipRestricted: !!restrictions.ipRestrict,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get the BTC addresses in the Binance withdrawal address book
+ * Binance withdraws to raw addresses, so the key is the address itself.
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: Array<{key: string, address: string, label: string, network: string, verified: boolean}>}>}
+ */
+export async function getWithdrawalAddresses(userId) {
+  try {
+    const addresses = await binanceSapiRequest(
+      '/sapi/v1/capital/withdraw/address/list',
+      {},
+      'GET',
+      userId
+    );
+
+    return {
+      success: true,
+      data: addresses
+        .filter(entry => entry.coin === 'BTC' && (!entry.network || entry.network === 'BTC'))
+        .map(entry => ({
+          key: entry.address,
+          address: entry.address,
+          label: entry.name || 'Address book',
+          network: 'BTC',
+          verified: !!entry.whiteStatus, // On the withdrawal whitelist
+        })),
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
     };
   }
 }
@@ -267,17 +643,319 @@ export async function getWithdrawalFee(userId) {
   }
 }
 
+// Withdrawal networks the app supports, in display order
+const WITHDRAWAL_NETWORKS = ['BTC', 'LIGHTNING'];
+
+/**
+ * Get BTC withdrawal networks with their fees and minimums
+ * Uses /sapi/v1/capital/config/getall
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: Array<{network: string, name: string, fee: number, minimum: number, enabled: boolean}>}>}
+ */
+export async function getWithdrawalNetworks(userId) {
+  try {
+    const coins = await binanceSapiRequest(
+      '/sapi/v1/capital/config/getall',
+      {},
+      'GET',
+      userId
+    );
+
+    const btcInfo = coins.find(c => c.coin === 'BTC');
+    const networks = (btcInfo?.networkList || [])
+      .filter(n => WITHDRAWAL_NETWORKS.includes(n.network))
+      .sort((a, b) => WITHDRAWAL_NETWORKS.indexOf(a.network) - WITHDRAWAL_NETWORKS.indexOf(b.network))
+      .map(n => ({
+        network: n.network,
+        name: n.network === 'LIGHTNING' ? 'Lightning' : 'Bitcoin (BTC)',
+        fee: parseFloat(n.withdrawFee),
+        minimum: parseFloat(n.withdrawMin),
+        enabled: !!n.withdrawEnable,
+      }));
+
+    return {
+      success: true,
+      data: networks,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get the current BTC price for a currency (public endpoint)
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @returns {Promise<number>} Last traded price
+ */
+export async function getCurrentPrice(currency = 'EUR') {
+  const symbol = getBinancePair(currency);
+  const { data } = await binanceRequest('/api/v3/ticker/price', { params: { symbol } });
+  return parseFloat(data.price);
+}
+
+/**
+ * Get the BTC order book for a currency (public endpoint)
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {number} limit - Price levels per side (max 100)
+ * @returns {Promise<{success: boolean, data: {asks: Array<{price: number, amount: number}>, bids: Array<{price: number, amount: number}>}}>}
+ *   asks ascending and bids descending by price; amounts in BTC
+ */
+export async function getOrderBook(currency = 'EUR', limit = 100) {
+  try {
+    const symbol = getBinancePair(currency);
+    const { data } = await binanceRequest('/api/v3/depth', { params: { symbol, limit } });
+    const toLevels = levels => levels.map(([price, amount]) => ({
+      price: parseFloat(price),
+      amount: parseFloat(amount),
+    }));
+    return {
+      success: true,
+      data: {
+        asks: toLevels(data.asks),
+        bids: toLevels(data.bids),
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get trading fees for the account's fee tier on a pair
+ * Rates reflect the VIP tier; the BNB discount is applied by Binance when the commission is charged.
+ * @param {string} userId - User ID for namespaced key storage
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @returns {Promise<{success: boolean, data: {makerFee: number, takerFee: number}}>}
+ */
+export async function getTradingFees(userId, currency = 'EUR') {
+  try {
+    const symbol = getBinancePair(currency);
+    const fees = await binanceSapiRequest('/sapi/v1/asset/tradeFee', { symbol }, 'GET', userId);
+    const fee = fees.find(f => f.symbol === symbol);
+    if (!fee) {
+      throw new Error(`No fee tier reported for ${symbol}`);
+    }
+    return {
+      success: true,
+      data: {
+        // Binance returns rates as fractions (0.001 = 0.1%)
+        makerFee: parseFloat(fee.makerCommission) * 100,
+        takerFee: parseFloat(fee.takerCommission) * 100,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get exchange and market status for pre-trade checks (public endpoints)
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @returns {Promise<{success: boolean, data: {exchangeOnline: boolean, exchangeStatus: string, pairTradeable: boolean, pairStatus: string, quoteAsset: string, minOrderValue: number, feesIncludedInAmount: boolean}}>}
+ */
+export async function getMarketStatus(currency = 'EUR') {
+  try {
+    const symbol = getBinancePair(currency);
+    const [{ data: system }, { data: exchangeInfo }] = await Promise.all([
+      binanceRequest('/sapi/v1/system/status'),
+      binanceRequest('/api/v3/exchangeInfo', { params: { symbol } }),
+    ]);
+
+    const symbolInfo = exchangeInfo.symbols.find(s => s.symbol === symbol);
+    const notionalFilter = symbolInfo?.filters.find(f => f.filterType === 'NOTIONAL');
+
+    return {
+      success: true,
+      data: {
+        // 0: normal, 1: system maintenance
+        exchangeOnline: system.status === 0,
+        exchangeStatus: system.msg || (system.status === 0 ? 'normal' : 'maintenance'),
+        pairTradeable: symbolInfo?.status === 'TRADING',
+        pairStatus: symbolInfo?.status || 'unavailable',
+        // BTCUSDT is used for USD, so the balance to check is USDT
+        quoteAsset: symbolInfo?.quoteAsset || currency,
+        minOrderValue: notionalFilter ? parseFloat(notionalFilter.minNotional) : 5,
+        // The trading fee is taken from the BTC received, not from the fiat balance
+        feesIncludedInAmount: true,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+// Candle prices by symbol and minute, so history imports value each minute once
+const candlePrices = new Map();
+
+/**
+ * Get the price of a symbol in the 1-minute candle containing a point in time
+ * @param {string} symbol - Binance symbol (e.g. 'BNBEUR')
+ * @param {number} time - Time in milliseconds
+ * @returns {Promise<number>} Close price of the candle
+ */
+async function getPriceAt(symbol, time) {
+  const minute = Math.floor(time / 60000) * 60000;
+  const cacheKey = `${symbol}:${minute}`;
+  if (!candlePrices.has(cacheKey)) {
+    const { data } = await binanceRequest('/api/v3/klines', {
+      params: { symbol, interval: '1m', startTime: minute, limit: 1 },
+    });
+    if (!data.length) {
+      throw new Error(`No ${symbol} price at ${new Date(minute).toISOString()}`);
+    }
+    candlePrices.set(cacheKey, parseFloat(data[0][4]));
+  }
+  return candlePrices.get(cacheKey);
+}
+
+/**
+ * Convert a commission to fiat at the price when the order filled
+ * Assets without a market in the quote currency (e.g. BNB/GBP) are valued via
+ * their BTC market and the BTC fill price.
+ * @param {string} asset - Commission asset (e.g. 'BNB')
+ * @param {number} amount - Commission amount in that asset
+ * @param {string} quoteAsset - Quote asset of the BTC pair (e.g. 'EUR', 'USDT')
+ * @param {number} btcPrice - Average BTC fill price in the quote asset
+ * @param {number} time - Fill time in milliseconds
+ * @returns {Promise<number>} Commission value in the quote asset
+ */
+async function getCommissionValue(asset, amount, quoteAsset, btcPrice, time) {
+  if (asset === quoteAsset) {
+    return amount;
+  }
+  if (asset === 'BTC') {
+    return amount * btcPrice;
+  }
+  try {
+    return amount * await getPriceAt(`${asset}${quoteAsset}`, time);
+  } catch (error) {
+    return amount * await getPriceAt(`${asset}BTC`, time) * btcPrice;
+  }
+}
+
+/**
+ * Build the buy result from an order and its fills
+ * Order responses and myTrades entries share the qty/price/commission fill shape.
+ * Commissions are reported per asset with their fiat value at fill time.
+ * @param {Object} order - Binance order (POST /api/v3/order response or GET /api/v3/order)
+ * @param {Array} fills - Fills for the order (may be empty)
+ * @param {string} currency - Currency code
+ * @returns {Promise<{totalBtc: number, data: Object}>} Gross BTC filled and the result data
+ */
+async function summarizeBuy(order, fills, currency) {
+  // Calculate actual execution details from fills
+  let totalBtc = 0;
+  let totalFiat = 0;
+  const commissions = new Map();
+
+  if (fills && fills.length > 0) {
+    fills.forEach(fill => {
+      totalBtc += parseFloat(fill.qty);
+      totalFiat += parseFloat(fill.price) * parseFloat(fill.qty);
+      const commission = parseFloat(fill.commission);
+      if (commission > 0) {
+        commissions.set(fill.commissionAsset, (commissions.get(fill.commissionAsset) || 0) + commission);
+      }
+    });
+  } else {
+    // Fallback to order-level data if fills not available
+    totalBtc = parseFloat(order.executedQty);
+    totalFiat = parseFloat(order.cummulativeQuoteQty);
+  }
+
+  // Calculate average execution price
+  const avgPrice = totalFiat / totalBtc;
+  const time = order.transactTime || order.updateTime || order.time;
+
+  // Net BTC is only reduced if fees were paid in BTC
+  // If fees paid in BNB, totalFeesBtc will be 0 and netBtc = totalBtc (you keep all BTC)
+  const totalFeesBtc = commissions.get('BTC') || 0;
+  const netBtc = totalBtc - totalFeesBtc;
+
+  // The BTC pair's quote asset (BTCUSDT is used for USD)
+  const quoteAsset = getBinancePair(currency).slice(3);
+  let feeEstimated = false;
+  const fees = await Promise.all([...commissions.entries()].map(async ([asset, amount]) => {
+    try {
+      return { asset, amount, fiatValue: await getCommissionValue(asset, amount, quoteAsset, avgPrice, time) };
+    } catch (error) {
+      // The order went through either way; estimate at the default 0.1% rather than fail
+      console.error(`[Binance] Failed to value ${asset} commission:`, error.message);
+      feeEstimated = true;
+      return { asset, amount, fiatValue: null };
+    }
+  }));
+
+  const tradingFeeInFiat = feeEstimated
+    ? totalFiat * 0.001
+    : fees.reduce((sum, fee) => sum + fee.fiatValue, 0);
+
+  return {
+    totalBtc,
+    data: {
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      btcAmount: netBtc, // Net BTC after fee (if fee paid in BTC) or total BTC (if fee paid in BNB)
+      fiatSpent: totalFiat,
+      currency: currency,
+      avgPrice: avgPrice,
+      tradingFee: tradingFeeInFiat, // Fee in fiat at fill-time prices
+      tradingFeeBtc: totalFeesBtc, // Fee in BTC (0 if paid in BNB)
+      feesPaidInBnb: commissions.has('BNB'), // True if fees were paid using BNB
+      // Exact commission; MIXED if it was charged in more than one asset (see fees)
+      feeAsset: fees.length > 1 ? 'MIXED' : (fees[0]?.asset || null),
+      feeAmount: fees.length === 1 ? fees[0].amount : null,
+      fees,
+      feeEstimated,
+      timestamp: new Date(time).toISOString(),
+      fills: fills,
+      // Keep eurSpent for backward compatibility with older mobile app versions
+      eurSpent: totalFiat,
+    },
+  };
+}
+
 /**
  * Execute market buy order for BTC using direct API calls
- * Buys BTC using a fixed fiat amount in the specified currency
+ * Buys BTC for a fiat amount in the specified currency. By default the BTC
+ * quantity is worked out from the current price and floored to the lot size.
+ * In exact-fiat mode the order uses quoteOrderQty, so the fiat spent matches the
+ * scheduled amount. Fees are taken from the BTC received (or from BNB), never on
+ * top of the fiat amount.
+ *
+ * With a max slippage set, a LIMIT IOC order at quote × (1 + tolerance) is
+ * placed instead; the result reports partial fills and the unfilled remainder.
  *
  * @param {number} fiatAmount - Amount in fiat currency to spend (e.g., 35)
  * @param {number} _tradingFeePercent - Trading fee percentage (unused - Binance deducts automatically)
  * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
  * @param {string} userId - User ID for namespaced key storage
+ * @param {Object} options - Optional slippage guard and exact-fiat mode
+ * @param {number} options.quotePrice - Price quoted to the user (fetched if omitted)
+ * @param {number} options.maxSlippagePercent - Max % above the quote to pay (0 = plain market order)
+ * @param {boolean} options.exactFiat - Spend exactly fiatAmount with quoteOrderQty (plain market orders only)
+ * @param {string} options.clientOrderId - Client order id to tag the order with (newClientOrderId)
  * @returns {Promise<Object>} Order result with execution details
  */
-export async function executeMarketBuy(fiatAmount, _tradingFeePercent = 0.1, currency = 'EUR', userId) {
+export async function executeMarketBuy(fiatAmount, _tradingFeePercent = 0.1, currency = 'EUR', userId, options = {}) {
+  const { quotePrice = null, maxSlippagePercent = 0, exactFiat = false, clientOrderId = null } = options;
+
   const apiKey = await storage.getItem(getStorageKey('binance_api_key', userId));
   const apiSecret = await storage.getItem(getStorageKey('binance_api_secret', userId));
 
@@ -285,6 +963,7 @@ export async function executeMarketBuy(fiatAmount, _tradingFeePercent = 0.1, cur
     return {
       success: false,
       error: 'Binance API keys not found. Please configure them first.',
+      errorCode: EXCHANGE_ERROR_CODES.KEYS_MISSING,
     };
   }
 
@@ -292,153 +971,634 @@ export async function executeMarketBuy(fiatAmount, _tradingFeePercent = 0.1, cur
     // Get the Binance trading pair for this currency
     const symbol = getBinancePair(currency);
 
-    // Get current BTC price (public endpoint)
-    const priceRes = await fetch(`${BINANCE_API_URL}/api/v3/ticker/price?symbol=${symbol}`);
-    const priceData = await priceRes.json();
-    if (priceData.code && priceData.code < 0) {
-      return { success: false, error: priceData.msg || 'Failed to get price' };
-    }
-    const currentPrice = parseFloat(priceData.price);
-
     // Get symbol info (public endpoint)
-    const infoRes = await fetch(`${BINANCE_API_URL}/api/v3/exchangeInfo?symbol=${symbol}`);
-    const exchangeInfo = await infoRes.json();
-    if (exchangeInfo.code && exchangeInfo.code < 0) {
-      return { success: false, error: exchangeInfo.msg || 'Failed to get exchange info' };
-    }
+    const { data: exchangeInfo } = await binanceRequest('/api/v3/exchangeInfo', { params: { symbol } });
     const symbolInfo = exchangeInfo.symbols.find(s => s.symbol === symbol);
 
-    // Find LOT_SIZE filter to get step size (quantity precision)
-    const lotSizeFilter = symbolInfo.filters.find(f => f.filterType === 'LOT_SIZE');
-    const stepSize = parseFloat(lotSizeFilter.stepSize);
-
     // Find NOTIONAL filter to get minimum order value
     const notionalFilter = symbolInfo.filters.find(f => f.filterType === 'NOTIONAL');
     const minNotional = notionalFilter ? parseFloat(notionalFilter.minNotional) : 5;
 
-    // Check if order meets minimum notional value
-    if (fiatAmount < minNotional) {
-      return {
-        success: false,
-        error: `Order value ${fiatAmount} ${currency} is below Binance minimum of ${minNotional} ${currency}. Please increase your DCA amount.`,
+    let orderParams;
+    let guard = null;
+
+    if (maxSlippagePercent > 0) {
+      // Slippage guard: LIMIT IOC at quote × (1 + tolerance).
+      // Anything that cannot fill at or below the ceiling is cancelled instead of filling at a worse price.
+      const quote = quotePrice || await getCurrentPrice(currency);
+
+      const lotSizeFilter = symbolInfo.filters.find(f => f.filterType === 'LOT_SIZE');
+      const stepSize = parseFloat(lotSizeFilter.stepSize);
+      const quantityPrecision = Math.round(Math.abs(Math.log10(stepSize)));
+
+      const priceFilter = symbolInfo.filters.find(f => f.filterType === 'PRICE_FILTER');
+      const tickSize = parseFloat(priceFilter.tickSize);
+      const pricePrecision = Math.round(Math.abs(Math.log10(tickSize)));
+
+      const limitPrice = Math.floor((quote * (1 + maxSlippagePercent / 100)) / tickSize) * tickSize;
+      // Size the order at the quoted price, as shown to the user
+      const quantity = Math.floor((fiatAmount / quote) / stepSize) * stepSize;
+
+      if (quantity * quote < minNotional) {
+        return {
+          success: false,
+          error: `Order value ${fiatAmount} ${currency} is below Binance minimum of ${minNotional} ${currency}. Please increase your DCA amount.`,
+          errorCode: EXCHANGE_ERROR_CODES.AMOUNT_INVALID,
+        };
+      }
+
+      guard = { quote, limitPrice, requestedBtc: parseFloat(quantity.toFixed(quantityPrecision)) };
+      orderParams = {
+        symbol,
+        side: 'BUY',
+        type: 'LIMIT',
+        timeInForce: 'IOC',
+        quantity: quantity.toFixed(quantityPrecision),
+        price: limitPrice.toFixed(pricePrecision),
+      };
+    } else if (exactFiat) {
+      if (symbolInfo.quoteOrderQtyMarketAllowed === false) {
+        return {
+          success: false,
+          error: `Binance does not currently accept ${currency} amount orders for ${symbol}. Please try again later.`,
+        };
+      }
+
+      // Quote amounts are limited to the quote asset precision (e.g. 8 decimals)
+      const quotePrecision = symbolInfo.quoteAssetPrecision ?? symbolInfo.quotePrecision ?? 2;
+      const quoteQty = Math.floor(fiatAmount * Math.pow(10, quotePrecision)) / Math.pow(10, quotePrecision);
+
+      // Check if order meets minimum notional value
+      // With quoteOrderQty the order value is exactly the fiat amount, so no rounding re-check is needed
+      if (quoteQty < minNotional) {
+        return {
+          success: false,
+          error: `Order value ${fiatAmount} ${currency} is below Binance minimum of ${minNotional} ${currency}. Please increase your DCA amount.`,
+          errorCode: EXCHANGE_ERROR_CODES.AMOUNT_INVALID,
+        };
+      }
+
+      // quoteOrderQty spends exactly this much fiat; Binance works out the BTC quantity at fill time
+      orderParams = {
+        symbol,
+        side: 'BUY',
+        type: 'MARKET',
+        quoteOrderQty: quoteQty.toFixed(quotePrecision),
+      };
+    } else {
+      const currentPrice = await getCurrentPrice(currency);
+
+      // Find LOT_SIZE filter to get step size (quantity precision)
+      const lotSizeFilter = symbolInfo.filters.find(f => f.filterType === 'LOT_SIZE');
+      const stepSize = parseFloat(lotSizeFilter.stepSize);
+      const precision = Math.round(Math.abs(Math.log10(stepSize)));
+
+      // Round down to the correct precision
+      const quantity = Math.floor((fiatAmount / currentPrice) / stepSize) * stepSize;
+
+      // Check the notional value after rounding
+      const orderValue = quantity * currentPrice;
+      if (orderValue < minNotional) {
+        return {
+          success: false,
+          error: `Order value ${orderValue.toFixed(2)} ${currency} is below Binance minimum of ${minNotional} ${currency} after rounding. Please increase your DCA amount slightly.`,
+          errorCode: EXCHANGE_ERROR_CODES.AMOUNT_INVALID,
+        };
+      }
+
+      orderParams = {
+        symbol,
+        side: 'BUY',
+        type: 'MARKET',
+        quantity: quantity.toFixed(precision),
       };
     }
 
-    // Calculate precision from step size (e.g., 0.00001 = 5 decimals)
-    const precision = Math.abs(Math.log10(stepSize));
+    // Deterministic client order id lets an interrupted submission be looked up later
+    if (clientOrderId) {
+      orderParams.newClientOrderId = clientOrderId;
+    }
 
-    // Calculate BTC quantity to buy
-    const rawQuantity = fiatAmount / currentPrice;
+    // Execute buy order (authenticated endpoint)
+    // Never retried: if the outcome is unknown, trade recovery looks the order up by its client id
+    const { data: order } = await binanceRequest('/api/v3/order', {
+      method: 'POST',
+      params: orderParams,
+      apiKey,
+      apiSecret,
+    });
 
-    // Round down to the correct precision
-    const quantity = Math.floor(rawQuantity * Math.pow(10, precision)) / Math.pow(10, precision);
+    const { totalBtc, data } = await summarizeBuy(order, order.fills, currency);
 
-    // Double-check the notional value after rounding
-    const orderValue = quantity * currentPrice;
-    if (orderValue < minNotional) {
+    if (guard && totalBtc === 0) {
       return {
         success: false,
-        error: `Order value ${orderValue.toFixed(2)} ${currency} is below Binance minimum of ${minNotional} ${currency} after rounding. Please increase your DCA amount slightly.`,
+        error: `Price moved more than ${maxSlippagePercent}% above the quoted ${guard.quote.toFixed(2)} ${currency}. Nothing was bought.`,
       };
     }
 
-    // Execute market buy order (authenticated endpoint)
-    const timestamp = Date.now();
-    const orderParams = {
-      symbol,
-      side: 'BUY',
-      type: 'MARKET',
-      quantity: quantity.toFixed(precision),
-      timestamp,
-      recvWindow: 60000,
+    return {
+      success: true,
+      data: {
+        ...data,
+        // Slippage guard details (null for plain market orders)
+        limitPrice: guard ? guard.limitPrice : null,
+        requestedBtc: guard ? guard.requestedBtc : null,
+        unfilledBtc: guard ? Math.max(guard.requestedBtc - totalBtc, 0) : 0,
+        partialFill: !!guard && totalBtc < guard.requestedBtc,
+      },
     };
+  } catch (error) {
+    const errorMsg = error.message || error.toString();
+    console.error('[Binance] Market buy error:', errorMsg);
+    return {
+      success: false,
+      error: `Order failed: ${errorMsg}`,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
 
-    const queryString = Object.keys(orderParams)
-      .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(orderParams[key])}`)
-      .join('&');
+/**
+ * Look up a buy order by the client order id it was submitted with
+ * Used to recover trades whose submission was interrupted
+ * @param {string} clientOrderId - Client order id passed to executeMarketBuy
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: Object|null, error?: string}>} data is null if nothing was bought
+ */
+export async function getOrderByClientId(clientOrderId, currency = 'EUR', userId) {
+  const symbol = getBinancePair(currency);
+  try {
+    let order;
+    try {
+      order = await binanceSapiRequest('/api/v3/order', { symbol, origClientOrderId: clientOrderId }, 'GET', userId);
+    } catch (error) {
+      // -2013: Order does not exist
+      if (error.message && error.message.includes('does not exist')) {
+        return { success: true, data: null };
+      }
+      throw error;
+    }
 
-    const signature = CryptoJS.HmacSHA256(queryString, apiSecret).toString(CryptoJS.enc.Hex);
-    const signedQueryString = `${queryString}&signature=${signature}`;
+    if (order.status === 'NEW' || order.status === 'PARTIALLY_FILLED') {
+      return { success: false, error: 'Order is still open on Binance' };
+    }
 
-    const orderRes = await fetch(`${BINANCE_API_URL}/api/v3/order?${signedQueryString}`, {
-      method: 'POST',
-      headers: {
-        'X-MBX-APIKEY': apiKey,
-      },
-    });
+    if (parseFloat(order.executedQty) === 0) {
+      return { success: true, data: null };
+    }
+
+    // Order lookups carry no commission details, so fetch the trades for this order
+    const trades = await binanceSapiRequest('/api/v3/myTrades', { symbol, orderId: order.orderId }, 'GET', userId);
+    const { data } = await summarizeBuy(order, trades, currency);
+    return { success: true, data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
 
-    const orderText = await orderRes.text();
-    if (!orderText || orderText.length === 0) {
+// Binance order statuses mapped to limit order states; anything else is still open
+const LIMIT_ORDER_STATUSES = {
+  FILLED: 'filled',
+  CANCELED: 'cancelled',
+  PENDING_CANCEL: 'cancelled',
+  REJECTED: 'cancelled',
+  EXPIRED: 'expired',
+  EXPIRED_IN_MATCH: 'expired',
+};
+
+/**
+ * Place a resting limit buy (LIMIT GTC)
+ * The BTC quantity is sized so that quantity × price stays within the fiat amount;
+ * Binance takes the fee from the BTC received, as with market buys.
+ * Binance spot has no expiry time, so expiring the order is up to the caller.
+ *
+ * @param {number} fiatAmount - Amount in fiat currency to spend at the limit price
+ * @param {number} limitPrice - Highest price to pay per BTC
+ * @param {number} _tradingFeePercent - Unused; the fee is taken from the BTC received
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @param {Object} options
+ * @param {string} options.clientOrderId - Client order id to tag the order with (newClientOrderId)
+ * @returns {Promise<{success: boolean, data: {orderId: string, limitPrice: number, btcAmount: number, timestamp: string}}>}
+ */
+export async function placeLimitBuy(fiatAmount, limitPrice, _tradingFeePercent = 0.1, currency = 'EUR', userId, options = {}) {
+  const { clientOrderId = null } = options;
+  try {
+    const symbol = getBinancePair(currency);
+    const { data: exchangeInfo } = await binanceRequest('/api/v3/exchangeInfo', { params: { symbol } });
+    const symbolInfo = exchangeInfo.symbols.find(s => s.symbol === symbol);
+
+    const notionalFilter = symbolInfo.filters.find(f => f.filterType === 'NOTIONAL');
+    const minNotional = notionalFilter ? parseFloat(notionalFilter.minNotional) : 5;
+
+    const lotSizeFilter = symbolInfo.filters.find(f => f.filterType === 'LOT_SIZE');
+    const stepSize = parseFloat(lotSizeFilter.stepSize);
+    const quantityPrecision = Math.round(Math.abs(Math.log10(stepSize)));
+
+    const priceFilter = symbolInfo.filters.find(f => f.filterType === 'PRICE_FILTER');
+    const tickSize = parseFloat(priceFilter.tickSize);
+    const pricePrecision = Math.round(Math.abs(Math.log10(tickSize)));
+
+    const price = Math.floor(limitPrice / tickSize) * tickSize;
+    const quantity = Math.floor((fiatAmount / price) / stepSize) * stepSize;
+
+    if (quantity * price < minNotional) {
       return {
         success: false,
-        error: 'Binance returned an empty response. Please check your network connection and try again.',
+        error: `Order value ${fiatAmount} ${currency} is below Binance minimum of ${minNotional} ${currency}.`,
+        errorCode: EXCHANGE_ERROR_CODES.AMOUNT_INVALID,
       };
     }
 
-    const order = JSON.parse(orderText);
-    if (order.code && order.code < 0) {
-      return { success: false, error: order.msg || `Binance error: ${order.code}` };
+    const orderParams = {
+      symbol,
+      side: 'BUY',
+      type: 'LIMIT',
+      timeInForce: 'GTC',
+      quantity: quantity.toFixed(quantityPrecision),
+      price: price.toFixed(pricePrecision),
+    };
+    if (clientOrderId) {
+      orderParams.newClientOrderId = clientOrderId;
     }
 
-    // Calculate actual execution details from fills
-    let totalBtc = 0;
-    let totalFiat = 0;
-    let totalFeesBtc = 0;
-    let feesPaidInBnb = false;
-
-    if (order.fills && order.fills.length > 0) {
-      order.fills.forEach(fill => {
-        totalBtc += parseFloat(fill.qty);
-        totalFiat += parseFloat(fill.price) * parseFloat(fill.qty);
-        // Only count commission if it's in BTC (not BNB or other assets)
-        if (fill.commissionAsset === 'BTC') {
-          totalFeesBtc += parseFloat(fill.commission);
-        } else if (fill.commissionAsset === 'BNB') {
-          feesPaidInBnb = true;
-        }
-      });
-    } else {
-      // Fallback to order-level data if fills not available
-      totalBtc = parseFloat(order.executedQty);
-      totalFiat = parseFloat(order.cummulativeQuoteQty);
+    const order = await binanceSapiRequest('/api/v3/order', orderParams, 'POST', userId);
+    return {
+      success: true,
+      data: {
+        orderId: String(order.orderId),
+        limitPrice: parseFloat(orderParams.price),
+        btcAmount: parseFloat(orderParams.quantity),
+        timestamp: new Date(order.transactTime || Date.now()).toISOString(),
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Order failed: ${error.message}`,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get the state of a limit buy placed with placeLimitBuy
+ * @param {string|null} orderId - Binance order id (null to look the order up by options.clientOrderId)
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @param {Object} options
+ * @param {string} options.clientOrderId - Client order id the order was placed with
+ * @returns {Promise<{success: boolean, data: {orderId: string, status: 'open'|'filled'|'cancelled'|'expired', limitPrice: number, btcAmount: number, filledBtc: number, trade: Object|null}|null}>}
+ *   trade is in the executeMarketBuy data shape once the order is closed with something bought;
+ *   data is null if no order exists for the client order id
+ */
+export async function getLimitOrder(orderId, currency = 'EUR', userId, options = {}) {
+  const { clientOrderId = null } = options;
+  const symbol = getBinancePair(currency);
+  try {
+    let order;
+    try {
+      order = await binanceSapiRequest('/api/v3/order', orderId ? { symbol, orderId } : { symbol, origClientOrderId: clientOrderId }, 'GET', userId);
+    } catch (error) {
+      // -2013: Order does not exist
+      if (!orderId && error.message && error.message.includes('does not exist')) {
+        return { success: true, data: null };
+      }
+      throw error;
     }
+    const status = LIMIT_ORDER_STATUSES[order.status] || 'open';
+    const filledBtc = parseFloat(order.executedQty);
 
-    // Calculate average execution price
-    const avgPrice = totalFiat / totalBtc;
+    let trade = null;
+    if (status !== 'open' && filledBtc > 0) {
+      // Order lookups carry no commission details, so fetch the trades for this order
+      const trades = await binanceSapiRequest('/api/v3/myTrades', { symbol, orderId: order.orderId }, 'GET', userId);
+      trade = (await summarizeBuy(order, trades, currency)).data;
+    }
 
-    // Net BTC is only reduced if fees were paid in BTC
-    // If fees paid in BNB, totalFeesBtc will be 0 and netBtc = totalBtc (you keep all BTC)
-    const netBtc = totalBtc - totalFeesBtc;
+    return {
+      success: true,
+      data: {
+        orderId: String(order.orderId),
+        status,
+        limitPrice: parseFloat(order.price),
+        btcAmount: parseFloat(order.origQty),
+        filledBtc,
+        trade,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
 
-    // Estimate trading fee in fiat
-    // If paid in BTC, convert to fiat; if paid in BNB, estimate as 0.1% of order
-    const tradingFeeInFiat = feesPaidInBnb
-      ? totalFiat * 0.001  // Estimate ~0.1% fee when paid in BNB
-      : totalFeesBtc * avgPrice;
+/**
+ * Get open orders on the BTC pair for a currency
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: Array<{orderId: string, side: string, type: string, price: number|null, btcAmount: number, filledBtc: number, createdAt: string}>}>}
+ */
+export async function getOpenOrders(currency = 'EUR', userId) {
+  try {
+    const orders = await binanceSapiRequest('/api/v3/openOrders', { symbol: getBinancePair(currency) }, 'GET', userId);
+    return {
+      success: true,
+      data: orders.map(order => ({
+        orderId: String(order.orderId),
+        side: order.side.toLowerCase(),
+        type: order.type.toLowerCase(),
+        price: parseFloat(order.price) || null,
+        btcAmount: parseFloat(order.origQty),
+        filledBtc: parseFloat(order.executedQty),
+        createdAt: new Date(order.time).toISOString(),
+      })),
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Cancel an open order
+ * @param {string} orderId - Binance order id
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function cancelOrder(orderId, currency = 'EUR', userId) {
+  try {
+    await binanceSapiRequest('/api/v3/order', { symbol: getBinancePair(currency), orderId }, 'DELETE', userId);
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+// Convert quotes are firm for this long (10s, 30s, 1m or 2m)
+const CONVERT_QUOTE_VALIDITY = '30s';
+// Accepted conversions settle within a few seconds
+const CONVERT_STATUS_ATTEMPTS = 5;
+
+/**
+ * Get a firm Binance Convert quote for buying BTC with a fiat amount
+ * Convert has no minimum notional filter, so it can buy amounts spot rejects.
+ * The fee is included in the quoted price.
+ * @param {number} fiatAmount - Amount in fiat currency to spend
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: {quoteId: string, fiatAmount: number, btcAmount: number, price: number, expiresAt: string}}>}
+ */
+export async function getConvertQuote(fiatAmount, currency = 'EUR', userId) {
+  try {
+    // BTCUSDT is used for USD, so USD amounts are converted from USDT
+    const fromAsset = getBinancePair(currency).slice(3);
+    const quote = await binanceSapiRequest('/sapi/v1/convert/getQuote', {
+      fromAsset,
+      toAsset: 'BTC',
+      fromAmount: fiatAmount,
+      validTime: CONVERT_QUOTE_VALIDITY,
+      walletType: 'SPOT',
+    }, 'POST', userId);
 
     return {
       success: true,
       data: {
-        orderId: order.orderId,
-        btcAmount: netBtc, // Net BTC after fee (if fee paid in BTC) or total BTC (if fee paid in BNB)
-        fiatSpent: totalFiat,
-        currency: currency,
-        avgPrice: avgPrice,
-        tradingFee: tradingFeeInFiat, // Estimated fee in fiat
-        tradingFeeBtc: totalFeesBtc, // Fee in BTC (0 if paid in BNB)
-        feesPaidInBnb: feesPaidInBnb, // True if fees were paid using BNB
-        timestamp: new Date(order.transactTime).toISOString(),
-        fills: order.fills,
-        // Keep eurSpent for backward compatibility with older mobile app versions
-        eurSpent: totalFiat,
+        quoteId: quote.quoteId,
+        fiatAmount: parseFloat(quote.fromAmount),
+        btcAmount: parseFloat(quote.toAmount),
+        // inverseRatio is the price of one BTC in the from asset
+        price: parseFloat(quote.inverseRatio),
+        expiresAt: new Date(quote.validTimestamp).toISOString(),
       },
     };
   } catch (error) {
-    const errorMsg = error.message || error.toString();
-    console.error('[Binance] Market buy error:', errorMsg);
     return {
       success: false,
-      error: `Order failed: ${errorMsg}`,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+// Read back a conversion by its quote id; null while it is still settling
+async function getConvertOrder(quoteId, currency, userId) {
+  const order = await binanceSapiRequest('/sapi/v1/convert/orderStatus', { quoteId }, 'GET', userId);
+  if (order.orderStatus === 'FAIL') {
+    throw new Error('Binance could not complete the conversion. Nothing was bought.');
+  }
+  if (order.orderStatus !== 'SUCCESS') {
+    return null;
+  }
+  return summarizeConvertOrder(order, currency);
+}
+
+function summarizeConvertOrder(order, currency) {
+  const fiatSpent = parseFloat(order.fromAmount);
+  return {
+    orderId: order.orderId,
+    btcAmount: parseFloat(order.toAmount),
+    fiatSpent,
+    currency,
+    avgPrice: parseFloat(order.inverseRatio),
+    // Convert charges no separate fee; its spread is part of the price
+    tradingFee: 0,
+    tradingFeeBtc: 0,
+    feeAsset: null,
+    feeAmount: 0,
+    fees: [],
+    feeEstimated: false,
+    timestamp: new Date(order.createTime).toISOString(),
+    venue: 'convert',
+    eurSpent: fiatSpent,
+  };
+}
+
+/**
+ * Look up a conversion by the quote id it was accepted with
+ * Used to recover a conversion whose result was lost (e.g. the app closed).
+ * @param {string} quoteId - Quote id from getConvertQuote
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: Object|null, error?: string}>} data is null if nothing was converted
+ */
+export async function getConvertOrderStatus(quoteId, currency = 'EUR', userId) {
+  try {
+    let order;
+    try {
+      order = await binanceSapiRequest('/sapi/v1/convert/orderStatus', { quoteId }, 'GET', userId);
+    } catch (error) {
+      // The quote was never accepted
+      if (error.message && /not (exist|found)/i.test(error.message)) {
+        return { success: true, data: null };
+      }
+      throw error;
+    }
+
+    if (order.orderStatus === 'FAIL') {
+      return { success: true, data: null };
+    }
+    if (order.orderStatus !== 'SUCCESS') {
+      return { success: false, error: 'The conversion is still processing on Binance' };
+    }
+    return { success: true, data: summarizeConvertOrder(order, currency) };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
     };
   }
 }
+
+/**
+ * Accept a Convert quote and wait for the conversion to settle
+ * A quote can only be accepted once, so retrying after an error is safe: the
+ * conversion is looked up by its quote id instead.
+ * @param {string} quoteId - Quote id from getConvertQuote
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<Object>} Result in the executeMarketBuy data shape
+ */
+export async function acceptConvertQuote(quoteId, currency = 'EUR', userId) {
+  let acceptError = null;
+  try {
+    await binanceSapiRequest('/sapi/v1/convert/acceptQuote', { quoteId }, 'POST', userId);
+  } catch (error) {
+    // Already accepted on an earlier attempt, or lost on the way back: check below
+    acceptError = error;
+  }
+
+  try {
+    for (let attempt = 0; attempt < CONVERT_STATUS_ATTEMPTS; attempt++) {
+      const data = await getConvertOrder(quoteId, currency, userId);
+      if (data) {
+        return { success: true, data };
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: acceptError ? acceptError.message : error.message,
+      errorCode: getErrorCode(acceptError || error),
+    };
+  }
+
+  return {
+    success: false,
+    error: 'The conversion is still processing. Check your Binance Convert history before trying again.',
+    errorCode: EXCHANGE_ERROR_CODES.OUTCOME_UNKNOWN,
+  };
+}
+
+/**
+ * Get BTC buy history for a currency pair, one entry per order
+ * Binance returns the most recent 1000 fills; older ones are out of scope
+ * for reconciliation.
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @param {number} since - Only include orders at or after this time (ms)
+ * @returns {Promise<{success: boolean, data: Array}>} Buys in the executeMarketBuy data shape
+ */
+export async function getTradeHistory(currency = 'EUR', userId, since = 0) {
+  const symbol = getBinancePair(currency);
+  try {
+    const trades = await binanceSapiRequest('/api/v3/myTrades', { symbol, limit: 1000 }, 'GET', userId);
+
+    const fillsByOrder = new Map();
+    trades
+      .filter(trade => trade.isBuyer && trade.time >= since)
+      .forEach(trade => {
+        const fills = fillsByOrder.get(trade.orderId) || [];
+        fills.push(trade);
+        fillsByOrder.set(trade.orderId, fills);
+      });
+
+    const buys = [];
+    for (const [orderId, fills] of fillsByOrder.entries()) {
+      // Sequential so commission price lookups stay within the rate limit
+      const { data } = await summarizeBuy({ orderId, time: fills[0].time }, fills, currency);
+      buys.push({ ...data, fills: undefined });
+    }
+
+    return { success: true, data: buys };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+registerExchange({
+  id: 'binance',
+  name: 'Binance',
+  description: 'Largest crypto exchange by volume',
+  tradingFee: 0.1, // 0.1% default
+  website: 'https://www.binance.com',
+  apiDocsUrl: 'https://www.binance.com/en/my/settings/api-management',
+  secretLabel: 'API Secret',
+  requiresWithdrawalKey: false,
+  supportsSlippageGuard: true,
+  apiKeyInstructions: [
+    '1. Log in to Binance.com',
+    '2. Go to Profile → API Management',
+    '3. Create a new API key',
+    '4. Enable "Enable Spot & Margin Trading" (required)',
+    '5. Enable "Enable Withdrawals" ONLY if App Withdrawal Mode is ON',
+    '6. Do NOT enable "Enable Withdrawals" if App Withdrawal Mode is OFF',
+    '7. Whitelist a dedicated IP (recommended: use a VPN service with a static IP)',
+  ],
+  withdrawalNotes: {
+    title: 'Binance Withdrawal Setup',
+    notes: [
+      'Enter your Bitcoin wallet address directly',
+      'Make sure "Enable Withdrawals" is enabled in your API key settings',
+      'Whitelist your withdrawal address in Binance for added security',
+    ],
+  },
+  isAvailableIn: (countryCode) => BINANCE_COUNTRIES.has(countryCode),
+  storeKeys: storeBinanceKeys,
+  hasKeys: hasBinanceKeys,
+  deleteKeys: deleteBinanceKeys,
+  getAccountBalances,
+  getWithdrawalFee,
+  getCurrentPrice,
+  getOrderBook,
+  getMarketStatus,
+  getTradingFees,
+  getConvertQuote,
+  acceptConvertQuote,
+  getConvertOrderStatus,
+  getWithdrawalAddresses,
+  getWithdrawalNetworks,
+  getKeyPermissions,
+  executeWithdrawal,
+  executeMarketBuy,
+  placeLimitBuy,
+  getLimitOrder,
+  getOpenOrders,
+  cancelOrder,
+  getOrderByClientId,
+  getTradeHistory,
+  getWithdrawalStatus,
+});
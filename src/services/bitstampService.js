@@ -0,0 +1,420 @@
+import CryptoJS from 'crypto-js';
+import * as Crypto from 'expo-crypto';
+import storage from '../utils/storage';
+import { getBitstampPair } from '../utils/currency';
+import { API_CONFIG, EXCHANGE_DEFAULTS } from '../utils/constants';
+import { registerExchange } from './exchangeRegistry';
+import { createBalance, mergeBalances } from '../utils/balances';
+
+const BITSTAMP_API_HOST = 'www.bitstamp.net';
+const BITSTAMP_API_URL = `https://${BITSTAMP_API_HOST}`;
+
+// Countries where Bitstamp is available
+const BITSTAMP_COUNTRIES = new Set([
+  // Europe - EEA countries
+  'AT', // Austria
+  'BE', // Belgium
+  'BG', // Bulgaria
+  'HR', // Croatia
+  'CY', // Cyprus
+  'CZ', // Czechia
+  'DK', // Denmark
+  'EE', // Estonia
+  'FI', // Finland
+  'FR', // France
+  'DE', // Germany
+  'GR', // Greece
+  'HU', // Hungary
+  'IS', // Iceland
+  'IE', // Ireland
+  'IT', // Italy
+  'LV', // Latvia
+  'LI', // Liechtenstein
+  'LT', // Lithuania
+  'LU', // Luxembourg
+  'MT', // Malta
+  'NL', // Netherlands
+  'NO', // Norway
+  'PL', // Poland
+  'PT', // Portugal
+  'RO', // Romania
+  'SK', // Slovakia
+  'SI', // Slovenia
+  'ES', // Spain
+  'SE', // Sweden
+  'CH', // Switzerland
+  'GB', // United Kingdom
+  // North America
+  'US', // United States
+]);
+
+/**
+ * Get storage key with optional user namespace
+ * @param {string} baseKey - The base key name
+ * @param {string} userId - Optional user ID for namespacing
+ */
+function getStorageKey(baseKey, userId) {
+  return userId ? `${baseKey}_${userId}` : baseKey;
+}
+
+/**
+ * Extract an error message from a Bitstamp error response
+ * `reason` is either a string or an object of field -> messages
+ */
+function getBitstampError(data, status) {
+  const reason = data?.reason;
+  if (typeof reason === 'string') {
+    return reason;
+  }
+  if (reason && typeof reason === 'object') {
+    return Object.values(reason).flat().join(', ');
+  }
+  return data?.message || data?.error || `Bitstamp API error: ${status}`;
+}
+
+/**
+ * Make authenticated Bitstamp v2 API request
+ * Signature is HMAC-SHA256 (hex) of:
+ * 'BITSTAMP ' + apiKey + method + host + path + query + contentType + nonce + timestamp + 'v2' + body
+ * @param {string} endpoint - Path after /api/v2/ (e.g. 'account_balances/')
+ * @param {object} params - Form parameters
+ * @param {string} userId - User ID for namespaced key storage
+ */
+async function bitstampRequest(endpoint, params = {}, userId = null) {
+  const apiKey = await storage.getItem(getStorageKey('bitstamp_api_key', userId));
+  const apiSecret = await storage.getItem(getStorageKey('bitstamp_api_secret', userId));
+
+  if (!apiKey || !apiSecret) {
+    throw new Error('Bitstamp API keys not found. Please configure them first.');
+  }
+
+  const method = 'POST';
+  const path = `/api/v2/${endpoint}`;
+  const body = new URLSearchParams(params).toString();
+  // Content-Type is only sent (and signed) when there is a body
+  const contentType = body ? 'application/x-www-form-urlencoded' : '';
+  const nonce = Crypto.randomUUID();
+  const timestamp = String(Date.now());
+
+  const message = `BITSTAMP ${apiKey}${method}${BITSTAMP_API_HOST}${path}${contentType}${nonce}${timestamp}v2${body}`;
+  const signature = CryptoJS.HmacSHA256(message, apiSecret).toString(CryptoJS.enc.Hex);
+
+  const headers = {
+    'X-Auth': `BITSTAMP ${apiKey}`,
+    'X-Auth-Signature': signature,
+    'X-Auth-Nonce': nonce,
+    'X-Auth-Timestamp': timestamp,
+    'X-Auth-Version': 'v2',
+  };
+  if (contentType) {
+    headers['Content-Type'] = contentType;
+  }
+
+  const response = await fetch(`${BITSTAMP_API_URL}${path}`, {
+    method,
+    headers,
+    body: body || undefined,
+  });
+
+  // Check if response is JSON before parsing
+  const responseType = response.headers.get('content-type');
+  if (!responseType || !responseType.includes('application/json')) {
+    const text = await response.text();
+    console.error('Bitstamp API returned non-JSON response:', text.substring(0, 200));
+    throw new Error(`Bitstamp API error: ${response.status} - received non-JSON response. Please try again.`);
+  }
+
+  const data = await response.json();
+
+  // Authentication failures come back as { status: 'error', code: 'API0001', reason: '...' }
+  if (!response.ok || data.status === 'error') {
+    throw new Error(getBitstampError(data, response.status));
+  }
+
+  return data;
+}
+
+/**
+ * Make public Bitstamp API request (no auth needed)
+ */
+async function bitstampPublicRequest(endpoint) {
+  const response = await fetch(`${BITSTAMP_API_URL}/api/v2/${endpoint}`);
+  const data = await response.json();
+
+  if (!response.ok || data.status === 'error') {
+    throw new Error(getBitstampError(data, response.status));
+  }
+
+  return data;
+}
+
+/**
+ * Store Bitstamp API keys securely on device
+ * @param {string} apiKey - Bitstamp API key
+ * @param {string} apiSecret - Bitstamp API secret
+ * @param {string} userId - User ID for namespaced key storage
+ */
+export async function storeBitstampKeys(apiKey, apiSecret, userId) {
+  await storage.setItem(getStorageKey('bitstamp_api_key', userId), apiKey);
+  await storage.setItem(getStorageKey('bitstamp_api_secret', userId), apiSecret);
+}
+
+/**
+ * Check if Bitstamp API keys are stored
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<boolean>}
+ */
+export async function hasBitstampKeys(userId) {
+  const apiKey = await storage.getItem(getStorageKey('bitstamp_api_key', userId));
+  return !!apiKey;
+}
+
+/**
+ * Delete Bitstamp API keys from device
+ * @param {string} userId - User ID for namespaced key storage
+ */
+export async function deleteBitstampKeys(userId) {
+  await storage.deleteItem(getStorageKey('bitstamp_api_key', userId));
+  await storage.deleteItem(getStorageKey('bitstamp_api_secret', userId));
+}
+
+/**
+ * Get account balances
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: Array<import('../utils/balances').Balance>}>}
+ */
+export async function getAccountBalances(userId) {
+  try {
+    const balances = await bitstampRequest('account_balances/', {}, userId);
+
+    // Convert Bitstamp balances to the common balance model
+    const balanceArray = mergeBalances(balances.map(b => createBalance(b.currency.toUpperCase(), {
+      free: b.available,
+      locked: b.reserved,
+    })));
+
+    return {
+      success: true,
+      data: balanceArray,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get trading fees for the account's current fee tier
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: {makerFee: number, takerFee: number}}>}
+ */
+export async function getTradingFees(userId) {
+  try {
+    const result = await bitstampRequest(`fees/trading/${getBitstampPair('EUR')}/`, {}, userId);
+    return {
+      success: true,
+      data: {
+        // Bitstamp returns fees already in percent
+        makerFee: parseFloat(result.fees.maker),
+        takerFee: parseFloat(result.fees.taker),
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get withdrawal fee for BTC
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<number>} Network fee
+ */
+export async function getWithdrawalFee(userId) {
+  try {
+    const result = await bitstampRequest('fees/withdrawal/btc/', {}, userId);
+    // Endpoint returns a single entry or a list of networks for the currency
+    const entries = Array.isArray(result) ? result : [result];
+    const btcFee = entries.find(e => !e.network || e.network === 'bitcoin') || entries[0];
+    return parseFloat(btcFee.fee);
+  } catch (error) {
+    // Return a fallback fee if API call fails
+    return EXCHANGE_DEFAULTS.DEFAULT_WITHDRAWAL_FEE;
+  }
+}
+
+/**
+ * Get the current BTC ask price for a currency
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @returns {Promise<number>} Best ask price
+ */
+export async function getCurrentPrice(currency = 'EUR') {
+  const ticker = await bitstampPublicRequest(`ticker/${getBitstampPair(currency)}/`);
+  return parseFloat(ticker.ask);
+}
+
+/**
+ * Execute Bitcoin withdrawal to hardware wallet
+ * @param {string} address - Bitcoin withdrawal address
+ * @param {number} amount - Amount in BTC to withdraw
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<Object>} Withdrawal result
+ */
+export async function executeWithdrawal(address, amount, userId) {
+  try {
+    const result = await bitstampRequest('btc_withdrawal/', {
+      amount: amount.toString(),
+      address: address,
+    }, userId);
+
+    return {
+      success: true,
+      data: {
+        id: result.id,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Execute market buy order for BTC
+ * Uses Bitstamp's instant buy, which takes the amount in the counter (fiat) currency
+ *
+ * @param {number} fiatAmount - Amount in fiat currency to spend (e.g., 35)
+ * @param {number} tradingFeePercent - Trading fee percentage used if order details are unavailable
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<Object>} Order result with execution details
+ */
+export async function executeMarketBuy(fiatAmount, tradingFeePercent = 0.4, currency = 'EUR', userId = null) {
+  try {
+    const pair = getBitstampPair(currency);
+
+    // Get pair info for trading status, precision and minimum order
+    const pairsInfo = await bitstampPublicRequest('trading-pairs-info/');
+    const pairInfo = pairsInfo.find(p => p.url_symbol === pair);
+    if (!pairInfo || pairInfo.trading !== 'Enabled') {
+      return {
+        success: false,
+        error: `${pair.toUpperCase()} trading is currently disabled on Bitstamp. Please try again later.`,
+      };
+    }
+
+    // minimum_order is formatted like "10.00 EUR"
+    const minOrder = parseFloat(pairInfo.minimum_order) || 10;
+    if (fiatAmount < minOrder) {
+      return {
+        success: false,
+        error: `Order value ${fiatAmount} ${currency} is below Bitstamp minimum of ${minOrder} ${currency}. Please increase your DCA amount.`,
+      };
+    }
+
+    const counterDecimals = pairInfo.counter_decimals ?? 2;
+    const factor = Math.pow(10, counterDecimals);
+    const amount = (Math.floor(fiatAmount * factor) / factor).toFixed(counterDecimals);
+
+    const order = await bitstampRequest(`buy/instant/${pair}/`, { amount }, userId);
+
+    let totalBtc = parseFloat(order.amount);
+    let totalFiat = parseFloat(amount);
+    let totalFees = totalFiat * (tradingFeePercent / 100);
+    let warning = null;
+
+    // Instant orders fill immediately; order_status has the exact fills and fees
+    try {
+      await new Promise(resolve => setTimeout(resolve, API_CONFIG.ORDER_QUERY_DELAY_MS));
+
+      const status = await bitstampRequest('order_status/', { id: order.id }, userId);
+      const counter = currency.toLowerCase();
+
+      if (status.transactions && status.transactions.length > 0) {
+        totalBtc = 0;
+        totalFiat = 0;
+        totalFees = 0;
+        status.transactions.forEach(tx => {
+          totalBtc += parseFloat(tx.btc);
+          totalFiat += parseFloat(tx[counter]);
+          totalFees += parseFloat(tx.fee);
+        });
+        // Fee is charged in the counter currency on top of the traded value
+        totalFiat += totalFees;
+      } else {
+        warning = 'Values are estimated. The order was placed but fill details were not yet available.';
+      }
+    } catch (queryError) {
+      warning = 'Values are estimated. The order was placed but fill details could not be loaded.';
+    }
+
+    const avgPrice = (totalFiat - totalFees) / totalBtc;
+
+    return {
+      success: true,
+      warning: warning,
+      data: {
+        orderId: order.id,
+        btcAmount: totalBtc,
+        fiatSpent: totalFiat,
+        currency: currency,
+        avgPrice: avgPrice,
+        tradingFee: totalFees,
+        timestamp: new Date().toISOString(),
+        // Keep eurSpent for backward compatibility
+        eurSpent: totalFiat,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || error.toString(),
+    };
+  }
+}
+
+registerExchange({
+  id: 'bitstamp',
+  name: 'Bitstamp',
+  description: 'Long-running exchange regulated in the UK and EU',
+  tradingFee: 0.4, // 0.4% taker fee on the lowest tier
+  website: 'https://www.bitstamp.net',
+  apiDocsUrl: 'https://www.bitstamp.net/account/security/api/',
+  secretLabel: 'API Secret',
+  requiresWithdrawalKey: false,
+  apiKeyInstructions: [
+    '1. Log in to Bitstamp.net',
+    '2. Go to Settings → API access',
+    '3. Click "Create new API key"',
+    '4. Enable "Account balance", "User transactions" and "Open orders" permissions',
+    '5. Enable "Buy instant order" permission (required)',
+    '6. Enable "Bitcoin withdrawal" ONLY if App Withdrawal Mode is ON',
+    '7. Whitelist a dedicated IP (recommended)',
+    '8. Activate the key from the confirmation email before using it',
+  ],
+  withdrawalNotes: {
+    title: 'Bitstamp Withdrawal Setup',
+    notes: [
+      'Enter your Bitcoin wallet address directly',
+      'Make sure "Bitcoin withdrawal" is enabled in your API key settings',
+      'Restrict the key to your withdrawal address in Bitstamp for added security',
+    ],
+  },
+  isAvailableIn: (countryCode) => BITSTAMP_COUNTRIES.has(countryCode),
+  storeKeys: storeBitstampKeys,
+  hasKeys: hasBitstampKeys,
+  deleteKeys: deleteBitstampKeys,
+  getAccountBalances,
+  getWithdrawalFee,
+  getTradingFees,
+  getCurrentPrice,
+  // Bitstamp has a dedicated BTC withdrawal endpoint with no network parameter
+  executeWithdrawal: (address, amount, _network, userId) => executeWithdrawal(address, amount, userId),
+  executeMarketBuy,
+});
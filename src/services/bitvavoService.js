@@ -0,0 +1,391 @@
+import CryptoJS from 'crypto-js';
+import storage from '../utils/storage';
+import { getBitvavoPair } from '../utils/currency';
+import { EXCHANGE_DEFAULTS } from '../utils/constants';
+import { registerExchange } from './exchangeRegistry';
+import { createBalance, mergeBalances } from '../utils/balances';
+
+const BITVAVO_API_URL = 'https://api.bitvavo.com';
+const BITVAVO_API_PREFIX = '/v2';
+
+// Bitvavo requires an operator ID on every order to identify the trader or algorithm
+const BITVAVO_OPERATOR_ID = 1;
+
+// Countries where Bitvavo is available (EEA)
+const BITVAVO_COUNTRIES = new Set([
+  'AT', // Austria
+  'BE', // Belgium
+  'BG', // Bulgaria
+  'HR', // Croatia
+  'CY', // Cyprus
+  'CZ', // Czechia
+  'DK', // Denmark
+  'EE', // Estonia
+  'FI', // Finland
+  'FR', // France
+  'DE', // Germany
+  'GR', // Greece
+  'HU', // Hungary
+  'IS', // Iceland
+  'IE', // Ireland
+  'IT', // Italy
+  'LV', // Latvia
+  'LI', // Liechtenstein
+  'LT', // Lithuania
+  'LU', // Luxembourg
+  'MT', // Malta
+  'NL', // Netherlands
+  'NO', // Norway
+  'PL', // Poland
+  'PT', // Portugal
+  'RO', // Romania
+  'SK', // Slovakia
+  'SI', // Slovenia
+  'ES', // Spain
+  'SE', // Sweden
+]);
+
+/**
+ * Get storage key with optional user namespace
+ * @param {string} baseKey - The base key name
+ * @param {string} userId - Optional user ID for namespacing
+ */
+function getStorageKey(baseKey, userId) {
+  return userId ? `${baseKey}_${userId}` : baseKey;
+}
+
+/**
+ * Make a signed request to the Bitvavo REST API
+ * Signature is HMAC-SHA256 (hex) of: timestamp + method + '/v2' + path (with query) + body
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Endpoint path without the /v2 prefix (e.g. /balance)
+ * @param {object} params - Query parameters for GET/DELETE, JSON body for POST
+ * @param {string} userId - User ID for namespaced key storage
+ */
+async function bitvavoRequest(method, endpoint, params = {}, userId = null) {
+  const apiKey = await storage.getItem(getStorageKey('bitvavo_api_key', userId));
+  const apiSecret = await storage.getItem(getStorageKey('bitvavo_api_secret', userId));
+
+  if (!apiKey || !apiSecret) {
+    throw new Error('Bitvavo API keys not found. Please configure them first.');
+  }
+
+  const isBodyRequest = method === 'POST' || method === 'PUT';
+  const queryString = !isBodyRequest && Object.keys(params).length > 0
+    ? `?${new URLSearchParams(params).toString()}`
+    : '';
+  const path = `${BITVAVO_API_PREFIX}${endpoint}${queryString}`;
+  const body = isBodyRequest ? JSON.stringify(params) : '';
+
+  const timestamp = Date.now();
+  const signature = CryptoJS.HmacSHA256(`${timestamp}${method}${path}${body}`, apiSecret).toString(CryptoJS.enc.Hex);
+
+  const response = await fetch(`${BITVAVO_API_URL}${path}`, {
+    method,
+    headers: {
+      'Bitvavo-Access-Key': apiKey,
+      'Bitvavo-Access-Signature': signature,
+      'Bitvavo-Access-Timestamp': String(timestamp),
+      'Bitvavo-Access-Window': '60000',
+      'Content-Type': 'application/json',
+    },
+    body: isBodyRequest ? body : undefined,
+  });
+
+  // Check if response is JSON before parsing
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    const text = await response.text();
+    console.error('Bitvavo API returned non-JSON response:', text.substring(0, 200));
+    throw new Error(`Bitvavo API error: ${response.status} - received non-JSON response. Please try again.`);
+  }
+
+  const data = await response.json();
+
+  if (data.errorCode) {
+    throw new Error(data.error || `Bitvavo error code: ${data.errorCode}`);
+  }
+
+  return data;
+}
+
+/**
+ * Make public Bitvavo API request (no auth needed)
+ */
+async function bitvavoPublicRequest(endpoint, params = {}) {
+  const queryString = new URLSearchParams(params).toString();
+  const url = `${BITVAVO_API_URL}${BITVAVO_API_PREFIX}${endpoint}${queryString ? '?' + queryString : ''}`;
+
+  const response = await fetch(url);
+  const data = await response.json();
+
+  if (data.errorCode) {
+    throw new Error(data.error || `Bitvavo error code: ${data.errorCode}`);
+  }
+
+  return data;
+}
+
+/**
+ * Store Bitvavo API keys securely on device
+ * @param {string} apiKey - Bitvavo API key
+ * @param {string} apiSecret - Bitvavo API secret
+ * @param {string} userId - User ID for namespaced key storage
+ */
+export async function storeBitvavoKeys(apiKey, apiSecret, userId) {
+  await storage.setItem(getStorageKey('bitvavo_api_key', userId), apiKey);
+  await storage.setItem(getStorageKey('bitvavo_api_secret', userId), apiSecret);
+}
+
+/**
+ * Check if Bitvavo API keys are stored
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<boolean>}
+ */
+export async function hasBitvavoKeys(userId) {
+  const apiKey = await storage.getItem(getStorageKey('bitvavo_api_key', userId));
+  return !!apiKey;
+}
+
+/**
+ * Delete Bitvavo API keys from device
+ * @param {string} userId - User ID for namespaced key storage
+ */
+export async function deleteBitvavoKeys(userId) {
+  await storage.deleteItem(getStorageKey('bitvavo_api_key', userId));
+  await storage.deleteItem(getStorageKey('bitvavo_api_secret', userId));
+}
+
+/**
+ * Get account balances
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: Array<import('../utils/balances').Balance>}>}
+ */
+export async function getAccountBalances(userId) {
+  try {
+    const balances = await bitvavoRequest('GET', '/balance', {}, userId);
+
+    // Convert Bitvavo balances to the common balance model
+    const balanceArray = mergeBalances(balances.map(b => createBalance(b.symbol, {
+      free: b.available,
+      locked: b.inOrder,
+    })));
+
+    return {
+      success: true,
+      data: balanceArray,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get trading fees for the account's current fee tier
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: {makerFee: number, takerFee: number}}>}
+ */
+export async function getTradingFees(userId) {
+  try {
+    const fees = await bitvavoRequest('GET', '/account/fees', { market: getBitvavoPair('EUR') }, userId);
+    return {
+      success: true,
+      data: {
+        // Bitvavo returns rates as fractions (0.0025 = 0.25%)
+        makerFee: parseFloat(fees.maker) * 100,
+        takerFee: parseFloat(fees.taker) * 100,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get withdrawal fee for BTC (public endpoint)
+ * @param {string} _userId - User ID for namespaced key storage (unused)
+ * @returns {Promise<number>} Network fee
+ */
+export async function getWithdrawalFee(_userId) {
+  try {
+    const asset = await bitvavoPublicRequest('/assets', { symbol: 'BTC' });
+    return parseFloat(asset.withdrawalFee);
+  } catch (error) {
+    // Return a fallback fee if API call fails
+    return EXCHANGE_DEFAULTS.DEFAULT_WITHDRAWAL_FEE;
+  }
+}
+
+/**
+ * Get the current BTC ask price for a currency
+ * @param {string} currency - Currency code (only 'EUR' is supported)
+ * @returns {Promise<number>} Best ask price
+ */
+export async function getCurrentPrice(currency = 'EUR') {
+  const book = await bitvavoPublicRequest('/ticker/book', { market: getBitvavoPair(currency) });
+  return parseFloat(book.ask);
+}
+
+/**
+ * Execute Bitcoin withdrawal to hardware wallet
+ * @param {string} address - Bitcoin withdrawal address
+ * @param {number} amount - Amount in BTC to withdraw
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<Object>} Withdrawal result
+ */
+export async function executeWithdrawal(address, amount, userId) {
+  try {
+    const result = await bitvavoRequest('POST', '/withdrawal', {
+      symbol: 'BTC',
+      amount: amount.toString(),
+      address: address,
+      // Deduct the fee from the amount so the balance is withdrawn exactly
+      addWithdrawalFee: false,
+    }, userId);
+
+    // Bitvavo does not return a withdrawal ID; the txid appears in withdrawal history later
+    return {
+      success: !!result.success,
+      data: {
+        id: null,
+        amount: result.amount,
+      },
+      error: result.success ? undefined : 'Bitvavo did not confirm the withdrawal',
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Execute market buy order for BTC
+ * Bitvavo market orders accept `amountQuote`, so the exact fiat amount is spent
+ *
+ * @param {number} fiatAmount - Amount in fiat currency to spend (e.g., 35)
+ * @param {number} _tradingFeePercent - Trading fee percentage (unused - Bitvavo reports actual fees)
+ * @param {string} currency - Currency code (only 'EUR' is supported)
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<Object>} Order result with execution details
+ */
+export async function executeMarketBuy(fiatAmount, _tradingFeePercent = 0.25, currency = 'EUR', userId = null) {
+  try {
+    const market = getBitvavoPair(currency);
+
+    // Get market info for status and minimum order
+    const marketInfo = await bitvavoPublicRequest('/markets', { market });
+    if (marketInfo.status !== 'trading') {
+      return {
+        success: false,
+        error: `${market} is currently not trading on Bitvavo (status: ${marketInfo.status}). Please try again later.`,
+      };
+    }
+
+    const minOrderInQuote = parseFloat(marketInfo.minOrderInQuoteAsset) || 5;
+    if (fiatAmount < minOrderInQuote) {
+      return {
+        success: false,
+        error: `Order value ${fiatAmount} ${currency} is below Bitvavo minimum of ${minOrderInQuote} ${currency}. Please increase your DCA amount.`,
+      };
+    }
+
+    // Quote amounts are limited to 2 decimals; round down so we never overspend
+    const amountQuote = (Math.floor(fiatAmount * 100) / 100).toFixed(2);
+
+    const order = await bitvavoRequest('POST', '/order', {
+      market,
+      side: 'buy',
+      orderType: 'market',
+      amountQuote,
+      operatorId: BITVAVO_OPERATOR_ID,
+    }, userId);
+
+    // Calculate actual execution details from fills
+    let totalBtc = 0;
+    let totalFiat = 0;
+    let totalFees = 0;
+
+    if (order.fills && order.fills.length > 0) {
+      order.fills.forEach(fill => {
+        totalBtc += parseFloat(fill.amount);
+        totalFiat += parseFloat(fill.amount) * parseFloat(fill.price);
+        // Fees on buys are charged in the quote currency
+        totalFees += parseFloat(fill.fee);
+      });
+    } else {
+      totalBtc = parseFloat(order.filledAmount);
+      totalFiat = parseFloat(order.filledAmountQuote);
+      totalFees = parseFloat(order.feePaid) || 0;
+    }
+
+    const avgPrice = totalFiat / totalBtc;
+
+    return {
+      success: true,
+      data: {
+        orderId: order.orderId,
+        btcAmount: totalBtc,
+        fiatSpent: totalFiat + totalFees,
+        currency: currency,
+        avgPrice: avgPrice,
+        tradingFee: totalFees,
+        timestamp: new Date(order.updated || order.created || Date.now()).toISOString(),
+        fills: order.fills,
+        // Keep eurSpent for backward compatibility
+        eurSpent: totalFiat + totalFees,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || error.toString(),
+    };
+  }
+}
+
+registerExchange({
+  id: 'bitvavo',
+  name: 'Bitvavo',
+  description: 'Low-fee EUR exchange regulated in the Netherlands',
+  tradingFee: 0.25, // 0.25% taker fee on the lowest tier
+  website: 'https://bitvavo.com',
+  apiDocsUrl: 'https://account.bitvavo.com/user/api',
+  secretLabel: 'API Secret',
+  requiresWithdrawalKey: false,
+  apiKeyInstructions: [
+    '1. Log in to Bitvavo.com',
+    '2. Go to Settings → API',
+    '3. Click "Request new API key"',
+    '4. Enable the "View" and "Trade digital assets" permissions',
+    '5. Enable "Withdraw digital assets" ONLY if App Withdrawal Mode is ON',
+    '6. Whitelist a dedicated IP (recommended)',
+    '7. Confirm the key via the email Bitvavo sends you',
+  ],
+  withdrawalNotes: {
+    title: 'Bitvavo Withdrawal Setup',
+    notes: [
+      'Enter your Bitcoin wallet address directly',
+      'Make sure "Withdraw digital assets" is enabled in your API key settings',
+      'Whitelist your withdrawal address in Bitvavo for added security',
+    ],
+  },
+  isAvailableIn: (countryCode) => BITVAVO_COUNTRIES.has(countryCode),
+  storeKeys: storeBitvavoKeys,
+  hasKeys: hasBitvavoKeys,
+  deleteKeys: deleteBitvavoKeys,
+  getAccountBalances,
+  getWithdrawalFee,
+  getTradingFees,
+  getCurrentPrice,
+  // Bitvavo sends on the Bitcoin network only
+  executeWithdrawal: (address, amount, _network, userId) => executeWithdrawal(address, amount, userId),
+  executeMarketBuy,
+});
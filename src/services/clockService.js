@@ -0,0 +1,149 @@
+/**
+ * Clock Service
+ * Keeps signed exchange requests independent of the phone's clock.
+ *
+ * - Server time: each exchange registers a public time endpoint; the offset
+ *   between the device clock and the exchange clock is measured lazily and
+ *   refreshed periodically, so timestamps stay inside a tight recvWindow even
+ *   when the phone clock is minutes off.
+ * - Nonces: strictly increasing per scope and persisted in device storage, so
+ *   concurrent requests, clock jumps backwards and app restarts never reuse or
+ *   lower a nonce.
+ */
+
+import storage from '../utils/storage';
+
+// Re-measure the offset regularly; phone clocks drift and users change them
+const OFFSET_MAX_AGE_MS = 30 * 60 * 1000;
+// After a failed sync, wait before hitting the time endpoint again
+const SYNC_RETRY_MS = 60 * 1000;
+
+const timeSources = new Map();
+const offsets = new Map();
+const pendingSyncs = new Map();
+
+const nonceState = new Map();
+let nonceWrites = Promise.resolve();
+
+/**
+ * Register the public server time endpoint of an exchange
+ * @param {string} exchangeId - Exchange identifier
+ * @param {Function} fetchServerTime - Async function returning the server time in milliseconds
+ */
+export function registerTimeSource(exchangeId, fetchServerTime) {
+  timeSources.set(exchangeId, fetchServerTime);
+}
+
+/**
+ * Measure the offset between the device clock and the exchange clock
+ * Uses the midpoint of the round trip as the moment the server read its clock.
+ * Failures keep the previous offset (or none, meaning the device clock is used).
+ * @param {string} exchangeId - Exchange identifier
+ * @returns {Promise<number>} Offset in milliseconds (server - device)
+ */
+export async function syncServerTime(exchangeId) {
+  if (pendingSyncs.has(exchangeId)) {
+    return pendingSyncs.get(exchangeId);
+  }
+
+  const fetchServerTime = timeSources.get(exchangeId);
+  if (!fetchServerTime) {
+    return 0;
+  }
+
+  const sync = (async () => {
+    const previous = offsets.get(exchangeId);
+    try {
+      const sentAt = Date.now();
+      const serverTime = await fetchServerTime();
+      const receivedAt = Date.now();
+
+      if (!Number.isFinite(serverTime)) {
+        throw new Error('Invalid server time');
+      }
+
+      const offset = Math.round(serverTime - (sentAt + receivedAt) / 2);
+      offsets.set(exchangeId, { offset, syncedAt: receivedAt, failed: false });
+      if (Math.abs(offset) > 1000) {
+        console.log(`[Clock] ${exchangeId} clock is ${offset}ms ahead of the device`);
+      }
+      return offset;
+    } catch (error) {
+      console.error(`[Clock] Failed to sync ${exchangeId} server time:`, error?.message || error);
+      const offset = previous?.offset ?? 0;
+      offsets.set(exchangeId, { offset, syncedAt: Date.now(), failed: true });
+      return offset;
+    }
+  })();
+
+  pendingSyncs.set(exchangeId, sync);
+  try {
+    return await sync;
+  } finally {
+    pendingSyncs.delete(exchangeId);
+  }
+}
+
+/**
+ * Mark the offset of an exchange as stale so the next request re-measures it
+ * Call this when the exchange rejects a timestamp.
+ * @param {string} exchangeId - Exchange identifier
+ */
+export function invalidateServerTime(exchangeId) {
+  offsets.delete(exchangeId);
+}
+
+/**
+ * Get the current time on the exchange clock
+ * @param {string} exchangeId - Exchange identifier
+ * @returns {Promise<number>} Server time estimate in milliseconds
+ */
+export async function getServerTime(exchangeId) {
+  const current = offsets.get(exchangeId);
+  const maxAge = current?.failed ? SYNC_RETRY_MS : OFFSET_MAX_AGE_MS;
+
+  if (!current || Date.now() - current.syncedAt > maxAge) {
+    await syncServerTime(exchangeId);
+  }
+
+  return Date.now() + (offsets.get(exchangeId)?.offset ?? 0);
+}
+
+async function loadNonce(scope) {
+  let state = nonceState.get(scope);
+  if (!state) {
+    state = {
+      last: 0,
+      loaded: storage.getItem(`nonce_${scope}`)
+        .then(stored => parseInt(stored, 10) || 0)
+        .catch(() => 0),
+    };
+    nonceState.set(scope, state);
+  }
+  state.last = Math.max(state.last, await state.loaded);
+  return state;
+}
+
+/**
+ * Get the next nonce for a scope (e.g. one exchange API key)
+ * Nonces start at the given time and always increase by at least one, even if
+ * the clock goes backwards or several requests are signed in the same millisecond.
+ * @param {string} scope - Nonce scope, used as the storage key suffix
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<number>} Nonce greater than every nonce issued before
+ */
+export async function getNextNonce(scope, now = Date.now()) {
+  const state = await loadNonce(scope);
+
+  // Reserve synchronously so concurrent callers never share a nonce
+  const nonce = Math.max(Math.floor(now), state.last + 1);
+  state.last = nonce;
+
+  // Writes are chained and always store the highest nonce issued so far
+  nonceWrites = nonceWrites
+    .then(() => storage.setItem(`nonce_${scope}`, String(state.last)))
+    .catch(error => console.error('[Clock] Failed to persist nonce:', error?.message || error));
+  await nonceWrites;
+
+  return nonce;
+}
@@ -0,0 +1,517 @@
+import CryptoJS from 'crypto-js';
+import { ec as EC } from 'elliptic';
+import * as Crypto from 'expo-crypto';
+import storage from '../utils/storage';
+import { getCoinbasePair } from '../utils/currency';
+import { API_CONFIG, EXCHANGE_DEFAULTS } from '../utils/constants';
+import { registerExchange } from './exchangeRegistry';
+import { createBalance, mergeBalances } from '../utils/balances';
+
+const COINBASE_API_HOST = 'api.coinbase.com';
+const COINBASE_API_URL = `https://${COINBASE_API_HOST}`;
+
+// JWTs are only valid for 2 minutes and are generated per request
+const JWT_TTL_SECONDS = 120;
+
+const secp256r1 = new EC('p256');
+
+// Countries where Coinbase Advanced Trade is available
+const COINBASE_COUNTRIES = new Set([
+  // Europe - EEA countries
+  'AT', // Austria
+  'BE', // Belgium
+  'BG', // Bulgaria
+  'HR', // Croatia
+  'CY', // Cyprus
+  'CZ', // Czechia
+  'DK', // Denmark
+  'EE', // Estonia
+  'FI', // Finland
+  'FR', // France
+  'DE', // Germany
+  'GR', // Greece
+  'HU', // Hungary
+  'IS', // Iceland
+  'IE', // Ireland
+  'IT', // Italy
+  'LV', // Latvia
+  'LI', // Liechtenstein
+  'LT', // Lithuania
+  'LU', // Luxembourg
+  'MT', // Malta
+  'NL', // Netherlands
+  'NO', // Norway
+  'PL', // Poland
+  'PT', // Portugal
+  'RO', // Romania
+  'SK', // Slovakia
+  'SI', // Slovenia
+  'ES', // Spain
+  'SE', // Sweden
+  'CH', // Switzerland
+  'GB', // United Kingdom
+  // North America
+  'CA', // Canada
+  'US', // United States
+  // Rest of World
+  'AU', // Australia
+  'SG', // Singapore
+]);
+
+/**
+ * Get storage key with optional user namespace
+ * @param {string} baseKey - The base key name
+ * @param {string} userId - Optional user ID for namespacing
+ */
+function getStorageKey(baseKey, userId) {
+  return userId ? `${baseKey}_${userId}` : baseKey;
+}
+
+/**
+ * Encode a CryptoJS WordArray as base64url (JWT encoding)
+ */
+function base64UrlEncode(wordArray) {
+  return CryptoJS.enc.Base64.stringify(wordArray)
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Extract the raw 32-byte EC private key from a PEM string
+ * Accepts both SEC1 ("BEGIN EC PRIVATE KEY") and PKCS#8 ("BEGIN PRIVATE KEY") keys,
+ * including keys pasted with literal "\n" sequences from the CDP JSON download
+ * @param {string} pem - PEM encoded private key
+ * @returns {string} Private key as hex
+ */
+function parseEcPrivateKey(pem) {
+  const body = pem
+    .replace(/\\n/g, '\n')
+    .replace(/-----[^-]+-----/g, '')
+    .replace(/\s+/g, '');
+  const der = CryptoJS.enc.Base64.parse(body).toString(CryptoJS.enc.Hex);
+
+  // ECPrivateKey ::= SEQUENCE { version INTEGER (1), privateKey OCTET STRING (32 bytes), ... }
+  const marker = '020101' + '0420';
+  const index = der.indexOf(marker);
+  if (index < 0) {
+    throw new Error('Invalid Coinbase private key. Paste the full EC private key from your CDP API key.');
+  }
+  const start = index + marker.length;
+  return der.substring(start, start + 64);
+}
+
+/**
+ * Build an ES256-signed JWT for a single Coinbase request
+ * @param {string} keyName - CDP API key name (organizations/.../apiKeys/...)
+ * @param {string} privateKeyPem - EC private key in PEM format
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path without query string
+ */
+function buildJwt(keyName, privateKeyPem, method, path) {
+  const now = Math.floor(Date.now() / 1000);
+  const nonce = Array.from(Crypto.getRandomBytes(16))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+
+  const header = {
+    alg: 'ES256',
+    typ: 'JWT',
+    kid: keyName,
+    nonce,
+  };
+  const payload = {
+    sub: keyName,
+    iss: 'cdp',
+    nbf: now,
+    exp: now + JWT_TTL_SECONDS,
+    uri: `${method} ${COINBASE_API_HOST}${path}`,
+  };
+
+  const signingInput = `${base64UrlEncode(CryptoJS.enc.Utf8.parse(JSON.stringify(header)))}.` +
+    base64UrlEncode(CryptoJS.enc.Utf8.parse(JSON.stringify(payload)));
+
+  // ES256 = ECDSA over P-256 with SHA-256, signature encoded as raw r || s
+  const hash = CryptoJS.SHA256(signingInput).toString(CryptoJS.enc.Hex);
+  const key = secp256r1.keyFromPrivate(parseEcPrivateKey(privateKeyPem), 'hex');
+  const signature = key.sign(hash, { canonical: true });
+  const rawSignature = signature.r.toString(16, 64) + signature.s.toString(16, 64);
+
+  return `${signingInput}.${base64UrlEncode(CryptoJS.enc.Hex.parse(rawSignature))}`;
+}
+
+/**
+ * Extract an error message from a Coinbase response body
+ * Advanced Trade (v3) and Sign In With Coinbase (v2) use different error shapes
+ */
+function getCoinbaseError(data, status) {
+  if (data?.errors && data.errors.length > 0) {
+    return data.errors.map(e => e.message || e.id).join(', ');
+  }
+  return data?.message || data?.error || `Coinbase API error: ${status}`;
+}
+
+/**
+ * Make authenticated Coinbase API request
+ * @param {string} method - HTTP method
+ * @param {string} path - API path (e.g. /api/v3/brokerage/accounts)
+ * @param {object} body - JSON body for POST requests
+ * @param {string} userId - User ID for namespaced key storage
+ * @param {object} query - Query parameters (not part of the signed URI)
+ */
+async function coinbaseRequest(method, path, body = null, userId = null, query = null) {
+  const keyName = await storage.getItem(getStorageKey('coinbase_api_key', userId));
+  const privateKey = await storage.getItem(getStorageKey('coinbase_api_secret', userId));
+
+  if (!keyName || !privateKey) {
+    throw new Error('Coinbase API keys not found. Please configure them first.');
+  }
+
+  const jwt = buildJwt(keyName, privateKey, method, path);
+  const queryString = query ? new URLSearchParams(query).toString() : '';
+  const url = `${COINBASE_API_URL}${path}${queryString ? '?' + queryString : ''}`;
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      Authorization: `Bearer ${jwt}`,
+      'Content-Type': 'application/json',
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  // Check if response is JSON before parsing
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    const text = await response.text();
+    console.error('Coinbase API returned non-JSON response:', text.substring(0, 200));
+    throw new Error(`Coinbase API error: ${response.status} - received non-JSON response. Please try again.`);
+  }
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(getCoinbaseError(data, response.status));
+  }
+
+  return data;
+}
+
+/**
+ * Store Coinbase API keys securely on device
+ * @param {string} apiKey - CDP API key name
+ * @param {string} apiSecret - CDP EC private key (PEM)
+ * @param {string} userId - User ID for namespaced key storage
+ */
+export async function storeCoinbaseKeys(apiKey, apiSecret, userId) {
+  // Validate the private key before saving so a bad paste fails early
+  parseEcPrivateKey(apiSecret);
+  await storage.setItem(getStorageKey('coinbase_api_key', userId), apiKey);
+  await storage.setItem(getStorageKey('coinbase_api_secret', userId), apiSecret);
+}
+
+/**
+ * Check if Coinbase API keys are stored
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<boolean>}
+ */
+export async function hasCoinbaseKeys(userId) {
+  const apiKey = await storage.getItem(getStorageKey('coinbase_api_key', userId));
+  return !!apiKey;
+}
+
+/**
+ * Delete Coinbase API keys from device
+ * @param {string} userId - User ID for namespaced key storage
+ */
+export async function deleteCoinbaseKeys(userId) {
+  await storage.deleteItem(getStorageKey('coinbase_api_key', userId));
+  await storage.deleteItem(getStorageKey('coinbase_api_secret', userId));
+}
+
+/**
+ * Get account balances
+ * Follows the cursor until all accounts are fetched
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: Array<import('../utils/balances').Balance>}>}
+ */
+export async function getAccountBalances(userId) {
+  try {
+    const accounts = [];
+    let cursor = null;
+
+    do {
+      const query = { limit: '250' };
+      if (cursor) {
+        query.cursor = cursor;
+      }
+      const page = await coinbaseRequest('GET', '/api/v3/brokerage/accounts', null, userId, query);
+      accounts.push(...(page.accounts || []));
+      cursor = page.has_next ? page.cursor : null;
+    } while (cursor);
+
+    // Convert Coinbase accounts to the common balance model
+    const balanceArray = mergeBalances(accounts.map(account => createBalance(account.currency, {
+      free: account.available_balance?.value,
+      locked: account.hold?.value,
+    })));
+
+    return {
+      success: true,
+      data: balanceArray,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get trading fees for the account's current fee tier
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: {makerFee: number, takerFee: number}}>}
+ */
+export async function getTradingFees(userId) {
+  try {
+    const summary = await coinbaseRequest('GET', '/api/v3/brokerage/transaction_summary', null, userId);
+    return {
+      success: true,
+      data: {
+        // Coinbase returns rates as fractions (0.006 = 0.6%)
+        makerFee: parseFloat(summary.fee_tier.maker_fee_rate) * 100,
+        takerFee: parseFloat(summary.fee_tier.taker_fee_rate) * 100,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get withdrawal fee for BTC
+ * Coinbase sets the network fee at send time and has no estimate endpoint for
+ * API sends, so this returns the typical fee used elsewhere in the app
+ * @param {string} _userId - User ID for namespaced key storage (unused)
+ * @returns {Promise<number>} Network fee
+ */
+export async function getWithdrawalFee(_userId) {
+  return EXCHANGE_DEFAULTS.DEFAULT_WITHDRAWAL_FEE;
+}
+
+/**
+ * Get the current BTC price for a currency (public endpoint)
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @returns {Promise<number>} Last traded price
+ */
+export async function getCurrentPrice(currency = 'EUR') {
+  const productId = getCoinbasePair(currency);
+  const response = await fetch(`${COINBASE_API_URL}/api/v3/brokerage/market/products/${productId}`);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(getCoinbaseError(data, response.status));
+  }
+  return parseFloat(data.price);
+}
+
+// Derive the send idempotency token (a UUID) from the caller's withdrawal id
+function getWithdrawalIdem(withdrawalRequestId) {
+  const hash = CryptoJS.SHA256(`dca-withdrawal:${withdrawalRequestId}`).toString(CryptoJS.enc.Hex);
+  return [
+    hash.substring(0, 8),
+    hash.substring(8, 12),
+    `4${hash.substring(13, 16)}`,
+    `${((parseInt(hash[16], 16) & 0x3) | 0x8).toString(16)}${hash.substring(17, 20)}`,
+    hash.substring(20, 32),
+  ].join('-');
+}
+
+/**
+ * Execute Bitcoin withdrawal to hardware wallet
+ * Advanced Trade has no withdrawal endpoint, so this uses the v2 send API
+ *
+ * @param {string} address - Bitcoin withdrawal address
+ * @param {number} amount - Amount in BTC to withdraw
+ * @param {string} userId - User ID for namespaced key storage
+ * @param {Object} options - withdrawalRequestId: stable id for this withdrawal; retries
+ *   with the same id are deduplicated by Coinbase instead of sending again
+ * @returns {Promise<Object>} Withdrawal result
+ */
+export async function executeWithdrawal(address, amount, userId, { withdrawalRequestId } = {}) {
+  try {
+    const result = await coinbaseRequest('POST', '/v2/accounts/BTC/transactions', {
+      type: 'send',
+      to: address,
+      amount: amount.toString(),
+      currency: 'BTC',
+      // Idempotency token: a retry for the same withdrawal cannot send twice
+      idem: withdrawalRequestId ? getWithdrawalIdem(withdrawalRequestId) : Crypto.randomUUID(),
+    }, userId);
+
+    return {
+      success: true,
+      data: {
+        id: result.data.id,
+        status: result.data.status,
+        txHash: result.data.network?.hash || null,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Execute market buy order for BTC
+ * Coinbase market orders take a quote size, so the exact fiat amount is spent
+ *
+ * @param {number} fiatAmount - Amount in fiat currency to spend (e.g., 35)
+ * @param {number} tradingFeePercent - Trading fee percentage used if order details are unavailable
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<Object>} Order result with execution details
+ */
+export async function executeMarketBuy(fiatAmount, tradingFeePercent = 0.6, currency = 'EUR', userId = null) {
+  try {
+    const productId = getCoinbasePair(currency);
+
+    // Get product info for quote precision and minimum order
+    const product = await coinbaseRequest('GET', `/api/v3/brokerage/products/${productId}`, null, userId);
+    if (product.trading_disabled || product.is_disabled) {
+      return {
+        success: false,
+        error: `${productId} trading is currently disabled on Coinbase. Please try again later.`,
+      };
+    }
+
+    const quoteMinSize = parseFloat(product.quote_min_size) || 1;
+    const quoteIncrement = parseFloat(product.quote_increment) || 0.01;
+    const quoteDecimals = Math.max(0, Math.round(-Math.log10(quoteIncrement)));
+
+    if (fiatAmount < quoteMinSize) {
+      return {
+        success: false,
+        error: `Order value ${fiatAmount} ${currency} is below Coinbase minimum of ${quoteMinSize} ${currency}. Please increase your DCA amount.`,
+      };
+    }
+
+    // Round down to the quote increment so we never spend more than requested
+    const factor = Math.pow(10, quoteDecimals);
+    const quoteSize = (Math.floor(fiatAmount * factor) / factor).toFixed(quoteDecimals);
+
+    const order = await coinbaseRequest('POST', '/api/v3/brokerage/orders', {
+      client_order_id: Crypto.randomUUID(),
+      product_id: productId,
+      side: 'BUY',
+      order_configuration: {
+        market_market_ioc: {
+          quote_size: quoteSize,
+        },
+      },
+    }, userId);
+
+    if (!order.success) {
+      const failure = order.error_response || {};
+      return {
+        success: false,
+        error: failure.message || failure.preview_failure_reason || failure.error || 'Coinbase rejected the order',
+      };
+    }
+
+    const orderId = order.success_response.order_id;
+
+    let totalFiat = parseFloat(quoteSize);
+    let totalFees = totalFiat * (tradingFeePercent / 100);
+    let totalBtc = (totalFiat - totalFees) / parseFloat(product.price);
+    let warning = null;
+
+    // Market orders fill immediately, but the order record may lag slightly
+    try {
+      await new Promise(resolve => setTimeout(resolve, API_CONFIG.ORDER_QUERY_DELAY_MS));
+
+      const details = await coinbaseRequest('GET', `/api/v3/brokerage/orders/historical/${orderId}`, null, userId);
+      const filled = details.order;
+
+      if (filled && parseFloat(filled.filled_size) > 0) {
+        totalBtc = parseFloat(filled.filled_size);
+        totalFees = parseFloat(filled.total_fees) || 0;
+        // Fees come out of the quote size, so total spent = filled value + fees
+        totalFiat = parseFloat(filled.total_value_after_fees) || (parseFloat(filled.filled_value) + totalFees);
+      } else {
+        warning = 'Values are estimated. The order was placed but fill details were not yet available.';
+      }
+    } catch (queryError) {
+      warning = 'Values are estimated. The order was placed but fill details could not be loaded.';
+    }
+
+    const avgPrice = (totalFiat - totalFees) / totalBtc;
+
+    return {
+      success: true,
+      warning: warning,
+      data: {
+        orderId: orderId,
+        btcAmount: totalBtc,
+        fiatSpent: totalFiat,
+        currency: currency,
+        avgPrice: avgPrice,
+        tradingFee: totalFees,
+        timestamp: new Date().toISOString(),
+        // Keep eurSpent for backward compatibility
+        eurSpent: totalFiat,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || error.toString(),
+    };
+  }
+}
+
+registerExchange({
+  id: 'coinbase',
+  name: 'Coinbase',
+  description: 'Regulated exchange available in the US and Europe',
+  tradingFee: 0.6, // 0.6% taker fee on the lowest Advanced Trade tier
+  website: 'https://www.coinbase.com',
+  apiDocsUrl: 'https://portal.cdp.coinbase.com/access/api',
+  secretLabel: 'Private Key',
+  requiresWithdrawalKey: false,
+  apiKeyInstructions: [
+    '1. Log in to the Coinbase Developer Platform (portal.cdp.coinbase.com)',
+    '2. Go to API Keys → Create API key',
+    '3. Choose the ECDSA signature algorithm (Ed25519 keys are not supported)',
+    '4. Enable the "View" and "Trade" permissions',
+    '5. Enable "Transfer" ONLY if App Withdrawal Mode is ON',
+    '6. Set an IP allowlist for additional security (recommended)',
+    '7. Paste the API key name (organizations/.../apiKeys/...) as the API Key',
+    '8. Paste the full private key, including the BEGIN/END lines, as the Private Key',
+  ],
+  withdrawalNotes: {
+    title: 'Coinbase Withdrawal Setup',
+    notes: [
+      'Enter your Bitcoin wallet address directly',
+      'Make sure the "Transfer" permission is enabled on your API key',
+      'Enable the address allowlist in Coinbase for added security',
+    ],
+  },
+  isAvailableIn: (countryCode) => COINBASE_COUNTRIES.has(countryCode),
+  storeKeys: storeCoinbaseKeys,
+  hasKeys: hasCoinbaseKeys,
+  deleteKeys: deleteCoinbaseKeys,
+  getAccountBalances,
+  getWithdrawalFee,
+  getTradingFees,
+  getCurrentPrice,
+  // Coinbase sends on the Bitcoin network only
+  executeWithdrawal: (address, amount, _network, userId, options) => executeWithdrawal(address, amount, userId, options),
+  executeMarketBuy,
+});
@@ -0,0 +1,378 @@
+/**
+ * Exchange HTTP Layer
+ * Shared fetch wrapper for exchange APIs:
+ * - Rate limit budgets: requests wait for capacity instead of tripping the
+ *   exchange limit, and server-reported usage (e.g. X-MBX-USED-WEIGHT-1M) keeps
+ *   the local estimate honest. After a 429/418 the budget is blocked until the
+ *   exchange allows requests again.
+ * - Timeouts and abort signals on every request.
+ * - Retries with exponential backoff and jitter, for idempotent requests only.
+ *   Orders and withdrawals are never retried: if they time out the outcome is
+ *   unknown and the caller has to check the exchange before trying again.
+ * - Structured errors: every failure is an Error with a `kind` the UI can act on.
+ */
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+// Waits longer than this fail fast instead of freezing the UI
+const MAX_WAIT_MS = 15000;
+
+/**
+ * Error kinds
+ * - timeout: no response within the timeout
+ * - network: request could not be sent or the connection dropped
+ * - aborted: cancelled by the caller
+ * - rate_limited: HTTP 429 or the local budget is exhausted
+ * - ip_banned: HTTP 418, the exchange blocked this IP for a while
+ * - geo_blocked: HTTP 451, the exchange does not serve this location
+ * - server: HTTP 5xx
+ * - empty_response / invalid_response: body missing or not JSON
+ * Services may throw their own kinds from getBodyError (e.g. 'clock_skew').
+ */
+export const EXCHANGE_ERROR_KINDS = {
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  ABORTED: 'aborted',
+  RATE_LIMITED: 'rate_limited',
+  IP_BANNED: 'ip_banned',
+  GEO_BLOCKED: 'geo_blocked',
+  SERVER: 'server',
+  EMPTY_RESPONSE: 'empty_response',
+  INVALID_RESPONSE: 'invalid_response',
+};
+
+// Kinds where the request may have reached the exchange and been executed
+const OUTCOME_UNKNOWN_KINDS = new Set(['timeout', 'network', 'server', 'empty_response', 'invalid_response']);
+
+const budgets = new Map();
+
+/**
+ * Define a rate limit budget
+ * Budgets drain continuously, so `capacity` is the burst size and
+ * `refillPerSecond` the sustained rate.
+ * @param {string} budgetId - Budget identifier (e.g. 'binance')
+ * @param {Object} limits
+ * @param {number} limits.capacity - Maximum weight in flight before requests wait
+ * @param {number} limits.refillPerSecond - Weight released per second
+ * @param {string} limits.usedWeightHeader - Optional response header with the server's count of used weight
+ */
+export function defineRateLimit(budgetId, { capacity, refillPerSecond, usedWeightHeader = null }) {
+  budgets.set(budgetId, {
+    capacity,
+    refillPerSecond,
+    usedWeightHeader,
+    level: 0,
+    updatedAt: Date.now(),
+    blockedUntil: 0,
+    blockKind: null,
+  });
+}
+
+/**
+ * Create a structured exchange error
+ * @param {string} exchange - Exchange display name
+ * @param {string} kind - Error kind (see EXCHANGE_ERROR_KINDS)
+ * @param {string} message - User-facing message
+ * @param {Object} details - { status, code, retryable, retryAfterMs, outcomeUnknown }
+ * @returns {Error}
+ */
+export function createExchangeError(exchange, kind, message, details = {}) {
+  const error = new Error(message);
+  error.exchange = exchange;
+  error.kind = kind;
+  error.status = details.status ?? null;
+  error.code = details.code ?? null;
+  error.retryable = details.retryable ?? false;
+  error.retryAfterMs = details.retryAfterMs ?? null;
+  error.outcomeUnknown = details.outcomeUnknown ?? false;
+  return error;
+}
+
+/**
+ * Check whether an error came from the exchange HTTP layer
+ * @param {Error} error
+ */
+export function isExchangeError(error) {
+  return !!error && typeof error.kind === 'string' && 'outcomeUnknown' in error;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason || new Error('Aborted'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason || new Error('Aborted'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function drain(budget) {
+  const now = Date.now();
+  budget.level = Math.max(0, budget.level - ((now - budget.updatedAt) / 1000) * budget.refillPerSecond);
+  budget.updatedAt = now;
+}
+
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`;
+}
+
+function rateLimitError(exchange, kind, retryAfterMs) {
+  if (kind === 'ip_banned') {
+    return createExchangeError(exchange, 'ip_banned',
+      `${exchange} has temporarily blocked this IP address for sending too many requests. Try again in ${formatWait(retryAfterMs)}.`,
+      { status: 418, retryAfterMs });
+  }
+  return createExchangeError(exchange, 'rate_limited',
+    `${exchange} rate limit reached. Please wait ${formatWait(retryAfterMs)} and try again.`,
+    { status: 429, retryable: true, retryAfterMs });
+}
+
+/**
+ * Wait until the budget has room for a request, then reserve its weight
+ */
+async function acquire(exchange, budgetId, weight, signal) {
+  const budget = budgets.get(budgetId);
+  if (!budget) {
+    return;
+  }
+
+  for (;;) {
+    const blockedFor = budget.blockedUntil - Date.now();
+    if (blockedFor > 0) {
+      if (budget.blockKind === 'ip_banned' || blockedFor > MAX_WAIT_MS) {
+        throw rateLimitError(exchange, budget.blockKind, blockedFor);
+      }
+      await sleep(blockedFor, signal);
+      continue;
+    }
+
+    drain(budget);
+    if (budget.level + weight <= budget.capacity || budget.level === 0) {
+      budget.level += weight;
+      return;
+    }
+
+    const waitMs = ((budget.level + weight - budget.capacity) / budget.refillPerSecond) * 1000;
+    if (waitMs > MAX_WAIT_MS) {
+      throw createExchangeError(exchange, 'rate_limited',
+        `Too many ${exchange} requests in a short time. Please wait ${formatWait(waitMs)} and try again.`,
+        { retryable: true, retryAfterMs: waitMs });
+    }
+    await sleep(waitMs, signal);
+  }
+}
+
+function getRetryAfterMs(response) {
+  const seconds = parseInt(response.headers.get('retry-after'), 10);
+  return Number.isFinite(seconds) ? seconds * 1000 : 60000;
+}
+
+function updateBudget(budgetId, response) {
+  const budget = budgets.get(budgetId);
+  if (!budget) {
+    return;
+  }
+
+  if (budget.usedWeightHeader) {
+    const used = parseInt(response.headers.get(budget.usedWeightHeader), 10);
+    if (Number.isFinite(used)) {
+      drain(budget);
+      budget.level = used;
+    }
+  }
+
+  if (response.status === 429 || response.status === 418) {
+    budget.blockedUntil = Date.now() + getRetryAfterMs(response);
+    budget.blockKind = response.status === 418 ? 'ip_banned' : 'rate_limited';
+  }
+}
+
+/**
+ * Mark a budget as exhausted, e.g. when the exchange reports a rate limit in the body
+ * @param {string} budgetId - Budget identifier
+ * @param {number} retryAfterMs - How long to hold off further requests
+ */
+export function reportRateLimited(budgetId, retryAfterMs = 0) {
+  const budget = budgets.get(budgetId);
+  if (!budget) {
+    return;
+  }
+  drain(budget);
+  budget.level = budget.capacity;
+  if (retryAfterMs > 0) {
+    budget.blockedUntil = Date.now() + retryAfterMs;
+    budget.blockKind = 'rate_limited';
+  }
+}
+
+async function send(exchange, prepare, method, timeoutMs, signal) {
+  const { url, headers, body } = await prepare();
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await fetch(url, { method, headers, body, signal: controller.signal });
+    const text = await response.text();
+    return { response, text };
+  } catch (error) {
+    if (signal?.aborted) {
+      throw createExchangeError(exchange, 'aborted', 'Request cancelled');
+    }
+    if (timedOut) {
+      throw createExchangeError(exchange, 'timeout', `${exchange} did not respond in time.`, { retryable: true });
+    }
+    throw createExchangeError(exchange, 'network',
+      `Could not reach ${exchange}. Please check your internet connection.`, { retryable: true });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+function parseResponse(exchange, response, text) {
+  const { status } = response;
+
+  if (status === 418 || status === 429) {
+    return { error: rateLimitError(exchange, status === 418 ? 'ip_banned' : 'rate_limited', getRetryAfterMs(response)) };
+  }
+
+  if (status === 451) {
+    return {
+      error: createExchangeError(exchange, 'geo_blocked', `${exchange} is not available from your current location.`, { status }),
+    };
+  }
+
+  if (!text) {
+    return {
+      error: createExchangeError(exchange, status >= 500 ? 'server' : 'empty_response',
+        `${exchange} returned an empty response (status ${status}). This usually indicates your IP is blocked or there are network issues. Please check your VPN connection and IP whitelist.`,
+        { status, retryable: status >= 500 }),
+    };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (parseError) {
+    console.error(`[${exchange}] Non-JSON response:`, text.substring(0, 200));
+    if (status >= 500) {
+      return {
+        error: createExchangeError(exchange, 'server',
+          `${exchange} is temporarily unavailable (status ${status}). Please try again later.`,
+          { status, retryable: true }),
+      };
+    }
+    return {
+      error: createExchangeError(exchange, 'invalid_response',
+        `${exchange} returned an invalid response (status ${status}). This may indicate IP blocking or API issues.`,
+        { status }),
+    };
+  }
+
+  // Binance reports execution status unknown with a JSON body on 5xx
+  if (status >= 500) {
+    return {
+      error: createExchangeError(exchange, 'server',
+        data?.msg || `${exchange} is temporarily unavailable (status ${status}). Please try again later.`,
+        { status, code: data?.code ?? null, retryable: true }),
+    };
+  }
+
+  return { data };
+}
+
+/**
+ * Send a request to an exchange API
+ * `prepare` is called for every attempt, so signed requests get a fresh timestamp/nonce.
+ * Only idempotent requests are retried; for anything else a failed attempt whose
+ * outcome is unknown is reported with `outcomeUnknown: true` and never re-sent.
+ * @param {Object} options
+ * @param {string} options.exchange - Exchange display name for messages
+ * @param {Function} options.prepare - Returns { url, headers, body } for one attempt
+ * @param {string} options.method - HTTP method (default 'GET')
+ * @param {boolean} options.idempotent - Safe to retry (default: GET requests only)
+ * @param {string} options.budget - Rate limit budget identifier
+ * @param {number} options.weight - Request weight against the budget
+ * @param {number} options.timeoutMs - Timeout per attempt
+ * @param {number} options.retries - Retries for idempotent requests
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @param {Function} options.getBodyError - Optional (data) => Error|null for errors reported in the body
+ * @returns {Promise<{status: number, data: any}>} Parsed JSON response (4xx bodies included)
+ * @throws {Error} Structured exchange error (see createExchangeError)
+ */
+export async function exchangeRequest({
+  exchange,
+  prepare,
+  method = 'GET',
+  idempotent = method === 'GET',
+  budget = null,
+  weight = 1,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  signal = null,
+  getBodyError = null,
+}) {
+  const maxAttempts = idempotent ? retries + 1 : 1;
+
+  for (let attempt = 1; ; attempt++) {
+    let error;
+    try {
+      await acquire(exchange, budget, weight, signal);
+    } catch (acquireError) {
+      throw signal?.aborted ? createExchangeError(exchange, 'aborted', 'Request cancelled') : acquireError;
+    }
+
+    try {
+      const { response, text } = await send(exchange, prepare, method, timeoutMs, signal);
+      updateBudget(budget, response);
+
+      const parsed = parseResponse(exchange, response, text);
+      error = parsed.error || (getBodyError && getBodyError(parsed.data));
+      if (!error) {
+        return { status: response.status, data: parsed.data };
+      }
+    } catch (sendError) {
+      error = sendError;
+    }
+
+    if (!isExchangeError(error) || error.kind === 'aborted') {
+      throw error;
+    }
+
+    const canRetry = error.retryable && attempt < maxAttempts
+      && (error.retryAfterMs === null || error.retryAfterMs <= MAX_WAIT_MS);
+    if (!canRetry) {
+      if (!idempotent && OUTCOME_UNKNOWN_KINDS.has(error.kind)) {
+        error.outcomeUnknown = true;
+        error.message += ` The request may still have been processed. Check your ${exchange} account before trying again.`;
+      }
+      throw error;
+    }
+
+    // Exponential backoff with full jitter; honour Retry-After when the exchange sent one
+    const backoff = Math.random() * BACKOFF_BASE_MS * 2 ** attempt;
+    console.log(`[${exchange}] ${error.kind}, retrying (attempt ${attempt + 1}/${maxAttempts})`);
+    try {
+      await sleep(Math.max(backoff, error.retryAfterMs || 0), signal);
+    } catch (abortError) {
+      throw createExchangeError(exchange, 'aborted', 'Request cancelled');
+    }
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Exchange Adapter Registry
+ * Exchange services register an adapter describing their metadata and
+ * implementing the common trading/withdrawal contract below.
+ * exchangeService imports every adapter module, so the registry is populated
+ * before any screen asks for it.
+ */
+
+/**
+ * @typedef {Object} ExchangeAdapter
+ * @property {string} id - Exchange identifier (e.g. 'binance')
+ * @property {string} name - Display name
+ * @property {string} description - Short description shown in the exchange picker
+ * @property {number} tradingFee - Default taker fee in percent, used when no fee API is available
+ * @property {string} website - Exchange website
+ * @property {string} apiDocsUrl - Page where users create API keys
+ * @property {string} secretLabel - Label for the secret field (e.g. 'API Secret', 'Private Key')
+ * @property {boolean} requiresWithdrawalKey - True if withdrawals target a pre-configured address name
+ * @property {boolean} [supportsSlippageGuard] - True if executeMarketBuy honours options.maxSlippagePercent
+ * @property {string[]} apiKeyInstructions - Step-by-step API key setup text
+ * @property {{title: string, notes: string[]}} withdrawalNotes - Withdrawal setup notes
+ * @property {(countryCode: string) => boolean} isAvailableIn - Country availability check
+ * @property {(apiKey: string, apiSecret: string, userId: string) => Promise<void>} storeKeys
+ * @property {(userId: string) => Promise<boolean>} hasKeys
+ * @property {(userId: string) => Promise<void>} deleteKeys
+ * @property {(userId: string, currency?: string) => Promise<Object>} getAccountBalances - Balances in the common model
+ *   (see utils/balances); adapters that can price other assets value them in currency
+ * @property {(userId: string, withdrawalKey?: string) => Promise<number>} getWithdrawalFee
+ * @property {(currency: string) => Promise<number>} getCurrentPrice - Public BTC price lookup
+ * @property {(address: string, amount: number, network: string, userId: string, options?: {withdrawalRequestId?: string}) => Promise<Object>} executeWithdrawal
+ * @property {(fiatAmount: number, tradingFeePercent: number, currency: string, userId: string, options?: {quotePrice?: number, maxSlippagePercent?: number, exactFiat?: boolean, clientOrderId?: string}) => Promise<Object>} executeMarketBuy
+ * @property {(userId: string, currency: string) => Promise<Object>} [getTradingFees] - Optional live fee lookup for the account's tier
+ * @property {(currency: string, limit?: number) => Promise<Object>} [getOrderBook] - Optional BTC order book for best-execution routing
+ * @property {(currency: string, tradingFeePercent: number) => Promise<Object>} [getMarketStatus] - Optional exchange/pair status and minimum order value for pre-trade checks
+ * @property {(fiatAmount: number, limitPrice: number, tradingFeePercent: number, currency: string, userId: string, options?: {clientOrderId?: string, expiresAt?: string}) => Promise<Object>} [placeLimitBuy] - Optional resting limit buy
+ * @property {(orderId: string|null, currency: string, userId: string, options?: {clientOrderId?: string}) => Promise<Object>} [getLimitOrder] - Limit order state and fill, by order id or client order id; required with placeLimitBuy
+ * @property {(orderId: string, currency: string, userId: string) => Promise<Object>} [cancelOrder] - Cancel an open order; required with placeLimitBuy
+ * @property {(currency: string, userId: string) => Promise<Object>} [getOpenOrders] - Optional list of open orders on the BTC pair
+ * @property {(fiatAmount: number, currency: string, userId: string) => Promise<Object>} [getConvertQuote] - Optional firm quote for a no-minimum conversion to BTC
+ * @property {(quoteId: string, currency: string, userId: string) => Promise<Object>} [acceptConvertQuote] - Accept a conversion quote; required with getConvertQuote
+ * @property {(quoteId: string, currency: string, userId: string) => Promise<Object>} [getConvertOrderStatus] - Look up an accepted conversion by quote id; required with getConvertQuote
+ * @property {(clientOrderId: string, currency: string, userId: string) => Promise<Object>} [getOrderByClientId] - Optional order lookup for crash recovery
+ * @property {(currency: string, userId: string, since: number) => Promise<Object>} [getTradeHistory] - Optional BTC buy history for reconciliation
+ * @property {(withdrawalId: string, userId: string) => Promise<Object>} [getWithdrawalStatus] - Optional withdrawal status lookup
+ * @property {(userId: string) => Promise<Object>} [getWithdrawalAddresses] - Optional list of configured withdrawal addresses
+ * @property {(userId: string) => Promise<Object>} [getWithdrawalNetworks] - Optional BTC withdrawal networks (on-chain, Lightning) with fees and minimums
+ * @property {(userId: string) => Promise<Object>} [getKeyPermissions] - Optional API key permission introspection
+ */
+
+const REQUIRED_METHODS = [
+  'isAvailableIn',
+  'storeKeys',
+  'hasKeys',
+  'deleteKeys',
+  'getAccountBalances',
+  'getWithdrawalFee',
+  'getCurrentPrice',
+  'executeWithdrawal',
+  'executeMarketBuy',
+];
+
+const adapters = [];
+
+/**
+ * Register an exchange adapter
+ * Re-registering an id replaces the previous adapter (useful with fast refresh)
+ * @param {ExchangeAdapter} adapter - Adapter implementing the exchange contract
+ */
+export function registerExchange(adapter) {
+  if (!adapter || !adapter.id) {
+    throw new Error('Exchange adapter must have an id');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Exchange adapter "${adapter.id}" is missing: ${missing.join(', ')}`);
+  }
+
+  const index = adapters.findIndex(a => a.id === adapter.id);
+  if (index >= 0) {
+    adapters[index] = adapter;
+  } else {
+    adapters.push(adapter);
+  }
+}
+
+/**
+ * Get a registered adapter by ID
+ * @param {string} exchangeId - Exchange identifier
+ * @returns {ExchangeAdapter|undefined}
+ */
+export function getExchangeAdapter(exchangeId) {
+  return adapters.find(a => a.id === exchangeId);
+}
+
+/**
+ * Get all registered adapters in registration order
+ * @returns {ExchangeAdapter[]}
+ */
+export function getRegisteredExchanges() {
+  return [...adapters];
+}
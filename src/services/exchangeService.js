@@ -1,32 +1,45 @@
 /**
  * Exchange Service Factory
- * Provides a unified interface for interacting with different exchanges (Binance, Kraken)
+ * Provides a unified interface for interacting with different exchanges.
+ * Each exchange service registers an adapter in exchangeRegistry; this module
+ * dispatches to it and never needs to know which exchanges exist.
  */
 
-import * as binanceService from './binanceService';
-import * as krakenService from './krakenService';
+// Adapters register themselves on import
+import './binanceService';
+import './krakenService';
+import './coinbaseService';
+import './bitvavoService';
+import './bitstampService';
 import storage from '../utils/storage';
-import { getAvailableExchanges as getCountryExchanges } from '../config/countries';
+import { EXCHANGE_DEFAULTS } from '../utils/constants';
+import { getExchangeAdapter, getRegisteredExchanges } from './exchangeRegistry';
+import { getCurrencySymbol } from '../utils/currency';
+import { EXCHANGE_ERROR_CODES } from '../utils/exchangeErrors';
+import { getAssetBalance, valueBalances, mergeBalances, getTotalValue } from '../utils/balances';
+
+const DEFAULT_EXCHANGE = 'binance';
+
+/**
+ * Build the public metadata object for an adapter
+ * @param {Object} adapter - Registered exchange adapter
+ */
+function toExchangeInfo(adapter) {
+  return {
+    id: adapter.id,
+    name: adapter.name,
+    description: adapter.description,
+    tradingFee: adapter.tradingFee,
+    website: adapter.website,
+    apiDocsUrl: adapter.apiDocsUrl,
+    secretLabel: adapter.secretLabel,
+    requiresWithdrawalKey: adapter.requiresWithdrawalKey,
+    supportsSlippageGuard: !!adapter.supportsSlippageGuard,
+  };
+}
 
 // Exchange configuration
-const ALL_EXCHANGES = [
-  {
-    id: 'binance',
-    name: 'Binance',
-    description: 'Largest crypto exchange by volume',
-    tradingFee: 0.1, // 0.1% default
-    website: 'https://www.binance.com',
-    apiDocsUrl: 'https://www.binance.com/en/my/settings/api-management',
-  },
-  {
-    id: 'kraken',
-    name: 'Kraken',
-    description: 'US-based exchange with strong security',
-    tradingFee: 0.26, // 0.26% taker fee
-    website: 'https://www.kraken.com',
-    apiDocsUrl: 'https://www.kraken.com/u/security/api',
-  },
-];
+const ALL_EXCHANGES = getRegisteredExchanges().map(toExchangeInfo);
 
 // For backwards compatibility, export all exchanges
 export const EXCHANGES = ALL_EXCHANGES;
@@ -40,8 +53,7 @@ export function getExchangesForCountry(countryCode) {
   if (!countryCode) {
     return ALL_EXCHANGES; // Return all if no country set
   }
-  const availableIds = getCountryExchanges(countryCode);
-  return ALL_EXCHANGES.filter(e => availableIds.includes(e.id));
+  return ALL_EXCHANGES.filter(e => getService(e.id).isAvailableIn(countryCode));
 }
 
 /**
@@ -62,8 +74,8 @@ export async function getAvailableExchangesForUser(userId) {
  */
 export function isExchangeAvailable(exchangeId, countryCode) {
   if (!countryCode) return true; // Allow if no country set
-  const availableIds = getCountryExchanges(countryCode);
-  return availableIds.includes(exchangeId);
+  const adapter = getExchangeAdapter(exchangeId);
+  return !!adapter && adapter.isAvailableIn(countryCode);
 }
 
 /**
@@ -83,16 +95,17 @@ function getStorageKey(baseKey, userId) {
 }
 
 /**
- * Get the current selected exchange from storage
+ * Get the exchange that handles DCA buys
+ * Keys can be stored for several exchanges; this one places the orders.
  * @param {string} userId - User ID for namespaced storage
  */
 export async function getSelectedExchange(userId) {
   const exchange = await storage.getItem(getStorageKey('selected_exchange', userId));
-  return exchange || 'binance';
+  return exchange || DEFAULT_EXCHANGE;
 }
 
 /**
- * Set the selected exchange
+ * Set the exchange that handles DCA buys
  * @param {string} exchangeId - Exchange identifier
  * @param {string} userId - User ID for namespaced storage
  */
@@ -101,16 +114,69 @@ export async function setSelectedExchange(exchangeId, userId) {
 }
 
 /**
- * Get the appropriate service for the current exchange
+ * Get the exchange that handles withdrawals
+ * Defaults to the DCA exchange until the user picks a different one.
+ * @param {string} userId - User ID for namespaced storage
+ */
+export async function getWithdrawalExchange(userId) {
+  const exchange = await storage.getItem(getStorageKey('withdrawal_exchange', userId));
+  return exchange || await getSelectedExchange(userId);
+}
+
+/**
+ * Set the exchange that handles withdrawals
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string} userId - User ID for namespaced storage
+ */
+export async function setWithdrawalExchange(exchangeId, userId) {
+  await storage.setItem(getStorageKey('withdrawal_exchange', userId), exchangeId);
+}
+
+/**
+ * Get the user's maximum slippage for market buys
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<number>} Percent above the quoted price (0 = no guard)
+ */
+export async function getMaxSlippage(userId) {
+  const value = await storage.getItem(getStorageKey('max_slippage', userId));
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? EXCHANGE_DEFAULTS.MAX_SLIPPAGE_PERCENT : parsed;
+}
+
+/**
+ * Set the user's maximum slippage for market buys
+ * @param {number} percent - Percent above the quoted price (0 = no guard)
+ * @param {string} userId - User ID for namespaced storage
+ */
+export async function setMaxSlippage(percent, userId) {
+  await storage.setItem(getStorageKey('max_slippage', userId), String(percent));
+}
+
+/**
+ * Get whether market buys spend the exact fiat amount including fees
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<boolean>}
+ */
+export async function getExactFiatBuys(userId) {
+  const value = await storage.getItem(getStorageKey('exact_fiat_buys', userId));
+  return value ? value === 'true' : EXCHANGE_DEFAULTS.EXACT_FIAT_BUYS;
+}
+
+/**
+ * Set whether market buys spend the exact fiat amount including fees
+ * @param {boolean} enabled - Use quote-quantity orders
+ * @param {string} userId - User ID for namespaced storage
+ */
+export async function setExactFiatBuys(enabled, userId) {
+  await storage.setItem(getStorageKey('exact_fiat_buys', userId), String(enabled));
+}
+
+/**
+ * Get the registered adapter for an exchange
+ * Unknown IDs fall back to the default exchange
  */
 function getService(exchangeId) {
-  switch (exchangeId) {
-    case 'kraken':
-      return krakenService;
-    case 'binance':
-    default:
-      return binanceService;
-  }
+  return getExchangeAdapter(exchangeId) || getExchangeAdapter(DEFAULT_EXCHANGE);
 }
 
 /**
@@ -121,12 +187,7 @@ function getService(exchangeId) {
  * @param {string} userId - User ID for namespaced storage
  */
 export async function storeExchangeKeys(exchangeId, apiKey, apiSecret, userId) {
-  const service = getService(exchangeId);
-  if (exchangeId === 'kraken') {
-    await service.storeKrakenKeys(apiKey, apiSecret, userId);
-  } else {
-    await service.storeBinanceKeys(apiKey, apiSecret, userId);
-  }
+  await getService(exchangeId).storeKeys(apiKey, apiSecret, userId);
 }
 
 /**
@@ -135,12 +196,19 @@ export async function storeExchangeKeys(exchangeId, apiKey, apiSecret, userId) {
  * @param {string} userId - User ID for namespaced storage
  */
 export async function hasExchangeKeys(exchangeId, userId) {
-  const service = getService(exchangeId);
-  if (exchangeId === 'kraken') {
-    return await service.hasKrakenKeys(userId);
-  } else {
-    return await service.hasBinanceKeys(userId);
-  }
+  return await getService(exchangeId).hasKeys(userId);
+}
+
+/**
+ * Get the exchanges that have API keys stored on this device
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<string[]>} Exchange identifiers, in registry order
+ */
+export async function getConfiguredExchanges(userId) {
+  const configured = await Promise.all(
+    ALL_EXCHANGES.map(exchange => getService(exchange.id).hasKeys(userId))
+  );
+  return ALL_EXCHANGES.filter((_, index) => configured[index]).map(exchange => exchange.id);
 }
 
 /**
@@ -149,32 +217,170 @@ export async function hasExchangeKeys(exchangeId, userId) {
  * @param {string} userId - User ID for namespaced storage
  */
 export async function deleteExchangeKeys(exchangeId, userId) {
-  const service = getService(exchangeId);
-  if (exchangeId === 'kraken') {
-    await service.deleteKrakenKeys(userId);
-  } else {
-    await service.deleteBinanceKeys(userId);
-  }
+  await getService(exchangeId).deleteKeys(userId);
 }
 
 /**
  * Get account balances from the specified exchange
+ * With a currency, balances are valued at current prices. BTC and the currency
+ * itself are always valued; other assets only if the exchange can price them.
  * @param {string} exchangeId - Exchange identifier
  * @param {string} userId - User ID for namespaced storage
+ * @param {string} currency - Optional currency code to value the balances in
+ * @returns {Promise<{success: boolean, data: Array<import('../utils/balances').Balance>}>}
  */
-export async function getAccountBalances(exchangeId, userId) {
+export async function getAccountBalances(exchangeId, userId, currency = null) {
   const service = getService(exchangeId);
-  return await service.getAccountBalances(userId);
+  const result = await service.getAccountBalances(userId, currency);
+  if (!result.success || !currency) {
+    return result;
+  }
+
+  const prices = { [currency]: 1 };
+  const btc = getAssetBalance(result.data, 'BTC');
+  if (btc.total > 0 && btc.price === null) {
+    try {
+      prices.BTC = await service.getCurrentPrice(currency);
+    } catch (error) {
+      // Leave BTC unvalued
+    }
+  }
+  return {
+    ...result,
+    data: valueBalances(result.data, prices),
+  };
+}
+
+/**
+ * Get balances across every exchange with stored keys
+ * Exchanges that fail to respond are listed with their error and left out of the totals.
+ * @param {string} userId - User ID for namespaced storage
+ * @param {string} currency - Currency code to value the balances in
+ * @returns {Promise<{exchanges: Array<{exchangeId: string, name: string, success: boolean, error?: string, balances: Array}>,
+ *   balances: Array, btc: Object, totalValue: number, unvalued: string[]}>}
+ *   balances are merged per asset; btc is the merged BTC balance
+ */
+export async function getPortfolio(userId, currency) {
+  const exchangeIds = await getConfiguredExchanges(userId);
+  const exchanges = await Promise.all(exchangeIds.map(async (exchangeId) => {
+    const result = await getAccountBalances(exchangeId, userId, currency);
+    return {
+      exchangeId,
+      name: getExchangeInfo(exchangeId).name,
+      success: result.success,
+      error: result.error,
+      balances: result.success ? result.data : [],
+    };
+  }));
+
+  const balances = mergeBalances(exchanges.flatMap(exchange => exchange.balances));
+  const { total, unvalued } = getTotalValue(balances);
+  return {
+    exchanges,
+    balances,
+    btc: getAssetBalance(balances, 'BTC'),
+    totalValue: total,
+    unvalued,
+  };
 }
 
 /**
  * Get withdrawal fee for BTC from the specified exchange
  * @param {string} exchangeId - Exchange identifier
  * @param {string} userId - User ID for namespaced storage
+ * @param {string} withdrawalKey - Optional address key; defaults to the selected withdrawal address
  */
-export async function getWithdrawalFee(exchangeId, userId) {
+export async function getWithdrawalFee(exchangeId, userId, withdrawalKey = null) {
   const service = getService(exchangeId);
-  return await service.getWithdrawalFee(userId);
+  const key = withdrawalKey || (await getSelectedWithdrawalAddress(exchangeId, userId))?.key || null;
+  return await service.getWithdrawalFee(userId, key);
+}
+
+/**
+ * Get the BTC withdrawal networks supported by the specified exchange
+ * Exchanges without a network lookup only offer on-chain withdrawals.
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{success: boolean, data: Array<{network: string, name: string, fee: number|null, minimum: number|null, enabled: boolean}>}>}
+ *   network is 'BTC' or 'LIGHTNING'; a null fee means it depends on the destination (see getWithdrawalFee)
+ */
+export async function getWithdrawalNetworks(exchangeId, userId) {
+  const service = getService(exchangeId);
+  if (typeof service.getWithdrawalNetworks !== 'function') {
+    return {
+      success: true,
+      data: [{ network: 'BTC', name: 'Bitcoin (BTC)', fee: null, minimum: null, enabled: true }],
+    };
+  }
+  return await service.getWithdrawalNetworks(userId);
+}
+
+/**
+ * Check if an exchange can list its configured withdrawal addresses
+ * @param {string} exchangeId - Exchange identifier
+ */
+export function supportsWithdrawalAddressBook(exchangeId) {
+  return typeof getService(exchangeId).getWithdrawalAddresses === 'function';
+}
+
+/**
+ * Get the BTC withdrawal addresses configured on the specified exchange
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{success: boolean, data: Array<{key: string, address: string, label: string, network: string, verified: boolean}>}>}
+ *   key is what executeWithdrawal expects (Kraken key name, or the address itself)
+ */
+export async function getWithdrawalAddresses(exchangeId, userId) {
+  const service = getService(exchangeId);
+  if (typeof service.getWithdrawalAddresses !== 'function') {
+    return { success: true, data: [] };
+  }
+  return await service.getWithdrawalAddresses(userId);
+}
+
+/**
+ * Get the withdrawal address the user picked for an exchange
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{key: string, address: string, label: string}|null>}
+ */
+export async function getSelectedWithdrawalAddress(exchangeId, userId) {
+  const stored = await storage.getItem(getStorageKey(`withdrawal_address_${exchangeId}`, userId));
+  if (!stored) {
+    return null;
+  }
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Set the withdrawal address to use for an exchange
+ * @param {string} exchangeId - Exchange identifier
+ * @param {{key: string, address: string, label: string}|null} entry - Address book entry, or null to clear
+ * @param {string} userId - User ID for namespaced storage
+ */
+export async function setSelectedWithdrawalAddress(exchangeId, entry, userId) {
+  const storageKey = getStorageKey(`withdrawal_address_${exchangeId}`, userId);
+  if (!entry) {
+    await storage.deleteItem(storageKey);
+    return;
+  }
+  const { key, address, label } = entry;
+  await storage.setItem(storageKey, JSON.stringify({ key, address, label }));
+}
+
+/**
+ * Get the current BTC price from the specified exchange
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string} currency - Currency code
+ * @returns {Promise<number>} Current BTC price in the given currency
+ */
+export async function getCurrentPrice(exchangeId, currency) {
+  const service = getService(exchangeId);
+  return await service.getCurrentPrice(currency);
 }
 
 /**
@@ -184,15 +390,36 @@ export async function getWithdrawalFee(exchangeId, userId) {
  * @param {number} amount - Amount to withdraw
  * @param {string} network - Network (default: BTC)
  * @param {string} userId - User ID for namespaced storage
+ * @param {Object} options - withdrawalRequestId: stable id for this withdrawal, used
+ *   by exchanges that deduplicate retried withdrawals
  */
-export async function executeWithdrawal(exchangeId, address, amount, network = 'BTC', userId) {
+export async function executeWithdrawal(exchangeId, address, amount, network = 'BTC', userId, options = {}) {
   const service = getService(exchangeId);
-  if (exchangeId === 'kraken') {
-    // Kraken doesn't use network parameter the same way
-    return await service.executeWithdrawal(address, amount, userId);
-  } else {
-    return await service.executeWithdrawal(address, amount, network, userId);
+  return await service.executeWithdrawal(address, amount, network, userId, options);
+}
+
+/**
+ * Check if an exchange can report withdrawal status
+ * @param {string} exchangeId - Exchange identifier
+ */
+export function supportsWithdrawalTracking(exchangeId) {
+  return typeof getService(exchangeId).getWithdrawalStatus === 'function';
+}
+
+/**
+ * Get the status of a withdrawal on the specified exchange
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string} withdrawalId - Withdrawal id returned by executeWithdrawal
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{success: boolean, data: {status: string, txid: string|null, fee: number|null}}>}
+ *   status is one of pending, processing, completed, failed, cancelled
+ */
+export async function getWithdrawalStatus(exchangeId, withdrawalId, userId) {
+  const service = getService(exchangeId);
+  if (typeof service.getWithdrawalStatus !== 'function') {
+    return { success: false, error: `${service.name} does not support withdrawal tracking` };
   }
+  return await service.getWithdrawalStatus(withdrawalId, userId);
 }
 
 /**
@@ -202,22 +429,228 @@ export async function executeWithdrawal(exchangeId, address, amount, network = '
  * @param {number} tradingFeePercent - Trading fee percentage
  * @param {string} currency - Currency code
  * @param {string} userId - User ID for namespaced storage
+ * @param {Object} options - Optional slippage guard ({ quotePrice, maxSlippagePercent }), exactFiat and clientOrderId;
+ *   exchanges without limit IOC support place a plain market order
  */
-export async function executeMarketBuy(exchangeId, fiatAmount, tradingFeePercent, currency, userId) {
+export async function executeMarketBuy(exchangeId, fiatAmount, tradingFeePercent, currency, userId, options = {}) {
   const service = getService(exchangeId);
-  return await service.executeMarketBuy(fiatAmount, tradingFeePercent, currency, userId);
+  return await service.executeMarketBuy(fiatAmount, tradingFeePercent, currency, userId, options);
+}
+
+/**
+ * Check if an exchange can look up orders by client order id
+ * Only these exchanges get crash-safe order submission
+ * @param {string} exchangeId - Exchange identifier
+ */
+export function supportsOrderRecovery(exchangeId) {
+  return typeof getService(exchangeId).getOrderByClientId === 'function';
+}
+
+/**
+ * Look up a buy order by the client order id it was submitted with
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string} clientOrderId - Client order id passed to executeMarketBuy
+ * @param {string} currency - Currency code
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{success: boolean, data: Object|null, error?: string}>} data is null if nothing was bought
+ */
+export async function getOrderByClientId(exchangeId, clientOrderId, currency, userId) {
+  const service = getService(exchangeId);
+  if (typeof service.getOrderByClientId !== 'function') {
+    return { success: false, error: `${service.name} does not support order lookup` };
+  }
+  return await service.getOrderByClientId(clientOrderId, currency, userId);
+}
+
+/**
+ * Check if an exchange can place resting limit buys
+ * @param {string} exchangeId - Exchange identifier
+ */
+export function supportsLimitOrders(exchangeId) {
+  return typeof getService(exchangeId).placeLimitBuy === 'function';
+}
+
+/**
+ * Place a resting limit buy on the specified exchange
+ * Track the order with limitOrderService rather than calling this directly.
+ * @param {string} exchangeId - Exchange identifier
+ * @param {number} fiatAmount - Amount in fiat to spend
+ * @param {number} limitPrice - Highest price to pay per BTC
+ * @param {number} tradingFeePercent - Trading fee percentage
+ * @param {string} currency - Currency code
+ * @param {string} userId - User ID for namespaced storage
+ * @param {Object} options - clientOrderId and expiresAt (ISO time; exchanges without expiry ignore it)
+ * @returns {Promise<{success: boolean, data: {orderId: string, limitPrice: number, btcAmount: number, timestamp: string}}>}
+ */
+export async function placeLimitBuy(exchangeId, fiatAmount, limitPrice, tradingFeePercent, currency, userId, options = {}) {
+  const service = getService(exchangeId);
+  if (typeof service.placeLimitBuy !== 'function') {
+    return { success: false, error: `${service.name} does not support limit orders` };
+  }
+  return await service.placeLimitBuy(fiatAmount, limitPrice, tradingFeePercent, currency, userId, options);
+}
+
+/**
+ * Get the state of a limit buy
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string|null} orderId - Exchange order id (null to look the order up by options.clientOrderId)
+ * @param {string} currency - Currency code
+ * @param {string} userId - User ID for namespaced storage
+ * @param {Object} options - clientOrderId the order was placed with
+ * @returns {Promise<{success: boolean, data: {orderId: string, status: 'open'|'filled'|'cancelled'|'expired', limitPrice: number, btcAmount: number, filledBtc: number, trade: Object|null}|null}>}
+ *   data is null if no order exists for the client order id
+ */
+export async function getLimitOrder(exchangeId, orderId, currency, userId, options = {}) {
+  const service = getService(exchangeId);
+  if (typeof service.getLimitOrder !== 'function') {
+    return { success: false, error: `${service.name} does not support limit orders` };
+  }
+  return await service.getLimitOrder(orderId, currency, userId, options);
+}
+
+/**
+ * Cancel an open order
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string} orderId - Exchange order id
+ * @param {string} currency - Currency code
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function cancelOrder(exchangeId, orderId, currency, userId) {
+  const service = getService(exchangeId);
+  if (typeof service.cancelOrder !== 'function') {
+    return { success: false, error: `${service.name} does not support cancelling orders` };
+  }
+  return await service.cancelOrder(orderId, currency, userId);
+}
+
+/**
+ * Check if an exchange can buy through a quote-based conversion (Binance Convert)
+ * @param {string} exchangeId - Exchange identifier
+ */
+export function supportsConvert(exchangeId) {
+  return typeof getService(exchangeId).getConvertQuote === 'function';
+}
+
+/**
+ * Check whether a buy has to go through Convert because spot would reject it
+ * @param {string} exchangeId - Exchange identifier
+ * @param {Object} readiness - Result of getTradeReadiness
+ * @param {number} fiatAmount - Amount in fiat to spend
+ */
+export function needsConvert(exchangeId, readiness, fiatAmount) {
+  const marketData = readiness?.market?.success ? readiness.market.data : null;
+  return supportsConvert(exchangeId) && !!marketData && fiatAmount > 0 && fiatAmount < marketData.minOrderValue;
+}
+
+/**
+ * Get a firm conversion quote for buying BTC
+ * @param {string} exchangeId - Exchange identifier
+ * @param {number} fiatAmount - Amount in fiat to spend
+ * @param {string} currency - Currency code
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{success: boolean, data: {quoteId: string, fiatAmount: number, btcAmount: number, price: number, expiresAt: string}}>}
+ */
+export async function getConvertQuote(exchangeId, fiatAmount, currency, userId) {
+  const service = getService(exchangeId);
+  if (typeof service.getConvertQuote !== 'function') {
+    return { success: false, error: `${service.name} does not support Convert` };
+  }
+  return await service.getConvertQuote(fiatAmount, currency, userId);
+}
+
+/**
+ * Accept a conversion quote before it expires
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string} quoteId - Quote id from getConvertQuote
+ * @param {string} currency - Currency code
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<Object>} Result in the executeMarketBuy data shape
+ */
+export async function acceptConvertQuote(exchangeId, quoteId, currency, userId) {
+  const service = getService(exchangeId);
+  if (typeof service.acceptConvertQuote !== 'function') {
+    return { success: false, error: `${service.name} does not support Convert` };
+  }
+  return await service.acceptConvertQuote(quoteId, currency, userId);
+}
+
+/**
+ * Look up a conversion by the quote id it was accepted with
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string} quoteId - Quote id from getConvertQuote
+ * @param {string} currency - Currency code
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{success: boolean, data: Object|null, error?: string}>} data is null if nothing was converted
+ */
+export async function getConvertOrderStatus(exchangeId, quoteId, currency, userId) {
+  const service = getService(exchangeId);
+  if (typeof service.getConvertOrderStatus !== 'function') {
+    return { success: false, error: `${service.name} does not support Convert` };
+  }
+  return await service.getConvertOrderStatus(quoteId, currency, userId);
+}
+
+/**
+ * Get open orders on the BTC pair across every exchange with stored keys
+ * Exchanges that cannot list open orders are skipped.
+ * @param {string} userId - User ID for namespaced storage
+ * @param {string} currency - Currency code of the DCA pair
+ * @returns {Promise<{orders: Array<Object>, failed: Array<{exchangeId: string, name: string, error: string}>}>}
+ *   orders are oldest first and carry exchangeId, exchangeName and currency on top of the adapter fields
+ */
+export async function getAllOpenOrders(userId, currency) {
+  const exchangeIds = (await getConfiguredExchanges(userId))
+    .filter(exchangeId => typeof getService(exchangeId).getOpenOrders === 'function');
+  const results = await Promise.all(exchangeIds.map(async (exchangeId) => ({
+    exchangeId,
+    name: getExchangeInfo(exchangeId).name,
+    result: await getService(exchangeId).getOpenOrders(currency, userId),
+  })));
+
+  const orders = results
+    .filter(({ result }) => result.success)
+    .flatMap(({ exchangeId, name, result }) => result.data.map(order => ({
+      ...order,
+      exchangeId,
+      exchangeName: name,
+      currency,
+    })))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  const failed = results
+    .filter(({ result }) => !result.success)
+    .map(({ exchangeId, name, result }) => ({ exchangeId, name, error: result.error }));
+
+  return { orders, failed };
+}
+
+/**
+ * Get BTC buy history from the exchange, one entry per order
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string} currency - Currency code
+ * @param {string} userId - User ID for namespaced storage
+ * @param {number} since - Only include orders at or after this time (ms)
+ * @returns {Promise<{success: boolean, data: Array, error?: string}>}
+ */
+export async function getTradeHistory(exchangeId, currency, userId, since = 0) {
+  const service = getService(exchangeId);
+  if (typeof service.getTradeHistory !== 'function') {
+    return { success: false, error: `${service.name} does not support trade history import` };
+  }
+  return await service.getTradeHistory(currency, userId, since);
 }
 
 /**
  * Get trading fees for the specified exchange
  * @param {string} exchangeId - Exchange identifier
  * @param {string} userId - User ID for namespaced storage
+ * @param {string} currency - Currency code; exchanges with per-pair tiers report the BTC pair's fees
  * @returns {Promise<{success: boolean, data: {makerFee: number, takerFee: number}}>}
  */
-export async function getTradingFees(exchangeId, userId) {
+export async function getTradingFees(exchangeId, userId, currency = 'EUR') {
   const service = getService(exchangeId);
   if (typeof service.getTradingFees === 'function') {
-    return await service.getTradingFees(userId);
+    return await service.getTradingFees(userId, currency);
   }
   // Fall back to hardcoded fees for exchanges without API support
   const exchangeInfo = getExchangeInfo(exchangeId);
@@ -231,57 +664,378 @@ export async function getTradingFees(exchangeId, userId) {
 }
 
 /**
- * Get API key setup instructions for an exchange
+ * Fetch everything needed to decide whether a buy can go through
+ * Balances and market status are fetched in parallel; evaluate the result with
+ * evaluateTradeReadiness, which can be re-run whenever the amount changes.
+ *
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string} currency - Currency code
+ * @param {number} tradingFeePercent - Trading fee percentage
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{currency: string, tradingFeePercent: number, balances: Object, market: Object|null}>}
+ *   balances and market are adapter results; market is null if the exchange does not report its status
  */
-export function getApiKeyInstructions(exchangeId) {
-  if (exchangeId === 'kraken') {
-    return [
-      '1. Log in to Kraken.com',
-      '2. Go to Security → API',
-      '3. Click "Add Key"',
-      '4. Set a descriptive name',
-      '5. Enable "Query Funds" permission',
-      '6. Enable "Create & Modify Orders" permission',
-      '7. Enable "Withdraw Funds" ONLY if App Withdrawal Mode is ON',
-      '8. Set IP whitelist for additional security (recommended)',
-      '9. Note: For withdrawals, you must pre-configure withdrawal addresses in Kraken',
-    ];
-  }
-
-  // Binance instructions
-  return [
-    '1. Log in to Binance.com',
-    '2. Go to Profile → API Management',
-    '3. Create a new API key',
-    '4. Enable "Enable Spot & Margin Trading" (required)',
-    '5. Enable "Enable Withdrawals" ONLY if App Withdrawal Mode is ON',
-    '6. Do NOT enable "Enable Withdrawals" if App Withdrawal Mode is OFF',
-    '7. Whitelist a dedicated IP (recommended: use a VPN service with a static IP)',
-  ];
+export async function getTradeReadiness(exchangeId, currency, tradingFeePercent, userId) {
+  const service = getService(exchangeId);
+  const [balances, market] = await Promise.all([
+    service.getAccountBalances(userId),
+    typeof service.getMarketStatus === 'function'
+      ? service.getMarketStatus(currency, tradingFeePercent)
+      : Promise.resolve(null),
+  ]);
+  return { currency, tradingFeePercent, balances, market };
 }
 
 /**
- * Get withdrawal notes for an exchange
+ * Turn fetched readiness data into a checklist for a given amount
+ * Checks that could not be performed are 'unknown' and do not block the trade;
+ * the exchange rejects the order itself if something is actually wrong.
+ *
+ * @param {Object} readiness - Result of getTradeReadiness
+ * @param {number} fiatAmount - Amount in fiat to spend
+ * @param {Object} options - allowConvert: amounts below the spot minimum pass, since they can be bought with Convert
+ * @returns {{checks: Array<{id: string, label: string, status: 'ok'|'failed'|'unknown', detail: string|null}>,
+ *   ready: boolean, blockingReason: string|null}}
  */
-export function getWithdrawalNotes(exchangeId) {
-  if (exchangeId === 'kraken') {
-    return {
-      title: 'Kraken Withdrawal Setup',
-      notes: [
-        'Kraken requires withdrawal addresses to be pre-configured in your account settings.',
-        'Go to Funding → Withdraw → Bitcoin → Add Address',
-        'Add your hardware wallet address and give it a name (e.g., "Hardware Wallet")',
-        'Use this exact name when entering your withdrawal address in the app',
-      ],
-    };
+export function evaluateTradeReadiness(readiness, fiatAmount, { allowConvert = false } = {}) {
+  const { currency, tradingFeePercent, balances, market } = readiness;
+  const symbol = getCurrencySymbol(currency);
+  const marketData = market?.success ? market.data : null;
+  const checks = [];
+
+  const keyErrorCodes = [
+    EXCHANGE_ERROR_CODES.INVALID_API_KEY,
+    EXCHANGE_ERROR_CODES.PERMISSION_DENIED,
+    EXCHANGE_ERROR_CODES.KEYS_MISSING,
+  ];
+  if (balances.success) {
+    checks.push({ id: 'keys', label: 'API keys valid', status: 'ok', detail: null });
+  } else {
+    checks.push({
+      id: 'keys',
+      label: 'API keys valid',
+      status: keyErrorCodes.includes(balances.errorCode) ? 'failed' : 'unknown',
+      detail: balances.error,
+    });
   }
 
+  // Binance and Kraken take the fee out of the amount; assume it comes on top elsewhere
+  const required = marketData?.feesIncludedInAmount
+    ? fiatAmount
+    : fiatAmount * (1 + tradingFeePercent / 100);
+  if (balances.success) {
+    const quoteAsset = marketData?.quoteAsset || currency;
+    const available = getAssetBalance(balances.data, quoteAsset).free;
+    checks.push({
+      id: 'funds',
+      label: 'Funds available',
+      status: available >= required ? 'ok' : 'failed',
+      detail: `${symbol}${available.toFixed(2)} available, ${symbol}${required.toFixed(2)} needed`,
+    });
+  } else {
+    checks.push({ id: 'funds', label: 'Funds available', status: 'unknown', detail: 'Balance could not be loaded' });
+  }
+
+  const minimum = marketData ? `${symbol}${marketData.minOrderValue.toFixed(2)}` : null;
+  if (marketData) {
+    checks.push({
+      id: 'exchange',
+      label: 'Exchange online',
+      status: marketData.exchangeOnline ? 'ok' : 'failed',
+      detail: marketData.exchangeOnline ? null : `Exchange status: ${marketData.exchangeStatus}`,
+    });
+    checks.push({
+      id: 'pair',
+      label: `BTC/${currency} tradeable`,
+      status: marketData.pairTradeable ? 'ok' : 'failed',
+      detail: marketData.pairTradeable ? null : `Market status: ${marketData.pairStatus}`,
+    });
+    const belowMinimum = fiatAmount < marketData.minOrderValue;
+    checks.push({
+      id: 'minimum',
+      label: 'Minimum order met',
+      status: !belowMinimum || allowConvert ? 'ok' : 'failed',
+      detail: belowMinimum && allowConvert ? `Below the ${minimum} spot minimum, bought with Convert` : `Minimum ${minimum}`,
+    });
+  } else {
+    const detail = market ? market.error : 'Not reported by this exchange';
+    checks.push({ id: 'exchange', label: 'Exchange online', status: 'unknown', detail });
+    checks.push({ id: 'pair', label: `BTC/${currency} tradeable`, status: 'unknown', detail });
+    checks.push({ id: 'minimum', label: 'Minimum order met', status: 'unknown', detail });
+  }
+
+  const failed = checks.find(check => check.status === 'failed');
+  const blockingReasons = {
+    keys: 'Your API keys were rejected. Check them in API Keys.',
+    funds: `Not enough ${marketData?.quoteAsset || currency} on the exchange: ${failed?.detail}.`,
+    exchange: 'The exchange is not accepting orders right now. Try again later.',
+    pair: `BTC/${currency} is not trading right now. Try again later.`,
+    minimum: `The amount is below the exchange minimum (${minimum}).`,
+  };
+
+  return {
+    checks,
+    ready: !failed,
+    blockingReason: failed ? blockingReasons[failed.id] : null,
+  };
+}
+
+// Withdrawal fees are spread over this many buys (weekly buys, withdrawn about monthly)
+const DEFAULT_BUYS_PER_WITHDRAWAL = 4;
+
+/**
+ * Check if an exchange can take part in best-execution routing
+ * @param {string} exchangeId - Exchange identifier
+ */
+export function supportsBestExecution(exchangeId) {
+  return typeof getService(exchangeId).getOrderBook === 'function';
+}
+
+/**
+ * Fetch one venue's prices, fees and readiness for routing
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string} currency - Currency code
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{exchangeId: string, tradingFeePercent: number, orderBook: Object, withdrawalFee: number, readiness: Object}>}
+ */
+async function getVenueQuote(exchangeId, currency, userId) {
+  const service = getService(exchangeId);
+  const fees = await getTradingFees(exchangeId, userId, currency);
+  const tradingFeePercent = fees.success ? fees.data.takerFee : getExchangeInfo(exchangeId).tradingFee;
+  const [orderBook, withdrawalFee, readiness] = await Promise.all([
+    service.getOrderBook(currency),
+    getWithdrawalFee(exchangeId, userId),
+    getTradeReadiness(exchangeId, currency, tradingFeePercent, userId),
+  ]);
+  return { exchangeId, tradingFeePercent, orderBook, withdrawalFee, readiness };
+}
+
+/**
+ * Walk the asks to see what a market buy of a fiat amount would fill at
+ * @param {Array<{price: number, amount: number}>} asks - Ascending by price
+ * @param {number} fiatAmount - Amount in fiat to spend
+ * @returns {{btcAmount: number, averagePrice: number|null, filled: boolean}} filled is false if the book ran out first
+ */
+function estimateFill(asks, fiatAmount) {
+  let remaining = fiatAmount;
+  let btcAmount = 0;
+  for (const level of asks) {
+    const levelCost = level.price * level.amount;
+    if (levelCost >= remaining) {
+      btcAmount += remaining / level.price;
+      remaining = 0;
+      break;
+    }
+    btcAmount += level.amount;
+    remaining -= levelCost;
+  }
+  const spent = fiatAmount - remaining;
   return {
-    title: 'Binance Withdrawal Setup',
-    notes: [
-      'Enter your Bitcoin wallet address directly',
-      'Make sure "Enable Withdrawals" is enabled in your API key settings',
-      'Whitelist your withdrawal address in Binance for added security',
-    ],
+    btcAmount,
+    averagePrice: btcAmount > 0 ? spent / btcAmount : null,
+    filled: remaining === 0,
   };
 }
+
+/**
+ * Fetch quotes from every configured exchange that supports routing
+ * Compare them with compareVenues.
+ * @param {string} currency - Currency code
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<Array<Object>>} One getVenueQuote result per venue; empty if fewer than two venues are configured
+ */
+export async function getVenueQuotes(currency, userId) {
+  const exchangeIds = (await getConfiguredExchanges(userId)).filter(supportsBestExecution);
+  if (exchangeIds.length < 2) {
+    return [];
+  }
+  return await Promise.all(exchangeIds.map(exchangeId => getVenueQuote(exchangeId, currency, userId)));
+}
+
+/**
+ * Rank venues by all-in cost per BTC for a buy and pick one
+ * The cost covers book depth (average fill price), the taker fee and a share of
+ * the venue's BTC withdrawal fee. BTC bought away from the withdrawal exchange is
+ * not part of the app's batched withdrawals, so it carries that venue's full
+ * withdrawal fee. Only venues whose readiness checks pass (enough funds, market
+ * open, minimum met) can be chosen; on a tie the preferred venue wins.
+ *
+ * @param {Array<Object>} quotes - Result of getVenueQuotes
+ * @param {number} fiatAmount - Amount in fiat to spend
+ * @param {Object} options
+ * @param {string} options.preferredExchangeId - The user's DCA exchange
+ * @param {number} options.buysPerWithdrawal - Buys the withdrawal fee is spread over
+ * @param {string} options.withdrawalExchangeId - Exchange the app withdraws from (null if withdrawals are manual)
+ * @returns {{venues: Array<{exchangeId: string, name: string, tradingFeePercent: number, averagePrice: number|null,
+ *   btcAmount: number|null, withdrawalFeeShare: number, costPerBtc: number|null, eligible: boolean, reason: string|null}>,
+ *   chosen: string|null, reason: string}} venues cheapest first; reason on a venue explains why it cannot be chosen
+ */
+export function compareVenues(quotes, fiatAmount, options = {}) {
+  const { preferredExchangeId = null, buysPerWithdrawal = DEFAULT_BUYS_PER_WITHDRAWAL, withdrawalExchangeId = null } = options;
+
+  const venues = quotes.map((quote) => {
+    const batched = !withdrawalExchangeId || quote.exchangeId === withdrawalExchangeId;
+    const venue = {
+      exchangeId: quote.exchangeId,
+      name: getExchangeInfo(quote.exchangeId).name,
+      tradingFeePercent: quote.tradingFeePercent,
+      averagePrice: null,
+      btcAmount: null,
+      withdrawalFeeShare: batched ? quote.withdrawalFee / buysPerWithdrawal : quote.withdrawalFee,
+      costPerBtc: null,
+      eligible: false,
+      reason: null,
+    };
+
+    if (!quote.orderBook.success) {
+      venue.reason = 'Prices unavailable';
+      return venue;
+    }
+    const fill = estimateFill(quote.orderBook.data.asks, fiatAmount);
+    venue.averagePrice = fill.averagePrice;
+    venue.btcAmount = fill.btcAmount * (1 - quote.tradingFeePercent / 100);
+    const netBtc = venue.btcAmount - venue.withdrawalFeeShare;
+    venue.costPerBtc = netBtc > 0 ? fiatAmount / netBtc : null;
+
+    const readiness = evaluateTradeReadiness(quote.readiness, fiatAmount);
+    if (!fill.filled) {
+      venue.reason = 'Not enough order book depth';
+    } else if (venue.costPerBtc === null) {
+      venue.reason = 'Amount does not cover the withdrawal fee';
+    } else if (!readiness.ready) {
+      venue.reason = readiness.blockingReason;
+    } else {
+      venue.eligible = true;
+    }
+    return venue;
+  });
+
+  // Cheapest first; venues without a cost go last
+  venues.sort((a, b) => {
+    if (a.costPerBtc === null || b.costPerBtc === null) {
+      return (a.costPerBtc === null) - (b.costPerBtc === null);
+    }
+    return a.costPerBtc - b.costPerBtc
+      || (b.exchangeId === preferredExchangeId) - (a.exchangeId === preferredExchangeId);
+  });
+
+  const eligible = venues.filter(venue => venue.eligible);
+  const chosen = eligible[0] || null;
+  const cheapest = venues[0];
+  const symbol = getCurrencySymbol(quotes[0]?.readiness.currency);
+
+  let reason;
+  if (!chosen) {
+    reason = 'No exchange can take this order right now';
+  } else if (chosen !== cheapest) {
+    reason = `${cheapest.name} is cheaper but cannot take this order: ${cheapest.reason}`;
+  } else if (eligible.length === 1) {
+    reason = `${chosen.name} is the only exchange that can take this order`;
+  } else {
+    const saving = eligible[1].costPerBtc - chosen.costPerBtc;
+    reason = saving > 0
+      ? `${chosen.name} is ${symbol}${saving.toFixed(2)} per BTC cheaper than ${eligible[1].name} after fees`
+      : `${chosen.name} and ${eligible[1].name} cost the same after fees`;
+  }
+
+  return { venues, chosen: chosen?.exchangeId || null, reason };
+}
+
+/**
+ * Check if an exchange can report what its API key is allowed to do
+ * @param {string} exchangeId - Exchange identifier
+ */
+export function supportsKeyPermissions(exchangeId) {
+  return typeof getService(exchangeId).getKeyPermissions === 'function';
+}
+
+/**
+ * Get the permissions granted to the stored API key
+ * @param {string} exchangeId - Exchange identifier
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{success: boolean, data: Object}>} Permission flags; null means it cannot be detected
+ */
+export async function getKeyPermissions(exchangeId, userId) {
+  const service = getService(exchangeId);
+  if (typeof service.getKeyPermissions !== 'function') {
+    return { success: false, error: `${service.name} does not report API key permissions` };
+  }
+  return await service.getKeyPermissions(userId);
+}
+
+/**
+ * Compare API key permissions with what the app needs
+ * Withdrawal rights are only needed on the withdrawal exchange with App
+ * Withdrawal Mode on; anything beyond reading, spot trading and (optionally)
+ * withdrawing is unnecessary.
+ *
+ * @param {Object} permissions - Result data of getKeyPermissions
+ * @param {boolean} appWithdrawal - Whether the app executes withdrawals from this exchange
+ * @returns {{rows: Array<{id: string, label: string, granted: boolean|null, expected: string, ok: boolean|null}>,
+ *   issues: Array<{level: 'refuse'|'warning', message: string}>}}
+ *   expected is 'required', 'forbidden' or 'recommended'; a 'refuse' issue means the key should not be used
+ */
+export function evaluateKeyPermissions(permissions, appWithdrawal) {
+  const rows = [
+    { id: 'canRead', label: 'Read balances', expected: 'required' },
+    { id: 'canTrade', label: 'Spot trading', expected: 'required' },
+    { id: 'canWithdraw', label: 'Withdrawals', expected: appWithdrawal ? 'required' : 'forbidden' },
+    { id: 'canTransfer', label: 'Internal transfers', expected: 'forbidden' },
+    { id: 'canTradeDerivatives', label: 'Margin / futures', expected: 'forbidden' },
+    { id: 'ipRestricted', label: 'IP whitelist', expected: 'recommended' },
+  ].map(row => {
+    const granted = permissions[row.id] ?? null;
+    let ok = null;
+    if (granted !== null) {
+      ok = row.expected === 'forbidden' ? !granted : granted;
+    }
+    return { ...row, granted, ok };
+  });
+
+  const issues = [];
+  if (permissions.canRead === false) {
+    issues.push({ level: 'warning', message: 'This key cannot read balances. Enable read/query permissions.' });
+  }
+  if (permissions.canTrade === false) {
+    issues.push({ level: 'warning', message: 'This key cannot trade, so purchases will fail. Enable spot trading.' });
+  }
+  if (permissions.canWithdraw === true && !appWithdrawal) {
+    issues.push({
+      level: 'refuse',
+      message: 'This key can withdraw funds, but the app does not withdraw from this exchange. Disable withdrawals on the key (or use this exchange for withdrawals with App Withdrawal Mode on).',
+    });
+  }
+  if (permissions.canWithdraw === false && appWithdrawal) {
+    issues.push({ level: 'warning', message: 'The app withdraws from this exchange but this key cannot withdraw. Enable withdrawals or turn App Withdrawal Mode off.' });
+  }
+  if (permissions.canTransfer === true) {
+    issues.push({ level: 'warning', message: 'This key can make internal transfers, which the app never needs. Disable them.' });
+  }
+  if (permissions.canTradeDerivatives === true) {
+    issues.push({ level: 'warning', message: 'This key can trade margin or futures, which the app never needs. Disable them.' });
+  }
+  if (permissions.ipRestricted === false) {
+    issues.push({
+      level: 'warning',
+      message: permissions.canWithdraw
+        ? 'This key can withdraw funds from ANY IP address. Restrict it to trusted IPs.'
+        : 'This key has no IP whitelist. Restricting it to trusted IPs is strongly recommended.',
+    });
+  }
+
+  return { rows, issues };
+}
+
+/**
+ * Get API key setup instructions for an exchange
+ */
+export function getApiKeyInstructions(exchangeId) {
+  return getService(exchangeId).apiKeyInstructions;
+}
+
+/**
+ * Get withdrawal notes for an exchange
+ */
+export function getWithdrawalNotes(exchangeId) {
+  return getService(exchangeId).withdrawalNotes;
+}
@@ -1,9 +1,137 @@
 import CryptoJS from 'crypto-js';
 import storage from '../utils/storage';
 import { getKrakenPair } from '../utils/currency';
+import { registerExchange } from './exchangeRegistry';
+import { registerTimeSource, getServerTime, getNextNonce } from './clockService';
+import { defineRateLimit, exchangeRequest, createExchangeError, reportRateLimited } from './exchangeHttp';
+import { EXCHANGE_ERROR_CODES, getErrorCode } from '../utils/exchangeErrors';
+import { createBalance, mergeBalances, valueBalances } from '../utils/balances';
 
 const KRAKEN_API_URL = 'https://api.kraken.com';
 
+// Legacy Kraken codes of assets listed before plain codes were used (XXBT is BTC)
+const KRAKEN_ASSET_CODES = {
+  BTC: ['XXBT', 'XBT'],
+  ETH: ['XETH'],
+  LTC: ['XLTC'],
+  XRP: ['XXRP'],
+  XLM: ['XXLM'],
+  XMR: ['XXMR'],
+  ZEC: ['XZEC'],
+  ETC: ['XETC'],
+  REP: ['XREP'],
+  MLN: ['XMLN'],
+  DOGE: ['XXDG', 'XDG'],
+  EUR: ['ZEUR'],
+  USD: ['ZUSD'],
+  GBP: ['ZGBP'],
+  CAD: ['ZCAD'],
+  JPY: ['ZJPY'],
+  AUD: ['ZAUD'],
+};
+
+// Private call counter of a Starter account (max 15, decays 0.33/s); public calls ~1/s
+defineRateLimit('kraken', { capacity: 15, refillPerSecond: 0.33 });
+defineRateLimit('kraken_public', { capacity: 5, refillPerSecond: 1 });
+
+// History calls cost 2; orders are limited by the matching engine, not the call counter
+const ENDPOINT_COSTS = {
+  TradesHistory: 2,
+  Ledgers: 2,
+  QueryTrades: 2,
+  QueryLedgers: 2,
+  AddOrder: 0,
+  CancelOrder: 0,
+};
+
+// The private API is POST-only; these endpoints only read and are safe to retry
+const READ_ENDPOINTS = new Set([
+  'Balance',
+  'BalanceEx',
+  'TradeBalance',
+  'TradeVolume',
+  'OpenOrders',
+  'ClosedOrders',
+  'QueryOrders',
+  'TradesHistory',
+  'QueryTrades',
+  'Ledgers',
+  'QueryLedgers',
+  'WithdrawMethods',
+  'WithdrawAddresses',
+  'WithdrawInfo',
+  'WithdrawStatus',
+]);
+
+registerTimeSource('kraken', async () => {
+  const result = await krakenPublicRequest('Time');
+  return result.unixtime * 1000;
+});
+
+// TradesHistory returns 50 trades per page; cap how far back reconciliation reads
+const MAX_HISTORY_PAGES = 10;
+
+// Countries where Kraken is available
+const KRAKEN_COUNTRIES = new Set([
+  // Europe - EEA countries
+  'AT', // Austria
+  'BE', // Belgium
+  'BG', // Bulgaria
+  'HR', // Croatia
+  'CY', // Cyprus
+  'CZ', // Czechia
+  'DK', // Denmark
+  'EE', // Estonia
+  'FI', // Finland
+  'FR', // France
+  'DE', // Germany
+  'GR', // Greece
+  'HU', // Hungary
+  'IS', // Iceland
+  'IE', // Ireland
+  'IT', // Italy
+  'LV', // Latvia
+  'LI', // Liechtenstein
+  'LT', // Lithuania
+  'LU', // Luxembourg
+  'MT', // Malta
+  'NL', // Netherlands
+  'NO', // Norway
+  'PL', // Poland
+  'PT', // Portugal
+  'RO', // Romania
+  'SK', // Slovakia
+  'SI', // Slovenia
+  'ES', // Spain
+  'SE', // Sweden
+  'GB', // United Kingdom
+  // North America
+  'CA', // Canada
+  'US', // United States
+  // Rest of World
+  'AR', // Argentina
+  'AU', // Australia
+  'BM', // Bermuda
+  'SG', // Singapore
+]);
+
+// Countries where Kraken is explicitly prohibited
+const KRAKEN_PROHIBITED = new Set([
+  'AF', // Afghanistan
+  'BY', // Belarus
+  'CU', // Cuba
+  'CD', // Democratic Republic of the Congo
+  'IR', // Iran
+  'IQ', // Iraq
+  'JP', // Japan
+  'LY', // Libya
+  'KP', // North Korea
+  'RU', // Russia
+  'SD', // Sudan
+  'SS', // South Sudan
+  'SY', // Syria
+]);
+
 /**
  * Get storage key with optional user namespace
  * @param {string} baseKey - The base key name
@@ -33,8 +161,58 @@ function getKrakenSignature(path, postData, secret, nonce) {
   return CryptoJS.enc.Base64.stringify(hmac);
 }
 
+// Kraken error prefixes and the app error codes they map to
+const KRAKEN_ERRORS = [
+  ['EOrder:Insufficient funds', EXCHANGE_ERROR_CODES.INSUFFICIENT_FUNDS],
+  ['EFunding:Insufficient funds', EXCHANGE_ERROR_CODES.INSUFFICIENT_FUNDS],
+  ['EAPI:Invalid key', EXCHANGE_ERROR_CODES.INVALID_API_KEY],
+  ['EAPI:Invalid signature', EXCHANGE_ERROR_CODES.INVALID_API_KEY],
+  ['EGeneral:Permission denied', EXCHANGE_ERROR_CODES.PERMISSION_DENIED],
+  ['EOrder:Order minimum not met', EXCHANGE_ERROR_CODES.AMOUNT_INVALID],
+  ['EOrder:Cost minimum not met', EXCHANGE_ERROR_CODES.AMOUNT_INVALID],
+  ['EGeneral:Invalid arguments:volume', EXCHANGE_ERROR_CODES.AMOUNT_INVALID],
+  ['EFunding:Invalid amount', EXCHANGE_ERROR_CODES.AMOUNT_INVALID],
+  ['EAPI:Invalid nonce', EXCHANGE_ERROR_CODES.INVALID_NONCE],
+  ['EAPI:Rate limit exceeded', EXCHANGE_ERROR_CODES.RATE_LIMITED],
+  ['EGeneral:Too many requests', EXCHANGE_ERROR_CODES.RATE_LIMITED],
+  ['EGeneral:Temporary lockout', EXCHANGE_ERROR_CODES.RATE_LIMITED],
+  ['EService:Unavailable', EXCHANGE_ERROR_CODES.UNAVAILABLE],
+  ['EService:Busy', EXCHANGE_ERROR_CODES.UNAVAILABLE],
+];
+
+// Rejected before execution, so safe to send again (for requests that may be retried)
+const RETRYABLE_ERRORS = new Set([
+  EXCHANGE_ERROR_CODES.INVALID_NONCE,
+  EXCHANGE_ERROR_CODES.RATE_LIMITED,
+  EXCHANGE_ERROR_CODES.UNAVAILABLE,
+]);
+
+/**
+ * Turn the error array of a Kraken response into a structured error
+ * The message keeps Kraken's own error strings.
+ */
+function getKrakenBodyError(data, budget) {
+  const errors = data?.error || [];
+  if (errors.length === 0) {
+    return null;
+  }
+
+  const match = KRAKEN_ERRORS.find(([prefix]) => errors.some(e => e.startsWith(prefix)));
+  const errorCode = match ? match[1] : EXCHANGE_ERROR_CODES.UNKNOWN;
+  if (errorCode === EXCHANGE_ERROR_CODES.RATE_LIMITED) {
+    reportRateLimited(budget, 3000);
+  }
+
+  return createExchangeError('Kraken', errorCode, errors.join(', '), {
+    retryable: RETRYABLE_ERRORS.has(errorCode),
+    retryAfterMs: errorCode === EXCHANGE_ERROR_CODES.RATE_LIMITED ? 3000 : null,
+  });
+}
+
 /**
  * Make authenticated Kraken API request
+ * Read endpoints are retried on transient errors with a fresh nonce; anything
+ * that changes state (orders, withdrawals) is sent exactly once.
  * @param {string} endpoint - API endpoint
  * @param {object} params - Request parameters
  * @param {string} userId - User ID for namespaced key storage
@@ -47,35 +225,34 @@ async function krakenRequest(endpoint, params = {}, userId = null) {
     throw new Error('Kraken API keys not found. Please configure them first.');
   }
 
-  const nonce = Date.now();
-  const postData = new URLSearchParams({ ...params, nonce }).toString();
   const path = `/0/private/${endpoint}`;
-  const signature = getKrakenSignature(path, postData, apiSecret, nonce);
 
-  const response = await fetch(`${KRAKEN_API_URL}${path}`, {
+  const { data } = await exchangeRequest({
+    exchange: 'Kraken',
     method: 'POST',
-    headers: {
-      'API-Key': apiKey,
-      'API-Sign': signature,
-      'Content-Type': 'application/x-www-form-urlencoded',
+    idempotent: READ_ENDPOINTS.has(endpoint),
+    budget: 'kraken',
+    weight: ENDPOINT_COSTS[endpoint] ?? 1,
+    getBodyError: (body) => getKrakenBodyError(body, 'kraken'),
+    prepare: async () => {
+      // Kraken requires every nonce to be higher than the last one used with the key.
+      // Never start below the device clock: earlier versions used Date.now() directly.
+      const now = Math.max(Date.now(), await getServerTime('kraken'));
+      const nonce = await getNextNonce(getStorageKey('kraken', userId), now);
+      const postData = new URLSearchParams({ ...params, nonce }).toString();
+
+      return {
+        url: `${KRAKEN_API_URL}${path}`,
+        headers: {
+          'API-Key': apiKey,
+          'API-Sign': getKrakenSignature(path, postData, apiSecret, nonce),
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: postData,
+      };
     },
-    body: postData,
   });
 
-  // Check if response is JSON before parsing
-  const contentType = response.headers.get('content-type');
-  if (!contentType || !contentType.includes('application/json')) {
-    const text = await response.text();
-    console.error('Kraken API returned non-JSON response:', text.substring(0, 200));
-    throw new Error(`Kraken API error: ${response.status} - received non-JSON response. Please try again.`);
-  }
-
-  const data = await response.json();
-
-  if (data.error && data.error.length > 0) {
-    throw new Error(data.error.join(', '));
-  }
-
   return data.result;
 }
 
@@ -84,23 +261,15 @@ async function krakenRequest(endpoint, params = {}, userId = null) {
  */
 async function krakenPublicRequest(endpoint, params = {}) {
   const queryString = new URLSearchParams(params).toString();
-  const url = `${KRAKEN_API_URL}/0/public/${endpoint}${queryString ? '?' + queryString : ''}`;
-
-  const response = await fetch(url);
-
-  // Check if response is JSON before parsing
-  const contentType = response.headers.get('content-type');
-  if (!contentType || !contentType.includes('application/json')) {
-    const text = await response.text();
-    console.error('Kraken API returned non-JSON response:', text.substring(0, 200));
-    throw new Error(`Kraken API error: ${response.status} - received non-JSON response. Please try again.`);
-  }
 
-  const data = await response.json();
-
-  if (data.error && data.error.length > 0) {
-    throw new Error(data.error.join(', '));
-  }
+  const { data } = await exchangeRequest({
+    exchange: 'Kraken',
+    budget: 'kraken_public',
+    getBodyError: (body) => getKrakenBodyError(body, 'kraken_public'),
+    prepare: () => ({
+      url: `${KRAKEN_API_URL}/0/public/${endpoint}${queryString ? '?' + queryString : ''}`,
+    }),
+  });
 
   return data.result;
 }
@@ -135,23 +304,97 @@ export async function deleteKrakenKeys(userId) {
   await storage.deleteItem(getStorageKey('kraken_api_secret', userId));
 }
 
+/**
+ * Map a Kraken balance code to its canonical asset and balance bucket
+ * Suffixed codes are separate balances of the same asset: .S (staked), .M (opt-in
+ * rewards), .F (auto earn), .B (yield bearing), .P (parachain) and .HOLD (on hold).
+ * @param {string} code - Kraken asset code (e.g. 'XXBT', 'XBT.S', 'ZEUR', 'DOT.F')
+ * @returns {{asset: string, bucket: 'spot'|'staked'|'hold'}}
+ */
+function parseKrakenAsset(code) {
+  const [base, suffix] = code.split('.');
+  const entry = Object.entries(KRAKEN_ASSET_CODES).find(([, codes]) => codes.includes(base));
+  let bucket = 'spot';
+  if (suffix) {
+    bucket = suffix === 'HOLD' ? 'hold' : 'staked';
+  }
+  return { asset: entry ? entry[0] : base, bucket };
+}
+
+/**
+ * Get the current price of assets in a currency (public endpoint)
+ * Uses the asset's market in the currency, or its BTC market.
+ * @param {string[]} assets - Canonical asset codes
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @returns {Promise<Object<string, number>>} Price per asset; assets without a market are left out
+ */
+async function getAssetPrices(assets, currency) {
+  // All tickers at once; a pair list fails entirely if one of the pairs does not exist
+  const tickers = await krakenPublicRequest('Ticker');
+  const lastPrice = (base, quote) => {
+    // Pairs use legacy codes for older assets (XXBTZEUR) and plain codes otherwise (DOTEUR)
+    for (const baseCode of [...(KRAKEN_ASSET_CODES[base] || []), base]) {
+      for (const quoteCode of [...(KRAKEN_ASSET_CODES[quote] || []), quote]) {
+        const ticker = tickers[`${baseCode}${quoteCode}`];
+        if (ticker) {
+          return parseFloat(ticker.c[0]);
+        }
+      }
+    }
+    return null;
+  };
+
+  const btcPrice = lastPrice('BTC', currency);
+  const prices = {};
+  assets.forEach(asset => {
+    if (asset === currency) {
+      prices[asset] = 1;
+      return;
+    }
+    const price = lastPrice(asset, currency);
+    const btcCross = btcPrice ? lastPrice(asset, 'BTC') : null;
+    if (price !== null) {
+      prices[asset] = price;
+    } else if (btcCross !== null) {
+      prices[asset] = btcCross * btcPrice;
+    }
+  });
+  return prices;
+}
+
 /**
  * Get account balances
+ * Staked and earning balances (XBT.S, DOT.F) are merged into their asset's staked bucket.
  * @param {string} userId - User ID for namespaced key storage
- * @returns {Promise<Object>} Account info with balances
+ * @param {string} currency - Optional currency code to value the balances in
+ * @returns {Promise<{success: boolean, data: Array<import('../utils/balances').Balance>}>}
  */
-export async function getAccountBalances(userId) {
+export async function getAccountBalances(userId, currency = null) {
   try {
-    const balances = await krakenRequest('Balance', {}, userId);
-
-    // Convert Kraken balance format to array format similar to Binance
-    const balanceArray = Object.entries(balances)
-      .filter(([_, amount]) => parseFloat(amount) > 0)
-      .map(([asset, amount]) => ({
-        asset: asset.replace(/^X|^Z/, ''), // Remove Kraken prefixes (XXBT -> XBT, ZEUR -> EUR)
-        free: amount,
-        locked: '0',
-      }));
+    // BalanceEx also reports the amount held by open orders
+    const balances = await krakenRequest('BalanceEx', {}, userId);
+
+    let balanceArray = mergeBalances(Object.entries(balances).map(([code, entry]) => {
+      const { asset, bucket } = parseKrakenAsset(code);
+      const amount = parseFloat(entry.balance) || 0;
+      const held = parseFloat(entry.hold_trade) || 0;
+      if (bucket === 'staked') {
+        return createBalance(asset, { staked: amount });
+      }
+      if (bucket === 'hold') {
+        return createBalance(asset, { locked: amount });
+      }
+      return createBalance(asset, { free: Math.max(amount - held, 0), locked: held });
+    }));
+
+    if (currency) {
+      try {
+        balanceArray = valueBalances(balanceArray, await getAssetPrices(balanceArray.map(b => b.asset), currency));
+      } catch (error) {
+        // Balances are still useful without values
+        console.error('[Kraken] Failed to value balances:', error.message);
+      }
+    }
 
     return {
       success: true,
@@ -161,20 +404,177 @@ export async function getAccountBalances(userId) {
     return {
       success: false,
       error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+function isPermissionDenied(error) {
+  return error?.kind === EXCHANGE_ERROR_CODES.PERMISSION_DENIED;
+}
+
+/**
+ * Get the permissions granted to the stored API key
+ * Kraken has no endpoint for this, so each permission is probed with a
+ * harmless request. IP whitelisting and transfer rights cannot be detected (null).
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: {canRead: boolean, canTrade: boolean, canWithdraw: boolean,
+ *   canTransfer: null, canTradeDerivatives: null, ipRestricted: null}}>}
+ */
+export async function getKeyPermissions(userId) {
+  try {
+    let canRead = true;
+    try {
+      await krakenRequest('Balance', {}, userId);
+    } catch (error) {
+      if (!isPermissionDenied(error)) {
+        throw error;
+      }
+      canRead = false;
+    }
+
+    // validate=true checks the order without placing it; permission is checked first
+    let canTrade = true;
+    try {
+      await krakenRequest('AddOrder', {
+        pair: getKrakenPair('EUR'),
+        type: 'buy',
+        ordertype: 'limit',
+        price: '1',
+        volume: '0.0001',
+        validate: true,
+      }, userId);
+    } catch (error) {
+      // Any other rejection (e.g. order minimums) means the key may trade
+      canTrade = !isPermissionDenied(error);
+    }
+
+    // Listing withdrawal methods requires the "Withdraw Funds" permission
+    let canWithdraw = true;
+    try {
+      await krakenRequest('WithdrawMethods', { asset: 'XBT' }, userId);
+    } catch (error) {
+      if (!isPermissionDenied(error)) {
+        throw error;
+      }
+      canWithdraw = false;
+    }
+
+    return {
+      success: true,
+      data: {
+        canRead,
+        canTrade,
+        canWithdraw,
+        canTransfer: null,
+        canTradeDerivatives: null,
+        ipRestricted: null,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Map a Kraken withdrawal method name to a network id
+ * @param {string} method - e.g. "Bitcoin" or "Bitcoin Lightning"
+ */
+function getWithdrawalNetwork(method) {
+  return /lightning/i.test(method || '') ? 'LIGHTNING' : 'BTC';
+}
+
+/**
+ * Get BTC withdrawal networks with their minimums
+ * Kraken quotes fees per withdrawal key, so fee is null here; use getWithdrawalFee
+ * with a key for that network instead.
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: Array<{network: string, name: string, fee: null, minimum: number, enabled: boolean}>}>}
+ */
+export async function getWithdrawalNetworks(userId) {
+  try {
+    const methods = await krakenRequest('WithdrawMethods', { asset: 'XBT' }, userId);
+    const networks = new Map();
+    methods.forEach(entry => {
+      const network = getWithdrawalNetwork(entry.method);
+      if (!networks.has(network)) {
+        networks.set(network, {
+          network,
+          name: network === 'LIGHTNING' ? 'Lightning' : 'Bitcoin (BTC)',
+          fee: null,
+          minimum: parseFloat(entry.minimum) || 0,
+          enabled: true,
+        });
+      }
+    });
+
+    return {
+      success: true,
+      data: ['BTC', 'LIGHTNING'].filter(n => networks.has(n)).map(n => networks.get(n)),
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get the BTC withdrawal addresses configured in Kraken
+ * Kraken only withdraws to these, referenced by their key name.
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: Array<{key: string, address: string, label: string, network: string, verified: boolean}>}>}
+ */
+export async function getWithdrawalAddresses(userId) {
+  try {
+    const addresses = await krakenRequest('WithdrawAddresses', { asset: 'XBT' }, userId);
+    return {
+      success: true,
+      data: addresses.map(entry => ({
+        key: entry.key,
+        address: entry.address,
+        label: entry.key,
+        network: getWithdrawalNetwork(entry.method),
+        verified: entry.verified !== false,
+      })),
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
     };
   }
 }
 
 /**
  * Get withdrawal fee for BTC
+ * Kraken quotes fees per withdrawal key, so the first on-chain key is used
+ * when none is given.
  * @param {string} userId - User ID for namespaced key storage
+ * @param {string} withdrawalKey - Optional withdrawal address key name
  * @returns {Promise<number>} Network fee
  */
-export async function getWithdrawalFee(userId) {
+export async function getWithdrawalFee(userId, withdrawalKey = null) {
   try {
+    let key = withdrawalKey;
+    if (!key) {
+      const addresses = await getWithdrawalAddresses(userId);
+      key = addresses.success ? addresses.data.find(a => a.network === 'BTC')?.key : null;
+    }
+    if (!key) {
+      return 0.0005; // No withdrawal address configured yet
+    }
+
     const fees = await krakenRequest('WithdrawInfo', {
       asset: 'XBT',
-      key: 'default', // This requires a pre-configured withdrawal address in Kraken
+      key,
       amount: '0.001',
     }, userId);
     return parseFloat(fees.fee);
@@ -213,21 +613,203 @@ export async function executeWithdrawal(address, amount, userId) {
     return {
       success: false,
       error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get the status of a withdrawal
+ * Kraken reports recent withdrawals only, which covers anything still being tracked.
+ * @param {string} withdrawalId - Withdrawal refid returned by executeWithdrawal
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: {status: string, txid: string|null, fee: number|null}}>}
+ */
+export async function getWithdrawalStatus(withdrawalId, userId = null) {
+  try {
+    const withdrawals = await krakenRequest('WithdrawStatus', { asset: 'XBT' }, userId);
+    const withdrawal = withdrawals.find(w => w.refid === withdrawalId);
+    if (!withdrawal) {
+      return { success: false, error: 'Withdrawal not found on Kraken' };
+    }
+
+    // status-prop flags cancellations on top of the main status
+    const statusProp = withdrawal['status-prop'];
+    let status;
+    if (statusProp === 'canceled') {
+      status = 'cancelled';
+    } else if (withdrawal.status === 'Success') {
+      status = 'completed';
+    } else if (withdrawal.status === 'Failure') {
+      status = 'failed';
+    } else if (withdrawal.status === 'Initial') {
+      status = 'pending';
+    } else {
+      // Pending / Settled: being sent or broadcast, not yet confirmed
+      status = 'processing';
+    }
+
+    return {
+      success: true,
+      data: {
+        status,
+        txid: withdrawal.txid || null,
+        fee: withdrawal.fee !== undefined ? parseFloat(withdrawal.fee) : null,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get the current BTC ask price for a currency
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @returns {Promise<number>} Best ask price
+ */
+export async function getCurrentPrice(currency = 'EUR') {
+  const ticker = await krakenPublicRequest('Ticker', { pair: getKrakenPair(currency) });
+  const tickerData = Object.values(ticker)[0];
+  return parseFloat(tickerData.a[0]); // Ask price
+}
+
+/**
+ * Get the BTC order book for a currency (public endpoint)
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {number} limit - Price levels per side (max 500)
+ * @returns {Promise<{success: boolean, data: {asks: Array<{price: number, amount: number}>, bids: Array<{price: number, amount: number}>}}>}
+ *   asks ascending and bids descending by price; amounts in BTC
+ */
+export async function getOrderBook(currency = 'EUR', limit = 100) {
+  try {
+    const depth = await krakenPublicRequest('Depth', { pair: getKrakenPair(currency), count: limit });
+    // Keyed by the full pair name; levels are [price, volume, timestamp]
+    const book = Object.values(depth)[0];
+    const toLevels = levels => levels.map(([price, amount]) => ({
+      price: parseFloat(price),
+      amount: parseFloat(amount),
+    }));
+    return {
+      success: true,
+      data: {
+        asks: toLevels(book.asks),
+        bids: toLevels(book.bids),
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get trading fees for the account's 30-day volume tier on a pair
+ * @param {string} userId - User ID for namespaced key storage
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @returns {Promise<{success: boolean, data: {makerFee: number, takerFee: number}}>}
+ */
+export async function getTradingFees(userId = null, currency = 'EUR') {
+  try {
+    const volume = await krakenRequest('TradeVolume', { pair: getKrakenPair(currency) }, userId);
+    // Keyed by the full pair name (e.g. XXBTZEUR); rates are already percentages
+    const takerFee = Object.values(volume.fees || {})[0];
+    const makerFee = Object.values(volume.fees_maker || {})[0];
+    if (!takerFee) {
+      throw new Error('No fee tier reported for this pair');
+    }
+    return {
+      success: true,
+      data: {
+        makerFee: parseFloat((makerFee || takerFee).fee),
+        takerFee: parseFloat(takerFee.fee),
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get exchange and market status for pre-trade checks (public endpoints)
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {number} tradingFeePercent - Trading fee percentage, included in the minimum order value
+ * @returns {Promise<{success: boolean, data: {exchangeOnline: boolean, exchangeStatus: string, pairTradeable: boolean, pairStatus: string, quoteAsset: string, minOrderValue: number, feesIncludedInAmount: boolean}}>}
+ */
+export async function getMarketStatus(currency = 'EUR', tradingFeePercent = 0.26) {
+  try {
+    const pair = getKrakenPair(currency);
+    const [system, ticker, assetPairs] = await Promise.all([
+      krakenPublicRequest('SystemStatus'),
+      krakenPublicRequest('Ticker', { pair }),
+      krakenPublicRequest('AssetPairs', { pair }),
+    ]);
+
+    const pairInfo = Object.values(assetPairs)[0];
+    const currentPrice = parseFloat(Object.values(ticker)[0].a[0]);
+    // Same minimum as executeMarketBuy: costmin if published, otherwise the minimum BTC order
+    const orderMin = parseFloat(pairInfo.ordermin) || 0.0001;
+    const minFiatValue = parseFloat(pairInfo.costmin) || orderMin * currentPrice;
+    const pairStatus = pairInfo.status || 'online';
+
+    return {
+      success: true,
+      data: {
+        // online, maintenance, cancel_only or post_only
+        exchangeOnline: system.status === 'online',
+        exchangeStatus: system.status,
+        pairTradeable: pairStatus === 'online',
+        pairStatus,
+        quoteAsset: currency,
+        minOrderValue: minFiatValue * (1 + tradingFeePercent / 100),
+        // Orders are sized so that cost plus fee equals the amount
+        feesIncludedInAmount: true,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
     };
   }
 }
 
 /**
  * Execute market buy order for BTC
- * Buys BTC using a fixed fiat amount in the specified currency
+ * Buys BTC for a fiat amount in the specified currency. By default the BTC
+ * volume is worked out from the current ask and rounded to lot_decimals, with
+ * the fee charged on top. In exact-fiat mode the order uses the viqc flag and
+ * reserves the fee from the amount, so the fiat spent including fees matches
+ * the scheduled amount.
+ *
+ * With a max slippage set, a limit IOC order at quote × (1 + tolerance) is
+ * placed instead; the result reports partial fills and the unfilled remainder.
  *
  * @param {number} fiatAmount - Amount in fiat currency to spend (e.g., 35)
- * @param {number} tradingFeePercent - Trading fee percentage (e.g., 0.1 for 0.1%, 0.26 for 0.26%)
+ * @param {number} tradingFeePercent - Trading fee percentage (e.g., 0.1 for 0.1%, 0.26 for 0.26%), reserved from the amount in exact-fiat mode
  * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
  * @param {string} userId - User ID for namespaced key storage
+ * @param {Object} options - Optional slippage guard and exact-fiat mode
+ * @param {number} options.quotePrice - Price quoted to the user (current ask if omitted)
+ * @param {number} options.maxSlippagePercent - Max % above the quote to pay (0 = plain market order)
+ * @param {boolean} options.exactFiat - Spend exactly fiatAmount including fees with viqc (plain market orders only)
+ * @param {string} options.clientOrderId - Client order id to tag the order with (cl_ord_id)
  * @returns {Promise<Object>} Order result with execution details
  */
-export async function executeMarketBuy(fiatAmount, tradingFeePercent = 0.26, currency = 'EUR', userId = null) {
+export async function executeMarketBuy(fiatAmount, tradingFeePercent = 0.26, currency = 'EUR', userId = null, options = {}) {
+  const { quotePrice = null, maxSlippagePercent = 0, exactFiat = false, clientOrderId = null } = options;
+
   try {
     // Get the Kraken trading pair for this currency
     const pair = getKrakenPair(currency);
@@ -240,39 +822,108 @@ export async function executeMarketBuy(fiatAmount, tradingFeePercent = 0.26, cur
     // Get pair info for precision and minimum order
     const assetPairs = await krakenPublicRequest('AssetPairs', { pair });
     const pairInfo = Object.values(assetPairs)[0];
-    const lotDecimals = pairInfo.lot_decimals || 8;
+    const costDecimals = pairInfo.cost_decimals ?? 2;
     const orderMin = parseFloat(pairInfo.ordermin) || 0.0001; // Minimum BTC order size
 
-    // Calculate minimum fiat value based on minimum BTC order
-    const minFiatValue = orderMin * currentPrice;
+    // Minimum fiat value: Kraken's costmin if published, otherwise derived from the minimum BTC order
+    const minFiatValue = parseFloat(pairInfo.costmin) || orderMin * currentPrice;
 
-    // Check if order meets minimum value
-    if (fiatAmount < minFiatValue) {
-      return {
-        success: false,
-        error: `Order value ${fiatAmount} ${currency} is below Kraken minimum of ~${minFiatValue.toFixed(2)} ${currency} (${orderMin} BTC). Please increase your DCA amount.`,
+    // Kraken charges the fee in fiat on top of the order cost. In exact-fiat mode
+    // the order is sized so that cost + fee equals the scheduled amount
+    const feeFactor = exactFiat ? 1 + (tradingFeePercent / 100) : 1;
+    const budget = fiatAmount / feeFactor;
+
+    let orderParams;
+    let guard = null;
+    // Expected BTC and pre-fee cost, used when the order cannot be queried afterwards
+    let estimatedBtc;
+    let estimatedCost;
+
+    if (maxSlippagePercent > 0) {
+      // Slippage guard: limit IOC at quote × (1 + tolerance).
+      // Anything that cannot fill at or below the ceiling is cancelled instead of filling at a worse price.
+      const quote = quotePrice || currentPrice;
+      const lotDecimals = pairInfo.lot_decimals ?? 8;
+      const pairDecimals = pairInfo.pair_decimals ?? 1;
+      const priceScale = Math.pow(10, pairDecimals);
+      const lotScale = Math.pow(10, lotDecimals);
+
+      const limitPrice = Math.floor(quote * (1 + maxSlippagePercent / 100) * priceScale) / priceScale;
+      // Size the order at the quoted price, as shown to the user
+      const volume = Math.floor((budget / quote) * lotScale) / lotScale;
+
+      if (volume < orderMin || volume * quote < minFiatValue) {
+        return {
+          success: false,
+          error: `Order value ${fiatAmount} ${currency} is below Kraken minimum of ~${(minFiatValue * feeFactor).toFixed(2)} ${currency} (including fees). Please increase your DCA amount.`,
+          errorCode: EXCHANGE_ERROR_CODES.AMOUNT_INVALID,
+        };
+      }
+
+      guard = { quote, limitPrice, requestedBtc: volume };
+      estimatedBtc = volume;
+      estimatedCost = volume * quote;
+      orderParams = {
+        pair: pair,
+        type: 'buy',
+        ordertype: 'limit',
+        price: limitPrice.toFixed(pairDecimals),
+        volume: volume.toFixed(lotDecimals),
+        timeinforce: 'IOC',
       };
-    }
+    } else if (exactFiat) {
+      const scale = Math.pow(10, costDecimals);
+      const quoteVolume = Math.floor(budget * scale) / scale;
 
-    // Calculate BTC quantity to buy
-    const rawQuantity = fiatAmount / currentPrice;
-    const quantity = rawQuantity.toFixed(lotDecimals);
+      // Check if order meets minimum value
+      if (quoteVolume < minFiatValue) {
+        return {
+          success: false,
+          error: `Order value ${fiatAmount} ${currency} is below Kraken minimum of ~${(minFiatValue * feeFactor).toFixed(2)} ${currency} (including fees). Please increase your DCA amount.`,
+          errorCode: EXCHANGE_ERROR_CODES.AMOUNT_INVALID,
+        };
+      }
 
-    // Verify quantity meets minimum after rounding
-    if (parseFloat(quantity) < orderMin) {
-      return {
-        success: false,
-        error: `Order quantity ${quantity} BTC is below Kraken minimum of ${orderMin} BTC. Please increase your DCA amount slightly.`,
+      estimatedBtc = quoteVolume / currentPrice;
+      estimatedCost = quoteVolume;
+      // Market buy with volume in quote currency (viqc)
+      // so Kraken spends an exact fiat amount instead of a BTC quantity priced from a stale ticker
+      orderParams = {
+        pair: pair,
+        type: 'buy',
+        ordertype: 'market',
+        volume: quoteVolume.toFixed(costDecimals),
+        oflags: 'viqc',
+      };
+    } else {
+      const lotDecimals = pairInfo.lot_decimals ?? 8;
+      const volume = parseFloat((budget / currentPrice).toFixed(lotDecimals));
+
+      if (volume < orderMin || volume * currentPrice < minFiatValue) {
+        return {
+          success: false,
+          error: `Order value ${fiatAmount} ${currency} is below Kraken minimum of ~${minFiatValue.toFixed(2)} ${currency} (${orderMin} BTC). Please increase your DCA amount.`,
+          errorCode: EXCHANGE_ERROR_CODES.AMOUNT_INVALID,
+        };
+      }
+
+      estimatedBtc = volume;
+      // The scheduled amount, as reported before the order could be queried
+      estimatedCost = fiatAmount;
+      orderParams = {
+        pair: pair,
+        type: 'buy',
+        ordertype: 'market',
+        volume: volume.toFixed(lotDecimals),
       };
     }
 
-    // Execute market buy order
-    const order = await krakenRequest('AddOrder', {
-      pair: pair,
-      type: 'buy',
-      ordertype: 'market',
-      volume: quantity,
-    }, userId);
+    // Deterministic client order id lets an interrupted submission be looked up later
+    if (clientOrderId) {
+      orderParams.cl_ord_id = clientOrderId;
+    }
+
+    const order = await krakenRequest('AddOrder', orderParams, userId);
 
     // Get order details
     const txid = order.txid[0];
@@ -280,35 +931,66 @@ export async function executeMarketBuy(fiatAmount, tradingFeePercent = 0.26, cur
     let totalBtc = 0;
     let totalFiat = 0;
     let totalFees = 0;
+    let orderDetails = null;
+    let queryFailed = false;
     let warning = null;
 
     // Try to query the order for execution details
     // This requires "Query open orders & trades" and "Query closed orders & trades" permissions
-    // If these permissions are not enabled, we fall back to calculated values
+    // If these permissions are not enabled, plain market orders fall back to calculated values
     try {
       // Market orders execute immediately, but we may need to wait a moment
       await new Promise(resolve => setTimeout(resolve, 1000));
 
       const closedOrders = await krakenRequest('ClosedOrders', {}, userId);
-      const orderDetails = closedOrders.closed[txid];
-
-      if (orderDetails) {
-        totalBtc = parseFloat(orderDetails.vol_exec);
-        totalFiat = parseFloat(orderDetails.cost);
-        totalFees = parseFloat(orderDetails.fee);
-      } else {
-        // Order not found in closed orders yet, use fallback
-        totalBtc = parseFloat(quantity);
-        totalFiat = fiatAmount;
-        totalFees = fiatAmount * (tradingFeePercent / 100);
-      }
+      orderDetails = closedOrders.closed[txid] || null;
     } catch (queryError) {
       // ClosedOrders query failed (likely missing permissions)
+      queryFailed = true;
+    }
+
+    // A guarded IOC order can fill in part or not at all, so its fill is never estimated
+    if (guard && !orderDetails) {
+      try {
+        const orders = await krakenRequest('QueryOrders', { txid }, userId);
+        const details = orders[txid];
+        // Only a closed, cancelled or expired order has a final fill
+        if (details && LIMIT_ORDER_STATUSES[details.status]) {
+          orderDetails = details;
+        }
+      } catch (queryError) {
+        // Handled below
+      }
+
+      if (!orderDetails) {
+        return {
+          success: false,
+          error: `Kraken accepted order ${txid} but its fill could not be confirmed. Check your Kraken order history before buying again.`,
+          errorCode: EXCHANGE_ERROR_CODES.OUTCOME_UNKNOWN,
+        };
+      }
+    }
+
+    if (orderDetails) {
+      totalBtc = parseFloat(orderDetails.vol_exec);
+      totalFiat = parseFloat(orderDetails.cost);
+      totalFees = parseFloat(orderDetails.fee);
+    } else {
+      // Order not found in closed orders yet, or the query failed.
       // The order was still placed successfully, so use fallback calculation
-      totalBtc = parseFloat(quantity);
-      totalFiat = fiatAmount;
-      totalFees = fiatAmount * (tradingFeePercent / 100);
-      warning = 'Values are estimated. Enable "Query closed orders & trades" in your Kraken API key for exact amounts.';
+      totalBtc = estimatedBtc;
+      totalFiat = estimatedCost;
+      totalFees = estimatedCost * (tradingFeePercent / 100);
+      if (queryFailed) {
+        warning = 'Values are estimated. Enable "Query closed orders & trades" in your Kraken API key for exact amounts.';
+      }
+    }
+
+    if (guard && totalBtc === 0) {
+      return {
+        success: false,
+        error: `Price moved more than ${maxSlippagePercent}% above the quoted ${guard.quote.toFixed(2)} ${currency}. Nothing was bought.`,
+      };
     }
 
     const avgPrice = totalFiat / totalBtc;
@@ -323,7 +1005,16 @@ export async function executeMarketBuy(fiatAmount, tradingFeePercent = 0.26, cur
         currency: currency,
         avgPrice: avgPrice,
         tradingFee: totalFees,
+        // Kraken charges buy fees in the quote currency
+        feeAsset: currency,
+        feeAmount: totalFees,
+        feeEstimated: !orderDetails,
         timestamp: new Date().toISOString(),
+        // Slippage guard details (null for plain market orders)
+        limitPrice: guard ? guard.limitPrice : null,
+        requestedBtc: guard ? guard.requestedBtc : null,
+        unfilledBtc: guard ? Math.max(guard.requestedBtc - totalBtc, 0) : 0,
+        partialFill: !!guard && totalBtc < guard.requestedBtc,
         // Keep eurSpent for backward compatibility
         eurSpent: totalFiat,
       },
@@ -332,6 +1023,388 @@ export async function executeMarketBuy(fiatAmount, tradingFeePercent = 0.26, cur
     return {
       success: false,
       error: error.message || error.toString(),
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Summarize a closed buy order in the executeMarketBuy data shape
+ * @param {string} txid - Kraken order id
+ * @param {Object} details - Order info from ClosedOrders or QueryOrders
+ * @param {string} currency - Currency code
+ * @returns {Object}
+ */
+function summarizeClosedOrder(txid, details, currency) {
+  const totalBtc = parseFloat(details.vol_exec);
+  const totalFiat = parseFloat(details.cost);
+  const totalFees = parseFloat(details.fee);
+
+  return {
+    orderId: txid,
+    btcAmount: totalBtc,
+    fiatSpent: totalFiat,
+    currency: currency,
+    avgPrice: totalFiat / totalBtc,
+    tradingFee: totalFees,
+    feeAsset: currency,
+    feeAmount: totalFees,
+    timestamp: new Date(details.closetm * 1000).toISOString(),
+    // Keep eurSpent for backward compatibility
+    eurSpent: totalFiat,
+  };
+}
+
+/**
+ * Look up a buy order by the client order id it was submitted with
+ * Used to recover trades whose submission was interrupted.
+ * Requires the "Query closed orders & trades" permission.
+ * @param {string} clientOrderId - Client order id passed to executeMarketBuy
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: Object|null, error?: string}>} data is null if nothing was bought
+ */
+export async function getOrderByClientId(clientOrderId, currency = 'EUR', userId = null) {
+  try {
+    const closedOrders = await krakenRequest('ClosedOrders', { cl_ord_id: clientOrderId }, userId);
+    const match = Object.entries(closedOrders.closed || {})
+      .find(([, details]) => details.cl_ord_id === clientOrderId);
+
+    if (!match) {
+      const openOrders = await krakenRequest('OpenOrders', { cl_ord_id: clientOrderId }, userId);
+      if (Object.keys(openOrders.open || {}).length > 0) {
+        return { success: false, error: 'Order is still open on Kraken' };
+      }
+      return { success: true, data: null };
+    }
+
+    const [txid, details] = match;
+    if (parseFloat(details.vol_exec) === 0) {
+      return { success: true, data: null };
+    }
+
+    return {
+      success: true,
+      data: { ...summarizeClosedOrder(txid, details, currency), clientOrderId },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
     };
   }
 }
+
+// Kraken order statuses mapped to limit order states; pending and open are both still open
+const LIMIT_ORDER_STATUSES = {
+  closed: 'filled',
+  canceled: 'cancelled',
+  expired: 'expired',
+};
+
+/**
+ * Place a resting limit buy (ordertype=limit)
+ * The order is sized so that cost + fee at the limit price equals the fiat amount.
+ * With an expiry the order is GTD, so Kraken cancels it even if the app is never opened.
+ *
+ * @param {number} fiatAmount - Amount in fiat currency to spend, including fees
+ * @param {number} limitPrice - Highest price to pay per BTC
+ * @param {number} tradingFeePercent - Trading fee percentage, reserved from the amount
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @param {Object} options
+ * @param {string} options.clientOrderId - Client order id to tag the order with (cl_ord_id)
+ * @param {string} options.expiresAt - ISO time after which the order is cancelled
+ * @returns {Promise<{success: boolean, data: {orderId: string, limitPrice: number, btcAmount: number, timestamp: string}}>}
+ */
+export async function placeLimitBuy(fiatAmount, limitPrice, tradingFeePercent = 0.26, currency = 'EUR', userId = null, options = {}) {
+  const { clientOrderId = null, expiresAt = null } = options;
+  try {
+    const pair = getKrakenPair(currency);
+    const assetPairs = await krakenPublicRequest('AssetPairs', { pair });
+    const pairInfo = Object.values(assetPairs)[0];
+    const lotDecimals = pairInfo.lot_decimals ?? 8;
+    const pairDecimals = pairInfo.pair_decimals ?? 1;
+    const priceScale = Math.pow(10, pairDecimals);
+    const lotScale = Math.pow(10, lotDecimals);
+    const orderMin = parseFloat(pairInfo.ordermin) || 0.0001;
+
+    const price = Math.floor(limitPrice * priceScale) / priceScale;
+    const feeFactor = 1 + (tradingFeePercent / 100);
+    const volume = Math.floor((fiatAmount / feeFactor / price) * lotScale) / lotScale;
+    const minFiatValue = parseFloat(pairInfo.costmin) || orderMin * price;
+
+    if (volume < orderMin || volume * price < minFiatValue) {
+      return {
+        success: false,
+        error: `Order value ${fiatAmount} ${currency} is below Kraken minimum of ~${(minFiatValue * feeFactor).toFixed(2)} ${currency} (including fees).`,
+        errorCode: EXCHANGE_ERROR_CODES.AMOUNT_INVALID,
+      };
+    }
+
+    const orderParams = {
+      pair: pair,
+      type: 'buy',
+      ordertype: 'limit',
+      price: price.toFixed(pairDecimals),
+      volume: volume.toFixed(lotDecimals),
+    };
+    if (expiresAt) {
+      orderParams.timeinforce = 'GTD';
+      orderParams.expiretm = Math.floor(new Date(expiresAt).getTime() / 1000);
+    }
+    if (clientOrderId) {
+      orderParams.cl_ord_id = clientOrderId;
+    }
+
+    const order = await krakenRequest('AddOrder', orderParams, userId);
+    return {
+      success: true,
+      data: {
+        orderId: order.txid[0],
+        limitPrice: price,
+        btcAmount: volume,
+        timestamp: new Date().toISOString(),
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || error.toString(),
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get the state of a limit buy placed with placeLimitBuy
+ * Requires the "Query open orders & trades" and "Query closed orders & trades" permissions.
+ * @param {string|null} orderId - Kraken order id (txid), or null to look the order up by options.clientOrderId
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @param {Object} options
+ * @param {string} options.clientOrderId - Client order id the order was placed with
+ * @returns {Promise<{success: boolean, data: {orderId: string, status: 'open'|'filled'|'cancelled'|'expired', limitPrice: number, btcAmount: number, filledBtc: number, trade: Object|null}|null}>}
+ *   trade is in the executeMarketBuy data shape once the order is closed with something bought;
+ *   data is null if no order exists for the client order id
+ */
+export async function getLimitOrder(orderId, currency = 'EUR', userId = null, options = {}) {
+  const { clientOrderId = null } = options;
+  try {
+    let txid = orderId;
+    let details;
+    if (txid) {
+      const orders = await krakenRequest('QueryOrders', { txid }, userId);
+      details = orders[txid];
+      if (!details) {
+        throw new Error(`Order ${txid} not found on Kraken`);
+      }
+    } else {
+      const findByClientId = orders => Object.entries(orders || {})
+        .find(([, order]) => order.cl_ord_id === clientOrderId);
+      const openOrders = await krakenRequest('OpenOrders', { cl_ord_id: clientOrderId }, userId);
+      let match = findByClientId(openOrders.open);
+      if (!match) {
+        const closedOrders = await krakenRequest('ClosedOrders', { cl_ord_id: clientOrderId }, userId);
+        match = findByClientId(closedOrders.closed);
+      }
+      if (!match) {
+        return { success: true, data: null };
+      }
+      [txid, details] = match;
+    }
+
+    const status = LIMIT_ORDER_STATUSES[details.status] || 'open';
+    const filledBtc = parseFloat(details.vol_exec);
+    const trade = status !== 'open' && filledBtc > 0 ? summarizeClosedOrder(txid, details, currency) : null;
+
+    return {
+      success: true,
+      data: {
+        orderId: txid,
+        status,
+        limitPrice: parseFloat(details.descr.price),
+        btcAmount: parseFloat(details.vol),
+        filledBtc,
+        trade,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get open orders on the BTC pair for a currency
+ * Requires the "Query open orders & trades" permission.
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, data: Array<{orderId: string, side: string, type: string, price: number|null, btcAmount: number, filledBtc: number, createdAt: string}>}>}
+ */
+export async function getOpenOrders(currency = 'EUR', userId = null) {
+  try {
+    const pair = getKrakenPair(currency);
+    const result = await krakenRequest('OpenOrders', {}, userId);
+    // OpenOrders covers every pair; descr.pair is the altname (e.g. XBTEUR)
+    const orders = Object.entries(result.open || {})
+      .filter(([, details]) => details.descr.pair === pair)
+      .map(([txid, details]) => ({
+        orderId: txid,
+        side: details.descr.type,
+        type: details.descr.ordertype,
+        price: parseFloat(details.descr.price) || null,
+        btcAmount: parseFloat(details.vol),
+        filledBtc: parseFloat(details.vol_exec),
+        createdAt: new Date(details.opentm * 1000).toISOString(),
+      }));
+    return { success: true, data: orders };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Cancel an open order
+ * @param {string} orderId - Kraken order id (txid)
+ * @param {string} _currency - Unused; Kraken order ids are unique across pairs
+ * @param {string} userId - User ID for namespaced key storage
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function cancelOrder(orderId, _currency = 'EUR', userId = null) {
+  try {
+    await krakenRequest('CancelOrder', { txid: orderId }, userId);
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+/**
+ * Get BTC buy history for a currency pair, one entry per order
+ * Requires the "Query closed orders & trades" permission.
+ * @param {string} currency - Currency code (e.g., 'EUR', 'USD', 'GBP')
+ * @param {string} userId - User ID for namespaced key storage
+ * @param {number} since - Only include orders at or after this time (ms)
+ * @returns {Promise<{success: boolean, data: Array}>} Buys in the executeMarketBuy data shape
+ */
+export async function getTradeHistory(currency = 'EUR', userId = null, since = 0) {
+  try {
+    // TradesHistory reports the pair by its full name (e.g. XXBTZEUR), not the altname
+    const assetPairs = await krakenPublicRequest('AssetPairs', { pair: getKrakenPair(currency) });
+    const pairName = Object.keys(assetPairs)[0];
+
+    // TradesHistory is paginated 50 at a time
+    const trades = [];
+    const start = Math.floor(since / 1000);
+    for (let page = 0; page < MAX_HISTORY_PAGES; page++) {
+      const result = await krakenRequest('TradesHistory', { start, ofs: trades.length }, userId);
+      const pageTrades = Object.values(result.trades || {});
+      trades.push(...pageTrades);
+      if (pageTrades.length === 0 || trades.length >= result.count) {
+        break;
+      }
+    }
+
+    const byOrder = new Map();
+    trades
+      .filter(trade => trade.type === 'buy' && trade.pair === pairName && trade.time * 1000 >= since)
+      .forEach(trade => {
+        const order = byOrder.get(trade.ordertxid) || { btc: 0, cost: 0, fee: 0, time: trade.time };
+        order.btc += parseFloat(trade.vol);
+        order.cost += parseFloat(trade.cost);
+        order.fee += parseFloat(trade.fee);
+        order.time = Math.min(order.time, trade.time);
+        byOrder.set(trade.ordertxid, order);
+      });
+
+    const buys = [...byOrder.entries()].map(([txid, order]) => ({
+      orderId: txid,
+      btcAmount: order.btc,
+      // Cost before the fee, matching executeMarketBuy
+      fiatSpent: order.cost,
+      currency: currency,
+      avgPrice: order.cost / order.btc,
+      tradingFee: order.fee,
+      feeAsset: currency,
+      feeAmount: order.fee,
+      timestamp: new Date(order.time * 1000).toISOString(),
+      eurSpent: order.cost,
+    }));
+
+    return { success: true, data: buys };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+}
+
+registerExchange({
+  id: 'kraken',
+  name: 'Kraken',
+  description: 'US-based exchange with strong security',
+  tradingFee: 0.26, // 0.26% taker fee
+  website: 'https://www.kraken.com',
+  apiDocsUrl: 'https://www.kraken.com/u/security/api',
+  secretLabel: 'Private Key',
+  requiresWithdrawalKey: true,
+  supportsSlippageGuard: true,
+  apiKeyInstructions: [
+    '1. Log in to Kraken.com',
+    '2. Go to Security → API',
+    '3. Click "Add Key"',
+    '4. Set a descriptive name',
+    '5. Enable "Query Funds" permission',
+    '6. Enable "Create & Modify Orders" permission',
+    '7. Enable "Withdraw Funds" ONLY if App Withdrawal Mode is ON',
+    '8. Set IP whitelist for additional security (recommended)',
+    '9. Note: For withdrawals, you must pre-configure withdrawal addresses in Kraken',
+  ],
+  withdrawalNotes: {
+    title: 'Kraken Withdrawal Setup',
+    notes: [
+      'Kraken requires withdrawal addresses to be pre-configured in your account settings.',
+      'Go to Funding → Withdraw → Bitcoin → Add Address',
+      'Add your hardware wallet address and give it a name (e.g., "Hardware Wallet")',
+      'Then pick it under Withdrawal Address in the app settings',
+    ],
+  },
+  isAvailableIn: (countryCode) => KRAKEN_COUNTRIES.has(countryCode) && !KRAKEN_PROHIBITED.has(countryCode),
+  storeKeys: storeKrakenKeys,
+  hasKeys: hasKrakenKeys,
+  deleteKeys: deleteKrakenKeys,
+  getAccountBalances,
+  getWithdrawalFee,
+  getCurrentPrice,
+  getOrderBook,
+  getMarketStatus,
+  getTradingFees,
+  getWithdrawalAddresses,
+  getWithdrawalNetworks,
+  getKeyPermissions,
+  // Kraken withdraws to a named address key; the key's method sets the network
+  executeWithdrawal: (address, amount, _network, userId) => executeWithdrawal(address, amount, userId),
+  executeMarketBuy,
+  placeLimitBuy,
+  getLimitOrder,
+  getOpenOrders,
+  cancelOrder,
+  getOrderByClientId,
+  getTradeHistory,
+  getWithdrawalStatus,
+});
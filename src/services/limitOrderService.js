@@ -0,0 +1,301 @@
+/**
+ * Limit Order Service
+ * Keeps track of resting "buy the dip" limit orders placed from the app.
+ * Orders are stored on the device with their exchange and expiry, and queried
+ * whenever the app comes to the foreground. Filled orders are reported through
+ * the report outbox with purchaseType 'limit'; orders past their expiry are
+ * cancelled on exchanges that cannot expire them themselves.
+ */
+
+import { AppState } from 'react-native';
+import { readRecords, updateRecords } from '../utils/recordStore';
+import { queueReport } from './reportOutboxService';
+import { buildTradeReport, getClientOrderId } from './tradeRecoveryService';
+import { placeLimitBuy, getLimitOrder, cancelOrder } from './exchangeService';
+import { EXCHANGE_ERROR_CODES } from '../utils/exchangeErrors';
+
+// Closed orders are kept this long so the app can show what happened to them
+const CLOSED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+// Keep the stored list short; open and pending orders are always kept
+const MAX_CLOSED_ORDERS = 20;
+// Pending records younger than this may still be mid-submission in this session
+const PENDING_MIN_AGE_MS = 60000;
+
+const listeners = new Set();
+let refreshing = null;
+
+/**
+ * Get storage key with optional user namespace
+ * @param {string} baseKey - The base key name
+ * @param {string} userId - Optional user ID for namespacing
+ */
+function getStorageKey(baseKey, userId) {
+  return userId ? `${baseKey}_${userId}` : baseKey;
+}
+
+async function loadOrders(userId) {
+  return await readRecords(getStorageKey('limit_orders', userId));
+}
+
+// Open and pending orders still need tracking; closed ones are only history
+function isTracked(order) {
+  return isLimitOrderOpen(order) || order.status === 'pending';
+}
+
+// Apply a change to the latest stored orders, pruning old closed ones
+async function updateOrders(change, userId) {
+  const cutoff = Date.now() - CLOSED_RETENTION_MS;
+  const updated = await updateRecords(getStorageKey('limit_orders', userId), (orders) => {
+    const changed = change(orders);
+    const closed = changed
+      .filter(o => !isTracked(o) && new Date(o.updatedAt).getTime() > cutoff)
+      .slice(-MAX_CLOSED_ORDERS);
+    return changed.filter(o => isTracked(o) || closed.includes(o));
+  });
+  listeners.forEach(listener => listener(updated));
+  return updated;
+}
+
+// Replace (or add) the stored order for a request
+async function saveOrder(order, userId) {
+  await updateOrders(orders => [...orders.filter(o => o.id !== order.id), order], userId);
+  return order;
+}
+
+// Fold an exchange lookup into a stored order
+function applyLookup(order, data) {
+  return {
+    ...order,
+    orderId: data.orderId,
+    limitPrice: data.limitPrice,
+    btcAmount: data.btcAmount,
+    status: data.status,
+    filledBtc: data.filledBtc,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Check whether a limit order is still resting on the exchange
+ * @param {Object} order - Stored limit order
+ */
+export function isLimitOrderOpen(order) {
+  return order.status === 'open';
+}
+
+/**
+ * Place a limit buy and start tracking it
+ * @param {Object} order - Order details
+ * @param {string} order.requestId - Stable id for this order request; also used for the client order id
+ * @param {string} order.exchange - Exchange identifier
+ * @param {number} order.fiatAmount - Amount in fiat to spend
+ * @param {number} order.limitPrice - Highest price to pay per BTC
+ * @param {number} order.tradingFeePercent - Trading fee percentage
+ * @param {string} order.currency - Currency code
+ * @param {string} order.expiresAt - ISO time after which the order is cancelled
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{success: boolean, data?: Object, error?: string, errorCode?: string}>} data is the stored order
+ */
+export async function placeLimitOrder({ requestId, exchange, fiatAmount, limitPrice, tradingFeePercent, currency, expiresAt }, userId) {
+  const clientOrderId = getClientOrderId(requestId);
+  const existing = (await loadOrders(userId)).find(o => o.id === requestId);
+
+  if (existing && existing.status !== 'pending') {
+    return { success: true, data: existing };
+  }
+
+  if (existing) {
+    // An earlier attempt was interrupted; only submit again if it never reached the exchange
+    const lookup = await getLimitOrder(exchange, null, currency, userId, { clientOrderId });
+    if (!lookup.success) {
+      return {
+        success: false,
+        error: `Could not confirm whether your previous order was placed (${lookup.error}). Please try again shortly.`,
+        errorCode: EXCHANGE_ERROR_CODES.OUTCOME_UNKNOWN,
+      };
+    }
+    if (lookup.data) {
+      return { success: true, data: await saveOrder(applyLookup(existing, lookup.data), userId) };
+    }
+  }
+
+  // Persist before submitting so an order placed just before the app dies is still tracked
+  const now = new Date().toISOString();
+  const pending = {
+    id: requestId,
+    orderId: null,
+    exchange,
+    currency,
+    fiatAmount,
+    limitPrice,
+    btcAmount: null,
+    status: 'pending',
+    filledBtc: 0,
+    createdAt: now,
+    expiresAt,
+    updatedAt: now,
+  };
+  await saveOrder(pending, userId);
+
+  const result = await placeLimitBuy(exchange, fiatAmount, limitPrice, tradingFeePercent, currency, userId, {
+    clientOrderId,
+    expiresAt,
+  });
+  if (!result.success) {
+    // An unconfirmed order keeps its pending record so it is looked up later
+    if (result.errorCode !== EXCHANGE_ERROR_CODES.OUTCOME_UNKNOWN) {
+      await updateOrders(orders => orders.filter(o => o.id !== requestId), userId);
+    }
+    return result;
+  }
+
+  const order = await saveOrder({
+    ...pending,
+    orderId: result.data.orderId,
+    limitPrice: result.data.limitPrice,
+    btcAmount: result.data.btcAmount,
+    status: 'open',
+    updatedAt: new Date().toISOString(),
+  }, userId);
+  return { success: true, data: order };
+}
+
+/**
+ * Get tracked limit orders, oldest first
+ * @param {string} userId - User ID for namespaced storage
+ */
+export async function getLimitOrders(userId) {
+  return await loadOrders(userId);
+}
+
+/**
+ * Query the exchange for every open limit order
+ * Fills are reported to the server; open orders past their expiry are cancelled.
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<Array>} Tracked orders after the refresh
+ */
+export async function refreshLimitOrders(userId) {
+  // Only one refresh at a time; concurrent callers share it
+  if (refreshing) {
+    return refreshing;
+  }
+
+  refreshing = (async () => {
+    const orders = await loadOrders(userId);
+    const updates = new Map();
+
+    for (const stored of orders.filter(isTracked)) {
+      let order = stored;
+      let result;
+      if (stored.status === 'pending') {
+        // Placement was interrupted: find out whether the order reached the exchange
+        if (Date.now() - new Date(stored.createdAt).getTime() < PENDING_MIN_AGE_MS) {
+          continue;
+        }
+        result = await getLimitOrder(stored.exchange, null, stored.currency, userId, {
+          clientOrderId: getClientOrderId(stored.id),
+        });
+        if (result.success && !result.data) {
+          updates.set(stored.id, null);
+          continue;
+        }
+        if (result.success) {
+          order = applyLookup(stored, result.data);
+        }
+      } else {
+        result = await getLimitOrder(order.exchange, order.orderId, order.currency, userId);
+      }
+      if (!result.success) {
+        // Transient exchange errors: try again next time the app opens
+        continue;
+      }
+
+      if (result.data.status === 'open' && new Date(order.expiresAt).getTime() <= Date.now()) {
+        const cancelled = await cancelOrder(order.exchange, order.orderId, order.currency, userId);
+        if (!cancelled.success) {
+          continue;
+        }
+        // Read it back: part of the order may have filled before the cancel
+        result = await getLimitOrder(order.exchange, order.orderId, order.currency, userId);
+        if (!result.success) {
+          continue;
+        }
+        if (result.data.status === 'cancelled') {
+          result.data.status = 'expired';
+        }
+      }
+
+      const { status, filledBtc, trade } = result.data;
+      if (status === stored.status && filledBtc === stored.filledBtc) {
+        continue;
+      }
+
+      updates.set(order.id, {
+        ...order,
+        status,
+        filledBtc,
+        updatedAt: new Date().toISOString(),
+      });
+
+      // Partially filled orders are reported once they close, with what was bought
+      if (trade) {
+        await queueReport('trade', buildTradeReport(trade, order.exchange, {
+          purchaseType: 'limit',
+          limitPrice: order.limitPrice,
+        }), userId);
+      }
+    }
+
+    if (updates.size === 0) {
+      return orders;
+    }
+
+    // Orders may have been placed while this refresh was querying; pending records
+    // that never reached the exchange are dropped
+    return await updateOrders(latest => latest
+      .filter(o => updates.get(o.id) !== null)
+      .map(o => updates.get(o.id) || o), userId);
+  })();
+
+  try {
+    return await refreshing;
+  } finally {
+    refreshing = null;
+  }
+}
+
+/**
+ * Subscribe to tracked limit order changes
+ * @param {Function} listener - Called with the updated list
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToLimitOrders(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+async function refreshNow(userId) {
+  try {
+    await refreshLimitOrders(userId);
+  } catch (error) {
+    console.error('[LimitOrders] Refresh failed:', error?.message || error);
+  }
+}
+
+/**
+ * Start checking limit orders for a signed-in user
+ * Checks now and whenever the app returns to the foreground.
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Function} Cleanup function
+ */
+export function startLimitOrderTracking(userId) {
+  refreshNow(userId);
+
+  const appStateSubscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active') {
+      refreshNow(userId);
+    }
+  });
+
+  return () => appStateSubscription.remove();
+}
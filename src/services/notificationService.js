@@ -180,3 +180,59 @@ export function parseAwardUnlockedNotification(notification) {
 
   return null;
 }
+
+/**
+ * Schedule a local notification for a specific time
+ * @param {Object} content - Notification content ({ title, body, data })
+ * @param {Date} date - When to show the notification
+ * @returns {Promise<string|null>} Notification identifier or null if it could not be scheduled
+ */
+export async function scheduleLocalNotification(content, date) {
+  if (Platform.OS === 'web') {
+    return null;
+  }
+  try {
+    return await Notifications.scheduleNotificationAsync({
+      content,
+      trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date },
+    });
+  } catch (error) {
+    // Non-critical - the app still catches up when it is next opened
+    return null;
+  }
+}
+
+/**
+ * Cancel a scheduled local notification
+ * @param {string} identifier - Identifier returned by scheduleLocalNotification
+ */
+export async function cancelLocalNotification(identifier) {
+  if (!identifier || Platform.OS === 'web') {
+    return;
+  }
+  try {
+    await Notifications.cancelScheduledNotificationAsync(identifier);
+  } catch (error) {
+    // Already shown or never scheduled
+  }
+}
+
+/**
+ * Handle a TWAP tranche notification
+ * Scheduled locally by the TWAP service when the next tranche of a lump sum is due
+ * @param {Object} notification - Notification object
+ * @returns {Object|null} Tranche data or null
+ */
+export function parseTwapTrancheNotification(notification) {
+  const data = notification.request.content.data;
+
+  if (data.type === 'twap_tranche') {
+    return {
+      planId: data.planId,
+      tranche: data.tranche,
+      userId: data.userId,
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,286 @@
+/**
+ * Report Outbox Service
+ * Trade and withdrawal reports are queued in device storage before they are
+ * sent to the server, so a successful exchange order is never lost because the
+ * report request failed. Unsent reports are retried with exponential backoff on
+ * app start, when the app returns to the foreground, when the device comes back
+ * online and when the server becomes reachable again.
+ */
+
+import { AppState } from 'react-native';
+import NetInfo from '@react-native-community/netinfo';
+import { readRecords, updateRecords } from '../utils/recordStore';
+import { dcaAPI, onServerReconnect } from './api';
+
+const RETRY_BASE_DELAY_MS = 30000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+const REPORT_SENDERS = {
+  trade: (payload) => dcaAPI.reportTradeExecution(payload),
+  withdrawal: (payload) => dcaAPI.reportWithdrawal(payload),
+  withdrawal_status: (payload) => dcaAPI.reportWithdrawalStatus(payload),
+};
+
+const listeners = new Set();
+let flushing = null;
+let retryTimer = null;
+// Entries with a send in progress, so a flush never sends the same report twice
+const sending = new Set();
+
+/**
+ * Get storage key with optional user namespace
+ * @param {string} baseKey - The base key name
+ * @param {string} userId - Optional user ID for namespacing
+ */
+function getStorageKey(baseKey, userId) {
+  return userId ? `${baseKey}_${userId}` : baseKey;
+}
+
+async function loadOutbox(userId) {
+  return await readRecords(getStorageKey('report_outbox', userId));
+}
+
+async function updateOutbox(change, userId) {
+  const entries = await updateRecords(getStorageKey('report_outbox', userId), change);
+  listeners.forEach(listener => listener(entries.length));
+  return entries;
+}
+
+// Identifies one queued copy of a report; a newer report for the same order replaces it
+function getEntryId(entry) {
+  return `${entry.key}@${entry.createdAt}`;
+}
+
+/**
+ * Record the outcome of a send against the latest queue
+ * The entry is dropped once sent or rejected and rescheduled on retry. If it
+ * was replaced by a newer report in the meantime, the newer one is kept.
+ */
+function applyOutcome(entries, entry, outcome) {
+  const id = getEntryId(entry);
+  if (outcome.status === 'retry') {
+    return entries.map(e => (getEntryId(e) === id ? outcome.entry : e));
+  }
+  return entries.filter(e => getEntryId(e) !== id);
+}
+
+async function sendEntry(entry, userId) {
+  const id = getEntryId(entry);
+  sending.add(id);
+  try {
+    const outcome = await attemptSend(entry);
+    const entries = await updateOutbox(latest => applyOutcome(latest, entry, outcome), userId);
+    return { outcome, entries };
+  } finally {
+    sending.delete(id);
+  }
+}
+
+const REPORT_ID_FIELDS = {
+  trade: 'orderId',
+  withdrawal: 'txId',
+  withdrawal_status: 'withdrawalId',
+};
+
+/**
+ * Dedupe key for a report: one entry per exchange order / withdrawal
+ * A newer status update for a withdrawal replaces the queued one.
+ */
+function getReportKey(type, payload) {
+  const id = payload[REPORT_ID_FIELDS[type]];
+  return `${type}:${payload.exchange || ''}:${id ?? payload.timestamp}`;
+}
+
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1), RETRY_MAX_DELAY_MS);
+}
+
+// Report types whose endpoint may not be deployed on the server yet; a missing
+// route keeps them queued instead of dropping them as rejected
+const PENDING_ENDPOINT_TYPES = new Set(['withdrawal_status']);
+
+/**
+ * Server rejections other than auth/rate limiting will not succeed on retry
+ */
+function isPermanentFailure(error, type) {
+  const status = error?.response?.status;
+  if (PENDING_ENDPOINT_TYPES.has(type) && [404, 405].includes(status)) {
+    return false;
+  }
+  return !!status && status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+}
+
+/**
+ * Try to send one queued report
+ * @returns {Promise<{status: 'sent'|'rejected'|'retry', entry?: Object, error?: string}>}
+ */
+async function attemptSend(entry) {
+  try {
+    const response = await REPORT_SENDERS[entry.type](entry.payload);
+    if (response && response.success === false) {
+      return { status: 'rejected', error: response.message || 'Server rejected the report.' };
+    }
+    return { status: 'sent' };
+  } catch (error) {
+    const message = error?.response?.data?.message || error?.message || 'Unknown error';
+    if (isPermanentFailure(error, entry.type)) {
+      return { status: 'rejected', error: message };
+    }
+    const attempts = entry.attempts + 1;
+    return {
+      status: 'retry',
+      error: message,
+      entry: { ...entry, attempts, lastError: message, nextAttemptAt: Date.now() + getRetryDelay(attempts) },
+    };
+  }
+}
+
+function scheduleRetry(entries, userId) {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  if (entries.length === 0 || AppState.currentState !== 'active') {
+    return;
+  }
+  const nextAttemptAt = Math.min(...entries.map(e => e.nextAttemptAt));
+  retryTimer = setTimeout(() => flushOutbox(userId), Math.max(nextAttemptAt - Date.now(), 0));
+}
+
+/**
+ * Send all due reports in the outbox
+ * @param {string} userId - User ID for namespaced storage
+ * @param {Object} options - { force: true } ignores backoff (e.g. on reconnect)
+ * @returns {Promise<number>} Number of reports still pending
+ */
+export async function flushOutbox(userId, { force = false } = {}) {
+  // Only one flush at a time; concurrent callers share it
+  if (flushing) {
+    return flushing;
+  }
+
+  flushing = (async () => {
+    let pending = [];
+    try {
+      const queued = await loadOutbox(userId);
+      pending = queued;
+
+      for (const entry of queued) {
+        const id = getEntryId(entry);
+        // Skip reports already being sent, replaced by a newer one or waiting out their backoff
+        if (sending.has(id) || !pending.some(e => getEntryId(e) === id) || (!force && entry.nextAttemptAt > Date.now())) {
+          continue;
+        }
+
+        const { outcome, entries } = await sendEntry(entry, userId);
+        pending = entries;
+        if (outcome.status === 'rejected') {
+          console.error(`[Outbox] Server rejected ${entry.key}:`, outcome.error);
+        }
+      }
+    } catch (error) {
+      // Storage failed; queued reports stay where they are for the next flush
+      console.error('[Outbox] Flush failed:', error.message);
+    }
+
+    scheduleRetry(pending, userId);
+    return pending.length;
+  })();
+
+  try {
+    return await flushing;
+  } finally {
+    flushing = null;
+  }
+}
+
+/**
+ * Queue a report and try to send it straight away
+ * A report for an order that is already queued replaces the queued one.
+ * @param {'trade'|'withdrawal'|'withdrawal_status'} type - Report type
+ * @param {Object} payload - Body for reportTradeExecution / reportWithdrawal / reportWithdrawalStatus
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{sent: boolean, rejected?: boolean, error?: string}>}
+ *   sent is false if the report was rejected (dropped) or queued for retry
+ */
+export async function queueReport(type, payload, userId) {
+  const key = getReportKey(type, payload);
+  const entry = { key, type, payload, attempts: 0, nextAttemptAt: 0, createdAt: new Date().toISOString(), lastError: null };
+
+  // Persist before sending so the report survives the app being killed mid-request
+  await updateOutbox(entries => [...entries.filter(e => e.key !== key), entry], userId);
+
+  const { outcome, entries } = await sendEntry(entry, userId);
+  scheduleRetry(entries, userId);
+
+  if (outcome.status === 'sent') {
+    return { sent: true };
+  }
+  return { sent: false, rejected: outcome.status === 'rejected', error: outcome.error };
+}
+
+/**
+ * Get the number of reports waiting to be sent
+ * @param {string} userId - User ID for namespaced storage
+ */
+export async function getPendingReportCount(userId) {
+  return (await loadOutbox(userId)).length;
+}
+
+/**
+ * Get the reports waiting to be sent
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<Array<{type: string, payload: Object}>>}
+ */
+export async function getPendingReports(userId) {
+  return (await loadOutbox(userId)).map(({ type, payload }) => ({ type, payload }));
+}
+
+/**
+ * Subscribe to pending report count changes
+ * @param {Function} listener - Called with the new count
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Start background syncing of the outbox for a signed-in user
+ * Flushes now, whenever the app returns to the foreground, when the device
+ * goes from offline to online, and when the server becomes reachable after a
+ * network failure.
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Function} Cleanup function
+ */
+export function startOutboxSync(userId) {
+  flushOutbox(userId);
+
+  const appStateSubscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active') {
+      flushOutbox(userId);
+    } else {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+  });
+
+  // null until the first connectivity state arrives, so startup is not counted as coming online
+  let online = null;
+  const unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+    const connected = !!state.isConnected && state.isInternetReachable !== false;
+    if (connected && online === false) {
+      flushOutbox(userId, { force: true });
+    }
+    online = connected;
+  });
+
+  const unsubscribeReconnect = onServerReconnect(() => flushOutbox(userId, { force: true }));
+
+  return () => {
+    appStateSubscription.remove();
+    unsubscribeNetInfo();
+    unsubscribeReconnect();
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  };
+}
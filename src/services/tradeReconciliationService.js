@@ -0,0 +1,159 @@
+/**
+ * Trade Reconciliation Service
+ * Compares the buys on the exchange with the purchases the server knows about.
+ * Exchange orders the server never heard of can be back-filled through the
+ * report outbox; recorded purchases whose amounts or fees differ from the
+ * exchange are flagged so the user can see them in their history.
+ */
+
+import { dcaAPI } from './api';
+import { getTradeHistory } from './exchangeService';
+import { buildTradeReport } from './tradeRecoveryService';
+import { queueReport, getPendingReports } from './reportOutboxService';
+
+// Relative difference tolerated for BTC amount and fiat cost (rounding)
+const AMOUNT_TOLERANCE = 0.001;
+// Fees are often estimated at report time, so allow more slack
+const FEE_TOLERANCE = 0.05;
+const MIN_FEE_DIFFERENCE = 0.01;
+// How far back to look when the server has no purchases yet
+const DEFAULT_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+// Start slightly before the first purchase to absorb clock differences
+const LOOKBACK_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+function differsBy(recorded, actual, tolerance) {
+  if (!actual) {
+    return Math.abs(recorded) > 0;
+  }
+  return Math.abs(recorded - actual) / Math.abs(actual) > tolerance;
+}
+
+/**
+ * Compare a recorded purchase against the exchange's version of the order
+ * @returns {Array<{field: string, recorded: number, actual: number}>} Fields that differ
+ */
+function comparePurchase(purchase, trade) {
+  const differences = [];
+
+  const recordedBtc = parseFloat(purchase.btcAmount || 0);
+  if (differsBy(recordedBtc, trade.btcAmount, AMOUNT_TOLERANCE)) {
+    differences.push({ field: 'btcAmount', recorded: recordedBtc, actual: trade.btcAmount });
+  }
+
+  // Handle both old (eurCost) and new (fiatCost) field names
+  const recordedCost = parseFloat(purchase.fiatCost !== undefined ? purchase.fiatCost : (purchase.eurCost || 0));
+  if (differsBy(recordedCost, trade.fiatSpent, AMOUNT_TOLERANCE)) {
+    differences.push({ field: 'fiatCost', recorded: recordedCost, actual: trade.fiatSpent });
+  }
+
+  // BNB fees reported before they were valued at fill time are estimates and cannot be compared
+  const feeComparable = !trade.feesPaidInBnb || (purchase.feeAsset === 'BNB' && !purchase.feeEstimated);
+  if (purchase.tradingFee !== undefined && purchase.tradingFee !== null && feeComparable && !trade.feeEstimated) {
+    const recordedFee = parseFloat(purchase.tradingFee);
+    if (Math.abs(recordedFee - trade.tradingFee) > MIN_FEE_DIFFERENCE &&
+        differsBy(recordedFee, trade.tradingFee, FEE_TOLERANCE)) {
+      differences.push({ field: 'tradingFee', recorded: recordedFee, actual: trade.tradingFee });
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Reconcile exchange buy history with the server's purchase list
+ * Only orders from (roughly) the first recorded purchase onwards are considered,
+ * so buys made outside the app before the user started DCAing are ignored.
+ *
+ * @param {string} exchange - Exchange identifier
+ * @param {string} currency - Currency code of the configured pair
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{success: boolean, data?: {missing: Array, mismatches: Object}, error?: string}>}
+ *   missing: exchange buys with no server purchase; mismatches: orderId -> differing fields
+ */
+export async function reconcileTradeHistory(exchange, currency, userId) {
+  try {
+    const purchaseResponse = await dcaAPI.getPurchases();
+    if (!purchaseResponse.success) {
+      return { success: false, error: purchaseResponse.message || 'Failed to load purchases' };
+    }
+    // Preview data for non-subscribers has nothing to reconcile
+    if (purchaseResponse.isMockData) {
+      return { success: true, data: { missing: [], mismatches: {} } };
+    }
+    const purchases = purchaseResponse.data || [];
+
+    const purchaseTimes = purchases
+      .filter(p => p.purchaseDate)
+      .map(p => new Date(p.purchaseDate).getTime());
+    const since = purchaseTimes.length > 0
+      ? Math.min(...purchaseTimes) - LOOKBACK_MARGIN_MS
+      : Date.now() - DEFAULT_LOOKBACK_MS;
+
+    const history = await getTradeHistory(exchange, currency, userId, since);
+    if (!history.success) {
+      return { success: false, error: history.error };
+    }
+
+    const purchasesByOrder = new Map(
+      purchases
+        .filter(p => p.orderId !== undefined && p.orderId !== null)
+        .map(p => [String(p.orderId), p])
+    );
+
+    // Reports already waiting in the outbox are not missing, just unsent
+    const queuedOrderIds = new Set(
+      (await getPendingReports(userId))
+        .filter(r => r.type === 'trade')
+        .map(r => String(r.payload.orderId))
+    );
+
+    const missing = [];
+    const mismatches = {};
+    history.data.forEach(trade => {
+      const orderId = String(trade.orderId);
+      const purchase = purchasesByOrder.get(orderId);
+      if (!purchase) {
+        if (!queuedOrderIds.has(orderId)) {
+          missing.push(trade);
+        }
+        return;
+      }
+      const differences = comparePurchase(purchase, trade);
+      if (differences.length > 0) {
+        mismatches[orderId] = differences;
+      }
+    });
+
+    return { success: true, data: { missing, mismatches } };
+  } catch (error) {
+    return {
+      success: false,
+      error: error?.response?.data?.message || error.message,
+    };
+  }
+}
+
+/**
+ * Back-fill exchange buys the server is missing
+ * Reports go through the outbox, so they are retried if the server is unreachable.
+ * @param {Array} trades - Missing trades from reconcileTradeHistory
+ * @param {string} exchange - Exchange identifier
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{sent: number, queued: number, rejected: number}>}
+ */
+export async function backfillMissingTrades(trades, exchange, userId) {
+  const summary = { sent: 0, queued: 0, rejected: 0 };
+
+  for (const trade of trades) {
+    const result = await queueReport('trade', buildTradeReport(trade, exchange, { backfilled: true }), userId);
+    if (result.sent) {
+      summary.sent += 1;
+    } else if (result.rejected) {
+      summary.rejected += 1;
+    } else {
+      summary.queued += 1;
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,289 @@
+/**
+ * Trade Recovery Service
+ * Makes buy orders safe to retry. Each trade gets a deterministic client order id
+ * derived from its requestId, and an "in-flight" record is persisted before the
+ * order is submitted. If the app dies or the network drops mid-submission, the
+ * order is looked up by that id instead of being placed again. Convert buys are
+ * tracked the same way by their quote id.
+ */
+
+import CryptoJS from 'crypto-js';
+import { readRecords, updateRecords } from '../utils/recordStore';
+import { queueReport } from './reportOutboxService';
+import { EXCHANGE_ERROR_CODES } from '../utils/exchangeErrors';
+import {
+  executeMarketBuy,
+  acceptConvertQuote,
+  getConvertOrderStatus,
+  getOrderByClientId,
+  supportsOrderRecovery,
+} from './exchangeService';
+
+// Records younger than this may still be mid-submission in this session
+const RECOVERY_MIN_AGE_MS = 60000;
+
+/**
+ * Get storage key with optional user namespace
+ * @param {string} baseKey - The base key name
+ * @param {string} userId - Optional user ID for namespacing
+ */
+function getStorageKey(baseKey, userId) {
+  return userId ? `${baseKey}_${userId}` : baseKey;
+}
+
+async function loadInFlightTrades(userId) {
+  return await readRecords(getStorageKey('inflight_trades', userId));
+}
+
+async function updateInFlightTrades(change, userId) {
+  return await updateRecords(getStorageKey('inflight_trades', userId), change);
+}
+
+async function upsertInFlightTrade(record, userId) {
+  // Drop per-fill details to keep the stored record small
+  const result = record.result ? { ...record.result, fills: undefined } : null;
+  await updateInFlightTrades(trades => [
+    ...trades.filter(t => t.requestId !== record.requestId),
+    { ...record, result },
+  ], userId);
+}
+
+// Look up an interrupted trade on the exchange; data is null if nothing was bought
+async function lookupTrade(trade, userId) {
+  if (trade.quoteId) {
+    return await getConvertOrderStatus(trade.exchange, trade.quoteId, trade.currency, userId);
+  }
+  return await getOrderByClientId(trade.exchange, trade.clientOrderId, trade.currency, userId);
+}
+
+// Resolve an earlier attempt for the same requestId
+// Returns a result to hand back, or null if nothing was bought and it is safe to buy.
+// Recovered results carry the report fields of the attempt that bought.
+async function resolveExistingTrade(existing, userId) {
+  if (existing.result) {
+    return { success: true, recovered: true, data: existing.result, report: existing.report };
+  }
+
+  const lookup = await lookupTrade(existing, userId);
+  if (!lookup.success) {
+    return {
+      success: false,
+      error: `Could not confirm whether your previous order went through (${lookup.error}). Please try again shortly.`,
+      errorCode: EXCHANGE_ERROR_CODES.OUTCOME_UNKNOWN,
+    };
+  }
+  if (lookup.data) {
+    await upsertInFlightTrade({ ...existing, result: lookup.data }, userId);
+    return { success: true, recovered: true, data: lookup.data, report: existing.report };
+  }
+  return null;
+}
+
+/**
+ * Derive a deterministic client order id from a trade requestId
+ * Formatted as a UUID so it is accepted by both Binance (newClientOrderId)
+ * and Kraken (cl_ord_id).
+ * @param {string} requestId - Trade request ID
+ * @returns {string} Client order id
+ */
+export function getClientOrderId(requestId) {
+  const hash = CryptoJS.SHA256(`dca-trade:${requestId}`).toString(CryptoJS.enc.Hex);
+  return [
+    hash.substring(0, 8),
+    hash.substring(8, 12),
+    `4${hash.substring(13, 16)}`,
+    `${((parseInt(hash[16], 16) & 0x3) | 0x8).toString(16)}${hash.substring(17, 20)}`,
+    hash.substring(20, 32),
+  ].join('-');
+}
+
+/**
+ * Build the reportTradeExecution payload for a completed buy
+ * @param {Object} data - Buy result data from the exchange
+ * @param {string} exchange - Exchange identifier
+ * @param {Object} extra - Additional report fields (e.g. purchaseType, isAnomalyPurchase)
+ */
+export function buildTradeReport(data, exchange, extra = {}) {
+  return {
+    orderId: data.orderId,
+    btcAmount: data.btcAmount,
+    fiatSpent: data.fiatSpent,
+    currency: data.currency,
+    avgPrice: data.avgPrice,
+    tradingFee: data.tradingFee, // Fee value in fiat
+    tradingFeeBtc: data.tradingFeeBtc, // Fee in BTC (actual deducted amount)
+    // Adapters that do not report the fee asset charge fees in the quote currency
+    feeAsset: data.feeAsset !== undefined ? data.feeAsset : data.currency,
+    feeAmount: data.feeAmount !== undefined ? data.feeAmount : data.tradingFee,
+    fees: data.fees, // Per-asset breakdown (Binance)
+    feeEstimated: !!data.feeEstimated,
+    timestamp: data.timestamp,
+    exchange,
+    ...extra,
+  };
+}
+
+/**
+ * Execute a buy at most once per requestId
+ * If an earlier attempt for the same requestId was interrupted, the order is
+ * looked up on the exchange; it is only submitted again if it never went through.
+ *
+ * @param {Object} trade - Trade details
+ * @param {string} trade.requestId - Trade request ID (stable across retries)
+ * @param {string} trade.exchange - Exchange identifier
+ * @param {number} trade.fiatAmount - Amount in fiat to spend
+ * @param {number} trade.tradingFeePercent - Trading fee percentage
+ * @param {string} trade.currency - Currency code
+ * @param {Object} trade.buyOptions - Extra executeMarketBuy options (e.g. slippage guard)
+ * @param {Object} trade.report - Extra reportTradeExecution fields, kept for recovery
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<Object>} executeMarketBuy-style result; `recovered` is true if no new order was placed,
+ *   and `report` then holds the report fields stored with the earlier attempt
+ */
+export async function executeBuyOnce(trade, userId) {
+  const { requestId, exchange, fiatAmount, tradingFeePercent, currency, buyOptions = {}, report = {} } = trade;
+
+  if (!supportsOrderRecovery(exchange)) {
+    return await executeMarketBuy(exchange, fiatAmount, tradingFeePercent, currency, userId, buyOptions);
+  }
+
+  const clientOrderId = getClientOrderId(requestId);
+  const existing = (await loadInFlightTrades(userId)).find(t => t.requestId === requestId);
+
+  if (existing) {
+    // The earlier attempt may have been a spot order or a Convert
+    const resolved = await resolveExistingTrade(existing, userId);
+    if (resolved) {
+      return resolved;
+    }
+    // Previous attempt never reached the exchange, safe to submit again
+  }
+
+  const record = {
+    requestId,
+    clientOrderId,
+    exchange,
+    currency,
+    fiatAmount,
+    report,
+    submittedAt: new Date().toISOString(),
+    result: null,
+  };
+  await upsertInFlightTrade(record, userId);
+
+  const result = await executeMarketBuy(exchange, fiatAmount, tradingFeePercent, currency, userId, {
+    ...buyOptions,
+    clientOrderId,
+  });
+
+  // On failure the record stays: the error may have hidden an order that did go through
+  if (result.success) {
+    await upsertInFlightTrade({ ...record, result: result.data }, userId);
+  }
+
+  return result;
+}
+
+/**
+ * Accept a Convert quote at most once per requestId
+ * The quote id is persisted before the quote is accepted, so a conversion whose
+ * result was lost is looked up instead of bought again with a new quote.
+ *
+ * @param {Object} trade - Trade details
+ * @param {string} trade.requestId - Trade request ID (stable across retries)
+ * @param {string} trade.exchange - Exchange identifier
+ * @param {Object} trade.quote - Quote from getConvertQuote
+ * @param {string} trade.currency - Currency code
+ * @param {Object} trade.report - Extra reportTradeExecution fields, kept for recovery
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<Object>} acceptConvertQuote-style result; `recovered` and `report` as for executeBuyOnce
+ */
+export async function executeConvertOnce(trade, userId) {
+  const { requestId, exchange, quote, currency, report = {} } = trade;
+
+  const existing = (await loadInFlightTrades(userId)).find(t => t.requestId === requestId);
+  // Accepting the same quote again is safe; a different quote means checking the earlier attempt first
+  if (existing && (existing.result || existing.quoteId !== quote.quoteId)) {
+    const resolved = await resolveExistingTrade(existing, userId);
+    if (resolved) {
+      return resolved;
+    }
+  }
+
+  const record = {
+    requestId,
+    quoteId: quote.quoteId,
+    quoteExpiresAt: quote.expiresAt,
+    exchange,
+    currency,
+    fiatAmount: quote.fiatAmount,
+    report,
+    submittedAt: new Date().toISOString(),
+    result: null,
+  };
+  await upsertInFlightTrade(record, userId);
+
+  const result = await acceptConvertQuote(exchange, quote.quoteId, currency, userId);
+
+  // On failure the record stays, as for spot orders
+  if (result.success) {
+    await upsertInFlightTrade({ ...record, result: result.data }, userId);
+  }
+
+  return result;
+}
+
+/**
+ * Mark a trade as fully handled (executed and its report queued)
+ * @param {string} requestId - Trade request ID
+ * @param {string} userId - User ID for namespaced storage
+ */
+export async function completeInFlightTrade(requestId, userId) {
+  await updateInFlightTrades(trades => trades.filter(t => t.requestId !== requestId), userId);
+}
+
+/**
+ * Resolve trades left in flight by a previous session
+ * Orders that went through are queued for reporting to the server; orders that
+ * never reached the exchange are dropped. Records that cannot be checked yet are kept.
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<Array>} Recovered trades ({ exchange, data })
+ */
+export async function recoverInFlightTrades(userId) {
+  const trades = await loadInFlightTrades(userId);
+  const recovered = [];
+
+  for (const trade of trades) {
+    if (Date.now() - new Date(trade.submittedAt).getTime() < RECOVERY_MIN_AGE_MS) {
+      continue;
+    }
+    // A quote that has not expired can still be accepted
+    if (trade.quoteExpiresAt && new Date(trade.quoteExpiresAt).getTime() > Date.now()) {
+      continue;
+    }
+
+    try {
+      let data = trade.result;
+      if (!data) {
+        const lookup = await lookupTrade(trade, userId);
+        if (!lookup.success) {
+          continue;
+        }
+        data = lookup.data;
+      }
+
+      if (data) {
+        // The outbox keeps retrying if the server is unreachable
+        await queueReport('trade', buildTradeReport(data, trade.exchange, trade.report), userId);
+        recovered.push({ exchange: trade.exchange, data });
+      }
+
+      await completeInFlightTrade(trade.requestId, userId);
+    } catch (error) {
+      // Keep the record and try again next launch
+      console.error('[TradeRecovery] Failed to recover trade:', error?.message || error);
+    }
+  }
+
+  return recovered;
+}
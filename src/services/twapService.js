@@ -0,0 +1,504 @@
+/**
+ * TWAP Service
+ * Splits a lump-sum buy into equal tranches spread over time, so a large order
+ * does not move the price on thinner markets. Each plan is kept on the device as
+ * a progress ledger. Due tranches are bought whenever the app is opened or a
+ * scheduled local notification fires, and every tranche is reported separately
+ * with purchaseType 'twap'.
+ */
+
+import { AppState } from 'react-native';
+import { readRecords, updateRecords } from '../utils/recordStore';
+import { queueReport } from './reportOutboxService';
+import {
+  executeBuyOnce,
+  buildTradeReport,
+  completeInFlightTrade,
+  getClientOrderId,
+} from './tradeRecoveryService';
+import {
+  getCurrentPrice,
+  getExchangeInfo,
+  getOrderByClientId,
+  supportsOrderRecovery,
+} from './exchangeService';
+import { scheduleLocalNotification, cancelLocalNotification } from './notificationService';
+import { EXCHANGE_ERROR_CODES } from '../utils/exchangeErrors';
+
+// Finished plans are kept this long so the app can show how they went
+const FINISHED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+// Keep the stored ledger short
+const MAX_PLANS = 10;
+// Failed attempts before a tranche is given up on
+const MAX_TRANCHE_ATTEMPTS = 3;
+// A late tranche waits at least this share of the interval after the previous one,
+// so opening the app after a long gap does not buy several tranches back to back
+const MIN_SPACING_FRACTION = 0.5;
+
+export const TWAP_TRANCHE_OPTIONS = [2, 4, 6, 12];
+export const TWAP_INTERVAL_OPTIONS = [
+  { label: '1h', ms: 60 * 60 * 1000 },
+  { label: '4h', ms: 4 * 60 * 60 * 1000 },
+  { label: '12h', ms: 12 * 60 * 60 * 1000 },
+  { label: '1d', ms: 24 * 60 * 60 * 1000 },
+];
+
+const listeners = new Set();
+let running = null;
+// User whose tranches are being bought (signed in and unlocked), if any
+let executionUserId = null;
+
+/**
+ * Get storage key with optional user namespace
+ * @param {string} baseKey - The base key name
+ * @param {string} userId - Optional user ID for namespacing
+ */
+function getStorageKey(baseKey, userId) {
+  return userId ? `${baseKey}_${userId}` : baseKey;
+}
+
+async function loadPlans(userId) {
+  return await readRecords(getStorageKey('twap_plans', userId));
+}
+
+// Apply a change to the latest stored ledger, pruning old finished plans
+async function updatePlans(change, userId) {
+  const cutoff = Date.now() - FINISHED_RETENTION_MS;
+  const kept = await updateRecords(getStorageKey('twap_plans', userId), plans => change(plans)
+    .filter(p => isTwapPlanActive(p) || new Date(p.updatedAt).getTime() > cutoff)
+    .slice(-MAX_PLANS));
+  listeners.forEach(listener => listener(kept));
+  return kept;
+}
+
+// Apply a change to one plan against the latest stored ledger
+async function updatePlan(planId, update, userId) {
+  const updated = await updatePlans(plans => plans.map(p => (p.id === planId ? update(p) : p)), userId);
+  return updated.find(p => p.id === planId) || null;
+}
+
+function updateTranche(plan, index, changes) {
+  const tranches = plan.tranches.map((t) => {
+    if (t.index !== index) {
+      return t;
+    }
+    const updated = { ...t, ...changes };
+    // A cancelled plan only finishes the tranche that was mid-purchase
+    if (plan.status === 'cancelled' && updated.status === 'pending' && !updated.submittedAt) {
+      updated.status = 'cancelled';
+    }
+    return updated;
+  });
+  const finished = tranches.every(t => t.status !== 'pending');
+  return {
+    ...plan,
+    tranches,
+    status: plan.status === 'active' && finished ? 'completed' : plan.status,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Check whether a plan still has tranches to buy
+ * @param {Object} plan - Stored TWAP plan
+ */
+export function isTwapPlanActive(plan) {
+  return plan.status === 'active';
+}
+
+/**
+ * Summarise a plan's progress for display
+ * @param {Object} plan - Stored TWAP plan
+ * @returns {{filled: number, remaining: number, failed: number, btcBought: number, fiatSpent: number, nextDueAt: string|null}}
+ */
+export function getTwapProgress(plan) {
+  const filled = plan.tranches.filter(t => t.status === 'filled');
+  const pending = plan.tranches.filter(t => t.status === 'pending');
+  return {
+    filled: filled.length,
+    remaining: pending.length,
+    failed: plan.tranches.filter(t => t.status === 'failed').length,
+    btcBought: filled.reduce((sum, t) => sum + t.btcAmount, 0),
+    fiatSpent: filled.reduce((sum, t) => sum + t.fiatSpent, 0),
+    nextDueAt: pending.length > 0 ? getEarliestRunAt(plan, pending[0]) : null,
+  };
+}
+
+// The earliest time a pending tranche may run, given when the previous one ran
+function getEarliestRunAt(plan, tranche) {
+  const lastRun = plan.tranches
+    .filter(t => t.executedAt)
+    .reduce((latest, t) => Math.max(latest, new Date(t.executedAt).getTime()), 0);
+  const spacedAt = lastRun ? lastRun + plan.intervalMs * MIN_SPACING_FRACTION : 0;
+  return new Date(Math.max(new Date(tranche.dueAt).getTime(), spacedAt)).toISOString();
+}
+
+// Split the total into equal tranches; rounding is absorbed by the last one
+function splitAmount(totalAmount, trancheCount) {
+  const base = Math.floor((totalAmount / trancheCount) * 100) / 100;
+  const amounts = Array(trancheCount).fill(base);
+  amounts[trancheCount - 1] = parseFloat((totalAmount - base * (trancheCount - 1)).toFixed(2));
+  return amounts;
+}
+
+/**
+ * Create a TWAP plan and buy its first tranche
+ * Later tranches are due every intervalMs and get a local notification each.
+ * @param {Object} plan - Plan details
+ * @param {string} plan.id - Stable id for this plan; tranche request ids derive from it
+ * @param {string} plan.exchange - Exchange identifier
+ * @param {number} plan.totalAmount - Total fiat amount to spend
+ * @param {number} plan.trancheCount - Number of tranches
+ * @param {number} plan.intervalMs - Time between tranches
+ * @param {number} plan.tradingFeePercent - Trading fee percentage
+ * @param {number} plan.maxSlippagePercent - Slippage guard per tranche (0 to disable)
+ * @param {boolean} plan.exactFiat - Spend each tranche amount exactly, including fees
+ * @param {string} plan.currency - Currency code
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<{success: boolean, data?: Object, error?: string, errorCode?: string}>} data is the stored plan
+ */
+export async function createTwapPlan({ id, exchange, totalAmount, trancheCount, intervalMs, tradingFeePercent, maxSlippagePercent, exactFiat, currency }, userId) {
+  let existing;
+  try {
+    existing = (await loadPlans(userId)).find(p => p.id === id);
+  } catch (error) {
+    console.error('[TWAP] Could not read plans:', error?.message || error);
+    return { success: false, error: 'Could not read your TWAP plans. Please try again.' };
+  }
+  if (existing) {
+    return { success: true, data: existing };
+  }
+
+  const createdAt = Date.now();
+  const amounts = splitAmount(totalAmount, trancheCount);
+  const exchangeName = getExchangeInfo(exchange).name;
+
+  const tranches = [];
+  for (let index = 0; index < trancheCount; index++) {
+    const dueAt = new Date(createdAt + index * intervalMs);
+    // The first tranche is bought straight away, the rest when their notification fires
+    const notificationId = index === 0 ? null : await scheduleLocalNotification({
+      title: 'TWAP Buy Due',
+      body: `Tranche ${index + 1} of ${trancheCount} of your lump-sum buy on ${exchangeName} is ready. Open the app to buy it.`,
+      data: { type: 'twap_tranche', planId: id, tranche: index + 1, userId },
+    }, dueAt);
+
+    tranches.push({
+      index,
+      requestId: `${id}:${index}`,
+      fiatAmount: amounts[index],
+      dueAt: dueAt.toISOString(),
+      status: 'pending',
+      attempts: 0,
+      notificationId,
+    });
+  }
+
+  const now = new Date(createdAt).toISOString();
+  const plan = {
+    id,
+    exchange,
+    currency,
+    totalAmount,
+    trancheCount,
+    intervalMs,
+    tradingFeePercent,
+    maxSlippagePercent: maxSlippagePercent || 0,
+    exactFiat: !!exactFiat,
+    status: 'active',
+    tranches,
+    createdAt: now,
+    updatedAt: now,
+  };
+  try {
+    await updatePlans(plans => [...plans.filter(p => p.id !== id), plan], userId);
+  } catch (error) {
+    console.error('[TWAP] Could not save plan:', error?.message || error);
+    await cancelTrancheNotifications(plan);
+    return { success: false, error: 'Could not save your TWAP plan. Please try again.' };
+  }
+
+  let stored;
+  try {
+    stored = await runTranche(plan, plan.tranches[0], userId);
+  } catch (error) {
+    // The plan is saved and may have bought its first tranche; the home screen shows how it stands
+    console.error('[TWAP] Could not record first tranche:', error?.message || error);
+    return {
+      success: false,
+      error: 'Your TWAP plan was saved but its first tranche could not be recorded. Check the plan on the home screen.',
+      errorCode: EXCHANGE_ERROR_CODES.OUTCOME_UNKNOWN,
+    };
+  }
+
+  const first = stored.tranches[0];
+  if (first.status !== 'filled') {
+    // Nothing was bought; drop the plan so the user can fix the problem and retry
+    await cancelTrancheNotifications(plan);
+    try {
+      await updatePlans(plans => plans.filter(p => p.id !== id), userId);
+    } catch (error) {
+      console.error('[TWAP] Could not drop plan:', error?.message || error);
+      return {
+        success: false,
+        error: `${first.lastError} The plan could not be removed, so cancel it on the home screen.`,
+        errorCode: first.lastErrorCode,
+      };
+    }
+    return { success: false, error: first.lastError, errorCode: first.lastErrorCode };
+  }
+  return { success: true, data: stored };
+}
+
+async function cancelTrancheNotifications(plan) {
+  for (const tranche of plan.tranches) {
+    await cancelLocalNotification(tranche.notificationId);
+  }
+}
+
+/**
+ * Get stored TWAP plans, oldest first
+ * @param {string} userId - User ID for namespaced storage
+ */
+export async function getTwapPlans(userId) {
+  return await loadPlans(userId);
+}
+
+/**
+ * Cancel the remaining tranches of a plan
+ * Tranches already bought are kept; a tranche mid-purchase still completes.
+ * @param {string} planId - Plan id
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<Object|null>} The updated plan
+ */
+export async function cancelTwapPlan(planId, userId) {
+  const plan = (await loadPlans(userId)).find(p => p.id === planId);
+  if (!plan || !isTwapPlanActive(plan)) {
+    return plan || null;
+  }
+
+  for (const tranche of plan.tranches.filter(t => t.status === 'pending')) {
+    await cancelLocalNotification(tranche.notificationId);
+  }
+
+  return await updatePlan(planId, p => ({
+    ...p,
+    status: 'cancelled',
+    tranches: p.tranches.map(t => (t.status === 'pending' && !t.submittedAt ? { ...t, status: 'cancelled' } : t)),
+    updatedAt: new Date().toISOString(),
+  }), userId);
+}
+
+// Resolve a tranche whose purchase was interrupted before the ledger was updated
+// Returns the tranche changes, or null if the exchange could not be asked
+async function resolveInterruptedTranche(plan, tranche, userId) {
+  if (!supportsOrderRecovery(plan.exchange)) {
+    // Cannot tell whether it went through; never risk buying it twice
+    return {
+      status: 'failed',
+      submittedAt: null,
+      lastError: 'The app was closed while this tranche was being bought. Check your exchange history.',
+    };
+  }
+
+  const lookup = await getOrderByClientId(plan.exchange, getClientOrderId(tranche.requestId), plan.currency, userId);
+  if (!lookup.success) {
+    return null;
+  }
+  if (!lookup.data) {
+    // Never reached the exchange, safe to buy it now
+    return { submittedAt: null };
+  }
+
+  // Already reported, here or by trade recovery, before the app stopped
+  return {
+    status: 'filled',
+    orderId: lookup.data.orderId,
+    btcAmount: lookup.data.btcAmount,
+    fiatSpent: lookup.data.fiatSpent,
+    avgPrice: lookup.data.avgPrice,
+    executedAt: tranche.submittedAt,
+  };
+}
+
+// Buy one tranche and record the outcome; returns the updated plan
+async function runTranche(plan, tranche, userId) {
+  const record = changes => updatePlan(plan.id, p => updateTranche(p, tranche.index, changes), userId);
+
+  let buyOptions = { exactFiat: !!plan.exactFiat };
+  if (plan.maxSlippagePercent > 0) {
+    try {
+      buyOptions = {
+        ...buyOptions,
+        quotePrice: await getCurrentPrice(plan.exchange, plan.currency),
+        maxSlippagePercent: plan.maxSlippagePercent,
+      };
+    } catch (error) {
+      // No quote: count a failed attempt rather than buy unguarded
+      return await record(trancheFailure(tranche, {
+        error: 'Could not fetch the current price.',
+        errorCode: EXCHANGE_ERROR_CODES.NETWORK,
+      }));
+    }
+  }
+
+  await record({ submittedAt: new Date().toISOString() });
+
+  const report = {
+    purchaseType: 'twap',
+    twapPlanId: plan.id,
+    tranche: tranche.index + 1,
+    trancheCount: plan.trancheCount,
+  };
+  const result = await executeBuyOnce({
+    requestId: tranche.requestId,
+    exchange: plan.exchange,
+    fiatAmount: tranche.fiatAmount,
+    tradingFeePercent: plan.tradingFeePercent,
+    currency: plan.currency,
+    buyOptions,
+    report,
+  }, userId);
+
+  if (!result.success) {
+    return await record({ ...trancheFailure(tranche, result), submittedAt: null });
+  }
+
+  // The outbox retries the report if the server is unreachable
+  await queueReport('trade', buildTradeReport(result.data, plan.exchange, report), userId);
+  await cancelLocalNotification(tranche.notificationId);
+
+  const updated = await record({
+    status: 'filled',
+    orderId: result.data.orderId,
+    btcAmount: result.data.btcAmount,
+    fiatSpent: result.data.fiatSpent,
+    avgPrice: result.data.avgPrice,
+    executedAt: new Date().toISOString(),
+    submittedAt: null,
+    lastError: null,
+    lastErrorCode: null,
+  });
+  await completeInFlightTrade(tranche.requestId, userId);
+  return updated;
+}
+
+function trancheFailure(tranche, result) {
+  const attempts = tranche.attempts + 1;
+  // An unconfirmed order is never given up on: the next attempt looks it up instead
+  const givingUp = attempts >= MAX_TRANCHE_ATTEMPTS && result.errorCode !== EXCHANGE_ERROR_CODES.OUTCOME_UNKNOWN;
+  return {
+    attempts,
+    status: givingUp ? 'failed' : 'pending',
+    lastError: result.error,
+    lastErrorCode: result.errorCode || null,
+  };
+}
+
+/**
+ * Buy every tranche that is due
+ * At most one tranche per plan is bought per run.
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<Array>} Stored plans after the run
+ */
+export async function runDueTranches(userId) {
+  // Only one run at a time; concurrent callers share it
+  if (running) {
+    return running;
+  }
+
+  running = (async () => {
+    const plans = await loadPlans(userId);
+
+    for (const { id } of plans.filter(isTwapPlanActive)) {
+      // Re-read: the plan may have been cancelled while an earlier plan was buying
+      let plan = (await loadPlans(userId)).find(p => p.id === id);
+      let tranche = plan?.tranches.find(t => t.status === 'pending');
+      if (!tranche) {
+        continue;
+      }
+
+      if (tranche.submittedAt) {
+        const changes = await resolveInterruptedTranche(plan, tranche, userId);
+        if (!changes) {
+          // Exchange unreachable; try again next time the app opens
+          continue;
+        }
+        plan = await updatePlan(id, p => updateTranche(p, tranche.index, changes), userId);
+        tranche = plan.tranches[tranche.index];
+        if (tranche.status !== 'pending') {
+          continue;
+        }
+      }
+
+      if (!isTwapPlanActive(plan) || new Date(getEarliestRunAt(plan, tranche)).getTime() > Date.now()) {
+        continue;
+      }
+
+      await runTranche(plan, tranche, userId);
+    }
+
+    return await loadPlans(userId);
+  })();
+
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+/**
+ * Subscribe to TWAP plan changes
+ * @param {Function} listener - Called with the updated list
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToTwapPlans(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+async function runNow(userId) {
+  try {
+    await runDueTranches(userId);
+  } catch (error) {
+    console.error('[TWAP] Run failed:', error?.message || error);
+  }
+}
+
+/**
+ * Start buying due TWAP tranches for a signed-in user
+ * Runs now and whenever the app returns to the foreground.
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Function} Cleanup function
+ */
+export function startTwapExecution(userId) {
+  executionUserId = userId;
+  runNow(userId);
+
+  const appStateSubscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active') {
+      runNow(userId);
+    }
+  });
+
+  return () => {
+    appStateSubscription.remove();
+    if (executionUserId === userId) {
+      executionUserId = null;
+    }
+  };
+}
+
+/**
+ * Buy due tranches when a tranche notification arrives
+ * Only runs while execution is started for the same user, so a notification
+ * never buys before sign-in and unlock, or for another account on the device.
+ * @param {string} userId - User ID from the notification payload
+ */
+export function handleTwapTrancheNotification(userId) {
+  if (!executionUserId || userId !== executionUserId) {
+    return;
+  }
+  runNow(userId);
+}
@@ -0,0 +1,226 @@
+/**
+ * Withdrawal Tracker Service
+ * Follows app-executed withdrawals from the exchange request until the
+ * transaction is confirmed on-chain. Tracked withdrawals are kept in device
+ * storage and polled while the app is in the foreground; every status change
+ * (including the on-chain txid once it is known) is reported to the server
+ * through the report outbox.
+ */
+
+import { AppState } from 'react-native';
+import { readRecords, updateRecords } from '../utils/recordStore';
+import { queueReport } from './reportOutboxService';
+import { getWithdrawalStatus, supportsWithdrawalTracking } from './exchangeService';
+
+const POLL_INTERVAL_MS = 60000;
+// Finished withdrawals are kept this long so history can show their txid
+const FINISHED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+// Keep the stored list short
+const MAX_TRACKED = 10;
+
+const listeners = new Set();
+let refreshing = null;
+let pollTimer = null;
+
+/**
+ * Get storage key with optional user namespace
+ * @param {string} baseKey - The base key name
+ * @param {string} userId - Optional user ID for namespacing
+ */
+function getStorageKey(baseKey, userId) {
+  return userId ? `${baseKey}_${userId}` : baseKey;
+}
+
+async function loadWithdrawals(userId) {
+  return await readRecords(getStorageKey('tracked_withdrawals', userId));
+}
+
+// Apply a change to the latest stored withdrawals, pruning old finished ones
+async function updateWithdrawals(change, userId) {
+  const cutoff = Date.now() - FINISHED_RETENTION_MS;
+  const kept = await updateRecords(getStorageKey('tracked_withdrawals', userId), withdrawals => change(withdrawals)
+    .filter(w => isWithdrawalActive(w) || new Date(w.updatedAt).getTime() > cutoff)
+    .slice(-MAX_TRACKED));
+  listeners.forEach(listener => listener(kept));
+  return kept;
+}
+
+/**
+ * Check whether a withdrawal is still waiting to be confirmed
+ * @param {Object} withdrawal - Tracked withdrawal
+ */
+export function isWithdrawalActive(withdrawal) {
+  return withdrawal.status === 'pending' || withdrawal.status === 'processing';
+}
+
+/**
+ * Start tracking a withdrawal that was just executed
+ * Exchanges that cannot report withdrawal status are ignored.
+ * @param {Object} withdrawal - Withdrawal details
+ * @param {string} withdrawal.id - Withdrawal id returned by executeWithdrawal
+ * @param {string} withdrawal.exchange - Exchange identifier
+ * @param {number} withdrawal.amount - Amount in BTC
+ * @param {string} withdrawal.address - Destination address
+ * @param {number} withdrawal.fee - Estimated network fee in BTC
+ * @param {string} withdrawal.network - Withdrawal network ('BTC' or 'LIGHTNING')
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<boolean>} True if the withdrawal is being tracked
+ */
+export async function trackWithdrawal({ id, exchange, amount, address, fee, network = 'BTC' }, userId) {
+  if (!id || !supportsWithdrawalTracking(exchange)) {
+    return false;
+  }
+
+  try {
+    const now = new Date().toISOString();
+    await updateWithdrawals(withdrawals => [...withdrawals.filter(w => w.id !== String(id)), {
+      id: String(id),
+      exchange,
+      amount,
+      address,
+      fee,
+      network,
+      status: 'pending',
+      txid: null,
+      requestedAt: now,
+      updatedAt: now,
+    }], userId);
+  } catch (error) {
+    // The withdrawal itself went through; it is just not followed on this device
+    console.error('[WithdrawalTracker] Could not store withdrawal:', error?.message || error);
+    return false;
+  }
+
+  schedulePoll(userId);
+  return true;
+}
+
+/**
+ * Get tracked withdrawals, oldest first
+ * @param {string} userId - User ID for namespaced storage
+ */
+export async function getTrackedWithdrawals(userId) {
+  return await loadWithdrawals(userId);
+}
+
+/**
+ * Poll the exchange for every withdrawal that is not finished yet
+ * Status changes are saved and reported to the server.
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Promise<Array>} Tracked withdrawals after the refresh
+ */
+export async function refreshWithdrawalStatuses(userId) {
+  // Only one refresh at a time; concurrent callers share it
+  if (refreshing) {
+    return refreshing;
+  }
+
+  refreshing = (async () => {
+    const withdrawals = await loadWithdrawals(userId);
+    const updates = new Map();
+
+    for (const withdrawal of withdrawals.filter(isWithdrawalActive)) {
+      const result = await getWithdrawalStatus(withdrawal.exchange, withdrawal.id, userId);
+      if (!result.success) {
+        // Transient exchange errors: try again on the next poll
+        continue;
+      }
+
+      const { status, txid, fee } = result.data;
+      if (status === withdrawal.status && (txid || null) === withdrawal.txid) {
+        continue;
+      }
+
+      const updated = {
+        ...withdrawal,
+        status,
+        txid: txid || withdrawal.txid,
+        fee: fee ?? withdrawal.fee,
+        updatedAt: new Date().toISOString(),
+      };
+      updates.set(withdrawal.id, updated);
+
+      // The outbox keeps retrying if the server is unreachable
+      await queueReport('withdrawal_status', {
+        withdrawalId: updated.id,
+        exchange: updated.exchange,
+        status: updated.status,
+        txid: updated.txid,
+        fee: updated.fee,
+        timestamp: updated.updatedAt,
+      }, userId);
+    }
+
+    if (updates.size === 0) {
+      return withdrawals;
+    }
+
+    // Withdrawals may have been added while this refresh was polling
+    return await updateWithdrawals(latest => latest.map(w => updates.get(w.id) || w), userId);
+  })();
+
+  try {
+    return await refreshing;
+  } finally {
+    refreshing = null;
+  }
+}
+
+/**
+ * Subscribe to tracked withdrawal changes
+ * @param {Function} listener - Called with the updated list
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToWithdrawals(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function schedulePoll(userId) {
+  clearTimeout(pollTimer);
+  pollTimer = null;
+  if (AppState.currentState !== 'active') {
+    return;
+  }
+  pollTimer = setTimeout(() => {
+    pollTimer = null;
+    pollNow(userId);
+  }, POLL_INTERVAL_MS);
+}
+
+async function pollNow(userId) {
+  try {
+    const withdrawals = await refreshWithdrawalStatuses(userId);
+    if (withdrawals.some(isWithdrawalActive)) {
+      schedulePoll(userId);
+    }
+  } catch (error) {
+    console.error('[WithdrawalTracker] Refresh failed:', error?.message || error);
+  }
+}
+
+/**
+ * Start polling tracked withdrawals for a signed-in user
+ * Polls now, whenever the app returns to the foreground, and every minute
+ * while a withdrawal is still in progress.
+ * @param {string} userId - User ID for namespaced storage
+ * @returns {Function} Cleanup function
+ */
+export function startWithdrawalTracking(userId) {
+  pollNow(userId);
+
+  const appStateSubscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active') {
+      pollNow(userId);
+    } else {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    }
+  });
+
+  return () => {
+    appStateSubscription.remove();
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  };
+}
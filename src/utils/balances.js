@@ -0,0 +1,105 @@
+/**
+ * Balance Utilities
+ * Common balance model returned by every exchange adapter's getAccountBalances.
+ * Adapters map their own asset codes to canonical ones (Kraken's XXBT and
+ * XBT.S both become BTC) and split each asset into free, locked and staked,
+ * so screens can compare and add up balances across exchanges.
+ */
+
+/**
+ * @typedef {Object} Balance
+ * @property {string} asset - Canonical asset code (BTC, EUR, ETH, ...)
+ * @property {number} free - Available to trade or withdraw
+ * @property {number} locked - Reserved by open orders or pending withdrawals
+ * @property {number} staked - Staked or in earn products, not immediately available
+ * @property {number} total - free + locked + staked
+ * @property {number|null} price - Price of one unit in the valuation currency (null if unknown)
+ * @property {number|null} fiatValue - Value of the total in the valuation currency (null if unknown)
+ */
+
+/**
+ * Create a balance entry
+ * @param {string} asset - Canonical asset code
+ * @param {Object} amounts - { free, locked, staked }; numbers or numeric strings
+ * @returns {Balance}
+ */
+export function createBalance(asset, { free = 0, locked = 0, staked = 0 } = {}) {
+  const balance = {
+    asset,
+    free: parseFloat(free) || 0,
+    locked: parseFloat(locked) || 0,
+    staked: parseFloat(staked) || 0,
+    price: null,
+    fiatValue: null,
+  };
+  balance.total = balance.free + balance.locked + balance.staked;
+  return balance;
+}
+
+/**
+ * Combine entries of the same asset and drop empty ones
+ * Used when an exchange reports one asset under several codes, and to add up
+ * balances from several exchanges.
+ * @param {Balance[]} balances
+ * @returns {Balance[]} One entry per asset, in first-seen order
+ */
+export function mergeBalances(balances) {
+  const byAsset = new Map();
+  balances.forEach(balance => {
+    const existing = byAsset.get(balance.asset);
+    if (!existing) {
+      byAsset.set(balance.asset, { ...balance });
+      return;
+    }
+    existing.free += balance.free;
+    existing.locked += balance.locked;
+    existing.staked += balance.staked;
+    existing.total += balance.total;
+    existing.price = existing.price ?? balance.price;
+    existing.fiatValue = existing.price !== null ? existing.total * existing.price : null;
+  });
+  return [...byAsset.values()].filter(balance => balance.total > 0);
+}
+
+/**
+ * Value balances at the given prices
+ * Assets without a price keep their existing value (null if never valued).
+ * @param {Balance[]} balances
+ * @param {Object<string, number>} prices - Price per canonical asset code in the valuation currency
+ * @returns {Balance[]}
+ */
+export function valueBalances(balances, prices) {
+  return balances.map(balance => {
+    const price = prices[balance.asset];
+    if (price === undefined || price === null) {
+      return balance;
+    }
+    return { ...balance, price, fiatValue: balance.total * price };
+  });
+}
+
+/**
+ * Get the balance of one asset
+ * @param {Balance[]} balances
+ * @param {string} asset - Canonical asset code
+ * @returns {Balance} The entry, or an empty balance if the asset is not held
+ */
+export function getAssetBalance(balances, asset) {
+  return balances.find(balance => balance.asset === asset) || createBalance(asset);
+}
+
+/**
+ * Add up the fiat value of balances
+ * @param {Balance[]} balances
+ * @returns {{total: number, unvalued: string[]}} Sum of known values and the assets that could not be valued
+ */
+export function getTotalValue(balances) {
+  return balances.reduce((sum, balance) => {
+    if (balance.fiatValue === null) {
+      sum.unvalued.push(balance.asset);
+    } else {
+      sum.total += balance.fiatValue;
+    }
+    return sum;
+  }, { total: 0, unvalued: [] });
+}
@@ -17,6 +17,8 @@ export const EXCHANGE_DEFAULTS = {
   BINANCE_TRADING_FEE: 0.1, // 0.1% default
   KRAKEN_TRADING_FEE: 0.26, // 0.26% taker fee
   DEFAULT_WITHDRAWAL_FEE: 0.0005, // Typical BTC network fee fallback
+  MAX_SLIPPAGE_PERCENT: 0, // Default price ceiling above the quote for market buys (0 = off, opt-in)
+  EXACT_FIAT_BUYS: false, // Spend the exact fiat amount including fees (quote-quantity orders)
 };
 
 // API Configuration
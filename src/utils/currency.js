@@ -1,17 +1,18 @@
 // Supported currencies list
-// Note: Kraken uses XBT instead of BTC, and some currencies are not supported
+// Note: Kraken uses XBT instead of BTC, Coinbase and Bitvavo use dashed market IDs,
+// Bitstamp uses lowercase URL symbols, and some currencies are not supported
 export const SUPPORTED_CURRENCIES = [
-  { code: 'EUR', symbol: '€', name: 'Euro', binancePair: 'BTCEUR', krakenPair: 'XBTEUR' },
-  { code: 'USD', symbol: '$', name: 'US Dollar', binancePair: 'BTCUSDT', krakenPair: 'XBTUSD' },
-  { code: 'GBP', symbol: '£', name: 'British Pound', binancePair: 'BTCGBP', krakenPair: 'XBTGBP' },
-  { code: 'USDT', symbol: '₮', name: 'Tether', binancePair: 'BTCUSDT', krakenPair: 'XBTUSDT' },
-  { code: 'USDC', symbol: 'USDC', name: 'USD Coin', binancePair: 'BTCUSDC', krakenPair: 'XBTUSDC' },
-  { code: 'AUD', symbol: 'A$', name: 'Australian Dollar', binancePair: 'BTCAUD', krakenPair: 'XBTAUD' },
-  { code: 'BRL', symbol: 'R$', name: 'Brazilian Real', binancePair: 'BTCBRL', krakenPair: null }, // Not on Kraken
-  { code: 'TRY', symbol: '₺', name: 'Turkish Lira', binancePair: 'BTCTRY', krakenPair: null }, // Not on Kraken
-  { code: 'CAD', symbol: 'C$', name: 'Canadian Dollar', binancePair: null, krakenPair: 'XBTCAD' },
-  { code: 'CHF', symbol: 'CHF', name: 'Swiss Franc', binancePair: null, krakenPair: 'XBTCHF' },
-  { code: 'JPY', symbol: '¥', name: 'Japanese Yen', binancePair: null, krakenPair: 'XBTJPY' },
+  { code: 'EUR', symbol: '€', name: 'Euro', binancePair: 'BTCEUR', krakenPair: 'XBTEUR', coinbasePair: 'BTC-EUR', bitvavoPair: 'BTC-EUR', bitstampPair: 'btceur' },
+  { code: 'USD', symbol: '$', name: 'US Dollar', binancePair: 'BTCUSDT', krakenPair: 'XBTUSD', coinbasePair: 'BTC-USD', bitvavoPair: null, bitstampPair: 'btcusd' },
+  { code: 'GBP', symbol: '£', name: 'British Pound', binancePair: 'BTCGBP', krakenPair: 'XBTGBP', coinbasePair: 'BTC-GBP', bitvavoPair: null, bitstampPair: 'btcgbp' },
+  { code: 'USDT', symbol: '₮', name: 'Tether', binancePair: 'BTCUSDT', krakenPair: 'XBTUSDT', coinbasePair: 'BTC-USDT', bitvavoPair: null, bitstampPair: 'btcusdt' },
+  { code: 'USDC', symbol: 'USDC', name: 'USD Coin', binancePair: 'BTCUSDC', krakenPair: 'XBTUSDC', coinbasePair: 'BTC-USDC', bitvavoPair: null, bitstampPair: 'btcusdc' },
+  { code: 'AUD', symbol: 'A$', name: 'Australian Dollar', binancePair: 'BTCAUD', krakenPair: 'XBTAUD', coinbasePair: null, bitvavoPair: null, bitstampPair: null },
+  { code: 'BRL', symbol: 'R$', name: 'Brazilian Real', binancePair: 'BTCBRL', krakenPair: null, coinbasePair: null, bitvavoPair: null, bitstampPair: null }, // Not on Kraken
+  { code: 'TRY', symbol: '₺', name: 'Turkish Lira', binancePair: 'BTCTRY', krakenPair: null, coinbasePair: null, bitvavoPair: null, bitstampPair: null }, // Not on Kraken
+  { code: 'CAD', symbol: 'C$', name: 'Canadian Dollar', binancePair: null, krakenPair: 'XBTCAD', coinbasePair: null, bitvavoPair: null, bitstampPair: null },
+  { code: 'CHF', symbol: 'CHF', name: 'Swiss Franc', binancePair: null, krakenPair: 'XBTCHF', coinbasePair: null, bitvavoPair: null, bitstampPair: null },
+  { code: 'JPY', symbol: '¥', name: 'Japanese Yen', binancePair: null, krakenPair: 'XBTJPY', coinbasePair: null, bitvavoPair: null, bitstampPair: null },
 ];
 
 export const DEFAULT_CURRENCY = 'EUR';
@@ -34,12 +35,30 @@ export function getKrakenPair(currencyCode) {
   return currency?.krakenPair || `XBT${currencyCode}`;
 }
 
+// Get Coinbase product ID for a given currency
+export function getCoinbasePair(currencyCode) {
+  const currency = SUPPORTED_CURRENCIES.find(c => c.code === currencyCode);
+  return currency?.coinbasePair || `BTC-${currencyCode}`;
+}
+
+// Get Bitvavo market ID for a given currency
+export function getBitvavoPair(currencyCode) {
+  const currency = SUPPORTED_CURRENCIES.find(c => c.code === currencyCode);
+  return currency?.bitvavoPair || `BTC-${currencyCode}`;
+}
+
+// Get Bitstamp URL symbol for a given currency
+export function getBitstampPair(currencyCode) {
+  const currency = SUPPORTED_CURRENCIES.find(c => c.code === currencyCode);
+  return currency?.bitstampPair || `btc${currencyCode.toLowerCase()}`;
+}
+
 // Get currencies supported by a specific exchange
+// Each exchange has a `<exchangeId>Pair` column; unknown exchanges use Binance pairs
 export function getCurrenciesForExchange(exchange) {
-  if (exchange === 'kraken') {
-    return SUPPORTED_CURRENCIES.filter(c => c.krakenPair !== null);
-  }
-  return SUPPORTED_CURRENCIES.filter(c => c.binancePair !== null);
+  const pairKey = `${exchange}Pair`;
+  const key = SUPPORTED_CURRENCIES.some(c => pairKey in c) ? pairKey : 'binancePair';
+  return SUPPORTED_CURRENCIES.filter(c => c[key] !== null);
 }
 
 // Format amount with currency symbol and code
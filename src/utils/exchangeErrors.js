@@ -0,0 +1,188 @@
+/**
+ * Exchange Error Utilities
+ * Typed error codes for exchange failures, each with a user-facing explanation
+ * and the action that fixes it. Adapters map their native errors (Binance codes,
+ * Kraken error strings) to these codes and return them as `errorCode` next to
+ * `error`; screens show them with showExchangeError.
+ */
+
+import { Alert } from 'react-native';
+
+export const EXCHANGE_ERROR_CODES = {
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  INVALID_API_KEY: 'invalid_api_key',
+  PERMISSION_DENIED: 'permission_denied',
+  KEYS_MISSING: 'keys_missing',
+  CLOCK_SKEW: 'clock_skew',
+  AMOUNT_INVALID: 'amount_invalid',
+  GEO_BLOCKED: 'geo_blocked',
+  RATE_LIMITED: 'rate_limited',
+  IP_BANNED: 'ip_banned',
+  INVALID_NONCE: 'invalid_nonce',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  UNAVAILABLE: 'unavailable',
+  INVALID_RESPONSE: 'invalid_response',
+  OUTCOME_UNKNOWN: 'outcome_unknown',
+  UNKNOWN: 'unknown',
+};
+
+const CODES = EXCHANGE_ERROR_CODES;
+
+// Fix-it actions; screens supply the handlers (see showExchangeError)
+const ACTIONS = {
+  API_KEYS: { type: 'api_keys', label: 'Open API Keys' },
+  CHOOSE_EXCHANGE: { type: 'api_keys', label: 'Choose Exchange' },
+  ADJUST_AMOUNT: { type: 'adjust_amount', label: 'Adjust Amount' },
+  RETRY: { type: 'retry', label: 'Try Again' },
+};
+
+const ERROR_DETAILS = {
+  [CODES.INSUFFICIENT_FUNDS]: {
+    title: 'Insufficient Balance',
+    hint: 'Deposit funds on the exchange or lower the amount.',
+    action: ACTIONS.ADJUST_AMOUNT,
+  },
+  [CODES.INVALID_API_KEY]: {
+    title: 'API Key Rejected',
+    hint: 'Check that the key and secret were copied correctly, that the key is still active and that this IP address is whitelisted.',
+    action: ACTIONS.API_KEYS,
+  },
+  [CODES.PERMISSION_DENIED]: {
+    title: 'Missing API Permission',
+    hint: 'This key is not allowed to do this. Enable the permission on the exchange or create a new key.',
+    action: ACTIONS.API_KEYS,
+  },
+  [CODES.KEYS_MISSING]: {
+    title: 'API Keys Needed',
+    hint: 'Add your exchange API keys to continue.',
+    action: ACTIONS.API_KEYS,
+  },
+  [CODES.CLOCK_SKEW]: {
+    title: 'Clock Out of Sync',
+    hint: "Your phone's clock is too far off. Set date and time to automatic in your phone settings, then try again.",
+    action: ACTIONS.RETRY,
+  },
+  [CODES.AMOUNT_INVALID]: {
+    title: 'Amount Not Accepted',
+    hint: 'The amount is below the exchange minimum or too precise for this market. Adjust the amount and try again.',
+    action: ACTIONS.ADJUST_AMOUNT,
+  },
+  [CODES.GEO_BLOCKED]: {
+    title: 'Not Available in Your Region',
+    hint: 'The exchange blocks requests from your location. Choose an exchange that serves your country.',
+    action: ACTIONS.CHOOSE_EXCHANGE,
+  },
+  [CODES.RATE_LIMITED]: {
+    title: 'Too Many Requests',
+    hint: 'Wait a moment before trying again.',
+    action: ACTIONS.RETRY,
+  },
+  [CODES.IP_BANNED]: {
+    title: 'Temporarily Blocked',
+    hint: 'The exchange paused requests from your IP address. Wait until the block expires.',
+    action: null,
+  },
+  [CODES.INVALID_NONCE]: {
+    title: 'Request Rejected',
+    hint: 'Try again. If this keeps happening, create an API key used only by this app.',
+    action: ACTIONS.RETRY,
+  },
+  [CODES.TIMEOUT]: {
+    title: 'Connection Problem',
+    hint: 'Check your internet connection and try again.',
+    action: ACTIONS.RETRY,
+  },
+  [CODES.NETWORK]: {
+    title: 'Connection Problem',
+    hint: 'Check your internet connection and try again.',
+    action: ACTIONS.RETRY,
+  },
+  [CODES.UNAVAILABLE]: {
+    title: 'Exchange Unavailable',
+    hint: 'The exchange is having problems. Try again in a few minutes.',
+    action: ACTIONS.RETRY,
+  },
+  [CODES.INVALID_RESPONSE]: {
+    title: 'Unexpected Response',
+    hint: 'This often means your IP is blocked or a VPN is interfering.',
+    action: ACTIONS.RETRY,
+  },
+  [CODES.OUTCOME_UNKNOWN]: {
+    title: 'Result Unknown',
+    hint: 'Do not try again until you have checked your exchange account; the request may have gone through.',
+    action: null,
+  },
+  [CODES.UNKNOWN]: {
+    title: 'Exchange Error',
+    hint: null,
+    action: null,
+  },
+};
+
+// Exchange HTTP layer kinds that map onto a different code
+const KIND_ALIASES = {
+  server: CODES.UNAVAILABLE,
+  empty_response: CODES.INVALID_RESPONSE,
+};
+
+/**
+ * Get the error code for an error thrown by an exchange adapter
+ * @param {Error} error - Error, possibly structured (see exchangeHttp createExchangeError)
+ * @returns {string} One of EXCHANGE_ERROR_CODES
+ */
+export function getErrorCode(error) {
+  if (error?.outcomeUnknown) {
+    return CODES.OUTCOME_UNKNOWN;
+  }
+  const kind = KIND_ALIASES[error?.kind] || error?.kind;
+  if (kind && ERROR_DETAILS[kind]) {
+    return kind;
+  }
+  if (/API keys not found/i.test(error?.message || '')) {
+    return CODES.KEYS_MISSING;
+  }
+  return CODES.UNKNOWN;
+}
+
+/**
+ * Get the explanation and fix-it action for a failed result
+ * @param {Object} result - Failed result ({ error, errorCode })
+ * @returns {{title: string, message: string, action: Object|null}}
+ */
+export function describeExchangeError(result) {
+  const code = result?.errorCode || getErrorCode({ message: result?.error });
+  const details = ERROR_DETAILS[code] || ERROR_DETAILS[CODES.UNKNOWN];
+  const error = result?.error || 'Something went wrong.';
+  return {
+    title: details.title,
+    message: details.hint ? `${error}\n\n${details.hint}` : error,
+    action: details.action,
+  };
+}
+
+/**
+ * Show a failed exchange result with its fix-it action
+ * Actions without a handler are left out, so every screen can use this.
+ * @param {Object} result - Failed result ({ error, errorCode })
+ * @param {Object} handlers
+ * @param {Object} handlers.navigation - Navigation prop, used to open API Keys
+ * @param {Function} handlers.onRetry - Called for 'Try Again'
+ * @param {Function} handlers.onAdjustAmount - Called for 'Adjust Amount'
+ * @param {string} handlers.title - Optional title instead of the error's own
+ */
+export function showExchangeError(result, { navigation = null, onRetry = null, onAdjustAmount = null, title = null } = {}) {
+  const { title: errorTitle, message, action } = describeExchangeError(result);
+
+  const handler = {
+    api_keys: navigation ? () => navigation.navigate('APIKeys') : null,
+    adjust_amount: onAdjustAmount,
+    retry: onRetry,
+  }[action?.type];
+
+  const buttons = handler
+    ? [{ text: 'Cancel', style: 'cancel' }, { text: action.label, onPress: handler }]
+    : [{ text: 'OK' }];
+
+  Alert.alert(title || errorTitle, message, buttons);
+}
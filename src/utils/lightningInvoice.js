@@ -0,0 +1,234 @@
+/**
+ * Lightning Invoice Utilities
+ * Decodes and validates BOLT11 payment requests (lnbc...)
+ */
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+// Human readable part: ln + network + optional amount with multiplier
+const HRP_PATTERN = /^ln(bcrt|bc|tbs|tb)(\d*)([munp]?)$/;
+
+const NETWORKS = {
+  bc: 'mainnet',
+  tb: 'testnet',
+  tbs: 'signet',
+  bcrt: 'regtest',
+};
+
+const AMOUNT_MULTIPLIERS = {
+  '': 1,
+  m: 1e-3,
+  u: 1e-6,
+  n: 1e-9,
+  p: 1e-12,
+};
+
+// Tagged field types (5-bit values of their bech32 characters)
+const TAG_PAYMENT_HASH = 1; // p
+const TAG_EXPIRY = 6; // x
+const TAG_DESCRIPTION = 13; // d
+
+const TIMESTAMP_WORDS = 7;
+const SIGNATURE_WORDS = 104;
+const DEFAULT_EXPIRY_SECONDS = 3600;
+
+function polymod(values) {
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) {
+        checksum ^= BECH32_GENERATOR[i];
+      }
+    }
+  }
+  return checksum;
+}
+
+function expandHrp(hrp) {
+  const high = [];
+  const low = [];
+  for (let i = 0; i < hrp.length; i++) {
+    high.push(hrp.charCodeAt(i) >> 5);
+    low.push(hrp.charCodeAt(i) & 31);
+  }
+  return [...high, 0, ...low];
+}
+
+/**
+ * Decode a bech32 string without the 90 character limit (invoices are longer)
+ * @returns {{hrp: string, words: number[]}|null} Null if malformed or the checksum fails
+ */
+function decodeBech32(value) {
+  const separator = value.lastIndexOf('1');
+  if (separator < 1 || value.length - separator - 1 < 6) {
+    return null;
+  }
+
+  const hrp = value.substring(0, separator);
+  const words = [];
+  for (const char of value.substring(separator + 1)) {
+    const word = BECH32_CHARSET.indexOf(char);
+    if (word === -1) {
+      return null;
+    }
+    words.push(word);
+  }
+
+  if (polymod([...expandHrp(hrp), ...words]) !== 1) {
+    return null;
+  }
+  return { hrp, words: words.slice(0, -6) };
+}
+
+function wordsToInt(words) {
+  return words.reduce((total, word) => total * 32 + word, 0);
+}
+
+function wordsToBytes(words) {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const word of words) {
+    buffer = (buffer << 5) | word;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+    buffer &= (1 << bits) - 1;
+  }
+  return bytes;
+}
+
+function bytesToUtf8(bytes) {
+  try {
+    return decodeURIComponent(bytes.map(b => `%${b.toString(16).padStart(2, '0')}`).join(''));
+  } catch (error) {
+    return String.fromCharCode(...bytes);
+  }
+}
+
+/**
+ * Remove whitespace and a lightning: URI prefix from a pasted invoice
+ * @param {string} invoice - Invoice as entered by the user
+ * @returns {string} Lowercase invoice
+ */
+export function normalizeLightningInvoice(invoice) {
+  return (invoice || '').trim().replace(/^lightning:/i, '').toLowerCase();
+}
+
+/**
+ * Decode a BOLT11 invoice
+ * The signature is not verified; the exchange checks it when paying.
+ * @param {string} invoice - BOLT11 payment request
+ * @returns {Object|null} { network, amountBtc, amountSats, timestamp, expiresAt, description, paymentHash }
+ *   amountBtc/amountSats are null for invoices without an amount; null if the invoice cannot be decoded
+ */
+export function decodeLightningInvoice(invoice) {
+  const normalized = normalizeLightningInvoice(invoice);
+  if (!normalized.startsWith('ln')) {
+    return null;
+  }
+
+  const decoded = decodeBech32(normalized);
+  if (!decoded || decoded.words.length < TIMESTAMP_WORDS + SIGNATURE_WORDS) {
+    return null;
+  }
+
+  const hrpMatch = decoded.hrp.match(HRP_PATTERN);
+  if (!hrpMatch) {
+    return null;
+  }
+  const [, networkPrefix, amountDigits, multiplier] = hrpMatch;
+  if (!amountDigits && multiplier) {
+    return null;
+  }
+
+  let amountBtc = null;
+  let amountSats = null;
+  if (amountDigits) {
+    amountBtc = parseInt(amountDigits, 10) * AMOUNT_MULTIPLIERS[multiplier];
+    // Sub-satoshi (millisatoshi) amounts are rounded up, as the payer would
+    amountSats = Math.ceil(Math.round(amountBtc * 1e11) / 1e3);
+  }
+
+  const data = decoded.words.slice(0, -SIGNATURE_WORDS);
+  const timestamp = wordsToInt(data.slice(0, TIMESTAMP_WORDS));
+
+  let expirySeconds = DEFAULT_EXPIRY_SECONDS;
+  let description = null;
+  let paymentHash = null;
+
+  let position = TIMESTAMP_WORDS;
+  while (position + 3 <= data.length) {
+    const tag = data[position];
+    const length = data[position + 1] * 32 + data[position + 2];
+    const fieldWords = data.slice(position + 3, position + 3 + length);
+    position += 3 + length;
+
+    if (fieldWords.length !== length) {
+      return null;
+    }
+
+    if (tag === TAG_PAYMENT_HASH && length === 52) {
+      paymentHash = wordsToBytes(fieldWords).map(b => b.toString(16).padStart(2, '0')).join('');
+    } else if (tag === TAG_EXPIRY) {
+      expirySeconds = wordsToInt(fieldWords);
+    } else if (tag === TAG_DESCRIPTION) {
+      description = bytesToUtf8(wordsToBytes(fieldWords));
+    }
+  }
+
+  if (!paymentHash) {
+    return null;
+  }
+
+  return {
+    network: NETWORKS[networkPrefix],
+    amountBtc,
+    amountSats,
+    timestamp: timestamp * 1000,
+    expiresAt: (timestamp + expirySeconds) * 1000,
+    description,
+    paymentHash,
+  };
+}
+
+/**
+ * Get a user-friendly error message for an invoice that cannot be used for a withdrawal
+ * @param {string} invoice - BOLT11 payment request
+ * @param {number} expectedSats - Amount the invoice must request, in satoshis
+ * @returns {string|null} Error message if unusable, null if valid
+ */
+export function getLightningInvoiceError(invoice, expectedSats) {
+  const normalized = normalizeLightningInvoice(invoice);
+  if (!normalized) {
+    return 'Paste a Lightning invoice from your wallet';
+  }
+  if (!normalized.startsWith('ln')) {
+    return 'Lightning invoices start with "lnbc"';
+  }
+
+  const decoded = decodeLightningInvoice(normalized);
+  if (!decoded) {
+    return 'This is not a valid Lightning invoice. Check that it was copied completely.';
+  }
+  if (decoded.network !== 'mainnet') {
+    return `This invoice is for ${decoded.network}. Use a Bitcoin mainnet invoice (lnbc...).`;
+  }
+  if (decoded.amountSats === null) {
+    return `The invoice has no amount. Create one for exactly ${expectedSats.toLocaleString()} sats.`;
+  }
+  // Allow one satoshi for rounding between BTC and sats
+  if (Math.abs(decoded.amountSats - expectedSats) > 1) {
+    return `The invoice is for ${decoded.amountSats.toLocaleString()} sats but this withdrawal sends ${expectedSats.toLocaleString()} sats.`;
+  }
+  if (decoded.expiresAt <= Date.now()) {
+    return 'This invoice has expired. Create a new one in your wallet.';
+  }
+
+  return null;
+}
@@ -0,0 +1,59 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * JSON record lists in AsyncStorage
+ * Used for queues and ledgers (report outbox, in-flight trades, limit orders,
+ * TWAP plans) that can outgrow the ~2 KB SecureStore limit. Changes to a list
+ * run one at a time against the latest stored copy, so concurrent
+ * load/modify/save cycles cannot lose or resurrect records.
+ */
+
+// Promise chain of pending changes per key
+const writeQueues = new Map();
+
+/**
+ * Read a record list
+ * Throws if the list cannot be read, so a failed read is never mistaken for an
+ * empty list (and then saved over the real one).
+ * @param {string} key - Storage key
+ * @returns {Promise<Array>}
+ */
+export async function readRecords(key) {
+  const stored = await AsyncStorage.getItem(key);
+  if (!stored) {
+    return [];
+  }
+
+  const records = JSON.parse(stored);
+  if (!Array.isArray(records)) {
+    throw new Error(`Stored ${key} is not a list`);
+  }
+  return records;
+}
+
+/**
+ * Change a record list
+ * The change runs after any earlier change to the same key has been saved.
+ * Nothing is written if the list cannot be read or the change throws.
+ * @param {string} key - Storage key
+ * @param {Function} change - (records) => new records, may be async
+ * @returns {Promise<Array>} The saved records
+ */
+export function updateRecords(key, change) {
+  const previous = writeQueues.get(key) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const records = await change(await readRecords(key));
+    await AsyncStorage.setItem(key, JSON.stringify(records));
+    return records;
+  });
+
+  writeQueues.set(key, next);
+  const release = () => {
+    if (writeQueues.get(key) === next) {
+      writeQueues.delete(key);
+    }
+  };
+  next.then(release, release);
+
+  return next;
+}